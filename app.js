@@ -9,6 +9,9 @@ import cors from 'cors';
 // Import Route Handlers
 import authRoutes from './route/auth.js';
 import totpRoutes from './route/totp.js';
+import webauthnRoutes from './route/webauthn.js';
+import passkeyRoutes from './route/passkey.js';
+import pushRoutes from './route/push.js';
 import apiRoutes from './route/api.js';
 import sensitiveRoutes from './route/sensitive.js';
 import vaultSyncRoutes from './route/vaultSync.js';
@@ -16,10 +19,23 @@ import vaultRoutes from './route/vaultRoutes.js';
 import deviceRoutes from './route/deviceRoutes.js';
 import breachRoutes from './route/breachRoutes.js';
 import auditRoutes from './route/auditRoutes.js';
+import recoveryKeyRoutes from './route/recoveryKeyRoutes.js';
 import faviconRoutes from './route/faviconRoutes.js';
+import wellKnownRoutes from './route/wellKnownRoutes.js';
 
 const app = express();
 
+// --- Client IP ---
+// X-Forwarded-For is only believed from the proxies named in TRUST_PROXY (a hop count,
+// true, or addresses/subnets such as "loopback, 10.0.0.0/8"); otherwise any client could
+// pick its own IP and slip past the per-IP limits. Unset: no proxy, use the socket address.
+const parseTrustProxy = (value) => {
+  if (value === undefined || value === '' || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // --- Global Middleware ---
 // Parse incoming JSON payloads
 app.use(express.json());
@@ -73,6 +89,12 @@ app.use((req, res, next) => {
 app.use('/auth', authRoutes);
 // TOTP (Time-based One-Time Password) MFA routes
 app.use('/auth/totp', totpRoutes);
+// WebAuthn / FIDO2 security key MFA routes
+app.use('/auth/webauthn', webauthnRoutes);
+// Passkey (passwordless) login routes
+app.use('/auth/passkey', passkeyRoutes);
+// Push approval of a login from another signed-in device
+app.use('/auth/push', pushRoutes);
 // General API routes (mostly protected)
 app.use('/api', apiRoutes);
 // Sensitive action routes requiring fresh authentication
@@ -87,11 +109,17 @@ app.use('/api/devices', deviceRoutes);
 app.use('/api/breach', breachRoutes);
 // Audit Log routes (Login History — Epic 7 Story 7.6)
 app.use('/api/audit-logs', auditRoutes);
+// Recovery key status / regenerate / revoke
+app.use('/api/recovery-key', recoveryKeyRoutes);
 
 // --- Favicon Proxy ---
 // Protects user IPs from being leaked to Google when fetching favicons in the vault
 app.use('/api/favicon', faviconRoutes);
 
+// --- Token Verification Keys ---
+// JWKS for services that validate access tokens themselves (no DB needed)
+app.use('/.well-known', wellKnownRoutes);
+
 // --- Health Check ---
 // Highly reliable network probe endpoint returning 204 No Content (no body)
 // Used by Tauri desktop frontend to verify backend availability and Supabase connectivity.
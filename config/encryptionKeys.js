@@ -0,0 +1,116 @@
+// config/encryptionKeys.js
+// Key management for data the server encrypts at rest (TOTP secrets, SRP
+// ephemeral values in pending challenges).
+//
+// Keys are configured as a comma-separated list of `kid:key` pairs, each key
+// 32 random bytes in base64:
+//   ENCRYPTION_KEYS="2026-10:<base64>,2026-04:<old base64>"
+// The key named by ENCRYPTION_KEY_ID (or the first entry) encrypts new values;
+// every listed key decrypts. Rotation:
+//   1. Add the new key to the list and point ENCRYPTION_KEY_ID at it.
+//   2. Run `npm run reencrypt-secrets` to move stored values to the new key.
+//   3. Remove the old key.
+// Without ENCRYPTION_KEYS, a key is derived from the ENCRYPTION_KEY passphrase
+// with HKDF. ENCRYPTION_KEY is also the passphrase for values written in the
+// legacy CryptoJS format, until they have been re-encrypted.
+//
+// Outside production a built-in development passphrase is used when nothing is
+// configured. assertEncryptionConfig() refuses to start a production server
+// with it, or with no key at all.
+
+import { hkdfSync } from "crypto";
+
+export const DEFAULT_ENCRYPTION_KEY = "default-secret-key-change-in-production";
+
+const KEY_BYTES = 32;
+const KID_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+let keyring = null;
+
+const isProduction = () => process.env.NODE_ENV === "production";
+
+/**
+ * Parse a `kid:base64,kid:base64` list into key entries.
+ */
+function parseKeyList(value) {
+    return value.split(",").map((pair) => pair.trim()).filter(Boolean).map((pair) => {
+        const separator = pair.indexOf(":");
+        if (separator <= 0 || separator === pair.length - 1) {
+            throw new Error("ENCRYPTION_KEYS entries must look like kid:base64key");
+        }
+        const kid = pair.slice(0, separator);
+        if (!KID_PATTERN.test(kid)) {
+            throw new Error(`Encryption key id "${kid}" may only contain letters, digits, '.', '_' and '-'`);
+        }
+        const key = Buffer.from(pair.slice(separator + 1), "base64");
+        if (key.length !== KEY_BYTES) {
+            throw new Error(`Encryption key "${kid}" must be ${KEY_BYTES} bytes (base64-encoded)`);
+        }
+        return { kid, key };
+    });
+}
+
+/**
+ * Build the keyring from the environment.
+ */
+function loadKeyring() {
+    const passphrase = process.env.ENCRYPTION_KEY || (isProduction() ? null : DEFAULT_ENCRYPTION_KEY);
+
+    let keys;
+    if (process.env.ENCRYPTION_KEYS) {
+        keys = parseKeyList(process.env.ENCRYPTION_KEYS);
+        if (keys.length === 0) {
+            throw new Error("ENCRYPTION_KEYS is empty");
+        }
+    } else if (passphrase) {
+        const derived = Buffer.from(hkdfSync("sha256", passphrase, "", "passwordpal-encryption", KEY_BYTES));
+        keys = [{ kid: "derived", key: derived }];
+    } else {
+        throw new Error("No encryption key configured (set ENCRYPTION_KEYS)");
+    }
+
+    const currentKid = process.env.ENCRYPTION_KEY_ID || keys[0].kid;
+    const current = keys.find((k) => k.kid === currentKid);
+    if (!current) {
+        throw new Error(`ENCRYPTION_KEY_ID "${currentKid}" is not in the keyring`);
+    }
+
+    return {
+        current,
+        keysById: new Map(keys.map((k) => [k.kid, k])),
+        legacyPassphrase: passphrase,
+    };
+}
+
+/**
+ * The loaded keyring: the current key, every key by id, and the passphrase for
+ * legacy CryptoJS values (null when none is configured in production).
+ *
+ * @returns {{ current: { kid: string, key: Buffer }, keysById: Map<string, { kid: string, key: Buffer }>, legacyPassphrase: string|null }}
+ */
+export function getEncryptionKeyring() {
+    if (!keyring) keyring = loadKeyring();
+    return keyring;
+}
+
+/**
+ * Discard the loaded keyring so the next use re-reads the environment.
+ * Used by tests and the re-encryption job.
+ */
+export function reloadEncryptionKeys() {
+    keyring = null;
+}
+
+/**
+ * Check the encryption settings before the server starts.
+ * In production, refuses the built-in development passphrase and a missing key.
+ *
+ * @throws {Error} If the keyring cannot be loaded or production uses the default key.
+ */
+export function assertEncryptionConfig() {
+    if (isProduction() && process.env.ENCRYPTION_KEY === DEFAULT_ENCRYPTION_KEY) {
+        throw new Error("ENCRYPTION_KEY is set to the development default; configure ENCRYPTION_KEYS for production");
+    }
+    reloadEncryptionKeys();
+    getEncryptionKeyring();
+}
@@ -0,0 +1,29 @@
+// config/env.js
+// Helpers for reading numeric settings from the environment. The policy modules
+// call them on every read, so a changed variable takes effect without a restart.
+
+/**
+ * An integer environment variable, or the fallback when it is unset, not a
+ * number or below the minimum.
+ * @param {string} name - Environment variable name.
+ * @param {number} fallback - Value used when the variable is missing or invalid.
+ * @param {number} [min=1] - Smallest accepted value.
+ * @returns {number}
+ */
+export function readInt(name, fallback, min = 1) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value >= min ? value : fallback;
+}
+
+/**
+ * How long past failures count towards a lock, in minutes: the named variable,
+ * but never shorter than the lock itself, since a lock must not outlive the
+ * failures that caused it.
+ * @param {string} name - Environment variable name.
+ * @param {number} fallback - Value used when the variable is missing or invalid.
+ * @param {number} durationMinutes - How long the lock lasts.
+ * @returns {number}
+ */
+export function readLockWindowMinutes(name, fallback, durationMinutes) {
+    return Math.max(readInt(name, fallback), durationMinutes);
+}
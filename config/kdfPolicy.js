@@ -0,0 +1,61 @@
+// config/kdfPolicy.js
+// Minimum cost for the client-side KDF that turns the master password into the
+// AuthKey/KEK. The server never runs this KDF itself; it only records which
+// parameters each account's salt/wrapped_mek/server_hash were produced with and
+// tells clients when those fall below policy.
+//
+// Raise the floor over time with:
+//   KDF_MIN_MEMORY_KIB   (default 65536)
+//   KDF_MIN_ITERATIONS   (default 3)
+//   KDF_MIN_PARALLELISM  (default 1)
+// Accounts below the floor keep working; their login response carries
+// kdf_upgrade_required so the client re-derives and calls /auth/kdf-upgrade.
+
+import { readInt } from "./env.js";
+
+export const KDF_ALGORITHM = "argon2id";
+
+// Parameters assumed for accounts created before kdf_params was stored (matches the column default)
+export const DEFAULT_KDF_PARAMS = Object.freeze({ algo: KDF_ALGORITHM, m: 65536, t: 3, p: 4 });
+
+/**
+ * Current minimum KDF parameters, read from the environment on each call.
+ * @returns {{ algo: string, m: number, t: number, p: number }}
+ */
+export function getKdfPolicy() {
+    return {
+        algo: KDF_ALGORITHM,
+        m: readInt("KDF_MIN_MEMORY_KIB", DEFAULT_KDF_PARAMS.m),
+        t: readInt("KDF_MIN_ITERATIONS", DEFAULT_KDF_PARAMS.t),
+        p: readInt("KDF_MIN_PARALLELISM", 1),
+    };
+}
+
+/**
+ * Whether the given parameters satisfy the current policy.
+ * @param {{ algo: string, m: number, t: number, p: number }|null} params
+ * @returns {boolean}
+ */
+export function meetsKdfPolicy(params) {
+    const policy = getKdfPolicy();
+    const effective = params || DEFAULT_KDF_PARAMS;
+    return effective.algo === policy.algo
+        && effective.m >= policy.m
+        && effective.t >= policy.t
+        && effective.p >= policy.p;
+}
+
+/**
+ * Parameters a client should use when (re-)deriving keys: the policy floor,
+ * but never weaker than the defaults.
+ * @returns {{ algo: string, m: number, t: number, p: number }}
+ */
+export function recommendedKdfParams() {
+    const policy = getKdfPolicy();
+    return {
+        algo: KDF_ALGORITHM,
+        m: Math.max(policy.m, DEFAULT_KDF_PARAMS.m),
+        t: Math.max(policy.t, DEFAULT_KDF_PARAMS.t),
+        p: Math.max(policy.p, DEFAULT_KDF_PARAMS.p),
+    };
+}
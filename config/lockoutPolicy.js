@@ -0,0 +1,26 @@
+// config/lockoutPolicy.js
+// Per-account brute-force policy, applied on top of the per-IP limiter in
+// authController. Counts the run of consecutive failed logins for an account
+// (since its last success or unlock) in login_attempts:
+//   - from LOCKOUT_BACKOFF_AFTER failures on, each new attempt must wait
+//     LOCKOUT_BACKOFF_BASE_SECONDS * 2^(failures - LOCKOUT_BACKOFF_AFTER) seconds
+//   - at LOCKOUT_THRESHOLD failures the account is locked for LOCKOUT_DURATION_MINUTES
+//     (or until unlocked by email link or recovery key)
+// Failures older than LOCKOUT_WINDOW_MINUTES are forgotten.
+
+import { readInt, readLockWindowMinutes } from "./env.js";
+
+/**
+ * Current lockout thresholds, read from the environment on each call.
+ * @returns {{ threshold: number, durationMinutes: number, windowMinutes: number, backoffAfter: number, backoffBaseSeconds: number }}
+ */
+export function getLockoutPolicy() {
+    const durationMinutes = readInt("LOCKOUT_DURATION_MINUTES", 30);
+    return {
+        threshold: readInt("LOCKOUT_THRESHOLD", 10),
+        durationMinutes,
+        windowMinutes: readLockWindowMinutes("LOCKOUT_WINDOW_MINUTES", 60, durationMinutes),
+        backoffAfter: readInt("LOCKOUT_BACKOFF_AFTER", 3),
+        backoffBaseSeconds: readInt("LOCKOUT_BACKOFF_BASE_SECONDS", 1),
+    };
+}
@@ -0,0 +1,33 @@
+// config/mfaPolicy.js
+// Second-factor policy for /auth/totp/verify-login, /auth/totp/backup-codes/redeem and
+// /auth/totp/email-otp/verify-login.
+//   - MFA_TOTP_WINDOW: 30-second steps accepted either side of the current one
+//     (1 = about ±30 s of clock drift)
+//   - MFA_MAX_ATTEMPTS_PER_TOKEN: wrong codes one mfa-pending token may send before
+//     it is spent and the user must enter the master password again
+//   - MFA_LOCKOUT_THRESHOLD consecutive wrong codes for a user (across logins) lock
+//     that user's second factor for MFA_LOCKOUT_DURATION_MINUTES
+// Failures older than MFA_LOCKOUT_WINDOW_MINUTES are forgotten. Counted in mfa_attempts.
+// Reported by /auth/totp/overview:
+//   - MFA_REQUIRED=true: the organization requires every account to have a second factor
+//   - MFA_BACKUP_CODES_LOW_THRESHOLD: warn when this many backup codes or fewer are left
+
+import { readInt, readLockWindowMinutes } from "./env.js";
+
+/**
+ * Current MFA attempt limits and reporting policy, read from the environment on each call.
+ * @returns {{ totpWindow: number, maxAttemptsPerToken: number, threshold: number, durationMinutes: number, windowMinutes: number, required: boolean, backupCodesLowThreshold: number }}
+ */
+export function getMfaPolicy() {
+    const durationMinutes = readInt("MFA_LOCKOUT_DURATION_MINUTES", 15);
+    return {
+        // 0 accepts only the current step; more than 10 (±5 minutes) defeats the point of a TOTP
+        totpWindow: Math.min(readInt("MFA_TOTP_WINDOW", 1, 0), 10),
+        maxAttemptsPerToken: readInt("MFA_MAX_ATTEMPTS_PER_TOKEN", 5),
+        threshold: readInt("MFA_LOCKOUT_THRESHOLD", 10),
+        durationMinutes,
+        windowMinutes: readLockWindowMinutes("MFA_LOCKOUT_WINDOW_MINUTES", 60, durationMinutes),
+        required: process.env.MFA_REQUIRED === "true",
+        backupCodesLowThreshold: readInt("MFA_BACKUP_CODES_LOW_THRESHOLD", 3, 0),
+    };
+}
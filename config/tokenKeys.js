@@ -0,0 +1,241 @@
+// config/tokenKeys.js
+// Signing-key management for every JWT the backend mints.
+//
+// Each token type has its own keyring and audience, so a token minted for one
+// purpose (e.g. an mfa-pending token) can never be accepted as another (e.g. an
+// access token). Every token carries a `kid` header naming the key that signed it.
+//
+// Keyrings are configured per type as a comma-separated list of `kid:secret` pairs:
+//   JWT_ACCESS_KEYS="2026-10:<secret>,2026-04:<old secret>"
+// The key named by JWT_<TYPE>_SIGNING_KID (or the first entry) signs new tokens;
+// every listed key verifies. Rotation without logging anyone out:
+//   1. Add the new key to the list on every instance (verify-only).
+//   2. Point JWT_<TYPE>_SIGNING_KID at it.
+//   3. Remove the old key once its longest-lived tokens have expired.
+// When a type has no keyring configured, a key is derived from JWT_SECRET with
+// HKDF so that each type still gets a distinct secret.
+//
+// Asymmetric keys: when JWT_KEYS_DIR is set and contains a sub-directory named
+// after a token type (e.g. JWT_KEYS_DIR/access/), that type is signed with the
+// PEM keys found there instead of an HMAC secret. Each file's name is its kid:
+//   access/2026-10.pem      — private key: signs and verifies
+//   access/2026-04.pub.pem  — public key only: verifies tokens from a retired key
+// RSA keys sign with RS256 and P-256 keys with ES256 (jsonwebtoken has no EdDSA).
+// Unless JWT_<TYPE>_SIGNING_KID says otherwise, the last private key in sorted
+// order signs, so date-named files rotate naturally. Public access-token keys
+// are published at /.well-known/jwks.json for services that verify sessions
+// without holding any secret.
+
+import jwt from "jsonwebtoken";
+import fs from "fs";
+import path from "path";
+import { hkdfSync, createPrivateKey, createPublicKey } from "crypto";
+
+const ISSUER = "passwordpal";
+
+export const TOKEN_TYPES = Object.freeze({
+    ACCESS: "access",
+    REFRESH: "refresh",
+    MFA_PENDING: "mfa-pending",
+    TRUSTED_DEVICE: "trusted-device",
+    EMAIL_VERIFICATION: "email-verification",
+});
+
+// Environment variable prefix for each token type's keyring
+const ENV_PREFIX = {
+    [TOKEN_TYPES.ACCESS]: "JWT_ACCESS",
+    [TOKEN_TYPES.REFRESH]: "JWT_REFRESH",
+    [TOKEN_TYPES.MFA_PENDING]: "JWT_MFA_PENDING",
+    [TOKEN_TYPES.TRUSTED_DEVICE]: "JWT_TRUSTED_DEVICE",
+    [TOKEN_TYPES.EMAIL_VERIFICATION]: "JWT_EMAIL_VERIFICATION",
+};
+
+let keyrings = null;
+
+/**
+ * Parse a `kid:secret,kid:secret` list into key entries.
+ */
+function parseKeyList(value, envName) {
+    return value.split(",").map((pair) => pair.trim()).filter(Boolean).map((pair) => {
+        const separator = pair.indexOf(":");
+        if (separator <= 0 || separator === pair.length - 1) {
+            throw new Error(`${envName} entries must look like kid:secret`);
+        }
+        const secret = pair.slice(separator + 1);
+        return { kid: pair.slice(0, separator), alg: "HS256", signingKey: secret, verifyKey: secret };
+    });
+}
+
+/**
+ * JWT algorithm for an asymmetric key.
+ */
+function algorithmFor(keyObject, file) {
+    if (keyObject.asymmetricKeyType === "rsa") return "RS256";
+    if (keyObject.asymmetricKeyType === "ec" && keyObject.asymmetricKeyDetails?.namedCurve === "prime256v1") {
+        return "ES256";
+    }
+    throw new Error(`Unsupported key type in ${file}: use RSA (RS256) or P-256 (ES256)`);
+}
+
+/**
+ * Load PEM keys for one token type from JWT_KEYS_DIR/<type>/, or null when
+ * the type has no key directory.
+ */
+function loadPemKeys(type) {
+    if (!process.env.JWT_KEYS_DIR) return null;
+
+    const dir = path.join(process.env.JWT_KEYS_DIR, type);
+    if (!fs.existsSync(dir)) return null;
+
+    return fs.readdirSync(dir)
+        .filter((file) => file.endsWith(".pem"))
+        .sort()
+        .map((file) => {
+            const pem = fs.readFileSync(path.join(dir, file), "utf8");
+            const isPublicOnly = file.endsWith(".pub.pem");
+            const kid = file.slice(0, -(isPublicOnly ? ".pub.pem" : ".pem").length);
+
+            const signingKey = isPublicOnly ? null : createPrivateKey(pem);
+            const verifyKey = signingKey ? createPublicKey(signingKey) : createPublicKey(pem);
+
+            return { kid, alg: algorithmFor(verifyKey, file), signingKey, verifyKey };
+        });
+}
+
+/**
+ * Build the keyring for one token type from the environment.
+ */
+function loadKeyring(type) {
+    const prefix = ENV_PREFIX[type];
+    const configured = process.env[`${prefix}_KEYS`];
+
+    let keys = loadPemKeys(type);
+    if (keys) {
+        if (keys.length === 0) {
+            throw new Error(`No .pem keys found for ${type} tokens in JWT_KEYS_DIR`);
+        }
+    } else if (configured) {
+        keys = parseKeyList(configured, `${prefix}_KEYS`);
+    } else {
+        if (!process.env.JWT_SECRET) {
+            throw new Error(`No signing key configured for ${type} tokens (set ${prefix}_KEYS or JWT_SECRET)`);
+        }
+        const derived = Buffer.from(
+            hkdfSync("sha256", process.env.JWT_SECRET, "", `passwordpal-jwt:${type}`, 32)
+        );
+        keys = [{ kid: `${type}-derived`, alg: "HS256", signingKey: derived, verifyKey: derived }];
+    }
+
+    if (keys.length === 0) {
+        throw new Error(`${prefix}_KEYS is empty`);
+    }
+
+    // HMAC lists default to their first entry; PEM directories to their newest private key
+    const defaultKid = keys[0].alg === "HS256"
+        ? keys[0].kid
+        : keys.filter((k) => k.signingKey).at(-1)?.kid;
+    const signingKid = process.env[`${prefix}_SIGNING_KID`] || defaultKid;
+    const signingKey = keys.find((k) => k.kid === signingKid);
+    if (!signingKey) {
+        throw new Error(`${prefix}_SIGNING_KID "${signingKid}" is not in the keyring`);
+    }
+    if (!signingKey.signingKey) {
+        throw new Error(`Signing key "${signingKid}" for ${type} tokens has no private key`);
+    }
+
+    return {
+        audience: `${ISSUER}:${type}`,
+        signingKey,
+        keysById: new Map(keys.map((k) => [k.kid, k])),
+    };
+}
+
+function getKeyring(type) {
+    if (!ENV_PREFIX[type]) {
+        throw new Error(`Unknown token type: ${type}`);
+    }
+    if (!keyrings) keyrings = new Map();
+    if (!keyrings.has(type)) keyrings.set(type, loadKeyring(type));
+    return keyrings.get(type);
+}
+
+/**
+ * Discard loaded keyrings so the next sign/verify re-reads the environment.
+ * Used after a key rotation is applied at runtime and by tests.
+ */
+export function reloadTokenKeys() {
+    keyrings = null;
+}
+
+/**
+ * Sign a token of the given type with that type's current signing key.
+ *
+ * @param {string} type - One of TOKEN_TYPES.
+ * @param {Object} payload - Claims to include.
+ * @param {import('jsonwebtoken').SignOptions} [options] - e.g. { expiresIn, jwtid }.
+ * @returns {string} The signed JWT.
+ */
+export function signToken(type, payload, options = {}) {
+    const { audience, signingKey } = getKeyring(type);
+    return jwt.sign(payload, signingKey.signingKey, {
+        ...options,
+        algorithm: signingKey.alg,
+        keyid: signingKey.kid,
+        audience,
+        issuer: ISSUER,
+    });
+}
+
+/**
+ * Verify a token against the keyring of an expected type.
+ * Rejects tokens without a known `kid`, with another type's audience, or with a bad signature.
+ *
+ * @param {string|string[]} types - Token type, or list of acceptable types.
+ * @param {string} token - The JWT to verify.
+ * @returns {Object} Decoded claims, with `token_type` set to the type that matched.
+ * @throws {import('jsonwebtoken').JsonWebTokenError} If the token is not valid for any of the types.
+ */
+export function verifyToken(types, token) {
+    const accepted = Array.isArray(types) ? types : [types];
+    const decoded = jwt.decode(token, { complete: true });
+    const kid = decoded?.header?.kid;
+    if (!kid) {
+        throw new jwt.JsonWebTokenError("token has no key id");
+    }
+
+    for (const type of accepted) {
+        const { audience, keysById } = getKeyring(type);
+        const key = keysById.get(kid);
+        if (!key || decoded.payload?.aud !== audience) continue;
+
+        // Pin the algorithm to the key so an HMAC token can never verify against a public key
+        const claims = jwt.verify(token, key.verifyKey, {
+            algorithms: [key.alg],
+            audience,
+            issuer: ISSUER,
+        });
+        return { ...claims, token_type: type };
+    }
+
+    throw new jwt.JsonWebTokenError("token is not valid for this use");
+}
+
+/**
+ * Public keys for access tokens as a JSON Web Key Set.
+ * Only asymmetric keys are published; HMAC secrets never leave the server.
+ *
+ * @returns {{ keys: Object[] }}
+ */
+export function getJwks() {
+    const { keysById } = getKeyring(TOKEN_TYPES.ACCESS);
+    const keys = [...keysById.values()]
+        .filter((key) => key.alg !== "HS256")
+        .map((key) => ({
+            ...key.verifyKey.export({ format: "jwk" }),
+            kid: key.kid,
+            alg: key.alg,
+            use: "sig",
+        }));
+
+    return { keys };
+}
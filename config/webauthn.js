@@ -0,0 +1,28 @@
+// config/webauthn.js
+// Relying-party settings for WebAuthn ceremonies:
+//   - WEBAUTHN_RP_ID      domain credentials are scoped to (defaults to the FRONTEND_URL host)
+//   - WEBAUTHN_RP_NAME    name shown by the browser and authenticator
+//   - WEBAUTHN_ORIGINS    comma-separated origins allowed to run ceremonies (defaults to FRONTEND_URL)
+// Credentials registered under one RP ID cannot be used under another, so
+// WEBAUTHN_RP_ID must not change once users have registered keys.
+
+function frontendUrl() {
+    return (process.env.FRONTEND_URL || "http://localhost:5173").replace(/\/+$/, "");
+}
+
+/**
+ * Current relying-party settings, read from the environment on each call.
+ * @returns {{ rpID: string, rpName: string, origins: string[] }}
+ */
+export function getWebAuthnConfig() {
+    const origins = (process.env.WEBAUTHN_ORIGINS || frontendUrl())
+        .split(",")
+        .map((origin) => origin.trim().replace(/\/+$/, ""))
+        .filter(Boolean);
+
+    return {
+        rpID: process.env.WEBAUTHN_RP_ID || new URL(frontendUrl()).hostname,
+        rpName: process.env.WEBAUTHN_RP_NAME || "PasswordPal",
+        origins,
+    };
+}
@@ -1,4 +1,5 @@
 import { supabase } from '../config/db.js';
+import { listAuditEvents } from '../models/auditLogModel.js';
 
 export const getAuditLogs = async (req, res) => {
     try {
@@ -32,8 +33,12 @@ export const getAuditLogs = async (req, res) => {
             .eq('user_id', userId)
             .eq('was_successful', false);
 
+        // Account security events (lockouts, unlocks, token reuse, ...) — latest 50, not paginated
+        const securityEvents = await listAuditEvents(userId, { limit: 50 });
+
         return res.status(200).json({
             logs: data || [],
+            security_events: securityEvents,
             total: count || 0,
             total_success: successCount || 0,
             total_failed: failureCount || 0,
@@ -1,18 +1,90 @@
-import jwt from "jsonwebtoken";
 import argon2 from "argon2";
-import { createUser, getUserByEmail } from "../models/userModel.js";
-import { supabase } from "../config/db.js";
+import { randomUUID } from "crypto";
+import { createUser, getUserByEmail, setSrpVerifier, replaceUserCredentials, changeMasterPassword, completeAccountRecovery } from "../models/userModel.js";
 import { recordLoginAttempt, countRecentFailedAttempts } from "../models/loginAttemptModel.js";
-import { getMfaSettings } from "../models/mfaSettingsModel.js";
-import { registerUserDevice, updateDeviceToken, revokeDeviceByToken } from "../models/deviceModel.js";
+import { listMfaFactors } from "../models/mfaFactorModel.js";
+import { listWebAuthnCredentials } from "../models/webauthnCredentialModel.js";
+import { updateDeviceToken, revokeDeviceByToken, revokeDeviceById } from "../models/deviceModel.js";
+import {
+  findRefreshTokenByHash,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeTokenFamily,
+} from "../models/refreshTokenModel.js";
+import { recordAuditEvent } from "../models/auditLogModel.js";
+import { createChallenge, consumeChallenge } from "../models/challengeModel.js";
+import { createRecoveryKey, getRecoveryKey } from "../models/recoveryKeyModel.js";
+import { TOKEN_TYPES, signToken, verifyToken } from "../config/tokenKeys.js";
+import { DEFAULT_KDF_PARAMS, meetsKdfPolicy, recommendedKdfParams } from "../config/kdfPolicy.js";
+import {
+  ACCESS_TOKEN_MAX_AGE_MS,
+  REFRESH_TOKEN_MAX_AGE_MS,
+  hashToken,
+  cookieOptions,
+  getClientIp,
+  authTimeNow,
+  signAccessToken,
+  signRefreshToken,
+  setSessionCookies,
+  clearSessionCookies,
+  issueSession,
+  hasTrustedDeviceGrant,
+} from "../utils/session.js";
+import { forgetSession, forgetUserSessions } from "../utils/sessionCache.js";
+import { encryptData, decryptData } from "../utils/encryption.js";
+import { createServerEphemeral, createDecoyEphemeral, verifyClientProof, parseGroupElement, srpIdentity } from "../utils/srp.js";
+import { decoyAuthParams, decoySrpSalt, decoyWrappedMekRecovery, burnPasswordCheck } from "../utils/decoyParams.js";
+import { createRecoveryNonce, verifyRecoveryProof, recoveryKeyExpiry, isRecoveryKeyUsable } from "../utils/recoveryKey.js";
+import {
+  getAccountLockState,
+  reserveLoginAttempt,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  releaseLoginAttempt,
+  sendUnlockEmail,
+  redeemUnlockToken,
+  unlockAccount,
+} from "../utils/accountLockout.js";
+import { sendVerificationEmail, canResendVerification, redeemVerificationToken } from "../utils/emailVerification.js";
+import { startPushApproval } from "../utils/pushApprovals.js";
+import { resolveCountry } from "../utils/geoip.js";
 
 // Rate limit: max failed attempts per IP within the window
 const MAX_FAILED_ATTEMPTS = 5;
 const RATE_LIMIT_WINDOW_MINUTES = 15;
 
+// Lifetime of a /auth/recover/init challenge
+const RECOVERY_CHALLENGE_TTL_SECONDS = 5 * 60;
+
+/**
+ * Refuse a login attempt while the account is in backoff (429) or locked (423).
+ * Refused attempts are not recorded, so waiting always ends the block.
+ */
+function rejectBlockedLogin(res, lockState) {
+  res.set("Retry-After", String(lockState.retryAfterSeconds));
+  if (lockState.locked) {
+    return res.status(423).json({
+      error: "Account temporarily locked after too many failed login attempts. Check your email to unlock it, or use your recovery key.",
+      locked_until: lockState.lockedUntil,
+    });
+  }
+  return res.status(429).json({
+    error: "Too many failed login attempts for this account. Please wait before trying again.",
+    retry_after: lockState.retryAfterSeconds,
+  });
+}
+
+function rejectWeakKdf(res) {
+  return res.status(400).json({ error: "KDF parameters are below the server minimum", kdf_policy: recommendedKdfParams() });
+}
+
 export const register = async (req, res) => {
   try {
-    const { email, salt, wrapped_mek, auth_hash, recovery_key_hash } = req.body;
+    const { email, salt, wrapped_mek, auth_hash, recovery_public_key, wrapped_mek_recovery, kdf_params, srp_salt, srp_verifier } = req.body;
+
+    if (kdf_params && !meetsKdfPolicy(kdf_params)) {
+      return rejectWeakKdf(res);
+    }
 
     const server_hash = await argon2.hash(auth_hash);
 
@@ -21,17 +93,29 @@ export const register = async (req, res) => {
       salt,
       server_hash,
       wrapped_mek,
+      kdf_params: kdf_params || DEFAULT_KDF_PARAMS,
+      srp_salt,
+      srp_verifier,
     });
 
-    const hashedRecoveryKey = await argon2.hash(recovery_key_hash);
-    const { error: rkError } = await supabase
-      .from("recovery_keys")
-      .insert({ user_id: user.id, key_hash: hashedRecoveryKey });
-    if (rkError) {
-      console.error("Failed to save recovery key hash:", rkError.message);
-    }
+    await createRecoveryKey({
+      userId: user.id,
+      publicKey: recovery_public_key,
+      wrappedMekRecovery: wrapped_mek_recovery,
+      expiresAt: recoveryKeyExpiry(),
+    }).catch((err) => {
+      console.error("Failed to save recovery key:", err.message);
+    });
+
+    // The account stays pending until the link is used; a failed send can be retried via /verify-email/resend
+    await sendVerificationEmail(user).catch((err) => {
+      console.error("Failed to send verification email:", err.message || err);
+    });
 
-    return res.status(201).json({ message: "User registered successfully" });
+    return res.status(201).json({
+      message: "User registered successfully. Check your email to verify your address.",
+      email_verification_required: true,
+    });
   } catch (err) {
     if (err.code === "23505") {
       return res.status(409).json({ error: "Email already exists" });
@@ -52,13 +136,15 @@ export const getParams = async (req, res) => {
       user = await getUserByEmail(email);
     } catch { }
 
+    // Unknown emails get stable fake params rather than a 404 (no account enumeration)
     if (!user) {
-      return res.status(404).json({ error: "User not found" });
+      return res.status(200).json(decoyAuthParams(email));
     }
 
     return res.status(200).json({
       salt: user.salt,
       wrapped_mek: user.wrapped_mek,
+      kdf_params: user.kdf_params || DEFAULT_KDF_PARAMS,
     });
   } catch (err) {
     return res.status(500).json({ error: "Internal server error" });
@@ -67,8 +153,8 @@ export const getParams = async (req, res) => {
 
 export const login = async (req, res) => {
   try {
-    const { email, auth_hash } = req.body;
-    const clientIp = req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.ip || '0.0.0.0';
+    const { email, auth_hash, srp_salt, srp_verifier } = req.body;
+    const clientIp = getClientIp(req);
     const userAgent = req.headers['user-agent'] || null;
 
     const recentFailures = await countRecentFailedAttempts(clientIp, null, RATE_LIMIT_WINDOW_MINUTES);
@@ -81,90 +167,252 @@ export const login = async (req, res) => {
       user = await getUserByEmail(email);
     } catch { }
     if (!user) {
+      await burnPasswordCheck();
       await recordLoginAttempt({ userId: null, ipAddress: clientIp, wasSuccessful: false, userAgent }).catch(() => { });
       return res.status(401).json({ error: "Invalid credentials" });
     }
 
+    // Per-account limit: guesses spread over many IPs still hit the same account
+    const reservation = await reserveLoginAttempt(req, user);
+    if (!reservation.attempt) {
+      return rejectBlockedLogin(res, reservation);
+    }
+
     const isValid = await argon2.verify(user.server_hash, auth_hash);
 
     if (!isValid) {
-      await recordLoginAttempt({ userId: user.id, ipAddress: clientIp, wasSuccessful: false, userAgent }).catch(() => { });
+      await recordFailedLogin(req, user, reservation.attempt);
       return res.status(401).json({ error: "Invalid credentials" });
     }
 
-    await recordLoginAttempt({ userId: user.id, ipAddress: clientIp, wasSuccessful: true, userAgent }).catch(() => { });
-
-    const trustedDeviceToken = req.cookies["sb-trusted-device"];
-    let isTrustedDevice = false;
-    if (trustedDeviceToken) {
-      try {
-        const decoded = jwt.verify(trustedDeviceToken, process.env.JWT_SECRET);
-        isTrustedDevice = decoded.id === user.id && decoded.type === "trusted-device";
-      } catch {
-        isTrustedDevice = false;
-      }
+    // Accounts created before SRP login existed upgrade here: the client sends a
+    // verifier along with a successful auth_hash login.
+    let srpUpgradeRequired = !user.srp_verifier;
+    if (srpUpgradeRequired && srp_salt && srp_verifier) {
+      await setSrpVerifier(user.id, srp_salt, srp_verifier);
+      srpUpgradeRequired = false;
     }
 
-    const mfaSettings = await getMfaSettings(user.id);
-    if (mfaSettings?.is_totp_enabled && !isTrustedDevice) {
-      const mfaPendingToken = jwt.sign(
-        { id: user.id, email: user.email, type: "mfa-pending" },
-        process.env.JWT_SECRET,
-        { expiresIn: "5m" }
-      );
-
-      res.cookie("sb-access-token", mfaPendingToken, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === "production",
-        sameSite: process.env.NODE_ENV === "production" ? "none" : "strict",
-        maxAge: 5 * 60 * 1000,
-      });
+    return await completePrimaryLogin(req, res, user, reservation.attempt, { srp_upgrade_required: srpUpgradeRequired });
+  } catch (err) {
+    return res.status(500).json({ error: "Internal server error" });
+  }
+};
 
-      return res.status(200).json({
-        mfa_required: true,
-        message: "Password verified. Please complete MFA verification.",
-      });
-    }
+/**
+ * Second factors the user can complete a login with: "totp" (/auth/totp/verify-login),
+ * "webauthn" (/auth/webauthn/login/verify) and, as a fallback next to one of those,
+ * "email" (/auth/totp/email-otp/*). Empty when MFA is off.
+ *
+ * @param {string} userId
+ * @returns {Promise<string[]>}
+ */
+async function getMfaMethods(userId) {
+  const [totpFactors, webauthnCredentials, emailFactors] = await Promise.all([
+    listMfaFactors(userId, "totp"),
+    listWebAuthnCredentials(userId),
+    listMfaFactors(userId, "email"),
+  ]);
+  const methods = [];
+  if (totpFactors.length > 0) methods.push("totp");
+  if (webauthnCredentials.length > 0) methods.push("webauthn");
+  // Email alone would make the inbox the only second factor
+  if (methods.length > 0 && emailFactors.length > 0) methods.push("email");
+  return methods;
+}
+
+/**
+ * Everything after the password has been proven (by auth_hash or SRP):
+ * refuses accounts with an unverified email, records the success, flags outdated
+ * KDF parameters, then either starts the MFA step or issues the session.
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {{ id: string, email: string }} user
+ * @param {{ id: string }} attempt - The login attempt reserved before the password check.
+ * @param {Object} [extra] - Additional fields for the JSON response.
+ */
+async function completePrimaryLogin(req, res, user, attempt, extra = {}) {
+  // Only answered to someone who has just proven the password, so it reveals nothing new
+  if (!user.email_verified_at) {
+    await releaseLoginAttempt(attempt);
+    return res.status(403).json({
+      error: "Please verify your email address before logging in.",
+      email_verification_required: true,
+    });
+  }
 
-    const accessToken = jwt.sign(
+  // Accounts derived with weaker-than-policy KDF parameters are asked to re-derive
+  // and call /auth/kdf-upgrade; they can still log in meanwhile.
+  const kdfUpgradeRequired = !meetsKdfPolicy(user.kdf_params);
+  extra = {
+    ...extra,
+    kdf_upgrade_required: kdfUpgradeRequired,
+    ...(kdfUpgradeRequired && { kdf_policy: recommendedKdfParams() }),
+  };
+
+  await recordSuccessfulLogin(attempt);
+
+  const isTrustedDevice = await hasTrustedDeviceGrant(req, user.id);
+
+  const mfaMethods = await getMfaMethods(user.id);
+  if (mfaMethods.length > 0 && !isTrustedDevice) {
+    // jwtid: wrong codes are counted per pending token (utils/mfaAttempts.js),
+    // and a push challenge can only be completed by the login it was opened for
+    const pendingTokenId = randomUUID();
+    const mfaPendingToken = signToken(
+      TOKEN_TYPES.MFA_PENDING,
       { id: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: "15m" }
-    );
-    const refreshToken = jwt.sign(
-      { id: user.id },
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" }
+      { expiresIn: "5m", jwtid: pendingTokenId }
     );
 
-    res.cookie("sb-access-token", accessToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: process.env.NODE_ENV === "production" ? "none" : "strict",
-      maxAge: 15 * 60 * 1000,
-    });
+    res.cookie("sb-access-token", mfaPendingToken, cookieOptions(5 * 60 * 1000));
+
+    // Offered alongside the other methods whenever a signed-in device could approve
+    const push = await startPushApproval(req, user.id, pendingTokenId).catch(() => null);
+    if (push) mfaMethods.push("push");
 
-    res.cookie("sb-refresh-token", refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: process.env.NODE_ENV === "production" ? "none" : "strict",
-      maxAge: 7 * 24 * 60 * 60 * 1000,
+    return res.status(200).json({
+      mfa_required: true,
+      mfa_methods: mfaMethods,
+      ...(push && { push: { challenge_id: push.id, number: push.number_match, expires_at: push.expires_at } }),
+      message: "Password verified. Please complete MFA verification.",
+      ...extra,
     });
+  }
+
+  await issueSession(req, res, user);
 
-    const deviceName = userAgent || "Unknown Device";
-    await registerUserDevice(user.id, deviceName, refreshToken).catch(() => { });
+  return res.status(200).json({
+    message: "Login successful",
+    user: { id: user.id, email: user.email },
+    trusted_device: isTrustedDevice,
+    ...extra,
+  });
+}
+
+// --- SRP-6a Login ---
+// Two round trips; the server only ever holds the verifier, and nothing the client
+// sends can be replayed. See utils/srp.js for the protocol.
+
+const SRP_CHALLENGE_PURPOSE = "srp-login";
+const SRP_CHALLENGE_TTL_SECONDS = 120;
+
+export const srpInit = async (req, res) => {
+  try {
+    const { email, A } = req.body;
+
+    if (parseGroupElement(A) === null) {
+      return res.status(400).json({ error: "Invalid client ephemeral" });
+    }
+
+    let user;
+    try {
+      user = await getUserByEmail(email);
+    } catch { }
+
+    // Unknown emails and accounts without a verifier get a decoy that is indistinguishable
+    // from a real challenge; the proof then simply fails. Clients keep using /auth/login
+    // until it reports srp_upgrade_required: false.
+    const canUseSrp = Boolean(user?.srp_verifier);
+    const { b, B } = canUseSrp ? createServerEphemeral(user.srp_verifier) : createDecoyEphemeral();
+    const challenge = await createChallenge({
+      userId: canUseSrp ? user.id : null,
+      purpose: SRP_CHALLENGE_PURPOSE,
+      payload: { A, B, b: encryptData(b) },
+      ttlSeconds: SRP_CHALLENGE_TTL_SECONDS,
+    });
+    const params = user ? { salt: user.salt, kdf_params: user.kdf_params || DEFAULT_KDF_PARAMS } : decoyAuthParams(email);
 
     return res.status(200).json({
-      message: "Login successful",
-      user: { id: user.id, email: user.email },
-      trusted_device: isTrustedDevice,
+      challenge_id: challenge.id,
+      salt: params.salt,
+      kdf_params: params.kdf_params,
+      srp_salt: canUseSrp ? user.srp_salt : decoySrpSalt(email),
+      B,
+    });
+  } catch (err) {
+    return res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+export const srpVerify = async (req, res) => {
+  try {
+    const { email, challenge_id, M1 } = req.body;
+    const clientIp = getClientIp(req);
+    const userAgent = req.headers['user-agent'] || null;
+
+    const recentFailures = await countRecentFailedAttempts(clientIp, null, RATE_LIMIT_WINDOW_MINUTES);
+    if (recentFailures >= MAX_FAILED_ATTEMPTS) {
+      return res.status(429).json({ error: 'Too many failed login attempts. Please try again later.' });
+    }
+
+    // Single use: a challenge is burned by the first proof attempt, right or wrong
+    const challenge = await consumeChallenge(challenge_id, SRP_CHALLENGE_PURPOSE);
+    if (!challenge) {
+      return res.status(401).json({ error: "Login challenge expired or already used. Please start again." });
+    }
+
+    let user;
+    try {
+      user = await getUserByEmail(email);
+    } catch { }
+    if (!user || user.id !== challenge.user_id || !user.srp_verifier) {
+      await recordLoginAttempt({ userId: null, ipAddress: clientIp, wasSuccessful: false, userAgent }).catch(() => { });
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
+
+    const reservation = await reserveLoginAttempt(req, user);
+    if (!reservation.attempt) {
+      return rejectBlockedLogin(res, reservation);
+    }
+
+    const serverProof = verifyClientProof({
+      identity: srpIdentity(user.email),
+      salt: user.srp_salt,
+      verifier: user.srp_verifier,
+      A: challenge.payload.A,
+      b: decryptData(challenge.payload.b),
+      B: challenge.payload.B,
+      clientProof: M1,
     });
 
+    if (!serverProof) {
+      await recordFailedLogin(req, user, reservation.attempt);
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
+
+    return await completePrimaryLogin(req, res, user, reservation.attempt, { M2: serverProof, wrapped_mek: user.wrapped_mek });
   } catch (err) {
     return res.status(500).json({ error: "Internal server error" });
   }
 };
 
+/**
+ * Handle presentation of a refresh token that was already rotated away.
+ * Only the legitimate client or a thief can hold it, and we cannot tell which,
+ * so the whole family is revoked and the event is recorded.
+ */
+async function handleRefreshTokenReuse(req, storedToken) {
+  console.warn(`[REFRESH] Reuse of rotated token ${storedToken.id} for user ${storedToken.user_id}; revoking family ${storedToken.family_id}`);
+
+  if (storedToken.family_id) {
+    await revokeTokenFamily(storedToken.family_id).catch(() => { });
+  }
+  if (storedToken.device_id) {
+    await revokeDeviceById(storedToken.device_id, storedToken.user_id).catch(() => { });
+    forgetSession(storedToken.device_id);
+  }
+
+  await recordAuditEvent({
+    userId: storedToken.user_id,
+    eventType: "REFRESH_TOKEN_REUSE",
+    ipAddress: getClientIp(req),
+    deviceId: storedToken.device_id,
+    metadata: { token_id: storedToken.id, family_id: storedToken.family_id },
+  }).catch(() => { });
+}
+
 export const refresh = async (req, res) => {
   try {
     const refreshToken = req.cookies["sb-refresh-token"];
@@ -172,39 +420,51 @@ export const refresh = async (req, res) => {
       return res.status(401).json({ error: "No refresh token provided" });
     }
 
-    const decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
+    const decoded = verifyToken(TOKEN_TYPES.REFRESH, refreshToken);
+    const tokenHash = hashToken(refreshToken);
 
-    const newAccessToken = jwt.sign(
-      { id: decoded.id },
-      process.env.JWT_SECRET,
-      { expiresIn: "15m" }
-    );
-    const newRefreshToken = jwt.sign(
-      { id: decoded.id },
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" }
-    );
+    const stored = await findRefreshTokenByHash(tokenHash);
+    if (!stored || stored.user_id !== decoded.id) {
+      throw new Error("Unknown refresh token");
+    }
 
-    res.cookie("sb-access-token", newAccessToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: process.env.NODE_ENV === "production" ? "none" : "strict",
-      maxAge: 15 * 60 * 1000,
-    });
+    if (stored.is_revoked) {
+      if (stored.replaced_by_token_id) {
+        await handleRefreshTokenReuse(req, stored);
+      }
+      throw new Error("Refresh token revoked");
+    }
+
+    if (new Date(stored.expires_at) <= new Date()) {
+      throw new Error("Refresh token expired");
+    }
 
-    res.cookie("sb-refresh-token", newRefreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: process.env.NODE_ENV === "production" ? "none" : "strict",
-      maxAge: 7 * 24 * 60 * 60 * 1000,
+    const user = { id: decoded.id, email: decoded.email };
+    // The user did not authenticate now: keep the auth_time of the original login
+    const newRefreshToken = signRefreshToken(user, decoded.auth_time);
+    const newTokenHash = hashToken(newRefreshToken);
+
+    // Retire the old token and store the new one together; losing this race means
+    // someone else already rotated it.
+    const rotated = await rotateRefreshToken({
+      oldTokenId: stored.id,
+      newTokenId: randomUUID(),
+      tokenHash: newTokenHash,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_MAX_AGE_MS).toISOString(),
+      createdCountry: resolveCountry(getClientIp(req)),
     });
+    if (!rotated) {
+      await handleRefreshTokenReuse(req, stored);
+      throw new Error("Refresh token already rotated");
+    }
+
+    setSessionCookies(res, signAccessToken(user, stored.device_id, decoded.auth_time), newRefreshToken);
 
-    await updateDeviceToken(refreshToken, newRefreshToken).catch(() => { });
+    await updateDeviceToken(tokenHash, newTokenHash).catch(() => { });
 
     return res.status(200).json({ message: "Token refreshed successfully" });
   } catch (err) {
-    res.clearCookie("sb-access-token");
-    res.clearCookie("sb-refresh-token");
+    clearSessionCookies(res);
     return res.status(401).json({ error: "Session expired, please login again" });
   }
 };
@@ -212,141 +472,354 @@ export const refresh = async (req, res) => {
 export const logout = async (req, res) => {
   const refreshToken = req.cookies["sb-refresh-token"];
   if (refreshToken) {
-    await revokeDeviceByToken(refreshToken).catch(() => { });
+    const tokenHash = hashToken(refreshToken);
+    const stored = await findRefreshTokenByHash(tokenHash).catch(() => null);
+    if (stored && !stored.is_revoked) {
+      await revokeRefreshToken(stored.id).catch(() => { });
+    }
+    if (stored?.device_id) {
+      forgetSession(stored.device_id);
+    }
+    await revokeDeviceByToken(tokenHash).catch(() => { });
   }
-  res.clearCookie("sb-access-token");
-  res.clearCookie("sb-refresh-token");
+  clearSessionCookies(res);
   return res.status(200).json({ message: "Logged out successfully" });
 };
 
 export const verifyPassword = async (req, res) => {
   try {
-    const token = req.cookies["sb-access-token"];
-    if (!token) return res.status(401).json({ error: "No session active." });
-
-    let decoded;
-    try {
-      decoded = jwt.verify(token, process.env.JWT_SECRET);
-    } catch (e) {
-      return res.status(401).json({ error: "Invalid session." });
-    }
-
     const { auth_hash } = req.body;
     if (!auth_hash) {
       return res.status(400).json({ error: "Auth hash required" });
     }
 
-    const user = await getUserByEmail(decoded.email);
+    const user = await getUserByEmail(req.user.email);
 
     const isValid = await argon2.verify(user.server_hash, auth_hash);
     if (!isValid) {
       return res.status(401).json({ error: "Invalid credentials" });
     }
 
-    const accessToken = jwt.sign(
-      { id: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: "15m" }
-    );
+    res.cookie("sb-access-token", signAccessToken(user, req.user.sid, authTimeNow()), cookieOptions(ACCESS_TOKEN_MAX_AGE_MS));
+
+    return res.status(200).json({ message: "Re-authentication successful", fresh: true });
+  } catch (err) {
+    return res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+export const recoverInit = async (req, res) => {
+  try {
+    const { email } = req.body;
 
-    res.cookie("sb-access-token", accessToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: process.env.NODE_ENV === "production" ? "none" : "strict",
-      maxAge: 15 * 60 * 1000,
+    let user = null;
+    try {
+      user = await getUserByEmail(email);
+    } catch { }
+    const recoveryKey = user ? await getRecoveryKey(user.id) : null;
+    const usable = isRecoveryKeyUsable(recoveryKey);
+
+    // Unknown accounts, accounts without a (current) recovery key and real ones
+    // get the same shape of answer; only a real key can sign the challenge.
+    const nonce = createRecoveryNonce();
+    const challenge = await createChallenge({
+      userId: usable ? user.id : null,
+      purpose: "recovery",
+      payload: { nonce, key_version: usable ? recoveryKey.key_version : null },
+      ttlSeconds: RECOVERY_CHALLENGE_TTL_SECONDS,
     });
 
-    return res.status(200).json({ message: "Re-authentication successful", fresh: true });
+    return res.status(200).json({
+      challenge_id: challenge.id,
+      nonce,
+      wrapped_mek_recovery: usable ? recoveryKey.wrapped_mek_recovery : decoyWrappedMekRecovery(email),
+    });
   } catch (err) {
     return res.status(500).json({ error: "Internal server error" });
   }
 };
 
+/**
+ * Check a signed recovery challenge.
+ * The challenge is consumed whatever the outcome, and every failure (unknown
+ * email, no or expired key, wrong signature, wrong account) looks the same to
+ * the caller, so recovery cannot be used to probe for accounts.
+ *
+ * @param {string} email
+ * @param {string} challengeId - From /auth/recover/init.
+ * @param {string} signature - Ed25519 signature over the challenge (base64).
+ * @returns {Promise<{ user: Object, recoveryKey: Object }|null>} null on any failure.
+ */
+async function verifyRecoveryChallenge(email, challengeId, signature) {
+  const challenge = await consumeChallenge(challengeId, "recovery");
+
+  let user = null;
+  try {
+    user = await getUserByEmail(email);
+  } catch { }
+  if (!challenge?.user_id || !user || challenge.user_id !== user.id) {
+    return null;
+  }
+
+  const recoveryKey = await getRecoveryKey(user.id);
+  if (!isRecoveryKeyUsable(recoveryKey) || recoveryKey.key_version !== challenge.payload.key_version) {
+    return null;
+  }
+
+  const valid = verifyRecoveryProof({
+    publicKey: recoveryKey.public_key,
+    challengeId: challenge.id,
+    nonce: challenge.payload.nonce,
+    signature,
+  });
+  return valid ? { user, recoveryKey } : null;
+}
+
 export const recover = async (req, res) => {
   try {
-    const { email, recovery_key, new_salt, new_wrapped_mek, new_auth_hash } = req.body;
+    const {
+      email, challenge_id, signature,
+      new_salt, new_wrapped_mek, new_auth_hash, new_kdf_params, new_srp_salt, new_srp_verifier,
+      new_recovery_public_key, new_wrapped_mek_recovery,
+    } = req.body;
+
+    if (new_kdf_params && !meetsKdfPolicy(new_kdf_params)) {
+      return rejectWeakKdf(res);
+    }
+
+    const verified = await verifyRecoveryChallenge(email, challenge_id, signature);
+    if (!verified) {
+      return res.status(401).json({ error: "Invalid email or recovery key" });
+    }
+    const { user, recoveryKey } = verified;
+
+    // A used recovery key has been typed in somewhere; it must not stay valid
+    if (new_recovery_public_key === recoveryKey.public_key) {
+      return res.status(400).json({ error: "Recovery requires a new recovery key" });
+    }
+
+    const recovered = await completeAccountRecovery(user.id, recoveryKey.key_version, {
+      salt: new_salt,
+      wrapped_mek: new_wrapped_mek,
+      server_hash: await argon2.hash(new_auth_hash),
+      kdf_params: new_kdf_params ?? null,
+      srp_salt: new_srp_salt ?? null,
+      srp_verifier: new_srp_verifier ?? null,
+    }, {
+      publicKey: new_recovery_public_key,
+      wrappedMekRecovery: new_wrapped_mek_recovery,
+      expiresAt: recoveryKeyExpiry(),
+    });
+    if (!recovered) {
+      return res.status(409).json({ error: "The recovery key was changed by another request. Please start again." });
+    }
+    forgetUserSessions(user.id);
+
+    // Proving the recovery key is at least as strong as an unlock
+    await unlockAccount(req, user.id, "password_recovery").catch(() => { });
+
+    await recordAuditEvent({
+      userId: user.id,
+      eventType: "ACCOUNT_RECOVERED",
+      ipAddress: getClientIp(req),
+      metadata: { recovery_key_version: recovered.keyVersion, removed_passkeys: recovered.removedPasskeys },
+    }).catch(() => { });
+
+    return res.status(200).json({
+      message: "Account recovered successfully. Please log in with your new password.",
+      recovery_key_version: recovered.keyVersion,
+      // Passkeys do not survive a recovery; the client offers to register one again
+      removed_passkeys: recovered.removedPasskeys,
+    });
+  } catch (err) {
+    console.error("Account recovery error:", err.message || err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+export const changePassword = async (req, res) => {
+  try {
+    const {
+      current_auth_hash, salt, wrapped_mek, auth_hash, kdf_params, srp_salt, srp_verifier,
+      recovery_public_key, wrapped_mek_recovery,
+    } = req.body;
 
-    if (!email || !recovery_key || !new_salt || !new_wrapped_mek || !new_auth_hash) {
-      return res.status(400).json({ error: "Missing required fields" });
+    if (kdf_params && !meetsKdfPolicy(kdf_params)) {
+      return rejectWeakKdf(res);
     }
 
-    const user = await getUserByEmail(email);
-    if (!user) {
-      return res.status(404).json({ error: "Account not found" });
+    const user = await getUserByEmail(req.user.email);
+
+    // A stolen session alone must not be enough to take over the account
+    const isValid = await argon2.verify(user.server_hash, current_auth_hash);
+    if (!isValid) {
+      return res.status(401).json({ error: "Invalid credentials" });
     }
 
-    const { data: rkRow, error: rkErr } = await supabase
-      .from("recovery_keys")
-      .select("key_hash")
-      .eq("user_id", user.id)
-      .single();
+    const result = await changeMasterPassword(user.id, user.server_hash, {
+      salt,
+      wrapped_mek,
+      server_hash: await argon2.hash(auth_hash),
+      kdf_params: kdf_params ?? null,
+      // The old SRP verifier is derived from the old password and must not survive it
+      srp_salt: srp_salt ?? null,
+      srp_verifier: srp_verifier ?? null,
+    }, {
+      recoveryKey: recovery_public_key
+        ? { publicKey: recovery_public_key, wrappedMekRecovery: wrapped_mek_recovery, expiresAt: recoveryKeyExpiry() }
+        : null,
+      keepDeviceId: req.user.sid,
+    });
+    if (!result.changed) {
+      return res.status(409).json({ error: "Credentials were changed by another request. Please log in again." });
+    }
+    forgetUserSessions(user.id);
+
+    await recordAuditEvent({
+      userId: user.id,
+      eventType: "MASTER_PASSWORD_CHANGED",
+      ipAddress: getClientIp(req),
+      deviceId: req.user.sid,
+      metadata: {
+        revoked_sessions: result.revokedSessions,
+        removed_passkeys: result.removedPasskeys,
+        recovery_key_rotated: !!recovery_public_key,
+        ...(kdf_params && { kdf_params }),
+      },
+    }).catch(() => { });
+
+    return res.status(200).json({
+      message: "Password changed successfully. Other sessions have been signed out.",
+      revoked_sessions: result.revokedSessions,
+      removed_passkeys: result.removedPasskeys,
+      recovery_key_rotated: !!recovery_public_key,
+    });
+  } catch (err) {
+    console.error("Password change error:", err.message || err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+};
 
-    if (rkErr || !rkRow) {
-      return res.status(404).json({ error: "No recovery key on file for this account" });
+export const upgradeKdf = async (req, res) => {
+  try {
+    const { current_auth_hash, salt, wrapped_mek, auth_hash, kdf_params, srp_salt, srp_verifier } = req.body;
+
+    if (!meetsKdfPolicy(kdf_params)) {
+      return rejectWeakKdf(res);
     }
 
-    const { createHash } = await import("crypto");
-    const providedSha256 = createHash("sha256").update(recovery_key).digest("hex");
+    const user = await getUserByEmail(req.user.email);
 
-    const keyMatches = await argon2.verify(rkRow.key_hash, providedSha256);
-    if (!keyMatches) {
-      return res.status(401).json({ error: "Invalid recovery key" });
+    // Proves the client derived the new material from the same master password
+    const isValid = await argon2.verify(user.server_hash, current_auth_hash);
+    if (!isValid) {
+      return res.status(401).json({ error: "Invalid credentials" });
     }
 
-    const new_server_hash = await argon2.hash(new_auth_hash);
+    const swapped = await replaceUserCredentials(user.id, user.server_hash, {
+      salt,
+      wrapped_mek,
+      server_hash: await argon2.hash(auth_hash),
+      kdf_params,
+      // SRP verifiers depend on the AuthKey; without a new one the account falls back to auth_hash login
+      srp_salt: srp_salt ?? null,
+      srp_verifier: srp_verifier ?? null,
+    });
+    if (!swapped) {
+      return res.status(409).json({ error: "Credentials were changed by another request. Please log in again." });
+    }
 
-    const { error: updateError } = await supabase
-      .from("users")
-      .update({
-        salt: new_salt,
-        wrapped_mek: new_wrapped_mek,
-        server_hash: new_server_hash,
-      })
-      .eq("id", user.id);
+    await recordAuditEvent({
+      userId: user.id,
+      eventType: "KDF_PARAMS_UPGRADED",
+      ipAddress: getClientIp(req),
+      deviceId: req.user.sid,
+      metadata: { from: user.kdf_params || DEFAULT_KDF_PARAMS, to: kdf_params },
+    }).catch(() => { });
 
-    if (updateError) throw updateError;
+    return res.status(200).json({ message: "Key derivation parameters upgraded", kdf_params });
+  } catch (err) {
+    return res.status(500).json({ error: "Internal server error" });
+  }
+};
 
-    const rotatedHash = await argon2.hash(providedSha256);
-    await supabase
-      .from("recovery_keys")
-      .update({ key_hash: rotatedHash })
-      .eq("user_id", user.id);
+// --- Account Unlock ---
 
-    await supabase
-      .from("user_devices")
-      .update({ is_revoked: true, revoked_at: new Date().toISOString() })
-      .eq("user_id", user.id);
+export const requestUnlockEmail = async (req, res) => {
+  const response = { message: "If that account is locked, we have sent an unlock link to its email address." };
+  try {
+    let user = null;
+    try {
+      user = await getUserByEmail(req.body.email);
+    } catch { }
 
-    return res.status(200).json({ message: "Account recovered successfully. Please log in with your new password." });
+    if (user) {
+      const lockState = await getAccountLockState(user);
+      if (lockState.locked) {
+        await sendUnlockEmail(user, lockState.lockedUntil);
+      }
+    }
+    // Same answer whether or not the account exists or is locked
+    return res.status(200).json(response);
   } catch (err) {
-    return res.status(500).json({ error: "Internal server error", detail: err?.message });
+    console.error("Unlock email error:", err.message || err);
+    return res.status(200).json(response);
   }
 };
 
-export const changePassword = async (req, res) => {
+export const unlock = async (req, res) => {
   try {
-    const { salt, wrapped_mek, auth_hash } = req.body;
+    const { token, email, challenge_id, signature } = req.body;
 
-    if (!salt || !wrapped_mek || !auth_hash) {
-      return res.status(400).json({ error: "Missing required fields" });
+    if (token) {
+      const userId = await redeemUnlockToken(token);
+      if (!userId) {
+        return res.status(401).json({ error: "Unlock link is invalid or has expired" });
+      }
+      await unlockAccount(req, userId, "email");
+      return res.status(200).json({ message: "Account unlocked. You can log in again." });
     }
 
-    const userId = req.user.id;
-    const new_server_hash = await argon2.hash(auth_hash);
+    const verified = await verifyRecoveryChallenge(email, challenge_id, signature);
+    if (!verified) {
+      return res.status(401).json({ error: "Invalid email or recovery key" });
+    }
+    await unlockAccount(req, verified.user.id, "recovery_key");
+    return res.status(200).json({ message: "Account unlocked. You can log in again." });
+  } catch (err) {
+    return res.status(500).json({ error: "Internal server error" });
+  }
+};
 
-    const { error: updateError } = await supabase
-      .from("users")
-      .update({
-        salt,
-        wrapped_mek,
-        server_hash: new_server_hash,
-      })
-      .eq("id", userId);
+// --- Email Verification ---
 
-    if (updateError) throw updateError;
+export const verifyEmail = async (req, res) => {
+  try {
+    const userId = await redeemVerificationToken(req.body.token);
+    if (!userId) {
+      return res.status(400).json({ error: "Verification link is invalid, expired or already used" });
+    }
+    return res.status(200).json({ message: "Email address verified. You can now log in." });
+  } catch (err) {
+    return res.status(500).json({ error: "Internal server error" });
+  }
+};
 
-    return res.status(200).json({ message: "Password changed successfully" });
+export const resendVerificationEmail = async (req, res) => {
+  const response = { message: "If that account is awaiting verification, we have sent a new link." };
+  try {
+    let user = null;
+    try {
+      user = await getUserByEmail(req.body.email);
+    } catch { }
+
+    // Per-account throttle on top of the per-IP limiter; the answer never changes
+    if (user && !user.email_verified_at && await canResendVerification(user.id)) {
+      await sendVerificationEmail(user);
+    }
+    return res.status(200).json(response);
   } catch (err) {
-    return res.status(500).json({ error: "Internal server error", detail: err?.message });
+    console.error("Verification resend error:", err.message || err);
+    return res.status(200).json(response);
   }
 };
@@ -1,16 +1,25 @@
-import { getDevicesByUserId, revokeDeviceById } from '../models/deviceModel.js';
+import {
+    getDevicesByUserId,
+    revokeDeviceById,
+    getTrustedDevicesByUserId,
+    revokeDeviceTrust,
+    revokeAllDeviceTrust,
+} from '../models/deviceModel.js';
+import { recordAuditEvent } from '../models/auditLogModel.js';
 import { supabase } from '../config/db.js';
+import { forgetSession } from '../utils/sessionCache.js';
+import { getClientIp } from '../utils/session.js';
 
 export const getDevices = async (req, res) => {
     try {
         const userId = req.user.id; // injected by verifySession
-        const currentToken = req.cookies['sb-refresh-token'];
+        const currentSessionId = req.user.sid;
 
         const devices = await getDevicesByUserId(userId);
 
         // Map to add `isCurrent` tag and remove sensitive attributes
         const processedDevices = devices.map(device => {
-            const isCurrent = device.refresh_token === currentToken;
+            const isCurrent = device.id === currentSessionId;
 
             // Do not send refresh tokens back to the client
             const { refresh_token, ...safeDevice } = device;
@@ -33,6 +42,8 @@ export const revokeDevice = async (req, res) => {
         const deviceId = req.params.id;
 
         await revokeDeviceById(deviceId, userId);
+        // Take effect immediately instead of waiting for the cache entry to expire
+        forgetSession(deviceId);
         return res.status(200).json({ message: "Device revoked successfully" });
     } catch (err) {
         console.error("Revoke device error:", err);
@@ -43,14 +54,13 @@ export const revokeDevice = async (req, res) => {
 export const registerDevice = async (req, res) => {
     try {
         const userId = req.user.id;
-        const currentToken = req.cookies['sb-refresh-token'];
         const { name } = req.body;
 
-        if (name && currentToken) {
+        if (name) {
             await supabase
                 .from("user_devices")
                 .update({ device_name: name })
-                .eq("refresh_token", currentToken)
+                .eq("id", req.user.sid)
                 .eq("user_id", userId);
         }
 
@@ -60,3 +70,69 @@ export const registerDevice = async (req, res) => {
         return res.status(500).json({ error: "Failed to register device" });
     }
 };
+
+// --- Trusted devices ---
+// Browsers that skip MFA at password login (see grantTrustedDevice in utils/session.js).
+
+export const getTrustedDevices = async (req, res) => {
+    try {
+        const devices = await getTrustedDevicesByUserId(req.user.id);
+
+        return res.status(200).json({
+            devices: devices.map(({ trust_token_id, ...device }) => ({
+                ...device,
+                isCurrent: device.id === req.user.sid,
+            })),
+        });
+    } catch (err) {
+        console.error("Fetch trusted devices error:", err);
+        return res.status(500).json({ error: "Failed to fetch trusted devices" });
+    }
+};
+
+export const revokeTrustedDevice = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const device = await revokeDeviceTrust(req.params.id, userId);
+        if (!device) {
+            return res.status(404).json({ error: "Trusted device not found" });
+        }
+
+        await recordAuditEvent({
+            userId,
+            eventType: 'DEVICE_TRUST_REVOKED',
+            ipAddress: getClientIp(req),
+            deviceId: req.user.sid,
+            metadata: { device: device.id },
+        }).catch(() => { });
+
+        if (device.id === req.user.sid) {
+            res.clearCookie('sb-trusted-device');
+        }
+        return res.status(200).json({ message: "Device is no longer trusted" });
+    } catch (err) {
+        console.error("Revoke trusted device error:", err);
+        return res.status(500).json({ error: "Failed to revoke trusted device" });
+    }
+};
+
+export const revokeAllTrustedDevices = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const revoked = await revokeAllDeviceTrust(userId);
+
+        await recordAuditEvent({
+            userId,
+            eventType: 'DEVICE_TRUST_REVOKED',
+            ipAddress: getClientIp(req),
+            deviceId: req.user.sid,
+            metadata: { all: true, revoked },
+        }).catch(() => { });
+
+        res.clearCookie('sb-trusted-device');
+        return res.status(200).json({ message: "No devices are trusted any more", revoked });
+    } catch (err) {
+        console.error("Revoke trusted devices error:", err);
+        return res.status(500).json({ error: "Failed to revoke trusted devices" });
+    }
+};
@@ -0,0 +1,13 @@
+import { getJwks } from '../config/tokenKeys.js';
+
+export const getJwksDocument = (req, res) => {
+    try {
+        // Verifiers cache the key set; keep the window short enough that a new key
+        // added in step 1 of a rotation is picked up before it starts signing.
+        res.set('Cache-Control', 'public, max-age=300');
+        return res.status(200).json(getJwks());
+    } catch (err) {
+        console.error('JWKS error:', err.message || err);
+        return res.status(500).json({ error: 'Failed to load signing keys' });
+    }
+};
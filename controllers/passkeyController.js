@@ -0,0 +1,312 @@
+import {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse,
+} from "@simplewebauthn/server";
+import { getWebAuthnConfig } from "../config/webauthn.js";
+import {
+  listPasskeys,
+  getPasskeyByCredentialId,
+  createPasskey,
+  recordPasskeyUse,
+  renamePasskey,
+  deletePasskey,
+} from "../models/passkeyModel.js";
+import { createChallenge, consumeChallenge } from "../models/challengeModel.js";
+import { recordAuditEvent } from "../models/auditLogModel.js";
+import { recordLoginAttempt } from "../models/loginAttemptModel.js";
+import { getUserById } from "../models/userModel.js";
+import { getClientIp, issueSession } from "../utils/session.js";
+import { requireMfaProof } from "../utils/mfaProof.js";
+import { notifySecurityEvent } from "../utils/securityNotifications.js";
+import { PASSKEY_PRF_SALT, toCredentialDescriptor, toVerifiableCredential, isSignCountValid } from "../utils/webauthn.js";
+
+// --- Passkeys ---
+// Passwordless login: a user-verified passkey assertion authenticates the user,
+// and the passkey's PRF output (evaluated client-side on PASSKEY_PRF_SALT)
+// unwraps that passkey's copy of the MEK. The server never sees the PRF output.
+
+const CEREMONY_TTL_SECONDS = 5 * 60;
+
+/**
+ * Public view of a passkey_credentials row. Neither the public key nor the wrapped MEK.
+ */
+function toPublicPasskey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    transports: row.transports || [],
+    device_type: row.device_type,
+    backed_up: row.backed_up,
+    created_at: row.created_at,
+    last_used_at: row.last_used_at,
+  };
+}
+
+const prfExtension = () => ({ prf: { eval: { first: PASSKEY_PRF_SALT } } });
+
+// --- Registration (signed-in, fresh session) ---
+
+export const registrationOptions = async (req, res) => {
+  try {
+    // A passkey logs in on its own, so it must not be a way around the second factor
+    if (!(await requireMfaProof(req, res, req.user.id, req.body))) return;
+
+    const { rpID, rpName } = getWebAuthnConfig();
+    const existing = await listPasskeys(req.user.id);
+
+    const options = await generateRegistrationOptions({
+      rpName,
+      rpID,
+      userName: req.user.email,
+      userID: new TextEncoder().encode(req.user.id),
+      attestationType: "none",
+      excludeCredentials: existing.map(toCredentialDescriptor),
+      // Discoverable, so login needs no email; user-verified, so the passkey alone is enough
+      authenticatorSelection: {
+        residentKey: "required",
+        userVerification: "required",
+      },
+      extensions: prfExtension(),
+    });
+
+    const challenge = await createChallenge({
+      userId: req.user.id,
+      purpose: "passkey-register",
+      payload: { challenge: options.challenge },
+      ttlSeconds: CEREMONY_TTL_SECONDS,
+    });
+
+    return res.status(200).json({ challenge_id: challenge.id, options });
+  } catch (err) {
+    console.error("Passkey registration options error:", err);
+    return res.status(500).json({ error: "Failed to start passkey registration" });
+  }
+};
+
+export const registrationVerify = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { challenge_id, name, credential, wrapped_mek } = req.body;
+
+    const challenge = await consumeChallenge(challenge_id, "passkey-register");
+    if (!challenge || challenge.user_id !== userId) {
+      return res.status(400).json({ error: "Registration challenge is invalid or expired. Please try again." });
+    }
+
+    // Without PRF the wrapped MEK could never be unwrapped again
+    if (credential.clientExtensionResults?.prf?.enabled !== true) {
+      return res.status(400).json({ error: "This authenticator does not support the PRF extension" });
+    }
+
+    const { rpID, origins } = getWebAuthnConfig();
+    let verification;
+    try {
+      verification = await verifyRegistrationResponse({
+        response: credential,
+        expectedChallenge: challenge.payload.challenge,
+        expectedOrigin: origins,
+        expectedRPID: rpID,
+        requireUserVerification: true,
+      });
+    } catch (verifyErr) {
+      return res.status(400).json({ error: "Passkey registration could not be verified" });
+    }
+
+    if (!verification.verified) {
+      return res.status(400).json({ error: "Passkey registration could not be verified" });
+    }
+
+    const { credential: registered, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+    if (await getPasskeyByCredentialId(registered.id)) {
+      return res.status(409).json({ error: "This passkey is already registered" });
+    }
+
+    const row = await createPasskey({
+      userId,
+      credentialId: registered.id,
+      publicKey: Buffer.from(registered.publicKey).toString("base64url"),
+      signCount: registered.counter,
+      transports: registered.transports || null,
+      name,
+      deviceType: credentialDeviceType,
+      backedUp: credentialBackedUp,
+      wrappedMek: wrapped_mek,
+    });
+
+    await recordAuditEvent({
+      userId,
+      eventType: "PASSKEY_ADDED",
+      ipAddress: getClientIp(req),
+      deviceId: req.user.sid,
+      metadata: { passkey: row.id, name: row.name },
+    }).catch(() => { });
+    await notifySecurityEvent(req.user, {
+      subject: "A passkey was added to your PasswordPal account",
+      text: `The passkey "${row.name}" can now be used to log in and unlock your vault without your master password.`,
+    });
+
+    return res.status(201).json({ message: "Passkey registered", passkey: toPublicPasskey(row) });
+  } catch (err) {
+    console.error("Passkey registration error:", err);
+    return res.status(500).json({ error: "Failed to register passkey" });
+  }
+};
+
+// --- Passkey management (signed-in) ---
+
+export const listUserPasskeys = async (req, res) => {
+  try {
+    const rows = await listPasskeys(req.user.id);
+    return res.status(200).json({ passkeys: rows.map(toPublicPasskey) });
+  } catch (err) {
+    console.error("Passkey list error:", err);
+    return res.status(500).json({ error: "Failed to fetch passkeys" });
+  }
+};
+
+export const renameUserPasskey = async (req, res) => {
+  try {
+    const row = await renamePasskey(req.user.id, req.params.id, req.body.name);
+    if (!row) {
+      return res.status(404).json({ error: "Passkey not found" });
+    }
+    return res.status(200).json({ message: "Passkey renamed", passkey: toPublicPasskey(row) });
+  } catch (err) {
+    console.error("Passkey rename error:", err);
+    return res.status(500).json({ error: "Failed to rename passkey" });
+  }
+};
+
+export const deleteUserPasskey = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const row = await deletePasskey(userId, req.params.id);
+    if (!row) {
+      return res.status(404).json({ error: "Passkey not found" });
+    }
+
+    await recordAuditEvent({
+      userId,
+      eventType: "PASSKEY_REMOVED",
+      ipAddress: getClientIp(req),
+      deviceId: req.user.sid,
+      metadata: { passkey: row.id, name: row.name },
+    }).catch(() => { });
+    await notifySecurityEvent(req.user, {
+      subject: "A passkey was removed from your PasswordPal account",
+      text: `The passkey "${row.name}" can no longer be used to log in.`,
+    });
+
+    return res.status(200).json({ message: "Passkey removed" });
+  } catch (err) {
+    console.error("Passkey delete error:", err);
+    return res.status(500).json({ error: "Failed to remove passkey" });
+  }
+};
+
+// --- Login (no password, no email) ---
+
+export const loginOptions = async (req, res) => {
+  try {
+    const { rpID } = getWebAuthnConfig();
+    // No allowCredentials: the browser offers the passkeys it has for this site
+    const options = await generateAuthenticationOptions({
+      rpID,
+      userVerification: "required",
+      extensions: prfExtension(),
+    });
+
+    const challenge = await createChallenge({
+      userId: null,
+      purpose: "passkey-login",
+      payload: { challenge: options.challenge },
+      ttlSeconds: CEREMONY_TTL_SECONDS,
+    });
+
+    return res.status(200).json({ challenge_id: challenge.id, options });
+  } catch (err) {
+    console.error("Passkey login options error:", err);
+    return res.status(500).json({ error: "Failed to start passkey login" });
+  }
+};
+
+export const loginVerify = async (req, res) => {
+  try {
+    const { challenge_id, credential } = req.body;
+
+    const challenge = await consumeChallenge(challenge_id, "passkey-login");
+    if (!challenge) {
+      return res.status(400).json({ error: "Login challenge is invalid or expired. Please try again." });
+    }
+
+    const passkey = await getPasskeyByCredentialId(credential.id);
+    if (!passkey) {
+      return res.status(401).json({ error: "Passkey login failed" });
+    }
+
+    // A discoverable credential reports the user ID it was registered with
+    const userHandle = credential.response?.userHandle;
+    if (userHandle && userHandle !== Buffer.from(passkey.user_id).toString("base64url")) {
+      return res.status(401).json({ error: "Passkey login failed" });
+    }
+
+    const { rpID, origins } = getWebAuthnConfig();
+    let verification;
+    try {
+      verification = await verifyAuthenticationResponse({
+        response: credential,
+        expectedChallenge: challenge.payload.challenge,
+        expectedOrigin: origins,
+        expectedRPID: rpID,
+        credential: toVerifiableCredential(passkey),
+        requireUserVerification: true,
+      });
+    } catch (verifyErr) {
+      return res.status(401).json({ error: "Passkey login failed" });
+    }
+
+    if (!verification.verified) {
+      return res.status(401).json({ error: "Passkey login failed" });
+    }
+
+    const { newCounter } = verification.authenticationInfo;
+    if (!isSignCountValid(passkey.sign_count, newCounter)) {
+      await recordAuditEvent({
+        userId: passkey.user_id,
+        eventType: "WEBAUTHN_SIGN_COUNT_REGRESSION",
+        ipAddress: getClientIp(req),
+        metadata: { passkey: passkey.id, stored_count: Number(passkey.sign_count), received_count: newCounter },
+      }).catch(() => { });
+      return res.status(401).json({ error: "Passkey login failed" });
+    }
+
+    if (!(await recordPasskeyUse(passkey.id, passkey.sign_count, newCounter))) {
+      return res.status(401).json({ error: "Passkey login failed" });
+    }
+
+    const user = await getUserById(passkey.user_id);
+
+    await recordLoginAttempt({
+      userId: user.id,
+      ipAddress: getClientIp(req),
+      wasSuccessful: true,
+      userAgent: req.headers["user-agent"] || null,
+    }).catch(() => { });
+
+    // A user-verified passkey is already two factors (device + PIN/biometric), so no MFA step
+    await issueSession(req, res, user);
+
+    return res.status(200).json({
+      message: "Login successful",
+      user: { id: user.id, email: user.email },
+      passkey: { id: passkey.id, name: passkey.name },
+      // Unwrapped client-side with this passkey's PRF output
+      wrapped_mek: passkey.wrapped_mek,
+    });
+  } catch (err) {
+    console.error("Passkey login error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+};
@@ -0,0 +1,248 @@
+import {
+  getPushChallenge,
+  listPendingPushChallenges,
+  respondToPushChallenge,
+  completePushChallenge,
+} from "../models/mfaPushChallengeModel.js";
+import { recordAuditEvent } from "../models/auditLogModel.js";
+import { getUserById } from "../models/userModel.js";
+import { getClientIp, issueSession, grantTrustedDevice } from "../utils/session.js";
+import { notifySecurityEvent } from "../utils/securityNotifications.js";
+import { notifyPushChallenge, subscribePushChallenge } from "../utils/pushApprovals.js";
+import { TOKEN_TYPES, verifyToken } from "../config/tokenKeys.js";
+
+// The event stream re-reads the challenge this often, for answers given on another instance
+const PUSH_POLL_INTERVAL_MS = 3000;
+
+// Mid-login the sb-access-token cookie holds an mfa-pending token. Only the login
+// a challenge was opened for may wait on it or complete it.
+function decodeMfaPendingCookie(req) {
+  const token = req.cookies["sb-access-token"];
+  if (!token) return null;
+  try {
+    return verifyToken(TOKEN_TYPES.MFA_PENDING, token);
+  } catch {
+    return null;
+  }
+}
+
+const isExpired = (challenge) => new Date(challenge.expires_at) <= new Date();
+
+// Pending challenges as approving devices see them: never the number to pick
+function toPublicChallenge(challenge) {
+  return {
+    id: challenge.id,
+    number_choices: challenge.number_choices,
+    ip_address: challenge.ip_address,
+    user_agent: challenge.user_agent,
+    created_at: challenge.created_at,
+    expires_at: challenge.expires_at,
+  };
+}
+
+/**
+ * The challenge for the waiting login behind this request, or null.
+ */
+async function getOwnChallenge(req) {
+  const pending = decodeMfaPendingCookie(req);
+  if (!pending?.jti) return { pending: null, challenge: null };
+
+  const challenge = await getPushChallenge(req.params.id);
+  if (!challenge || challenge.user_id !== pending.id || challenge.pending_token_id !== pending.jti) {
+    return { pending, challenge: null };
+  }
+  return { pending, challenge };
+}
+
+/**
+ * Deny a challenge and tell the account owner; a denied login had the right password.
+ */
+async function denyChallenge(req, challenge, reason) {
+  const denied = await respondToPushChallenge(challenge.id, req.user.id, "denied", req.user.sid);
+  if (!denied) return null;
+
+  notifyPushChallenge(denied.id, "denied");
+  await recordAuditEvent({
+    userId: req.user.id,
+    eventType: "MFA_PUSH_DENIED",
+    ipAddress: getClientIp(req),
+    deviceId: req.user.sid,
+    metadata: { challenge: denied.id, reason, login_ip: denied.ip_address },
+  }).catch(() => { });
+  await notifySecurityEvent(req.user, {
+    subject: "A login to your PasswordPal account was denied",
+    text: `A login from ${denied.ip_address || "an unknown address"} used your master password and was denied from one of your devices.`,
+  });
+
+  return denied;
+}
+
+// --- Approving device (signed-in session) ---
+
+export const listPending = async (req, res) => {
+  try {
+    const challenges = await listPendingPushChallenges(req.user.id);
+    return res.status(200).json({ challenges: challenges.map(toPublicChallenge) });
+  } catch (err) {
+    console.error("Push list error:", err);
+    return res.status(500).json({ error: "Failed to fetch login requests" });
+  }
+};
+
+export const approve = async (req, res) => {
+  try {
+    const challenge = await getPushChallenge(req.params.id);
+    if (!challenge || challenge.user_id !== req.user.id || challenge.status !== "pending" || isExpired(challenge)) {
+      return res.status(404).json({ error: "Login request not found or no longer pending" });
+    }
+
+    // Picking the wrong number means the user is not looking at this login: refuse it outright
+    if (req.body.number !== challenge.number_match) {
+      await denyChallenge(req, challenge, "number_mismatch");
+      return res.status(400).json({ error: "The number does not match the one shown on the login screen. The login was denied." });
+    }
+
+    const approved = await respondToPushChallenge(challenge.id, req.user.id, "approved", req.user.sid);
+    if (!approved) {
+      return res.status(404).json({ error: "Login request not found or no longer pending" });
+    }
+    notifyPushChallenge(approved.id, "approved");
+
+    await recordAuditEvent({
+      userId: req.user.id,
+      eventType: "MFA_PUSH_APPROVED",
+      ipAddress: getClientIp(req),
+      deviceId: req.user.sid,
+      metadata: { challenge: approved.id, login_ip: approved.ip_address },
+    }).catch(() => { });
+
+    return res.status(200).json({ message: "Login approved" });
+  } catch (err) {
+    console.error("Push approve error:", err);
+    return res.status(500).json({ error: "Failed to approve login" });
+  }
+};
+
+export const deny = async (req, res) => {
+  try {
+    const challenge = await getPushChallenge(req.params.id);
+    if (!challenge || challenge.user_id !== req.user.id) {
+      return res.status(404).json({ error: "Login request not found or no longer pending" });
+    }
+    if (!(await denyChallenge(req, challenge, "denied"))) {
+      return res.status(404).json({ error: "Login request not found or no longer pending" });
+    }
+    return res.status(200).json({ message: "Login denied" });
+  } catch (err) {
+    console.error("Push deny error:", err);
+    return res.status(500).json({ error: "Failed to deny login" });
+  }
+};
+
+// --- Waiting login (mfa-pending token) ---
+
+// Server-sent events: one `status` event now and one when the challenge is
+// answered or expires, then the stream ends.
+export const events = async (req, res) => {
+  try {
+    const { pending, challenge } = await getOwnChallenge(req);
+    if (!pending) {
+      return res.status(401).json({ error: "Unauthorized - no pending login" });
+    }
+    if (!challenge) {
+      return res.status(404).json({ error: "Login request not found" });
+    }
+
+    res.status(200).set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    let poll = null;
+    let expiry = null;
+    let unsubscribe = () => { };
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(poll);
+      clearTimeout(expiry);
+      unsubscribe();
+      res.end();
+    };
+    const report = (status) => {
+      if (closed) return;
+      res.write(`event: status\ndata: ${JSON.stringify({ status })}\n\n`);
+      if (status !== "pending") close();
+    };
+
+    req.on("close", close);
+    unsubscribe = subscribePushChallenge(challenge.id, report);
+    report(challenge.status === "pending" && isExpired(challenge) ? "expired" : challenge.status);
+    if (closed) return;
+
+    expiry = setTimeout(() => report("expired"), new Date(challenge.expires_at) - Date.now());
+    poll = setInterval(async () => {
+      try {
+        const current = await getPushChallenge(challenge.id);
+        if (current && current.status !== "pending") {
+          report(current.status);
+        } else {
+          // Comment line: keeps proxies from closing an idle stream
+          res.write(": waiting\n\n");
+        }
+      } catch {
+        // The next poll tries again
+      }
+    }, PUSH_POLL_INTERVAL_MS);
+  } catch (err) {
+    console.error("Push events error:", err);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: "Internal server error" });
+    }
+    res.end();
+  }
+};
+
+export const complete = async (req, res) => {
+  try {
+    const { pending, challenge } = await getOwnChallenge(req);
+    if (!pending) {
+      return res.status(401).json({ error: "Unauthorized - no pending login" });
+    }
+    if (!challenge) {
+      return res.status(404).json({ error: "Login request not found" });
+    }
+
+    if (challenge.status === "denied") {
+      res.clearCookie("sb-access-token");
+      return res.status(403).json({ error: "The login was denied from another device.", code: "MFA_PUSH_DENIED" });
+    }
+
+    // Conditional on status 'approved', so one approval yields one session
+    const completed = await completePushChallenge(challenge.id, pending.jti);
+    if (!completed) {
+      return res.status(409).json({ error: "The login has not been approved.", status: isExpired(challenge) ? "expired" : challenge.status });
+    }
+
+    const user = await getUserById(pending.id);
+
+    const { device } = await issueSession(req, res, user);
+    if (req.body?.trust_device) {
+      await grantTrustedDevice(res, user.id, device.id);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Login approved from another device. Login complete.",
+      authenticated: true,
+      user: { id: user.id, email: user.email },
+    });
+  } catch (err) {
+    console.error("Push complete error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+};
@@ -0,0 +1,100 @@
+import { getRecoveryKey, replaceRecoveryKey, revokeRecoveryKey as revokeStoredRecoveryKey } from '../models/recoveryKeyModel.js';
+import { recordAuditEvent } from '../models/auditLogModel.js';
+import { getClientIp } from '../utils/session.js';
+import { recoveryKeyExpiry, isRecoveryKeyUsable } from '../utils/recoveryKey.js';
+import { notifySecurityEvent } from '../utils/securityNotifications.js';
+
+/**
+ * Public view of a recovery_keys row. Never includes the key material.
+ */
+function toStatus(row) {
+    if (!row) {
+        return { exists: false, usable: false };
+    }
+    return {
+        exists: true,
+        usable: isRecoveryKeyUsable(row),
+        // Created before proof-based recovery: cannot be used until replaced
+        legacy: !row.public_key,
+        key_version: row.key_version,
+        created_at: row.created_at,
+        expires_at: row.expires_at,
+        revoked_at: row.revoked_at,
+    };
+}
+
+export const getRecoveryKeyStatus = async (req, res) => {
+    try {
+        const row = await getRecoveryKey(req.user.id);
+        return res.status(200).json(toStatus(row));
+    } catch (err) {
+        console.error('Recovery key status error:', err);
+        return res.status(500).json({ error: 'Failed to fetch recovery key status' });
+    }
+};
+
+export const regenerateRecoveryKey = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { recovery_public_key, wrapped_mek_recovery } = req.body;
+
+        const current = await getRecoveryKey(userId);
+        if (current?.public_key === recovery_public_key) {
+            return res.status(400).json({ error: 'The new recovery key must differ from the current one' });
+        }
+
+        const row = await replaceRecoveryKey(userId, current?.key_version ?? null, {
+            publicKey: recovery_public_key,
+            wrappedMekRecovery: wrapped_mek_recovery,
+            expiresAt: recoveryKeyExpiry(),
+        });
+        if (!row) {
+            return res.status(409).json({ error: 'The recovery key was changed by another request. Please try again.' });
+        }
+
+        await recordAuditEvent({
+            userId,
+            eventType: 'RECOVERY_KEY_REGENERATED',
+            ipAddress: getClientIp(req),
+            deviceId: req.user.sid,
+            metadata: { key_version: row.key_version },
+        }).catch(() => { });
+        await notifySecurityEvent(req.user, {
+            subject: 'Your PasswordPal recovery key was replaced',
+            text: 'A new recovery key was generated for your account. Your previous recovery key no longer works.',
+        });
+
+        return res.status(200).json({ message: 'Recovery key replaced', ...toStatus(row) });
+    } catch (err) {
+        console.error('Recovery key regenerate error:', err);
+        return res.status(500).json({ error: 'Failed to replace recovery key' });
+    }
+};
+
+export const revokeRecoveryKey = async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        const row = await revokeStoredRecoveryKey(userId);
+        if (!row) {
+            return res.status(404).json({ error: 'No active recovery key' });
+        }
+
+        await recordAuditEvent({
+            userId,
+            eventType: 'RECOVERY_KEY_REVOKED',
+            ipAddress: getClientIp(req),
+            deviceId: req.user.sid,
+            metadata: { key_version: row.key_version },
+        }).catch(() => { });
+        await notifySecurityEvent(req.user, {
+            subject: 'Your PasswordPal recovery key was revoked',
+            text: 'The recovery key for your account was revoked. Until you generate a new one, you cannot recover your account if you forget your master password.',
+        });
+
+        return res.status(200).json({ message: 'Recovery key revoked', ...toStatus(row) });
+    } catch (err) {
+        console.error('Recovery key revoke error:', err);
+        return res.status(500).json({ error: 'Failed to revoke recovery key' });
+    }
+};
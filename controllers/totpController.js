@@ -1,35 +1,120 @@
-import jwt from "jsonwebtoken";
 import speakeasy from "speakeasy";
 import QRCode from "qrcode";
 import { getMfaSettings, upsertMfaSettings, disableMfa } from "../models/mfaSettingsModel.js";
+import {
+  listMfaFactors,
+  createMfaFactor,
+  renameMfaFactor,
+  deleteMfaFactor,
+  deleteMfaFactors,
+} from "../models/mfaFactorModel.js";
 import { encryptData, decryptData } from "../utils/encryption.js";
 import { generateBackupCodes, hashBackupCodes } from "../utils/mfa.js";
-import bcrypt from "bcryptjs";
 import { getUserById } from "../models/userModel.js";
-import { registerUserDevice } from "../models/deviceModel.js";
-
-function getUserIdFromToken(req) {
+import { revokeAllDeviceTrust, getTrustedDevicesByUserId } from "../models/deviceModel.js";
+import { listWebAuthnCredentials } from "../models/webauthnCredentialModel.js";
+import { listPasskeys } from "../models/passkeyModel.js";
+import { getLastSuccessfulMfaAttempt } from "../models/mfaAttemptModel.js";
+import { createChallenge, consumeChallenge, getActiveChallenge } from "../models/challengeModel.js";
+import { recordAuditEvent } from "../models/auditLogModel.js";
+import { getClientIp, issueSession, grantTrustedDevice } from "../utils/session.js";
+import { recordFailedMfaAttempt, recordSuccessfulMfaAttempt, releaseMfaAttempt } from "../utils/mfaAttempts.js";
+import {
+  matchTotpStep,
+  acceptTotpCode,
+  rejectBlockedMfaAttempt,
+  startMfaAttempt,
+  useBackupCode,
+  mfaProofMethod,
+  verifyMfaProof,
+} from "../utils/mfaProof.js";
+import { getMfaPolicy } from "../config/mfaPolicy.js";
+import { isFreshAuth } from "../middleware/requireFreshAuth.js";
+import { notifySecurityEvent } from "../utils/securityNotifications.js";
+import { getEmailOtpResendDelay, sendEmailOtp, verifyEmailOtp } from "../utils/emailOtp.js";
+import { TOKEN_TYPES, verifyToken } from "../config/tokenKeys.js";
+
+// The sb-access-token cookie holds either a full access token or, mid-login,
+// an mfa-pending token. Both are accepted here; nothing else is.
+function decodeSessionCookie(req) {
   const token = req.cookies["sb-access-token"];
   if (!token) return null;
-  const decoded = jwt.verify(token, process.env.JWT_SECRET);
-  return decoded.id;
+  return verifyToken([TOKEN_TYPES.ACCESS, TOKEN_TYPES.MFA_PENDING], token);
+}
+
+function getUserIdFromToken(req) {
+  return decodeSessionCookie(req)?.id ?? null;
+}
+
+// Pending enrollments live in auth_challenges; the secret never round-trips through the client's request.
+const TOTP_ENROLLMENT_PURPOSE = "totp-enrollment";
+const TOTP_ENROLLMENT_TTL_SECONDS = 10 * 60;
+
+const MAX_TOTP_AUTHENTICATORS = 10;
+const DEFAULT_AUTHENTICATOR_NAME = "Authenticator app";
+
+// What the client may see of an authenticator: never the secret or step
+function toPublicAuthenticator(factor) {
+  return {
+    id: factor.id,
+    name: factor.name,
+    created_at: factor.created_at,
+    last_used_at: factor.last_used_at,
+  };
+}
+
+// Only mfa-pending tokens carry a jti to count attempts against
+function pendingTokenId(claims) {
+  return claims.token_type === TOKEN_TYPES.MFA_PENDING ? claims.jti ?? null : null;
 }
 
 export const setup = async (req, res) => {
   try {
-    const token = req.cookies["sb-access-token"];
-    if (!token) {
-      return res.status(401).json({ error: "Unauthorized - no access token" });
-    }
+    const userId = req.user.id;
+
+    const { name, code } = req.body || {};
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Adding another authenticator takes a recent login and a code from an existing one
+    const factors = await listMfaFactors(userId);
+    const additional = factors.length > 0;
+    if (additional) {
+      if (factors.length >= MAX_TOTP_AUTHENTICATORS) {
+        return res.status(400).json({ error: `You can register up to ${MAX_TOTP_AUTHENTICATORS} authenticators. Remove one to add another.` });
+      }
+      if (!isFreshAuth(req.user)) {
+        return res.status(401).json({ error: "Fresh authentication required", code: "REAUTH_REQUIRED" });
+      }
+      if (!code || !/^\d{6}$/.test(code)) {
+        return res.status(400).json({ error: "TOTP is already enabled. Enter a code from one of your authenticators to add another." });
+      }
+      const attempt = await startMfaAttempt(req, res, userId, null, "totp");
+      if (!attempt) return;
+      if (!(await verifyMfaProof(req, attempt, factors, code))) {
+        return res.status(401).json({ error: "Invalid code. Please try again." });
+      }
+    }
 
     const secret = speakeasy.generateSecret({
-      name: `PasswordPal (${decoded.email || decoded.id})`,
+      name: `PasswordPal (${req.user.email || userId})`,
       issuer: "PasswordPal",
       length: 20,
     });
 
+    const enrollment = await createChallenge({
+      userId,
+      purpose: TOTP_ENROLLMENT_PURPOSE,
+      payload: { secret_enc: encryptData(secret.base32), name: name || DEFAULT_AUTHENTICATOR_NAME, additional },
+      ttlSeconds: TOTP_ENROLLMENT_TTL_SECONDS,
+    });
+
+    await recordAuditEvent({
+      userId,
+      eventType: "TOTP_ENROLLMENT_STARTED",
+      ipAddress: getClientIp(req),
+      deviceId: req.user.sid,
+      metadata: { additional },
+    }).catch(() => { });
+
     const qrCodeDataUrl = await QRCode.toDataURL(secret.otpauth_url);
 
     return res.status(200).json({
@@ -38,78 +123,102 @@ export const setup = async (req, res) => {
       secret: secret.base32,
       qrCode: qrCodeDataUrl,
       otpauth_url: secret.otpauth_url,
+      expires_at: enrollment.expires_at,
     });
   } catch (err) {
-    if (err.name === "JsonWebTokenError") {
-      return res.status(401).json({ error: "Invalid or expired token" });
-    }
     return res.status(500).json({ error: "Internal server error" });
   }
 };
 
 export const verifySetup = async (req, res) => {
   try {
-    const { secret, code } = req.body;
+    const userId = req.user.id;
+    const { code } = req.body;
 
-    if (!secret || !code) {
-      return res.status(400).json({ error: "Secret and code are required" });
+    if (!code) {
+      return res.status(400).json({ error: "Code is required" });
     }
 
     if (!/^\d{6}$/.test(code)) {
       return res.status(400).json({ error: "Code must be a 6-digit number" });
     }
 
-    const verified = speakeasy.totp.verify({
-      secret: secret,
-      encoding: "base32",
-      token: String(code),
-      window: 4,
-    });
+    const enrollment = await getActiveChallenge(userId, TOTP_ENROLLMENT_PURPOSE);
+    if (!enrollment) {
+      return res.status(400).json({ error: "No pending TOTP setup. Please start setup again." });
+    }
+
+    const attempt = await startMfaAttempt(req, res, userId, null, "totp");
+    if (!attempt) return;
 
-    if (!verified) {
+    const secret = decryptData(enrollment.payload.secret_enc);
+    const step = matchTotpStep(secret, code);
+    if (step === null) {
+      await recordFailedMfaAttempt(req, attempt);
       return res.status(401).json({ error: "Invalid code. Please try again." });
     }
+    await recordSuccessfulMfaAttempt(attempt);
 
-    const userId = getUserIdFromToken(req);
-    if (!userId) {
-      return res.status(401).json({ error: "Unauthorized - no access token" });
+    // An enrollment started before TOTP was switched on skipped the proof an additional one needs
+    const factors = await listMfaFactors(userId);
+    const additional = !!enrollment.payload.additional;
+    if (factors.length > 0 && !additional) {
+      return res.status(409).json({ error: "TOTP is already enabled. Please start setup again." });
     }
 
-    try {
-      const { getUserById } = await import("../models/userModel.js");
-      const userCheck = await getUserById(userId);
-      if (!userCheck) {
-        return res.status(400).json({ error: "User not found. Please re-login and try again." });
-      }
+    if (!(await consumeChallenge(enrollment.id, TOTP_ENROLLMENT_PURPOSE))) {
+      return res.status(400).json({ error: "No pending TOTP setup. Please start setup again." });
+    }
 
-      const encryptedSecret = encryptData(secret);
-      await upsertMfaSettings({
+    try {
+      const factor = await createMfaFactor({
         userId,
-        totpSecretEnc: encryptedSecret,
-        isTotpEnabled: true,
+        type: "totp",
+        name: enrollment.payload.name || DEFAULT_AUTHENTICATOR_NAME,
+        secretEnc: encryptData(secret),
+        // The confirmation code is spent; it cannot also complete a login
+        lastTotpStep: step,
       });
 
-      const codes = generateBackupCodes(10, 10);
-      const hashed = await hashBackupCodes(codes);
-      await upsertMfaSettings({
+      // Backup codes come with the first authenticator; adding another keeps them
+      let codes;
+      if (!additional) {
+        codes = generateBackupCodes(10, 10);
+        const hashed = await hashBackupCodes(codes);
+        await upsertMfaSettings({
+          userId,
+          isTotpEnabled: true,
+          backupCodesEnc: JSON.stringify(hashed),
+          codesUsed: 0,
+        });
+      }
+
+      await recordAuditEvent({
         userId,
-        backupCodesEnc: JSON.stringify(hashed),
-      });
+        eventType: additional ? "TOTP_AUTHENTICATOR_ADDED" : "TOTP_ENABLED",
+        ipAddress: getClientIp(req),
+        deviceId: req.user.sid,
+        metadata: { authenticator: factor.id, name: factor.name },
+      }).catch(() => { });
+      if (additional) {
+        await notifySecurityEvent(req.user, {
+          subject: "An authenticator was added to your PasswordPal account",
+          text: `Codes from the authenticator "${factor.name}" can now be used to log in to your account.`,
+        });
+      }
 
       return res.status(200).json({
         success: true,
         message: "TOTP setup confirmed and secret stored securely.",
         code_verified: true,
         totp_enabled: true,
-        backupCodes: codes,
+        authenticator: toPublicAuthenticator(factor),
+        ...(codes && { backupCodes: codes }),
       });
     } catch (dbErr) {
       return res.status(500).json({ error: `Failed to store TOTP secret: ${dbErr.message}` });
     }
   } catch (err) {
-    if (err.name === "JsonWebTokenError") {
-      return res.status(401).json({ error: "Invalid or expired token" });
-    }
     return res.status(500).json({ error: "Internal server error" });
   }
 };
@@ -121,11 +230,16 @@ export const getStatus = async (req, res) => {
       return res.status(401).json({ error: "Unauthorized - no access token" });
     }
 
-    const settings = await getMfaSettings(userId);
+    const [factors, emailFactors] = await Promise.all([
+      listMfaFactors(userId),
+      listMfaFactors(userId, "email"),
+    ]);
 
     return res.status(200).json({
       success: true,
-      totp_enabled: settings?.is_totp_enabled || false,
+      totp_enabled: factors.length > 0,
+      authenticators: factors.length,
+      email_otp_enabled: emailFactors.length > 0,
     });
   } catch (err) {
     if (err.name === "JsonWebTokenError") {
@@ -135,6 +249,94 @@ export const getStatus = async (req, res) => {
   }
 };
 
+// Latest of a list of timestamps, or null
+function latest(timestamps) {
+  return timestamps.filter(Boolean).sort().at(-1) ?? null;
+}
+
+// Security keys and passkeys as the overview lists them
+function toPublicKey(row) {
+  return { id: row.id, name: row.name, created_at: row.created_at, last_used_at: row.last_used_at };
+}
+
+function countBackupCodes(settings) {
+  try {
+    return settings?.backup_codes_enc ? JSON.parse(settings.backup_codes_enc).length : 0;
+  } catch {
+    return 0;
+  }
+}
+
+// Everything a settings page needs about the user's second factors in one call
+export const getOverview = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const policy = getMfaPolicy();
+
+    const [factors, emailFactors, securityKeys, passkeys, settings, trustedDevices, backupCodeLastUsed, emailLastUsed] = await Promise.all([
+      listMfaFactors(userId),
+      listMfaFactors(userId, "email"),
+      listWebAuthnCredentials(userId),
+      listPasskeys(userId),
+      getMfaSettings(userId),
+      getTrustedDevicesByUserId(userId),
+      getLastSuccessfulMfaAttempt(userId, "backup_code"),
+      getLastSuccessfulMfaAttempt(userId, "email_otp"),
+    ]);
+
+    // A passkey is a login of its own; password logins still need one of these
+    const mfaEnabled = factors.length > 0 || securityKeys.length > 0;
+    const remaining = countBackupCodes(settings);
+
+    return res.status(200).json({
+      mfa_enabled: mfaEnabled,
+      policy: {
+        mfa_required: policy.required,
+        compliant: !policy.required || mfaEnabled,
+        backup_codes_low_threshold: policy.backupCodesLowThreshold,
+      },
+      totp: {
+        enabled: factors.length > 0,
+        enabled_at: factors[0]?.created_at ?? null,
+        last_used_at: latest(factors.map((factor) => factor.last_used_at)),
+        authenticators: factors.map(toPublicAuthenticator),
+      },
+      security_keys: {
+        enabled: securityKeys.length > 0,
+        last_used_at: latest(securityKeys.map((key) => key.last_used_at)),
+        credentials: securityKeys.map(toPublicKey),
+      },
+      passkeys: {
+        enabled: passkeys.length > 0,
+        last_used_at: latest(passkeys.map((key) => key.last_used_at)),
+        credentials: passkeys.map(toPublicKey),
+      },
+      email_otp: {
+        enabled: emailFactors.length > 0,
+        // Only offered at login next to another second factor
+        active: emailFactors.length > 0 && mfaEnabled,
+        enabled_at: emailFactors[0]?.created_at ?? null,
+        last_used_at: emailLastUsed,
+      },
+      backup_codes: {
+        remaining,
+        used: settings?.codes_used ?? 0,
+        low: factors.length > 0 && remaining <= policy.backupCodesLowThreshold,
+        last_used_at: backupCodeLastUsed,
+      },
+      trusted_devices: trustedDevices.map((device) => ({
+        id: device.id,
+        device_name: device.device_name,
+        last_login: device.last_login,
+        trusted_until: device.trusted_until,
+        is_current: device.id === req.user.sid,
+      })),
+    });
+  } catch (err) {
+    return res.status(500).json({ error: "Failed to fetch MFA overview" });
+  }
+};
+
 export const verifyLogin = async (req, res) => {
   try {
     const { code } = req.body;
@@ -147,80 +349,35 @@ export const verifyLogin = async (req, res) => {
       return res.status(400).json({ error: "Code must be a 6-digit number" });
     }
 
-    const userId = getUserIdFromToken(req);
-    if (!userId) {
+    const claims = decodeSessionCookie(req);
+    if (!claims?.id) {
       return res.status(401).json({ error: "Unauthorized - no access token" });
     }
+    const userId = claims.id;
+    const tokenId = pendingTokenId(claims);
 
-    const settings = await getMfaSettings(userId);
-
-    if (!settings?.is_totp_enabled || !settings?.totp_secret_enc) {
+    const factors = await listMfaFactors(userId);
+    if (factors.length === 0) {
       return res.status(400).json({ error: "TOTP is not enabled for this user" });
     }
 
-    try {
-      const decryptedSecret = decryptData(settings.totp_secret_enc);
+    const attempt = await startMfaAttempt(req, res, userId, tokenId, "totp");
+    if (!attempt) return;
 
-      const verified = speakeasy.totp.verify({
-        secret: decryptedSecret,
-        encoding: "base32",
-        token: String(code),
-        window: 4,
-      });
-
-      if (!verified) {
+    try {
+      // A replayed code (same or earlier time step for that authenticator) fails like a wrong one
+      if (!(await acceptTotpCode(factors, code))) {
+        await recordFailedMfaAttempt(req, attempt);
         return res.status(401).json({ error: "Invalid code. Please try again." });
       }
-
-      const { trust_device } = req.body;
-      if (trust_device) {
-        const deviceToken = jwt.sign(
-          {
-            id: userId,
-            type: "trusted-device",
-            issuedAt: Date.now(),
-          },
-          process.env.JWT_SECRET,
-          { expiresIn: "30d" },
-        );
-
-        res.cookie("sb-trusted-device", deviceToken, {
-          httpOnly: true,
-          secure: process.env.NODE_ENV === "production",
-          sameSite: process.env.NODE_ENV === "production" ? "none" : "strict",
-          maxAge: 30 * 24 * 60 * 60 * 1000,
-        });
-      }
+      await recordSuccessfulMfaAttempt(attempt);
 
       const user = await getUserById(userId);
 
-      const accessToken = jwt.sign(
-        { id: user.id, email: user.email },
-        process.env.JWT_SECRET,
-        { expiresIn: "15m" }
-      );
-      const refreshToken = jwt.sign(
-        { id: user.id },
-        process.env.JWT_SECRET,
-        { expiresIn: "7d" }
-      );
-
-      res.cookie("sb-access-token", accessToken, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === "production",
-        sameSite: process.env.NODE_ENV === "production" ? "none" : "strict",
-        maxAge: 15 * 60 * 1000,
-      });
-
-      res.cookie("sb-refresh-token", refreshToken, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === "production",
-        sameSite: process.env.NODE_ENV === "production" ? "none" : "strict",
-        maxAge: 7 * 24 * 60 * 60 * 1000,
-      });
-
-      const userAgent = req.headers["user-agent"] || "Unknown Device";
-      await registerUserDevice(user.id, userAgent, refreshToken).catch(() => { });
+      const { device } = await issueSession(req, res, user);
+      if (req.body.trust_device) {
+        await grantTrustedDevice(res, userId, device.id);
+      }
 
       return res.status(200).json({
         success: true,
@@ -241,12 +398,41 @@ export const verifyLogin = async (req, res) => {
 
 export const disable = async (req, res) => {
   try {
-    const userId = getUserIdFromToken(req);
-    if (!userId) {
-      return res.status(401).json({ error: "Unauthorized - no access token" });
+    const userId = req.user.id;
+    const { code } = req.body || {};
+
+    if (!code || typeof code !== "string") {
+      return res.status(400).json({ error: "Enter a code from your authenticator app or a backup code to disable TOTP." });
+    }
+
+    const factors = await listMfaFactors(userId);
+    if (factors.length === 0) {
+      return res.status(400).json({ error: "TOTP is not enabled for this user" });
+    }
+
+    const attempt = await startMfaAttempt(req, res, userId, null, mfaProofMethod(code));
+    if (!attempt) return;
+
+    const method = await verifyMfaProof(req, attempt, factors, code);
+    if (!method) {
+      return res.status(401).json({ error: "Invalid code. Please try again." });
     }
 
+    await deleteMfaFactors(userId, "totp");
     await disableMfa(userId);
+    await revokeAllDeviceTrust(userId);
+
+    await recordAuditEvent({
+      userId,
+      eventType: "TOTP_DISABLED",
+      ipAddress: getClientIp(req),
+      deviceId: req.user.sid,
+      metadata: { method },
+    }).catch(() => { });
+    await notifySecurityEvent(req.user, {
+      subject: "Two-factor authentication was turned off for your PasswordPal account",
+      text: "Authenticator app (TOTP) codes are no longer required to log in to your account.",
+    });
 
     return res.status(200).json({
       success: true,
@@ -254,18 +440,83 @@ export const disable = async (req, res) => {
       totp_enabled: false,
     });
   } catch (err) {
-    if (err.name === "JsonWebTokenError") {
-      return res.status(401).json({ error: "Invalid or expired token" });
-    }
     return res.status(500).json({ error: "Internal server error" });
   }
 };
 
+// --- Manage authenticators ---
+
+export const listAuthenticators = async (req, res) => {
+  try {
+    const factors = await listMfaFactors(req.user.id);
+    return res.status(200).json({ authenticators: factors.map(toPublicAuthenticator) });
+  } catch (err) {
+    return res.status(500).json({ error: "Failed to fetch authenticators" });
+  }
+};
+
+export const renameAuthenticator = async (req, res) => {
+  try {
+    const factor = await renameMfaFactor(req.user.id, req.params.id, req.body.name);
+    if (!factor) {
+      return res.status(404).json({ error: "Authenticator not found" });
+    }
+    return res.status(200).json({ message: "Authenticator renamed", authenticator: toPublicAuthenticator(factor) });
+  } catch (err) {
+    return res.status(500).json({ error: "Failed to rename authenticator" });
+  }
+};
+
+export const removeAuthenticator = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const factors = await listMfaFactors(userId);
+    const target = factors.find((factor) => factor.id === req.params.id);
+    if (!target) {
+      return res.status(404).json({ error: "Authenticator not found" });
+    }
+    // The last one goes through /disable, which also retires the backup codes
+    if (factors.length === 1) {
+      return res.status(409).json({ error: "This is your only authenticator. Disable TOTP instead." });
+    }
+
+    const attempt = await startMfaAttempt(req, res, userId, null, mfaProofMethod(req.body.code));
+    if (!attempt) return;
+
+    // Any authenticator (including the one being removed) or a backup code proves possession
+    if (!(await verifyMfaProof(req, attempt, factors, req.body.code))) {
+      return res.status(401).json({ error: "Invalid code. Please try again." });
+    }
+
+    const removed = await deleteMfaFactor(userId, target.id);
+    if (!removed) {
+      return res.status(404).json({ error: "Authenticator not found" });
+    }
+    // A lost phone may have been how a browser got trusted; it must pass a remaining factor again
+    await revokeAllDeviceTrust(userId);
+
+    await recordAuditEvent({
+      userId,
+      eventType: "TOTP_AUTHENTICATOR_REMOVED",
+      ipAddress: getClientIp(req),
+      deviceId: req.user.sid,
+      metadata: { authenticator: removed.id, name: removed.name },
+    }).catch(() => { });
+    await notifySecurityEvent(req.user, {
+      subject: "An authenticator was removed from your PasswordPal account",
+      text: `Codes from the authenticator "${removed.name}" can no longer be used to log in.`,
+    });
+
+    return res.status(200).json({ message: "Authenticator removed" });
+  } catch (err) {
+    return res.status(500).json({ error: "Failed to remove authenticator" });
+  }
+};
+
 export const generateBackup = async (req, res) => {
   try {
-    const userId = getUserIdFromToken(req);
-    if (!userId)
-      return res.status(401).json({ error: "Unauthorized - no access token" });
+    const userId = req.user.id;
 
     const codes = generateBackupCodes(10, 10);
     const hashed = await hashBackupCodes(codes);
@@ -280,6 +531,17 @@ export const generateBackup = async (req, res) => {
       return res.status(500).json({ error: "Failed to store backup codes. Please try again." });
     }
 
+    await recordAuditEvent({
+      userId,
+      eventType: "BACKUP_CODES_REGENERATED",
+      ipAddress: getClientIp(req),
+      deviceId: req.user.sid,
+    }).catch(() => { });
+    await notifySecurityEvent(req.user, {
+      subject: "New backup codes were generated for your PasswordPal account",
+      text: "New MFA backup codes were generated. Your previous backup codes no longer work.",
+    });
+
     if (req.query && req.query.download === "1") {
       res.setHeader("Content-Disposition", 'attachment; filename="passwordpal_backup_codes.txt"');
       res.type("text/plain");
@@ -292,8 +554,6 @@ export const generateBackup = async (req, res) => {
       message: "Backup codes generated. Save them now; they are shown only once.",
     });
   } catch (err) {
-    if (err.name === "JsonWebTokenError")
-      return res.status(401).json({ error: "Invalid or expired token" });
     return res.status(500).json({ error: "Internal server error" });
   }
 };
@@ -303,9 +563,13 @@ export const redeemBackup = async (req, res) => {
     const { code } = req.body;
     if (!code) return res.status(400).json({ error: "Code is required" });
 
-    const userId = getUserIdFromToken(req);
-    if (!userId)
+    const claims = decodeSessionCookie(req);
+    if (!claims?.id)
       return res.status(401).json({ error: "Unauthorized - no access token" });
+    const userId = claims.id;
+    const tokenId = pendingTokenId(claims);
+
+    if (await rejectBlockedMfaAttempt(res, userId, tokenId)) return;
 
     try {
       const settings = await getMfaSettings(userId);
@@ -313,36 +577,41 @@ export const redeemBackup = async (req, res) => {
         return res.status(401).json({ error: "No backup codes found" });
       }
 
-      let hashedCodes = [];
-      try {
-        hashedCodes = JSON.parse(settings.backup_codes_enc);
-      } catch {
-        hashedCodes = [];
-      }
-
-      let matchedIndex = -1;
-      for (let i = 0; i < hashedCodes.length; i++) {
-        const match = await bcrypt.compare(code, hashedCodes[i]);
-        if (match) {
-          matchedIndex = i;
-          break;
-        }
-      }
+      const attempt = await startMfaAttempt(req, res, userId, tokenId, "backup_code");
+      if (!attempt) return;
 
-      if (matchedIndex === -1) {
+      const remaining = await useBackupCode(userId, settings, code);
+      if (remaining === null) {
+        await recordFailedMfaAttempt(req, attempt);
         return res.status(401).json({ error: "Invalid or already used backup code" });
       }
+      await recordSuccessfulMfaAttempt(attempt);
 
-      const newHashes = hashedCodes.slice();
-      newHashes.splice(matchedIndex, 1);
+      const user = await getUserById(userId);
 
-      await upsertMfaSettings({
+      await recordAuditEvent({
         userId,
-        backupCodesEnc: JSON.stringify(newHashes),
-        codesUsed: (settings.codes_used || 0) + 1,
+        eventType: "BACKUP_CODE_USED",
+        ipAddress: getClientIp(req),
+        metadata: { remaining },
+      }).catch(() => { });
+      await notifySecurityEvent(user, {
+        subject: "A backup code was used to log in to your PasswordPal account",
+        text: `A backup code was used instead of your authenticator app. You have ${remaining} backup codes left.`,
       });
 
-      return res.status(200).json({ success: true, message: "Backup code accepted and consumed" });
+      const { device } = await issueSession(req, res, user);
+      if (req.body.trust_device) {
+        await grantTrustedDevice(res, userId, device.id);
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: "Backup code accepted. Login complete.",
+        authenticated: true,
+        user: { id: user.id, email: user.email },
+        backup_codes_remaining: remaining,
+      });
     } catch (dbErr) {
       return res.status(500).json({ error: "Failed to verify backup code. Please try again." });
     }
@@ -353,6 +622,166 @@ export const redeemBackup = async (req, res) => {
   }
 };
 
+// --- Email one-time codes ---
+// A fallback for logins where the authenticator is not at hand. It is only offered
+// next to another second factor, never instead of one.
+
+export const enableEmailOtp = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    if ((await listMfaFactors(userId, "email")).length > 0) {
+      return res.status(200).json({ message: "Email codes are already enabled", email_otp_enabled: true });
+    }
+
+    const [factors, credentials] = await Promise.all([
+      listMfaFactors(userId),
+      listWebAuthnCredentials(userId),
+    ]);
+    if (factors.length === 0 && credentials.length === 0) {
+      return res.status(409).json({ error: "Set up an authenticator app or a security key before enabling email codes." });
+    }
+
+    await createMfaFactor({ userId, type: "email", name: "Email" });
+
+    await recordAuditEvent({
+      userId,
+      eventType: "EMAIL_OTP_ENABLED",
+      ipAddress: getClientIp(req),
+      deviceId: req.user.sid,
+    }).catch(() => { });
+    await notifySecurityEvent(req.user, {
+      subject: "Email login codes were turned on for your PasswordPal account",
+      text: "Codes sent to this address can now be used instead of your authenticator app or security key to log in.",
+    });
+
+    return res.status(200).json({ message: "Email codes enabled", email_otp_enabled: true });
+  } catch (err) {
+    return res.status(500).json({ error: "Failed to enable email codes" });
+  }
+};
+
+export const disableEmailOtp = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    if ((await deleteMfaFactors(userId, "email")) > 0) {
+      await recordAuditEvent({
+        userId,
+        eventType: "EMAIL_OTP_DISABLED",
+        ipAddress: getClientIp(req),
+        deviceId: req.user.sid,
+      }).catch(() => { });
+      await notifySecurityEvent(req.user, {
+        subject: "Email login codes were turned off for your PasswordPal account",
+        text: "Codes sent to this address can no longer be used to log in.",
+      });
+    }
+
+    return res.status(200).json({ message: "Email codes disabled", email_otp_enabled: false });
+  } catch (err) {
+    return res.status(500).json({ error: "Failed to disable email codes" });
+  }
+};
+
+/**
+ * The mfa-pending login behind this request, if its user has email codes enabled.
+ * Sends the error response and returns null otherwise.
+ */
+async function getEmailOtpLogin(req, res) {
+  const claims = decodeSessionCookie(req);
+  const tokenId = claims ? pendingTokenId(claims) : null;
+  if (!tokenId) {
+    res.status(401).json({ error: "Unauthorized - no pending login" });
+    return null;
+  }
+  if ((await listMfaFactors(claims.id, "email")).length === 0) {
+    res.status(400).json({ error: "Email codes are not enabled for this user" });
+    return null;
+  }
+  return { userId: claims.id, tokenId };
+}
+
+export const sendEmailCode = async (req, res) => {
+  try {
+    const login = await getEmailOtpLogin(req, res);
+    if (!login) return;
+    const { userId, tokenId } = login;
+
+    if (await rejectBlockedMfaAttempt(res, userId, tokenId)) return;
+
+    const retryAfter = await getEmailOtpResendDelay(userId);
+    if (retryAfter > 0) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        error: "A code was sent recently. Please wait before requesting another one.",
+        retry_after: retryAfter,
+      });
+    }
+
+    const user = await getUserById(userId);
+    const sent = await sendEmailOtp(user, tokenId);
+
+    return res.status(200).json({
+      success: true,
+      message: "A login code was sent to your email address.",
+      expires_at: sent.expires_at,
+    });
+  } catch (err) {
+    if (err.name === "JsonWebTokenError") {
+      return res.status(401).json({ error: "Invalid or expired token" });
+    }
+    return res.status(500).json({ error: "Failed to send the login code" });
+  }
+};
+
+export const verifyEmailCode = async (req, res) => {
+  try {
+    const login = await getEmailOtpLogin(req, res);
+    if (!login) return;
+    const { userId, tokenId } = login;
+
+    const attempt = await startMfaAttempt(req, res, userId, tokenId, "email_otp");
+    if (!attempt) return;
+
+    const result = await verifyEmailOtp(userId, tokenId, req.body.code);
+    if (result === "missing") {
+      await releaseMfaAttempt(attempt);
+      return res.status(400).json({ error: "No valid code was sent for this login. Please request a new one." });
+    }
+    if (result === "invalid") {
+      await recordFailedMfaAttempt(req, attempt);
+      return res.status(401).json({ error: "Invalid code. Please try again." });
+    }
+    await recordSuccessfulMfaAttempt(attempt);
+
+    const user = await getUserById(userId);
+
+    await recordAuditEvent({
+      userId,
+      eventType: "EMAIL_OTP_USED",
+      ipAddress: getClientIp(req),
+    }).catch(() => { });
+
+    const { device } = await issueSession(req, res, user);
+    if (req.body.trust_device) {
+      await grantTrustedDevice(res, userId, device.id);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Email code accepted. Login complete.",
+      authenticated: true,
+      user: { id: user.id, email: user.email },
+    });
+  } catch (err) {
+    if (err.name === "JsonWebTokenError") {
+      return res.status(401).json({ error: "Invalid or expired token" });
+    }
+    return res.status(500).json({ error: "Internal server error" });
+  }
+};
+
 export const generateBackupDev = async (_req, res) => {
   try {
     const codes = generateBackupCodes(10, 10);
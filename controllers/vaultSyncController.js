@@ -1,24 +1,69 @@
-import { pullChanges, pushRecord } from '../models/syncModel.js';
+import { pullChanges, pullChangesAfter, getLatestChangeSeq, pushRecord } from '../models/syncModel.js';
+
+// Sync cursors are opaque to clients: base64url of "v1:<change_seq>", where
+// change_seq is the last change the client has received.
+function encodeSyncCursor(changeSeq) {
+    return Buffer.from(`v1:${changeSeq}`).toString('base64url');
+}
+
+function decodeSyncCursor(cursor) {
+    const match = /^v1:(\d{1,15})$/.exec(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return match ? Number(match[1]) : null;
+}
+
+// change_seq is only carried in the cursor
+const toSyncRecord = ({ change_seq, ...record }) => record;
 
 // ---------------------------------------------------------------------------
 // GET /api/vault/sync — Pull Changes (Delta Sync with Pagination)
 // ---------------------------------------------------------------------------
-// Fetches vault records modified after the `since` timestamp.
-// Supports pagination via `limit` (default 100, max 500) and `offset` (default 0).
-// If `since` is omitted, defaults to epoch (returns everything — full sync).
+// Fetches vault records changed after `cursor`, oldest change first, `limit` at a
+// time (default 100, max 500). Pass each response's `next_cursor` to the next
+// request, until `has_more` is false, and keep the last one for the next sync.
+// Records are ordered by a server-assigned change sequence, so nothing is skipped
+// or repeated when records change between page fetches.
+//
+// Query: ?cursor=djE6MTIz&limit=100
+// Response: { records, has_more, next_cursor, server_time }
+//
+// Legacy clients may still send `since` (ISO timestamp, default epoch) and
+// `offset` instead of a cursor. They also get `total_count`, and a `next_cursor`
+// to switch to cursors with.
 //
 // Query: ?since=2026-02-25T00:00:00.000Z&limit=100&offset=0
-// Response: { records, total_count, has_more, server_time }
+// Response: { records, total_count, has_more, next_cursor, server_time }
 // ---------------------------------------------------------------------------
 export const pullSyncChanges = async (req, res) => {
     try {
-        const { since, limit, offset } = req.query;
-        const { records, total_count } = await pullChanges(req.user.id, since, { limit, offset });
+        const { cursor, since, limit, offset } = req.query;
+        const userId = req.user.id;
+
+        if (cursor !== undefined) {
+            const afterSeq = decodeSyncCursor(cursor);
+            if (afterSeq === null) {
+                return res.status(400).json({ error: 'Invalid sync cursor' });
+            }
+
+            const { records, has_more } = await pullChangesAfter(userId, afterSeq, { limit });
+
+            return res.status(200).json({
+                records: records.map(toSyncRecord),
+                has_more,
+                next_cursor: encodeSyncCursor(records.at(-1)?.change_seq ?? afterSeq),
+                server_time: new Date().toISOString(),
+            });
+        }
+
+        // Read before the page: a change committed after this has a higher number,
+        // so a cursor from it cannot skip one
+        const latestSeq = await getLatestChangeSeq(userId);
+        const { records, total_count } = await pullChanges(userId, since, { limit, offset });
 
         return res.status(200).json({
-            records,
+            records: records.map(toSyncRecord),
             total_count,
             has_more: offset + records.length < total_count,
+            next_cursor: encodeSyncCursor(records.at(-1)?.change_seq ?? latestSeq),
             server_time: new Date().toISOString(),
         });
     } catch (err) {
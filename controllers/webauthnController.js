@@ -0,0 +1,297 @@
+import { generateRegistrationOptions, verifyRegistrationResponse } from "@simplewebauthn/server";
+import { getWebAuthnConfig } from "../config/webauthn.js";
+import {
+  listWebAuthnCredentials,
+  getWebAuthnCredential,
+  createWebAuthnCredential,
+  renameWebAuthnCredential,
+  deleteWebAuthnCredential,
+} from "../models/webauthnCredentialModel.js";
+import { createChallenge, consumeChallenge } from "../models/challengeModel.js";
+import { recordAuditEvent } from "../models/auditLogModel.js";
+import { getUserById } from "../models/userModel.js";
+import { listMfaFactors } from "../models/mfaFactorModel.js";
+import { revokeAllDeviceTrust } from "../models/deviceModel.js";
+import { getClientIp, issueSession, grantTrustedDevice } from "../utils/session.js";
+import { startMfaAttempt, mfaProofMethod, verifyMfaProof, requireMfaProof } from "../utils/mfaProof.js";
+import { notifySecurityEvent } from "../utils/securityNotifications.js";
+import { toCredentialDescriptor, verifySecurityKeyAssertion, createSecurityKeyChallenge } from "../utils/webauthn.js";
+import { TOKEN_TYPES, verifyToken } from "../config/tokenKeys.js";
+
+const CEREMONY_TTL_SECONDS = 5 * 60;
+
+/**
+ * Public view of a webauthn_credentials row. The public key stays on the server.
+ */
+function toPublicCredential(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    transports: row.transports || [],
+    device_type: row.device_type,
+    backed_up: row.backed_up,
+    created_at: row.created_at,
+    last_used_at: row.last_used_at,
+  };
+}
+
+// Mid-login the sb-access-token cookie holds an mfa-pending token. The login
+// ceremony only completes a pending login; signed-in sessions have nothing to finish.
+function decodeMfaPendingCookie(req) {
+  const token = req.cookies["sb-access-token"];
+  if (!token) return null;
+  try {
+    return verifyToken(TOKEN_TYPES.MFA_PENDING, token);
+  } catch {
+    return null;
+  }
+}
+
+// --- Registration (signed-in, fresh session) ---
+
+export const registrationOptions = async (req, res) => {
+  try {
+    // Once MFA is on, a stolen session must not be able to bring its own second factor
+    if (!(await requireMfaProof(req, res, req.user.id, req.body))) return;
+
+    const { rpID, rpName } = getWebAuthnConfig();
+    const existing = await listWebAuthnCredentials(req.user.id);
+
+    const options = await generateRegistrationOptions({
+      rpName,
+      rpID,
+      userName: req.user.email,
+      userID: new TextEncoder().encode(req.user.id),
+      attestationType: "none",
+      // The same authenticator cannot be registered twice
+      excludeCredentials: existing.map(toCredentialDescriptor),
+      authenticatorSelection: {
+        residentKey: "discouraged",
+        userVerification: "preferred",
+      },
+    });
+
+    const challenge = await createChallenge({
+      userId: req.user.id,
+      purpose: "webauthn-register",
+      payload: { challenge: options.challenge },
+      ttlSeconds: CEREMONY_TTL_SECONDS,
+    });
+
+    return res.status(200).json({ challenge_id: challenge.id, options });
+  } catch (err) {
+    console.error("WebAuthn registration options error:", err);
+    return res.status(500).json({ error: "Failed to start security key registration" });
+  }
+};
+
+export const registrationVerify = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { challenge_id, name, credential } = req.body;
+
+    const challenge = await consumeChallenge(challenge_id, "webauthn-register");
+    if (!challenge || challenge.user_id !== userId) {
+      return res.status(400).json({ error: "Registration challenge is invalid or expired. Please try again." });
+    }
+
+    const { rpID, origins } = getWebAuthnConfig();
+    let verification;
+    try {
+      verification = await verifyRegistrationResponse({
+        response: credential,
+        expectedChallenge: challenge.payload.challenge,
+        expectedOrigin: origins,
+        expectedRPID: rpID,
+        requireUserVerification: false,
+      });
+    } catch (verifyErr) {
+      return res.status(400).json({ error: "Security key registration could not be verified" });
+    }
+
+    if (!verification.verified) {
+      return res.status(400).json({ error: "Security key registration could not be verified" });
+    }
+
+    const { credential: registered, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+    if (await getWebAuthnCredential(userId, registered.id)) {
+      return res.status(409).json({ error: "This security key is already registered" });
+    }
+
+    const row = await createWebAuthnCredential({
+      userId,
+      credentialId: registered.id,
+      publicKey: Buffer.from(registered.publicKey).toString("base64url"),
+      signCount: registered.counter,
+      transports: registered.transports || null,
+      name,
+      deviceType: credentialDeviceType,
+      backedUp: credentialBackedUp,
+    });
+
+    await recordAuditEvent({
+      userId,
+      eventType: "WEBAUTHN_CREDENTIAL_ADDED",
+      ipAddress: getClientIp(req),
+      deviceId: req.user.sid,
+      metadata: { credential: row.id, name: row.name },
+    }).catch(() => { });
+    await notifySecurityEvent(req.user, {
+      subject: "A security key was added to your PasswordPal account",
+      text: `The security key "${row.name}" can now be used as a second factor when you log in.`,
+    });
+
+    return res.status(201).json({ message: "Security key registered", credential: toPublicCredential(row) });
+  } catch (err) {
+    console.error("WebAuthn registration error:", err);
+    return res.status(500).json({ error: "Failed to register security key" });
+  }
+};
+
+// --- Credential management (signed-in) ---
+
+export const listCredentials = async (req, res) => {
+  try {
+    const rows = await listWebAuthnCredentials(req.user.id);
+    return res.status(200).json({ credentials: rows.map(toPublicCredential) });
+  } catch (err) {
+    console.error("WebAuthn list error:", err);
+    return res.status(500).json({ error: "Failed to fetch security keys" });
+  }
+};
+
+export const renameCredential = async (req, res) => {
+  try {
+    const row = await renameWebAuthnCredential(req.user.id, req.params.id, req.body.name);
+    if (!row) {
+      return res.status(404).json({ error: "Security key not found" });
+    }
+    return res.status(200).json({ message: "Security key renamed", credential: toPublicCredential(row) });
+  } catch (err) {
+    console.error("WebAuthn rename error:", err);
+    return res.status(500).json({ error: "Failed to rename security key" });
+  }
+};
+
+// Removing a key weakens the second factor, so a stolen session alone is not
+// enough: it takes an assertion from any registered key (this one included)
+// or a code from an authenticator app or a backup code.
+export const removalOptions = async (req, res) => {
+  try {
+    const credentials = await listWebAuthnCredentials(req.user.id);
+    if (credentials.length === 0) {
+      return res.status(400).json({ error: "No security keys are registered for this account" });
+    }
+
+    return res.status(200).json(await createSecurityKeyChallenge(req.user.id, credentials, "webauthn-remove"));
+  } catch (err) {
+    console.error("WebAuthn removal options error:", err);
+    return res.status(500).json({ error: "Failed to start security key verification" });
+  }
+};
+
+export const deleteCredential = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { challenge_id, credential, code } = req.body;
+
+    const credentials = await listWebAuthnCredentials(userId);
+    if (!credentials.some((row) => row.id === req.params.id)) {
+      return res.status(404).json({ error: "Security key not found" });
+    }
+
+    let method = "webauthn";
+    if (credential) {
+      const result = await verifySecurityKeyAssertion(req, userId, challenge_id, credential, "webauthn-remove");
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+    } else {
+      const attempt = await startMfaAttempt(req, res, userId, null, mfaProofMethod(code));
+      if (!attempt) return;
+      method = await verifyMfaProof(req, attempt, await listMfaFactors(userId), code);
+      if (!method) {
+        return res.status(401).json({ error: "Invalid code. Please try again." });
+      }
+    }
+
+    const row = await deleteWebAuthnCredential(userId, req.params.id);
+    if (!row) {
+      return res.status(404).json({ error: "Security key not found" });
+    }
+    // A lost key may have been how a browser got trusted; it must pass a remaining factor again,
+    // and with the last factor gone no browser may skip MFA on the strength of an old grant
+    await revokeAllDeviceTrust(userId);
+
+    await recordAuditEvent({
+      userId,
+      eventType: "WEBAUTHN_CREDENTIAL_REMOVED",
+      ipAddress: getClientIp(req),
+      deviceId: req.user.sid,
+      metadata: { credential: row.id, name: row.name, method },
+    }).catch(() => { });
+    await notifySecurityEvent(req.user, {
+      subject: "A security key was removed from your PasswordPal account",
+      text: `The security key "${row.name}" can no longer be used to log in.`,
+    });
+
+    return res.status(200).json({ message: "Security key removed" });
+  } catch (err) {
+    console.error("WebAuthn delete error:", err);
+    return res.status(500).json({ error: "Failed to remove security key" });
+  }
+};
+
+// --- Login (second factor after the password, mfa-pending token) ---
+
+export const loginOptions = async (req, res) => {
+  try {
+    const pending = decodeMfaPendingCookie(req);
+    if (!pending) {
+      return res.status(401).json({ error: "Unauthorized - no pending login" });
+    }
+
+    const credentials = await listWebAuthnCredentials(pending.id);
+    if (credentials.length === 0) {
+      return res.status(400).json({ error: "No security keys are registered for this account" });
+    }
+
+    return res.status(200).json(await createSecurityKeyChallenge(pending.id, credentials, "webauthn-login"));
+  } catch (err) {
+    console.error("WebAuthn login options error:", err);
+    return res.status(500).json({ error: "Failed to start security key verification" });
+  }
+};
+
+export const loginVerify = async (req, res) => {
+  try {
+    const pending = decodeMfaPendingCookie(req);
+    if (!pending) {
+      return res.status(401).json({ error: "Unauthorized - no pending login" });
+    }
+    const userId = pending.id;
+    const { challenge_id, credential, trust_device } = req.body;
+
+    const result = await verifySecurityKeyAssertion(req, userId, challenge_id, credential, "webauthn-login");
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const user = await getUserById(userId);
+
+    const { device } = await issueSession(req, res, user);
+    if (trust_device) {
+      await grantTrustedDevice(res, userId, device.id);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Security key verification successful. Login complete.",
+      authenticated: true,
+      user: { id: user.id, email: user.email },
+    });
+  } catch (err) {
+    console.error("WebAuthn login error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+};
@@ -0,0 +1,46 @@
+import { getClientIp } from '../utils/session.js';
+
+/**
+ * Creates an in-memory, per-IP fixed-window rate limiter.
+ * Counts every request (not just failures), which suits unauthenticated lookup
+ * endpoints such as /auth/params and /auth/recover that an attacker would
+ * enumerate. State is per process; behind several instances each one limits
+ * independently.
+ *
+ * @param {Object} options
+ * @param {number} options.windowMs - Window length in milliseconds.
+ * @param {number} options.max - Requests allowed per IP per window.
+ * @returns {import('express').RequestHandler} Express middleware; responds 429 with Retry-After when exceeded.
+ *
+ * @example
+ * router.get('/params', createRateLimiter({ windowMs: 60_000, max: 20 }), getParams);
+ */
+export const createRateLimiter = ({ windowMs, max }) => {
+    const hits = new Map(); // ip → { count, resetAt }
+
+    const sweep = (now) => {
+        for (const [ip, entry] of hits) {
+            if (entry.resetAt <= now) hits.delete(ip);
+        }
+    };
+
+    return (req, res, next) => {
+        const now = Date.now();
+        if (hits.size > 10000) sweep(now);
+
+        const ip = getClientIp(req);
+        let entry = hits.get(ip);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(ip, entry);
+        }
+
+        entry.count += 1;
+        if (entry.count > max) {
+            res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+            return res.status(429).json({ error: 'Too many requests. Please try again later.' });
+        }
+
+        next();
+    };
+};
@@ -1,20 +1,33 @@
+const STALE_THRESHOLD_SECONDS = 5 * 60;
+
+/**
+ * Whether the user behind a decoded session token authenticated within the last 5 minutes.
+ * Uses the auth_time claim, which /auth/refresh carries over unchanged; iat is
+ * renewed on every refresh, so a stolen refresh cookie would otherwise look fresh.
+ * For handlers that only need a fresh session in some cases.
+ *
+ * @param {{ auth_time?: number }} user - Decoded access token (req.user).
+ * @returns {boolean}
+ */
+export const isFreshAuth = (user) => {
+    if (!user?.auth_time) return false;
+    const now = Math.floor(Date.now() / 1000); // Current time in seconds
+    return now - user.auth_time <= STALE_THRESHOLD_SECONDS;
+};
+
 /**
  * Middleware to ensure the user's session is "fresh" (e.g., login occurred recently).
  * Used for sensitive actions like exporting data or deleting accounts.
  * 
- * Rule: Token must be issued (iat) within the last 5 minutes.
+ * Rule: The user must have authenticated (auth_time) within the last 5 minutes.
  */
 export const requireFreshAuth = (req, res, next) => {
     // Assuming verifySession has already run and populated req.user
-    if (!req.user || !req.user.iat) {
+    if (!req.user) {
         return res.status(401).json({ error: 'Authentication required' });
     }
 
-    const tokenIssuedAt = req.user.iat; // In seconds
-    const now = Math.floor(Date.now() / 1000); // Current time in seconds
-    const staleThreshold = 5 * 60; // 5 minutes in seconds
-
-    if (now - tokenIssuedAt > staleThreshold) {
+    if (!isFreshAuth(req.user)) {
         return res.status(401).json({
             error: 'Fresh authentication required',
             code: 'REAUTH_REQUIRED' // Frontend will look for this specific code to trigger re-login modal
@@ -1,26 +1,44 @@
-import jwt from 'jsonwebtoken';
+import { TOKEN_TYPES, verifyToken } from '../config/tokenKeys.js';
+import { isSessionActive } from '../utils/sessionCache.js';
 
 /**
  * Middleware to verify the session JWT stored in cookies.
- * 
+ *
  * Logic:
  * 1. Checks for 'sb-access-token' in request cookies.
- * 2. Verifies the token using the secret.
- * 3. Decodes the user info and attaches it to `req.user`.
- * 4. Passes control to next middleware if valid, otherwise returns 401.
+ * 2. Verifies it as an access token (access-token keyring and audience only).
+ * 3. Checks that the session (`sid` claim → user_devices row) has not been revoked.
+ * 4. Decodes the user info and attaches it to `req.user`.
+ * 5. Passes control to next middleware if valid, otherwise returns 401.
  */
 export const verifySession = async (req, res, next) => {
+  let decoded;
   try {
     const token = req.cookies['sb-access-token'];
     if (!token) {
       return res.status(401).json({ error: 'No session found. Please login.' });
     }
 
-    // Verify JWT token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded; // Attach user info to request
-    next();
+    // Verify JWT token — mfa-pending, refresh and trusted-device tokens are rejected here
+    decoded = verifyToken(TOKEN_TYPES.ACCESS, token);
   } catch (err) {
     return res.status(401).json({ error: 'Invalid or expired session.' });
   }
+
+  // Every session token is bound to a device row; tokens without one are not sessions
+  if (!decoded.sid) {
+    return res.status(401).json({ error: 'Invalid or expired session.' });
+  }
+
+  try {
+    if (!(await isSessionActive(decoded.sid, decoded.id))) {
+      return res.status(401).json({ error: 'Session has been revoked. Please login again.' });
+    }
+  } catch (err) {
+    console.error('Session state lookup failed:', err.message || err);
+    return res.status(503).json({ error: 'Unable to verify session. Please try again.' });
+  }
+
+  req.user = decoded; // Attach user info to request
+  next();
 };
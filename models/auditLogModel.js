@@ -0,0 +1,61 @@
+// models/auditLogModel.js
+// Data access layer for the audit_logs table.
+// Records account-level security events only — vault activity is never logged server-side.
+
+import { supabase } from "../config/db.js";
+
+/**
+ * Record a security event for a user.
+ *
+ * @param {Object} params
+ * @param {string|null} params.userId - UUID of the affected user.
+ * @param {string} params.eventType - Event identifier (e.g. 'REFRESH_TOKEN_REUSE').
+ * @param {string|null} [params.ipAddress] - IP address of the originating request.
+ * @param {string|null} [params.deviceId] - UUID of the device involved, if known.
+ * @param {Object|null} [params.metadata] - Extra event details. Never include secrets.
+ * @returns {Promise<import('../validators/schemas.js').AuditLog>}
+ * @throws {Error} If the database insert fails.
+ */
+export async function recordAuditEvent({ userId, eventType, ipAddress = null, deviceId = null, metadata = null }) {
+    const { data, error } = await supabase
+        .from("audit_logs")
+        .insert([{
+            user_id: userId,
+            event_type: eventType,
+            ip_address: ipAddress,
+            device_id: deviceId,
+            metadata,
+        }])
+        .select()
+        .single();
+
+    if (error) {
+        throw new Error(`Error recording audit event: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * List a user's security events, newest first.
+ *
+ * @param {string} userId - UUID of the user.
+ * @param {Object} [options]
+ * @param {number} [options.limit=50] - Maximum rows to return.
+ * @returns {Promise<Array<Pick<import('../validators/schemas.js').AuditLog, 'id'|'event_type'|'ip_address'|'device_id'|'metadata'|'created_at'>>>}
+ * @throws {Error} If the database query fails.
+ */
+export async function listAuditEvents(userId, { limit = 50 } = {}) {
+    const { data, error } = await supabase
+        .from("audit_logs")
+        .select("id, event_type, ip_address, device_id, metadata, created_at")
+        .eq("user_id", userId)
+        .order("created_at", { ascending: false })
+        .limit(limit);
+
+    if (error) {
+        throw new Error(`Error listing audit events: ${error.message}`);
+    }
+
+    return data || [];
+}
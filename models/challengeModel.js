@@ -0,0 +1,91 @@
+// models/challengeModel.js
+// Data access layer for the auth_challenges table.
+// Short-lived, single-use server state for multi-step auth flows (e.g. SRP login).
+
+import { supabase } from "../config/db.js";
+
+/**
+ * Store a new challenge.
+ *
+ * @param {Object} params
+ * @param {string|null} params.userId - UUID of the user the challenge belongs to.
+ * @param {string} params.purpose - Flow identifier (e.g. 'srp-login'); consumers must ask for the same purpose.
+ * @param {Object} params.payload - Flow state. Encrypt anything secret before storing it here.
+ * @param {number} params.ttlSeconds - Lifetime of the challenge.
+ * @returns {Promise<import('../validators/schemas.js').AuthChallenge>}
+ * @throws {Error} If the database insert fails.
+ */
+export async function createChallenge({ userId, purpose, payload, ttlSeconds }) {
+    const { data, error } = await supabase
+        .from("auth_challenges")
+        .insert([{
+            user_id: userId,
+            purpose,
+            payload,
+            expires_at: new Date(Date.now() + ttlSeconds * 1000).toISOString(),
+        }])
+        .select()
+        .single();
+
+    if (error) {
+        throw new Error(`Error creating auth challenge: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Atomically consume a challenge. Succeeds at most once, and only before it expires.
+ *
+ * @param {string} challengeId - UUID of the challenge.
+ * @param {string} purpose - Expected purpose; a challenge issued for another flow is never returned.
+ * @returns {Promise<import('../validators/schemas.js').AuthChallenge|null>} The challenge, or null if unknown, expired or already used.
+ * @throws {Error} If the database update fails.
+ */
+export async function consumeChallenge(challengeId, purpose) {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+        .from("auth_challenges")
+        .update({ consumed_at: now })
+        .eq("id", challengeId)
+        .eq("purpose", purpose)
+        .is("consumed_at", null)
+        .gt("expires_at", now)
+        .select()
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Error consuming auth challenge: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Fetch a user's most recent challenge for a flow that is still usable, without
+ * consuming it. For flows that may be answered several times before they
+ * succeed (e.g. a mistyped TOTP code); consume it with consumeChallenge on success.
+ *
+ * @param {string} userId - UUID of the user.
+ * @param {string} purpose - Flow identifier.
+ * @returns {Promise<import('../validators/schemas.js').AuthChallenge|null>} null if there is none.
+ * @throws {Error} If the database query fails.
+ */
+export async function getActiveChallenge(userId, purpose) {
+    const { data, error } = await supabase
+        .from("auth_challenges")
+        .select("id, user_id, purpose, payload, expires_at, consumed_at, created_at")
+        .eq("user_id", userId)
+        .eq("purpose", purpose)
+        .is("consumed_at", null)
+        .gt("expires_at", new Date().toISOString())
+        .order("created_at", { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Error fetching auth challenge: ${error.message}`);
+    }
+
+    return data;
+}
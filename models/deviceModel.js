@@ -1,62 +1,42 @@
 import { supabase } from "../config/db.js";
-import { createHash } from "crypto";
+import { createHash, randomUUID } from "crypto";
 
 /**
- * Generate a stable device fingerprint from user ID + user-agent string.
- * Server-side deterministic fallback (SHA-256 of userId:userAgent).
+ * Generate a fingerprint for one login session: user ID + user-agent plus a
+ * random per-login nonce. Two logins never share a row, even from identical
+ * browsers, so revoking one session cannot be undone by logging in again.
  */
-function makeFingerprint(userId, userAgent) {
+function makeSessionFingerprint(userId, userAgent) {
   return createHash("sha256")
-    .update(`${userId}:${userAgent || "unknown"}`)
+    .update(`${userId}:${userAgent || "unknown"}:${randomUUID()}`)
     .digest("hex");
 }
 
 /**
- * Register (or update) a device session.
- * Upserts on the (user_id, device_fingerprint) unique constraint so
- * re-logins from the same device update last_login instead of duplicating.
+ * Register a new device session for a completed login.
+ * Every login gets its own row (and therefore its own sid); an existing row,
+ * revoked or not, is never reused or reactivated.
+ * Only the SHA-256 hash of the refresh token is stored, never the raw value.
  */
-export async function registerUserDevice(userId, deviceName, refreshToken) {
-  const fingerprint = makeFingerprint(userId, deviceName);
+export async function registerUserDevice(userId, deviceName, refreshTokenHash) {
   const tokenExpiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
-  const now = new Date().toISOString();
 
-  // Try insert first
-  const { data: inserted, error: insertError } = await supabase
+  const { data, error } = await supabase
     .from("user_devices")
     .insert({
       user_id: userId,
       device_name: deviceName,
-      device_fingerprint: fingerprint,
-      refresh_token: refreshToken,
+      device_fingerprint: makeSessionFingerprint(userId, deviceName),
+      refresh_token: refreshTokenHash,
       token_expires_at: tokenExpiresAt,
       is_revoked: false,
-      last_login: now,
+      last_login: new Date().toISOString(),
     })
     .select()
     .single();
 
-  // 23505 = unique_violation: device already registered, update it instead
-  if (insertError && insertError.code === "23505") {
-    const { data: updated, error: updateError } = await supabase
-      .from("user_devices")
-      .update({
-        refresh_token: refreshToken,
-        token_expires_at: tokenExpiresAt,
-        is_revoked: false,
-        last_login: now,
-      })
-      .eq("user_id", userId)
-      .eq("device_fingerprint", fingerprint)
-      .select()
-      .single();
-
-    if (updateError) throw updateError;
-    return updated;
-  }
-
-  if (insertError) throw insertError;
-  return inserted;
+  if (error) throw error;
+  return data;
 }
 
 /**
@@ -75,51 +55,65 @@ export async function getDevicesByUserId(userId) {
 }
 
 /**
- * Revoke a specific device by its ID, scoped to the user.
+ * Devices of a user that are still signed in: not revoked, with at least one
+ * refresh token that is neither revoked nor expired. Every login gets its own
+ * device row, so rows of sessions that simply ran out are left behind unrevoked.
  */
-export async function revokeDeviceById(deviceId, userId) {
-  console.log(`[REVOKE] Attemping to revoke device ${deviceId} for user ${userId}`);
+export async function getSignedInDevicesByUserId(userId) {
   const { data, error } = await supabase
     .from("user_devices")
-    .update({ is_revoked: true, revoked_at: new Date().toISOString() })
-    .eq("id", deviceId)
+    .select("id, user_id, device_name, last_login, refresh_tokens!inner(id)")
     .eq("user_id", userId)
-    .select();
+    .eq("is_revoked", false)
+    .eq("refresh_tokens.is_revoked", false)
+    .gt("refresh_tokens.expires_at", new Date().toISOString())
+    .order("last_login", { ascending: false });
+
+  if (error) throw error;
+  return (data || []).map(({ refresh_tokens, ...device }) => device);
+}
+
+/**
+ * Revoke a specific device by its ID, scoped to the user.
+ * One transaction (RPC revoke_device_session) also drops its trusted-device
+ * grant and revokes every refresh token issued to it.
+ */
+export async function revokeDeviceById(deviceId, userId) {
+  const { data, error } = await supabase.rpc("revoke_device_session", {
+    p_device_id: deviceId,
+    p_user_id: userId,
+  });
 
-  console.log(`[REVOKE] Update result: data=${JSON.stringify(data)}, error=${error}`);
   if (error) throw error;
-  if (!data || data.length === 0) {
-    console.warn(`[REVOKE] No rows updated! Either device doesn't exist or doesn't belong to the user.`);
-    throw new Error("Device not found or not owned by user");
-  }
+  if (!data) throw new Error("Device not found or not owned by user");
 }
 
 /**
- * Revoke a device by its refresh token (used during logout).
+ * Revoke a device by its refresh token hash (used during logout).
  */
-export async function revokeDeviceByToken(refreshToken) {
+export async function revokeDeviceByToken(refreshTokenHash) {
   const { error } = await supabase
     .from("user_devices")
     .update({ is_revoked: true, revoked_at: new Date().toISOString() })
-    .eq("refresh_token", refreshToken);
+    .eq("refresh_token", refreshTokenHash);
 
   if (error) throw error;
 }
 
 /**
- * Update the refresh token and expiry for a device (token rotation on /refresh).
+ * Update the refresh token hash and expiry for a device (token rotation on /refresh).
  */
-export async function updateDeviceToken(oldToken, newToken) {
+export async function updateDeviceToken(oldTokenHash, newTokenHash) {
   const tokenExpiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
 
   const { data, error } = await supabase
     .from("user_devices")
     .update({
-      refresh_token: newToken,
+      refresh_token: newTokenHash,
       token_expires_at: tokenExpiresAt,
       last_login: new Date().toISOString(),
     })
-    .eq("refresh_token", oldToken)
+    .eq("refresh_token", oldTokenHash)
     .eq("is_revoked", false)
     .select()
     .maybeSingle();
@@ -127,3 +121,124 @@ export async function updateDeviceToken(oldToken, newToken) {
   if (error) throw error;
   return data;
 }
+
+/**
+ * Fetch the revocation state of a single device session.
+ * Used by verifySession (through the session cache) on authenticated requests.
+ *
+ * @param {string} deviceId - UUID of the device row (the access token's `sid`).
+ * @returns {Promise<{ id: string, user_id: string, is_revoked: boolean }|null>}
+ */
+export async function getDeviceSessionState(deviceId) {
+  const { data, error } = await supabase
+    .from("user_devices")
+    .select("id, user_id, is_revoked")
+    .eq("id", deviceId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// --- Trusted-device grants ---
+// A device row with trusted_until in the future and a trust_token_id skips MFA
+// at password login, as long as the browser presents the matching sb-trusted-device cookie.
+
+const TRUST_COLUMNS = "id, user_id, device_name, last_login, trusted_until, trust_token_id";
+
+/**
+ * Store a trusted-device grant on a device row, replacing any earlier one.
+ *
+ * @param {string} deviceId - UUID of the device row.
+ * @param {string} userId - UUID of the owner.
+ * @param {string} trustTokenId - jti of the sb-trusted-device cookie.
+ * @param {string} trustedUntil - ISO 8601 expiry of the grant.
+ * @returns {Promise<Object>} The updated row.
+ */
+export async function trustDevice(deviceId, userId, trustTokenId, trustedUntil) {
+  const { data, error } = await supabase
+    .from("user_devices")
+    .update({ trusted_until: trustedUntil, trust_token_id: trustTokenId })
+    .eq("id", deviceId)
+    .eq("user_id", userId)
+    .select(TRUST_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Fetch the trusted-device grant of a device row.
+ *
+ * @param {string} deviceId - UUID of the device row (the cookie's `did`).
+ * @returns {Promise<{ id: string, user_id: string, trusted_until: string|null, trust_token_id: string|null }|null>}
+ */
+export async function getDeviceTrust(deviceId) {
+  const { data, error } = await supabase
+    .from("user_devices")
+    .select("id, user_id, trusted_until, trust_token_id")
+    .eq("id", deviceId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * List a user's devices with an unexpired trusted-device grant, most recent login first.
+ *
+ * @param {string} userId - UUID of the user.
+ * @returns {Promise<Object[]>}
+ */
+export async function getTrustedDevicesByUserId(userId) {
+  const { data, error } = await supabase
+    .from("user_devices")
+    .select(TRUST_COLUMNS)
+    .eq("user_id", userId)
+    .not("trust_token_id", "is", null)
+    .gt("trusted_until", new Date().toISOString())
+    .order("last_login", { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Drop the trusted-device grant of one of a user's devices. The session itself stays.
+ *
+ * @param {string} deviceId - UUID of the device row.
+ * @param {string} userId - UUID of the owner.
+ * @returns {Promise<Object|null>} The updated row, or null if the user has no such trusted device.
+ */
+export async function revokeDeviceTrust(deviceId, userId) {
+  const { data, error } = await supabase
+    .from("user_devices")
+    .update({ trusted_until: null, trust_token_id: null })
+    .eq("id", deviceId)
+    .eq("user_id", userId)
+    .not("trust_token_id", "is", null)
+    .select(TRUST_COLUMNS)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Drop every trusted-device grant of a user, e.g. after an MFA reset.
+ *
+ * @param {string} userId - UUID of the user.
+ * @returns {Promise<number>} How many grants were dropped.
+ */
+export async function revokeAllDeviceTrust(userId) {
+  const { data, error } = await supabase
+    .from("user_devices")
+    .update({ trusted_until: null, trust_token_id: null })
+    .eq("user_id", userId)
+    .not("trust_token_id", "is", null)
+    .select("id");
+
+  if (error) throw error;
+  return (data || []).length;
+}
@@ -0,0 +1,80 @@
+// models/emailVerificationModel.js
+// Data access layer for the email_verification_tokens table.
+// Each row backs one signed verification link and can be used exactly once.
+
+import { supabase } from "../config/db.js";
+
+/**
+ * Create a verification token row for a user's current email address.
+ *
+ * @param {Object} params
+ * @param {string} params.userId - UUID of the user.
+ * @param {string} params.email - The address the link verifies.
+ * @param {string} params.expiresAt - ISO 8601 expiry timestamp.
+ * @returns {Promise<import('../validators/schemas.js').EmailVerificationToken>}
+ * @throws {Error} If the database insert fails.
+ */
+export async function createVerificationToken({ userId, email, expiresAt }) {
+    const { data, error } = await supabase
+        .from("email_verification_tokens")
+        .insert([{ user_id: userId, email, expires_at: expiresAt }])
+        .select()
+        .single();
+
+    if (error) {
+        throw new Error(`Error creating verification token: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Atomically mark a token as used. Succeeds at most once, and only before it expires.
+ *
+ * @param {string} tokenId - UUID of the token row (the link's jti).
+ * @param {string} userId - UUID the link was issued to.
+ * @returns {Promise<import('../validators/schemas.js').EmailVerificationToken|null>} The row, or null if unknown, used or expired.
+ * @throws {Error} If the database update fails.
+ */
+export async function consumeVerificationToken(tokenId, userId) {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+        .from("email_verification_tokens")
+        .update({ used_at: now })
+        .eq("id", tokenId)
+        .eq("user_id", userId)
+        .is("used_at", null)
+        .gt("expires_at", now)
+        .select()
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Error consuming verification token: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Creation times of a user's verification tokens since a point in time, newest first.
+ * Used to throttle resends.
+ *
+ * @param {string} userId - UUID of the user.
+ * @param {string} sinceIso - ISO 8601 lower bound.
+ * @returns {Promise<string[]>}
+ * @throws {Error} If the database query fails.
+ */
+export async function getRecentVerificationTokenTimes(userId, sinceIso) {
+    const { data, error } = await supabase
+        .from("email_verification_tokens")
+        .select("created_at")
+        .eq("user_id", userId)
+        .gt("created_at", sinceIso)
+        .order("created_at", { ascending: false });
+
+    if (error) {
+        throw new Error(`Error fetching verification tokens: ${error.message}`);
+    }
+
+    return (data || []).map((row) => row.created_at);
+}
@@ -45,6 +45,74 @@ export async function recordLoginAttempt({ userId, ipAddress, wasSuccessful, use
     return data;
 }
 
+/**
+ * Count a login attempt for a known account before its password is checked
+ * (RPC begin_login_attempt). Under a per-account lock the attempt is refused
+ * during backoff or a lock, or else stored as a failure.
+ *
+ * @param {Object} params
+ * @param {string} params.userId - UUID of the account.
+ * @param {string} params.ipAddress - IP address of the attempt.
+ * @param {string|null} [params.userAgent] - Browser/client User-Agent string.
+ * @param {{ threshold: number, windowMinutes: number, durationMinutes: number, backoffAfter: number, backoffBaseSeconds: number }} params.policy
+ * @returns {Promise<{ attempt_id?: string, failures: number, locked?: boolean, blocked_until?: string }>}
+ * @throws {Error} If the database call fails.
+ */
+export async function beginLoginAttempt({ userId, ipAddress, userAgent = null, policy }) {
+    const { data, error } = await supabase.rpc("begin_login_attempt", {
+        p_user_id: userId,
+        p_ip_address: ipAddress,
+        p_user_agent: userAgent,
+        p_threshold: policy.threshold,
+        p_window_minutes: policy.windowMinutes,
+        p_duration_minutes: policy.durationMinutes,
+        p_backoff_after: policy.backoffAfter,
+        p_backoff_base_seconds: policy.backoffBaseSeconds,
+    });
+
+    if (error) {
+        throw new Error(`Error recording login attempt: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Mark an attempt whose password was accepted, which ends the account's run of failures.
+ *
+ * @param {string} attemptId - UUID returned by beginLoginAttempt.
+ * @returns {Promise<void>}
+ * @throws {Error} If the database update fails.
+ */
+export async function markLoginAttemptSuccessful(attemptId) {
+    const { error } = await supabase
+        .from("login_attempts")
+        .update({ was_successful: true })
+        .eq("id", attemptId);
+
+    if (error) {
+        throw new Error(`Error recording login attempt: ${error.message}`);
+    }
+}
+
+/**
+ * Withdraw an attempt that should not count either way (e.g. unverified email).
+ *
+ * @param {string} attemptId - UUID returned by beginLoginAttempt.
+ * @returns {Promise<void>}
+ * @throws {Error} If the database delete fails.
+ */
+export async function deleteLoginAttempt(attemptId) {
+    const { error } = await supabase
+        .from("login_attempts")
+        .delete()
+        .eq("id", attemptId);
+
+    if (error) {
+        throw new Error(`Error deleting login attempt: ${error.message}`);
+    }
+}
+
 /**
  * Count recent failed login attempts for rate-limiting.
  * Looks at attempts within the specified time window.
@@ -77,3 +145,30 @@ export async function countRecentFailedAttempts(ipAddress, userId = null, window
 
     return count || 0;
 }
+
+/**
+ * Most recent login attempts for one account, newest first.
+ * Used by the per-account lockout policy, which looks at the run of failures
+ * since the last success.
+ *
+ * @param {string} userId - UUID of the account.
+ * @param {string} sinceIso - Only attempts after this ISO 8601 timestamp.
+ * @param {number} limit - Maximum rows to return.
+ * @returns {Promise<Array<{ was_successful: boolean, attempt_time: string }>>}
+ * @throws {Error} If the database query fails.
+ */
+export async function getRecentAttemptsForUser(userId, sinceIso, limit) {
+    const { data, error } = await supabase
+        .from("login_attempts")
+        .select("was_successful, attempt_time")
+        .eq("user_id", userId)
+        .gt("attempt_time", sinceIso)
+        .order("attempt_time", { ascending: false })
+        .limit(limit);
+
+    if (error) {
+        throw new Error(`Error fetching login attempts: ${error.message}`);
+    }
+
+    return data || [];
+}
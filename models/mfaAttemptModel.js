@@ -0,0 +1,147 @@
+// models/mfaAttemptModel.js
+// Data access layer for the mfa_attempts table.
+// Tracks second-factor attempts (TOTP, backup and email codes) for the per-user
+// and per-login limits in utils/mfaAttempts.js.
+
+import { supabase } from "../config/db.js";
+
+/**
+ * Count a second-factor attempt before its code is checked (RPC begin_mfa_attempt).
+ * Under a per-user lock the attempt is refused when the limits are reached, or
+ * else stored as a failure, so parallel guesses cannot all pass the same check.
+ *
+ * @param {Object} params
+ * @param {string} params.userId - UUID of the user the code is tried for.
+ * @param {string|null} [params.pendingTokenId] - jti of the mfa-pending token, if any.
+ * @param {'totp'|'backup_code'|'email_otp'} params.method - Which kind of code is sent.
+ * @param {string} params.ipAddress - IP address of the attempt.
+ * @param {{ maxAttemptsPerToken: number, threshold: number, windowMinutes: number, durationMinutes: number }} params.policy
+ * @returns {Promise<{ attempt_id?: string, failures?: number, locked?: boolean, locked_until?: string, token_exhausted?: boolean }>}
+ * @throws {Error} If the database call fails.
+ */
+export async function beginMfaAttempt({ userId, pendingTokenId = null, method, ipAddress, policy }) {
+    const { data, error } = await supabase.rpc("begin_mfa_attempt", {
+        p_user_id: userId,
+        p_pending_token_id: pendingTokenId,
+        p_method: method,
+        p_ip_address: ipAddress,
+        p_max_attempts_per_token: policy.maxAttemptsPerToken,
+        p_threshold: policy.threshold,
+        p_window_minutes: policy.windowMinutes,
+        p_duration_minutes: policy.durationMinutes,
+    });
+
+    if (error) {
+        throw new Error(`Error recording MFA attempt: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Mark an attempt whose code was accepted, which ends the user's run of failures.
+ *
+ * @param {string} attemptId - UUID returned by beginMfaAttempt.
+ * @returns {Promise<void>}
+ * @throws {Error} If the database update fails.
+ */
+export async function markMfaAttemptSuccessful(attemptId) {
+    const { error } = await supabase
+        .from("mfa_attempts")
+        .update({ was_successful: true })
+        .eq("id", attemptId);
+
+    if (error) {
+        throw new Error(`Error recording MFA attempt: ${error.message}`);
+    }
+}
+
+/**
+ * Withdraw an attempt that never checked a code (e.g. none had been sent).
+ *
+ * @param {string} attemptId - UUID returned by beginMfaAttempt.
+ * @returns {Promise<void>}
+ * @throws {Error} If the database delete fails.
+ */
+export async function deleteMfaAttempt(attemptId) {
+    const { error } = await supabase
+        .from("mfa_attempts")
+        .delete()
+        .eq("id", attemptId);
+
+    if (error) {
+        throw new Error(`Error deleting MFA attempt: ${error.message}`);
+    }
+}
+
+/**
+ * Most recent second-factor attempts for one user, newest first.
+ *
+ * @param {string} userId - UUID of the user.
+ * @param {string} sinceIso - Only attempts after this ISO 8601 timestamp.
+ * @param {number} limit - Maximum rows to return.
+ * @returns {Promise<Array<{ was_successful: boolean, attempt_time: string }>>}
+ * @throws {Error} If the database query fails.
+ */
+export async function getRecentMfaAttemptsForUser(userId, sinceIso, limit) {
+    const { data, error } = await supabase
+        .from("mfa_attempts")
+        .select("was_successful, attempt_time")
+        .eq("user_id", userId)
+        .gt("attempt_time", sinceIso)
+        .order("attempt_time", { ascending: false })
+        .limit(limit);
+
+    if (error) {
+        throw new Error(`Error fetching MFA attempts: ${error.message}`);
+    }
+
+    return data || [];
+}
+
+/**
+ * Count the wrong codes sent with one mfa-pending token.
+ *
+ * @param {string} pendingTokenId - jti of the mfa-pending token.
+ * @returns {Promise<number>}
+ * @throws {Error} If the database query fails.
+ */
+export async function countFailedMfaAttemptsForToken(pendingTokenId) {
+    const { count, error } = await supabase
+        .from("mfa_attempts")
+        .select("id", { count: 'exact', head: true })
+        .eq("pending_token_id", pendingTokenId)
+        .eq("was_successful", false);
+
+    if (error) {
+        throw new Error(`Error counting MFA attempts: ${error.message}`);
+    }
+
+    return count || 0;
+}
+
+/**
+ * When a user last completed a second-factor check with one kind of code.
+ *
+ * @param {string} userId - UUID of the user.
+ * @param {'totp'|'backup_code'|'email_otp'} method - Kind of code.
+ * @returns {Promise<string|null>} ISO 8601 timestamp, or null if never.
+ * @throws {Error} If the database query fails.
+ */
+export async function getLastSuccessfulMfaAttempt(userId, method) {
+    const { data, error } = await supabase
+        .from("mfa_attempts")
+        .select("attempt_time")
+        .eq("user_id", userId)
+        .eq("method", method)
+        .eq("was_successful", true)
+        .order("attempt_time", { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Error fetching MFA attempts: ${error.message}`);
+    }
+
+    return data?.attempt_time ?? null;
+}
@@ -0,0 +1,137 @@
+// models/mfaEmailCodeModel.js
+// Data access layer for the mfa_email_codes table.
+// Hashed one-time codes emailed during the MFA step of a login.
+
+import { supabase } from "../config/db.js";
+
+/**
+ * Store a newly sent code.
+ *
+ * @param {Object} params
+ * @param {string} params.userId - UUID of the user logging in.
+ * @param {string} params.pendingTokenId - jti of the mfa-pending token the code is for.
+ * @param {string} params.codeHash - Hash of the code; never the code itself.
+ * @param {number} params.ttlSeconds - Lifetime of the code.
+ * @returns {Promise<import('../validators/schemas.js').MfaEmailCode>}
+ * @throws {Error} If the database insert fails.
+ */
+export async function createEmailCode({ userId, pendingTokenId, codeHash, ttlSeconds }) {
+    const { data, error } = await supabase
+        .from("mfa_email_codes")
+        .insert([{
+            user_id: userId,
+            pending_token_id: pendingTokenId,
+            code_hash: codeHash,
+            expires_at: new Date(Date.now() + ttlSeconds * 1000).toISOString(),
+        }])
+        .select()
+        .single();
+
+    if (error) {
+        throw new Error(`Error creating email code: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * The latest code sent for a login, if it is unused and unexpired. Sending a new
+ * code therefore retires the previous one.
+ *
+ * @param {string} userId - UUID of the user.
+ * @param {string} pendingTokenId - jti of the mfa-pending token.
+ * @returns {Promise<import('../validators/schemas.js').MfaEmailCode|null>} null if there is none.
+ * @throws {Error} If the database query fails.
+ */
+export async function getActiveEmailCode(userId, pendingTokenId) {
+    const { data, error } = await supabase
+        .from("mfa_email_codes")
+        .select()
+        .eq("user_id", userId)
+        .eq("pending_token_id", pendingTokenId)
+        .order("created_at", { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Error fetching email code: ${error.message}`);
+    }
+
+    if (!data || data.consumed_at || new Date(data.expires_at) <= new Date()) return null;
+    return data;
+}
+
+/**
+ * Count a wrong code against a sent one. Conditional on the count the caller
+ * read, so the count never goes backwards; a guess that loses a race is still
+ * counted for the login in mfa_attempts.
+ *
+ * @param {string} id - UUID of the code.
+ * @param {number} attempts - attempts the caller read.
+ * @returns {Promise<boolean>} false if another attempt was counted in the meantime.
+ * @throws {Error} If the database update fails.
+ */
+export async function recordEmailCodeFailure(id, attempts) {
+    const { data, error } = await supabase
+        .from("mfa_email_codes")
+        .update({ attempts: attempts + 1 })
+        .eq("id", id)
+        .eq("attempts", attempts)
+        .select("id")
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Error recording email code attempt: ${error.message}`);
+    }
+
+    return !!data;
+}
+
+/**
+ * Use up a code. Succeeds at most once, and only before it expires.
+ *
+ * @param {string} id - UUID of the code.
+ * @returns {Promise<boolean>} false if already used or expired.
+ * @throws {Error} If the database update fails.
+ */
+export async function consumeEmailCode(id) {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+        .from("mfa_email_codes")
+        .update({ consumed_at: now })
+        .eq("id", id)
+        .is("consumed_at", null)
+        .gt("expires_at", now)
+        .select("id")
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Error consuming email code: ${error.message}`);
+    }
+
+    return !!data;
+}
+
+/**
+ * Creation times of a user's codes since a point in time, newest first.
+ * Used to throttle resends.
+ *
+ * @param {string} userId - UUID of the user.
+ * @param {string} sinceIso - ISO 8601 lower bound.
+ * @returns {Promise<string[]>}
+ * @throws {Error} If the database query fails.
+ */
+export async function getRecentEmailCodeTimes(userId, sinceIso) {
+    const { data, error } = await supabase
+        .from("mfa_email_codes")
+        .select("created_at")
+        .eq("user_id", userId)
+        .gt("created_at", sinceIso)
+        .order("created_at", { ascending: false });
+
+    if (error) {
+        throw new Error(`Error fetching email codes: ${error.message}`);
+    }
+
+    return (data || []).map((row) => row.created_at);
+}
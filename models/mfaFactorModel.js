@@ -0,0 +1,212 @@
+// models/mfaFactorModel.js
+// Data access layer for the mfa_factors table.
+// One row per enrolled second factor (currently TOTP authenticators), so a user
+// can keep several named authenticators side by side.
+
+import { supabase } from "../config/db.js";
+
+const FACTOR_COLUMNS = "id, user_id, type, name, secret_enc, last_totp_step, created_at, last_used_at";
+
+/**
+ * List a user's factors of one type, oldest first.
+ *
+ * @param {string} userId - UUID of the user.
+ * @param {string} [type='totp'] - Factor type.
+ * @returns {Promise<import('../validators/schemas.js').MfaFactor[]>}
+ * @throws {Error} If the database query fails.
+ */
+export async function listMfaFactors(userId, type = "totp") {
+    const { data, error } = await supabase
+        .from("mfa_factors")
+        .select(FACTOR_COLUMNS)
+        .eq("user_id", userId)
+        .eq("type", type)
+        .order("created_at", { ascending: true });
+
+    if (error) {
+        throw new Error(`Error fetching MFA factors: ${error.message}`);
+    }
+
+    return data || [];
+}
+
+/**
+ * Store a newly enrolled factor.
+ *
+ * @param {Object} params
+ * @param {string} params.userId - UUID of the user.
+ * @param {string} [params.type='totp'] - Factor type.
+ * @param {string} params.name - User-chosen label.
+ * @param {string|null} [params.secretEnc] - Encrypted TOTP secret.
+ * @param {number|null} [params.lastTotpStep] - Time step of the code that confirmed enrollment.
+ * @returns {Promise<import('../validators/schemas.js').MfaFactor>}
+ * @throws {Error} If the database insert fails.
+ */
+export async function createMfaFactor({ userId, type = "totp", name, secretEnc = null, lastTotpStep = null }) {
+    const { data, error } = await supabase
+        .from("mfa_factors")
+        .insert([{
+            user_id: userId,
+            type,
+            name,
+            secret_enc: secretEnc,
+            last_totp_step: lastTotpStep,
+        }])
+        .select(FACTOR_COLUMNS)
+        .single();
+
+    if (error) {
+        throw new Error(`Error creating MFA factor: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Record the time step of a code a TOTP factor accepted. Only moves forward,
+ * so of two requests racing with the same code exactly one wins.
+ *
+ * @param {string} id - UUID of the factor.
+ * @param {number} step - Time step (unix time / 30) the code matched.
+ * @returns {Promise<boolean>} false if this step (or a later one) was already used.
+ * @throws {Error} If the database update fails.
+ */
+export async function recordTotpFactorUse(id, step) {
+    const { data, error } = await supabase
+        .from("mfa_factors")
+        .update({ last_totp_step: step, last_used_at: new Date().toISOString() })
+        .eq("id", id)
+        .or(`last_totp_step.is.null,last_totp_step.lt.${step}`)
+        .select("id")
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Error recording MFA factor use: ${error.message}`);
+    }
+
+    return !!data;
+}
+
+/**
+ * Rename one of a user's factors.
+ *
+ * @param {string} userId - UUID of the user.
+ * @param {string} id - UUID of the factor.
+ * @param {string} name - New label.
+ * @returns {Promise<import('../validators/schemas.js').MfaFactor|null>} null if the user has no such factor.
+ * @throws {Error} If the database update fails.
+ */
+export async function renameMfaFactor(userId, id, name) {
+    const { data, error } = await supabase
+        .from("mfa_factors")
+        .update({ name })
+        .eq("id", id)
+        .eq("user_id", userId)
+        .select(FACTOR_COLUMNS)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Error renaming MFA factor: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Delete one of a user's factors.
+ *
+ * @param {string} userId - UUID of the user.
+ * @param {string} id - UUID of the factor.
+ * @returns {Promise<import('../validators/schemas.js').MfaFactor|null>} The deleted row, or null if the user has no such factor.
+ * @throws {Error} If the database delete fails.
+ */
+export async function deleteMfaFactor(userId, id) {
+    const { data, error } = await supabase
+        .from("mfa_factors")
+        .delete()
+        .eq("id", id)
+        .eq("user_id", userId)
+        .select(FACTOR_COLUMNS)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Error deleting MFA factor: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Delete all of a user's factors of one type.
+ *
+ * @param {string} userId - UUID of the user.
+ * @param {string} [type='totp'] - Factor type.
+ * @returns {Promise<number>} How many factors were deleted.
+ * @throws {Error} If the database delete fails.
+ */
+export async function deleteMfaFactors(userId, type = "totp") {
+    const { data, error } = await supabase
+        .from("mfa_factors")
+        .delete()
+        .eq("user_id", userId)
+        .eq("type", type)
+        .select("id");
+
+    if (error) {
+        throw new Error(`Error deleting MFA factors: ${error.message}`);
+    }
+
+    return (data || []).length;
+}
+
+/**
+ * One page of stored factor secrets, ordered by id, for the re-encryption job.
+ *
+ * @param {string|null} afterId - Last id of the previous page, or null for the first.
+ * @param {number} limit - Page size.
+ * @returns {Promise<{ id: string, secret_enc: string }[]>}
+ * @throws {Error} If the database query fails.
+ */
+export async function listFactorSecretsPage(afterId, limit) {
+    let query = supabase
+        .from("mfa_factors")
+        .select("id, secret_enc")
+        .not("secret_enc", "is", null)
+        .order("id", { ascending: true })
+        .limit(limit);
+    if (afterId) query = query.gt("id", afterId);
+
+    const { data, error } = await query;
+
+    if (error) {
+        throw new Error(`Error fetching MFA factor secrets: ${error.message}`);
+    }
+
+    return data || [];
+}
+
+/**
+ * Swap a factor's secret for its re-encrypted form. Conditional on the value the
+ * caller read, so a factor changed or removed in the meantime is left alone.
+ *
+ * @param {string} id - UUID of the factor.
+ * @param {string} expectedEnc - secret_enc the caller read.
+ * @param {string} secretEnc - The same secret under the current key.
+ * @returns {Promise<boolean>} false if the secret changed in the meantime.
+ * @throws {Error} If the database update fails.
+ */
+export async function replaceFactorSecretEnc(id, expectedEnc, secretEnc) {
+    const { data, error } = await supabase
+        .from("mfa_factors")
+        .update({ secret_enc: secretEnc })
+        .eq("id", id)
+        .eq("secret_enc", expectedEnc)
+        .select("id")
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Error replacing MFA factor secret: ${error.message}`);
+    }
+
+    return !!data;
+}
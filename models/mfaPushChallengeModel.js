@@ -0,0 +1,142 @@
+// models/mfaPushChallengeModel.js
+// Data access layer for the mfa_push_challenges table.
+// A login waiting at the MFA step that another signed-in device can approve or deny.
+
+import { supabase } from "../config/db.js";
+
+/**
+ * Store a new pending push challenge.
+ *
+ * @param {Object} params
+ * @param {string} params.userId - UUID of the user logging in.
+ * @param {string} params.pendingTokenId - jti of the waiting login's mfa-pending token.
+ * @param {number} params.numberMatch - Number shown on the machine logging in.
+ * @param {number[]} params.numberChoices - Numbers offered on approving devices.
+ * @param {string|null} params.ipAddress - IP of the waiting login.
+ * @param {string|null} params.userAgent - User agent of the waiting login.
+ * @param {number} params.ttlSeconds - Lifetime of the challenge.
+ * @returns {Promise<import('../validators/schemas.js').MfaPushChallenge>}
+ * @throws {Error} If the database insert fails.
+ */
+export async function createPushChallenge({ userId, pendingTokenId, numberMatch, numberChoices, ipAddress, userAgent, ttlSeconds }) {
+    const { data, error } = await supabase
+        .from("mfa_push_challenges")
+        .insert([{
+            user_id: userId,
+            pending_token_id: pendingTokenId,
+            number_match: numberMatch,
+            number_choices: numberChoices,
+            ip_address: ipAddress,
+            user_agent: userAgent,
+            expires_at: new Date(Date.now() + ttlSeconds * 1000).toISOString(),
+        }])
+        .select()
+        .single();
+
+    if (error) {
+        throw new Error(`Error creating push challenge: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Fetch one push challenge.
+ *
+ * @param {string} id - UUID of the challenge.
+ * @returns {Promise<import('../validators/schemas.js').MfaPushChallenge|null>}
+ * @throws {Error} If the database query fails.
+ */
+export async function getPushChallenge(id) {
+    const { data, error } = await supabase
+        .from("mfa_push_challenges")
+        .select()
+        .eq("id", id)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Error fetching push challenge: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * A user's push challenges that are still waiting for an answer, newest first.
+ *
+ * @param {string} userId - UUID of the user.
+ * @returns {Promise<import('../validators/schemas.js').MfaPushChallenge[]>}
+ * @throws {Error} If the database query fails.
+ */
+export async function listPendingPushChallenges(userId) {
+    const { data, error } = await supabase
+        .from("mfa_push_challenges")
+        .select()
+        .eq("user_id", userId)
+        .eq("status", "pending")
+        .gt("expires_at", new Date().toISOString())
+        .order("created_at", { ascending: false });
+
+    if (error) {
+        throw new Error(`Error fetching push challenges: ${error.message}`);
+    }
+
+    return data || [];
+}
+
+/**
+ * Approve or deny a pending challenge. Succeeds at most once, and only before it expires.
+ *
+ * @param {string} id - UUID of the challenge.
+ * @param {string} userId - UUID of the user; another user's challenge is never answered.
+ * @param {'approved'|'denied'} status - The answer.
+ * @param {string|null} deviceId - UUID of the answering device.
+ * @returns {Promise<import('../validators/schemas.js').MfaPushChallenge|null>} null if unknown, expired or already answered.
+ * @throws {Error} If the database update fails.
+ */
+export async function respondToPushChallenge(id, userId, status, deviceId) {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+        .from("mfa_push_challenges")
+        .update({ status, responded_device_id: deviceId, responded_at: now })
+        .eq("id", id)
+        .eq("user_id", userId)
+        .eq("status", "pending")
+        .gt("expires_at", now)
+        .select()
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Error answering push challenge: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Mark an approved challenge as used by the login it belongs to. Succeeds at most
+ * once, so an approval yields a single session.
+ *
+ * @param {string} id - UUID of the challenge.
+ * @param {string} pendingTokenId - jti of the mfa-pending token presented.
+ * @returns {Promise<import('../validators/schemas.js').MfaPushChallenge|null>} null if not approved, already used, expired or for another login.
+ * @throws {Error} If the database update fails.
+ */
+export async function completePushChallenge(id, pendingTokenId) {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+        .from("mfa_push_challenges")
+        .update({ status: "completed", completed_at: now })
+        .eq("id", id)
+        .eq("pending_token_id", pendingTokenId)
+        .eq("status", "approved")
+        .gt("expires_at", now)
+        .select()
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Error completing push challenge: ${error.message}`);
+    }
+
+    return data;
+}
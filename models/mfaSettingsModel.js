@@ -15,7 +15,7 @@ import { supabase } from "../config/db.js";
 export async function getMfaSettings(userId) {
     const { data, error } = await supabase
         .from("mfa_settings")
-        .select("user_id, totp_secret_enc, is_totp_enabled, backup_codes_enc, codes_used, updated_at")
+        .select("user_id, totp_secret_enc, is_totp_enabled, backup_codes_enc, codes_used, last_totp_step, updated_at")
         .eq("user_id", userId)
         .single();
 
@@ -37,10 +37,11 @@ export async function getMfaSettings(userId) {
  * @param {boolean} [params.isTotpEnabled] - Whether TOTP is enabled.
  * @param {string|null} [params.backupCodesEnc] - Encrypted backup codes blob.
  * @param {number} [params.codesUsed] - Count of consumed backup codes.
+ * @param {number|null} [params.lastTotpStep] - Latest accepted TOTP time step.
  * @returns {Promise<import('../validators/schemas.js').MfaSetting>}
  * @throws {Error} If the database operation fails.
  */
-export async function upsertMfaSettings({ userId, totpSecretEnc, isTotpEnabled, backupCodesEnc, codesUsed }) {
+export async function upsertMfaSettings({ userId, totpSecretEnc, isTotpEnabled, backupCodesEnc, codesUsed, lastTotpStep }) {
     const record = {
         user_id: userId,
         updated_at: new Date().toISOString(),
@@ -50,6 +51,7 @@ export async function upsertMfaSettings({ userId, totpSecretEnc, isTotpEnabled,
     if (isTotpEnabled !== undefined) record.is_totp_enabled = isTotpEnabled;
     if (backupCodesEnc !== undefined) record.backup_codes_enc = backupCodesEnc;
     if (codesUsed !== undefined) record.codes_used = codesUsed;
+    if (lastTotpStep !== undefined) record.last_totp_step = lastTotpStep;
 
     const { data, error } = await supabase
         .from("mfa_settings")
@@ -64,6 +66,86 @@ export async function upsertMfaSettings({ userId, totpSecretEnc, isTotpEnabled,
     return data;
 }
 
+/**
+ * One page of stored TOTP secrets, ordered by user, for the re-encryption job.
+ *
+ * @param {string|null} afterUserId - Last user_id of the previous page, or null for the first.
+ * @param {number} limit - Page size.
+ * @returns {Promise<{ user_id: string, totp_secret_enc: string }[]>}
+ * @throws {Error} If the database query fails.
+ */
+export async function listTotpSecretsPage(afterUserId, limit) {
+    let query = supabase
+        .from("mfa_settings")
+        .select("user_id, totp_secret_enc")
+        .not("totp_secret_enc", "is", null)
+        .order("user_id", { ascending: true })
+        .limit(limit);
+    if (afterUserId) query = query.gt("user_id", afterUserId);
+
+    const { data, error } = await query;
+
+    if (error) {
+        throw new Error(`Error fetching TOTP secrets: ${error.message}`);
+    }
+
+    return data || [];
+}
+
+/**
+ * Swap a stored TOTP secret for its re-encrypted form. Conditional on the value
+ * the caller read, so a secret replaced in the meantime is left alone.
+ *
+ * @param {string} userId - UUID of the user.
+ * @param {string} expectedEnc - totp_secret_enc the caller read.
+ * @param {string} secretEnc - The same secret under the current key.
+ * @returns {Promise<boolean>} false if the secret changed in the meantime.
+ * @throws {Error} If the database update fails.
+ */
+export async function replaceTotpSecretEnc(userId, expectedEnc, secretEnc) {
+    const { data, error } = await supabase
+        .from("mfa_settings")
+        .update({ totp_secret_enc: secretEnc })
+        .eq("user_id", userId)
+        .eq("totp_secret_enc", expectedEnc)
+        .select("user_id")
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Error replacing TOTP secret: ${error.message}`);
+    }
+
+    return !!data;
+}
+
+/**
+ * Replace the stored backup codes with the remaining ones after one was used.
+ * Conditional on the blob the caller matched against, so of two requests racing
+ * with the same code (or any two codes) only one consumes.
+ *
+ * @param {string} userId - UUID of the user.
+ * @param {string} expectedCodesEnc - backup_codes_enc the caller read.
+ * @param {string} remainingCodesEnc - Blob without the used code.
+ * @param {number} codesUsed - New codes_used count.
+ * @returns {Promise<boolean>} false if the codes changed in the meantime.
+ * @throws {Error} If the database update fails.
+ */
+export async function consumeBackupCode(userId, expectedCodesEnc, remainingCodesEnc, codesUsed) {
+    const { data, error } = await supabase
+        .from("mfa_settings")
+        .update({ backup_codes_enc: remainingCodesEnc, codes_used: codesUsed, updated_at: new Date().toISOString() })
+        .eq("user_id", userId)
+        .eq("backup_codes_enc", expectedCodesEnc)
+        .select("user_id")
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Error consuming backup code: ${error.message}`);
+    }
+
+    return !!data;
+}
+
 /**
  * Disable TOTP for a user by clearing the secret and setting the flag to false.
  *
@@ -76,6 +158,7 @@ export async function disableMfa(userId) {
         userId,
         totpSecretEnc: null,
         isTotpEnabled: false,
+        lastTotpStep: null,
     });
 }
 
@@ -0,0 +1,166 @@
+// models/passkeyModel.js
+// Data access layer for the passkey_credentials table.
+// One row per passkey. Each carries its own copy of the MEK, wrapped under the
+// passkey's PRF output, so any one of them can unlock the vault without the master password.
+
+import { supabase } from "../config/db.js";
+
+const PASSKEY_COLUMNS = "id, user_id, credential_id, public_key, sign_count, transports, name, device_type, backed_up, wrapped_mek, created_at, last_used_at";
+
+/**
+ * List a user's passkeys, oldest first.
+ *
+ * @param {string} userId - UUID of the user.
+ * @returns {Promise<import('../validators/schemas.js').PasskeyCredential[]>}
+ * @throws {Error} If the database query fails.
+ */
+export async function listPasskeys(userId) {
+    const { data, error } = await supabase
+        .from("passkey_credentials")
+        .select(PASSKEY_COLUMNS)
+        .eq("user_id", userId)
+        .order("created_at", { ascending: true });
+
+    if (error) {
+        throw new Error(`Error fetching passkeys: ${error.message}`);
+    }
+
+    return data || [];
+}
+
+/**
+ * Fetch a passkey by its credential ID. Passkey logins start without an email,
+ * so this is how the account is found.
+ *
+ * @param {string} credentialId - Credential ID as reported by the authenticator (base64url).
+ * @returns {Promise<import('../validators/schemas.js').PasskeyCredential|null>} null if no passkey has this ID.
+ * @throws {Error} If the database query fails.
+ */
+export async function getPasskeyByCredentialId(credentialId) {
+    const { data, error } = await supabase
+        .from("passkey_credentials")
+        .select(PASSKEY_COLUMNS)
+        .eq("credential_id", credentialId)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Error fetching passkey: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Store a newly registered passkey.
+ *
+ * @param {Object} params
+ * @param {string} params.userId - UUID of the user.
+ * @param {string} params.credentialId - Credential ID (base64url).
+ * @param {string} params.publicKey - COSE public key (base64url).
+ * @param {number} params.signCount - Counter reported at registration.
+ * @param {string[]} [params.transports] - Transport hints.
+ * @param {string} params.name - User-chosen label.
+ * @param {string} [params.deviceType] - 'singleDevice' or 'multiDevice'.
+ * @param {boolean} [params.backedUp] - Whether the passkey is backed up.
+ * @param {string} params.wrappedMek - MEK wrapped under this passkey's PRF output.
+ * @returns {Promise<import('../validators/schemas.js').PasskeyCredential>}
+ * @throws {Error} If the database insert fails (including a duplicate credential ID).
+ */
+export async function createPasskey({ userId, credentialId, publicKey, signCount, transports = null, name, deviceType = null, backedUp = false, wrappedMek }) {
+    const { data, error } = await supabase
+        .from("passkey_credentials")
+        .insert([{
+            user_id: userId,
+            credential_id: credentialId,
+            public_key: publicKey,
+            sign_count: signCount,
+            transports,
+            name,
+            device_type: deviceType,
+            backed_up: backedUp,
+            wrapped_mek: wrappedMek,
+        }])
+        .select(PASSKEY_COLUMNS)
+        .single();
+
+    if (error) {
+        throw new Error(`Error creating passkey: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Record a successful passkey login. Conditional on the counter the caller
+ * verified against, so the same assertion cannot log in twice concurrently.
+ *
+ * @param {string} id - UUID of the passkey row.
+ * @param {number} expectedSignCount - sign_count the caller read.
+ * @param {number} newSignCount - Counter from the verified assertion.
+ * @returns {Promise<boolean>} false if the counter changed in the meantime.
+ * @throws {Error} If the database update fails.
+ */
+export async function recordPasskeyUse(id, expectedSignCount, newSignCount) {
+    const { data, error } = await supabase
+        .from("passkey_credentials")
+        .update({ sign_count: newSignCount, last_used_at: new Date().toISOString() })
+        .eq("id", id)
+        .eq("sign_count", expectedSignCount)
+        .select("id")
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Error updating passkey: ${error.message}`);
+    }
+
+    return !!data;
+}
+
+/**
+ * Rename one of a user's passkeys.
+ *
+ * @param {string} userId - UUID of the user.
+ * @param {string} id - UUID of the passkey row.
+ * @param {string} name - New label.
+ * @returns {Promise<import('../validators/schemas.js').PasskeyCredential|null>} null if the user has no such passkey.
+ * @throws {Error} If the database update fails.
+ */
+export async function renamePasskey(userId, id, name) {
+    const { data, error } = await supabase
+        .from("passkey_credentials")
+        .update({ name })
+        .eq("id", id)
+        .eq("user_id", userId)
+        .select(PASSKEY_COLUMNS)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Error renaming passkey: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Delete one of a user's passkeys, together with its copy of the MEK.
+ *
+ * @param {string} userId - UUID of the user.
+ * @param {string} id - UUID of the passkey row.
+ * @returns {Promise<import('../validators/schemas.js').PasskeyCredential|null>} The deleted row, or null if the user has no such passkey.
+ * @throws {Error} If the database delete fails.
+ */
+export async function deletePasskey(userId, id) {
+    const { data, error } = await supabase
+        .from("passkey_credentials")
+        .delete()
+        .eq("id", id)
+        .eq("user_id", userId)
+        .select(PASSKEY_COLUMNS)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Error deleting passkey: ${error.message}`);
+    }
+
+    return data;
+}
@@ -0,0 +1,124 @@
+// models/recoveryKeyModel.js
+// Data access layer for the recovery_keys table.
+// One row per user: the current recovery public key, the MEK wrapped under the
+// recovery key, and a version that increases with every rotation.
+
+import { supabase } from "../config/db.js";
+
+/**
+ * Store a user's first recovery key (registration).
+ *
+ * @param {Object} params
+ * @param {string} params.userId - UUID of the user.
+ * @param {string} params.publicKey - Ed25519 public key derived from the recovery key (base64).
+ * @param {string} params.wrappedMekRecovery - MEK wrapped under the recovery key.
+ * @param {string|null} params.expiresAt - ISO 8601 expiry, or null if it never expires.
+ * @returns {Promise<import('../validators/schemas.js').RecoveryKey>}
+ * @throws {Error} If the database insert fails.
+ */
+export async function createRecoveryKey({ userId, publicKey, wrappedMekRecovery, expiresAt = null }) {
+    const { data, error } = await supabase
+        .from("recovery_keys")
+        .insert([{
+            user_id: userId,
+            public_key: publicKey,
+            wrapped_mek_recovery: wrappedMekRecovery,
+            key_version: 1,
+            expires_at: expiresAt,
+        }])
+        .select()
+        .single();
+
+    if (error) {
+        throw new Error(`Error creating recovery key: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Fetch a user's current recovery key.
+ *
+ * @param {string} userId - UUID of the user.
+ * @returns {Promise<import('../validators/schemas.js').RecoveryKey|null>} null if the user has none.
+ * @throws {Error} If the database query fails.
+ */
+export async function getRecoveryKey(userId) {
+    const { data, error } = await supabase
+        .from("recovery_keys")
+        .select("user_id, key_hash, key_version, public_key, wrapped_mek_recovery, created_at, expires_at, revoked_at")
+        .eq("user_id", userId)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Error fetching recovery key: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Replace a user's recovery key with a new one.
+ * Conditional on the version the caller read, so two concurrent replacements
+ * cannot both succeed. Clears any revocation and legacy key hash.
+ *
+ * @param {string} userId - UUID of the user.
+ * @param {number|null} currentVersion - key_version the caller read, or null if the user has no row yet.
+ * @param {Object} key
+ * @param {string} key.publicKey - Ed25519 public key derived from the new recovery key (base64).
+ * @param {string} key.wrappedMekRecovery - MEK wrapped under the new recovery key.
+ * @param {string|null} key.expiresAt - ISO 8601 expiry, or null if it never expires.
+ * @returns {Promise<import('../validators/schemas.js').RecoveryKey|null>} The new row, or null if the key changed in the meantime.
+ * @throws {Error} If the database write fails.
+ */
+export async function replaceRecoveryKey(userId, currentVersion, { publicKey, wrappedMekRecovery, expiresAt = null }) {
+    if (currentVersion === null) {
+        return createRecoveryKey({ userId, publicKey, wrappedMekRecovery, expiresAt });
+    }
+
+    const { data, error } = await supabase
+        .from("recovery_keys")
+        .update({
+            key_hash: null,
+            public_key: publicKey,
+            wrapped_mek_recovery: wrappedMekRecovery,
+            key_version: currentVersion + 1,
+            expires_at: expiresAt,
+            revoked_at: null,
+            created_at: new Date().toISOString(),
+        })
+        .eq("user_id", userId)
+        .eq("key_version", currentVersion)
+        .select()
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Error replacing recovery key: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Revoke a user's recovery key. It stays on record but can no longer be used to
+ * recover or unlock the account until a new one is generated.
+ *
+ * @param {string} userId - UUID of the user.
+ * @returns {Promise<import('../validators/schemas.js').RecoveryKey|null>} The revoked row, or null if there was no active key.
+ * @throws {Error} If the database update fails.
+ */
+export async function revokeRecoveryKey(userId) {
+    const { data, error } = await supabase
+        .from("recovery_keys")
+        .update({ revoked_at: new Date().toISOString() })
+        .eq("user_id", userId)
+        .is("revoked_at", null)
+        .select()
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Error revoking recovery key: ${error.message}`);
+    }
+
+    return data;
+}
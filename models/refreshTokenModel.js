@@ -5,29 +5,31 @@
 import { supabase } from "../config/db.js";
 
 /**
- * Store a new refresh token record.
+ * Store the first refresh token of a new login.
  *
  * @param {Object} params
  * @param {string} params.userId - UUID of the owning user.
  * @param {string} params.tokenHash - SHA-256 hash of the token value. Never store raw tokens.
  * @param {string|null} [params.deviceId] - UUID of the associated device.
+ * @param {string} params.familyId - UUID shared by every token minted from the same login.
  * @param {Date|string} params.expiresAt - When the token expires (ISO 8601).
- * @param {string|null} [params.createdIp] - IP address that requested the token.
+ * @param {string|null} [params.createdCountry] - Country the token was requested from; never the IP.
  * @returns {Promise<import('../validators/schemas.js').RefreshToken>}
  * @throws {Error} If the database insert fails.
  */
-export async function createRefreshToken({ userId, tokenHash, deviceId = null, expiresAt, createdIp = null }) {
+export async function createRefreshToken({ userId, tokenHash, deviceId = null, familyId, expiresAt, createdCountry = null }) {
     const { data, error } = await supabase
         .from("refresh_tokens")
         .insert([{
             user_id: userId,
             token_hash: tokenHash,
             device_id: deviceId,
+            family_id: familyId,
             expires_at: expiresAt,
-            created_ip: createdIp,
             is_revoked: false,
+            created_country: createdCountry,
         }])
-        .select("id, user_id, device_id, expires_at, is_revoked, created_ip, created_at")
+        .select("id, user_id, device_id, family_id, expires_at, is_revoked, created_country, created_at")
         .single();
 
     if (error) {
@@ -49,7 +51,7 @@ export async function createRefreshToken({ userId, tokenHash, deviceId = null, e
 export async function findValidRefreshToken(tokenHash) {
     const { data, error } = await supabase
         .from("refresh_tokens")
-        .select("id, user_id, device_id, expires_at, is_revoked, created_ip, replaced_by_token_id")
+        .select("id, user_id, device_id, family_id, expires_at, is_revoked, replaced_by_token_id")
         .eq("token_hash", tokenHash)
         .eq("is_revoked", false)
         .gt("expires_at", new Date().toISOString())
@@ -63,6 +65,59 @@ export async function findValidRefreshToken(tokenHash) {
     return data;
 }
 
+/**
+ * Find a refresh token by its hash regardless of its state.
+ * Used by /auth/refresh to tell a rotated-away (reused) token apart from an unknown one.
+ *
+ * @param {string} tokenHash - SHA-256 hash of the token to look up.
+ * @returns {Promise<import('../validators/schemas.js').RefreshToken|null>}
+ * @throws {Error} If the database query fails.
+ */
+export async function findRefreshTokenByHash(tokenHash) {
+    const { data, error } = await supabase
+        .from("refresh_tokens")
+        .select("id, user_id, device_id, family_id, expires_at, is_revoked, replaced_by_token_id")
+        .eq("token_hash", tokenHash)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Error finding refresh token: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Rotate a token in one transaction (RPC rotate_refresh_token): retire it and store
+ * its successor in the same family and device session. The old token is only
+ * retired while it is still active, so two concurrent refreshes with the same
+ * token cannot both win, and a failed insert leaves the old token usable.
+ *
+ * @param {Object} params
+ * @param {string} params.oldTokenId - UUID of the token being rotated away.
+ * @param {string} params.newTokenId - UUID of the successor token.
+ * @param {string} params.tokenHash - SHA-256 hash of the successor token.
+ * @param {Date|string} params.expiresAt - When the successor expires (ISO 8601).
+ * @param {string|null} [params.createdCountry] - Country the rotation was requested from; never the IP.
+ * @returns {Promise<boolean>} True if this call performed the rotation.
+ * @throws {Error} If the database call fails.
+ */
+export async function rotateRefreshToken({ oldTokenId, newTokenId, tokenHash, expiresAt, createdCountry = null }) {
+    const { data, error } = await supabase.rpc("rotate_refresh_token", {
+        p_old_token_id: oldTokenId,
+        p_new_token_id: newTokenId,
+        p_token_hash: tokenHash,
+        p_expires_at: expiresAt,
+        p_created_country: createdCountry,
+    });
+
+    if (error) {
+        throw new Error(`Error rotating refresh token: ${error.message}`);
+    }
+
+    return data === true;
+}
+
 /**
  * Revoke a refresh token (e.g., on logout or rotation).
  * Optionally records which new token replaced it (for rotation tracking).
@@ -86,6 +141,25 @@ export async function revokeRefreshToken(tokenId, replacedByTokenId = null) {
     }
 }
 
+/**
+ * Revoke every token in a rotation family (reuse of a rotated token = theft).
+ *
+ * @param {string} familyId - UUID of the token family.
+ * @returns {Promise<void>}
+ * @throws {Error} If the database update fails.
+ */
+export async function revokeTokenFamily(familyId) {
+    const { error } = await supabase
+        .from("refresh_tokens")
+        .update({ is_revoked: true })
+        .eq("family_id", familyId)
+        .eq("is_revoked", false);
+
+    if (error) {
+        throw new Error(`Error revoking token family: ${error.message}`);
+    }
+}
+
 /**
  * Revoke all refresh tokens for a user (e.g., on password change or security event).
  *
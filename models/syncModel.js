@@ -4,9 +4,70 @@
 
 import { supabase } from "../config/db.js";
 
+const PULL_COLUMNS = "id, user_id, encrypted_data, nonce, version, is_deleted, record_type, client_record_id, created_at, updated_at, change_seq";
+
+/**
+ * Pull a user's vault records changed after a change sequence number, oldest
+ * change first. change_seq is assigned under a per-user lock in commit order
+ * (see set_vault_change_seq), so paging by it neither skips nor repeats a change
+ * when records are written between page fetches.
+ *
+ * @param {string} userId - UUID of the authenticated user.
+ * @param {number} afterSeq - Only records with a higher change_seq are returned (0 for everything).
+ * @param {Object} [options]
+ * @param {number} [options.limit=100] - Max records to return per page (1–500).
+ * @returns {Promise<{ records: import('../validators/schemas.js').VaultRecord[], has_more: boolean }>}
+ * @throws {Error} If the database query fails.
+ */
+export async function pullChangesAfter(userId, afterSeq, { limit = 100 } = {}) {
+    // One extra row tells whether another page follows
+    const { data, error } = await supabase
+        .from("vault_records")
+        .select(PULL_COLUMNS)
+        .eq("user_id", userId)
+        .gt("change_seq", afterSeq)
+        .order("change_seq", { ascending: true })
+        .limit(limit + 1);
+
+    if (error) {
+        throw new Error(`Error pulling vault changes: ${error.message}`);
+    }
+
+    const rows = data || [];
+    return {
+        records: rows.slice(0, limit),
+        has_more: rows.length > limit,
+    };
+}
+
+/**
+ * The highest change_seq among a user's vault records.
+ *
+ * @param {string} userId - UUID of the user.
+ * @returns {Promise<number>} 0 if the user has no records.
+ * @throws {Error} If the database query fails.
+ */
+export async function getLatestChangeSeq(userId) {
+    const { data, error } = await supabase
+        .from("vault_records")
+        .select("change_seq")
+        .eq("user_id", userId)
+        .order("change_seq", { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Error fetching vault change sequence: ${error.message}`);
+    }
+
+    return data?.change_seq ?? 0;
+}
+
 /**
  * Pull vault records modified since a given timestamp, with pagination.
- * Used by the GET /api/vault/sync endpoint for Delta Sync.
+ * Legacy form of GET /api/vault/sync for clients that do not send a cursor yet;
+ * pages are ordered by change_seq, so a client can switch to pullChangesAfter
+ * from the last record of any page.
  *
  * @param {string} userId - UUID of the authenticated user.
  * @param {string|Date} sinceTimestamp - ISO 8601 timestamp; only records updated after this are returned.
@@ -31,10 +92,10 @@ export async function pullChanges(userId, sinceTimestamp, { limit = 100, offset
     // Then fetch the paginated slice
     const { data, error } = await supabase
         .from("vault_records")
-        .select("id, user_id, encrypted_data, nonce, version, is_deleted, record_type, client_record_id, created_at, updated_at")
+        .select(PULL_COLUMNS)
         .eq("user_id", userId)
         .gt("updated_at", sinceTimestamp)
-        .order("updated_at", { ascending: true })
+        .order("change_seq", { ascending: true })
         .range(offset, offset + limit - 1);
 
     if (error) {
@@ -4,12 +4,15 @@ import { supabase } from "../config/db.js";
 
 /**
  * Create a new user with Zero Knowledge Auth fields.
- * @param {Object} validData - { email, salt, server_hash, wrapped_mek }
+ * @param {Object} validData - { email, salt, server_hash, wrapped_mek, kdf_params?, srp_salt?, srp_verifier? }
  */
-export async function createUser({ email, salt, server_hash, wrapped_mek }) {
+export async function createUser({ email, salt, server_hash, wrapped_mek, kdf_params, srp_salt = null, srp_verifier = null }) {
+  const row = { email, salt, server_hash, wrapped_mek, srp_salt, srp_verifier };
+  if (kdf_params) row.kdf_params = kdf_params; // otherwise the column default applies
+
   const { data, error } = await supabase
     .from("users")
-    .insert([{ email, salt, server_hash, wrapped_mek }])
+    .insert([row])
     .select("id, email, created_at")
     .single();
 
@@ -25,7 +28,7 @@ export async function createUser({ email, salt, server_hash, wrapped_mek }) {
 export async function getUserByEmail(email) {
   const { data, error } = await supabase
     .from("users")
-    .select("id, email, salt, server_hash, wrapped_mek")
+    .select("id, email, salt, server_hash, wrapped_mek, kdf_params, srp_salt, srp_verifier, lockout_cleared_at, email_verified_at")
     .eq("email", email)
     .single();
 
@@ -48,3 +51,149 @@ export async function getUserById(id) {
   return data;
 }
 
+
+/**
+ * Store the SRP salt and verifier for a user (registration upgrade path for
+ * accounts created before SRP login existed).
+ * @param {string} id - The user ID (UUID).
+ * @param {string} srpSalt - Hex SRP salt chosen by the client.
+ * @param {string} srpVerifier - Hex SRP verifier computed by the client.
+ */
+export async function setSrpVerifier(id, srpSalt, srpVerifier) {
+  const { error } = await supabase
+    .from("users")
+    .update({ srp_salt: srpSalt, srp_verifier: srpVerifier, updated_at: new Date().toISOString() })
+    .eq("id", id);
+
+  if (error) throw error;
+}
+
+/**
+ * Swap in a complete new credential set (salt, wrapped_mek, server_hash,
+ * kdf_params and SRP fields) in a single UPDATE.
+ * The update only applies if server_hash still matches what the caller verified
+ * against, so two concurrent swaps cannot interleave.
+ * @param {string} id - The user ID (UUID).
+ * @param {string} currentServerHash - server_hash the caller authenticated against.
+ * @param {Object} credentials - { salt, wrapped_mek, server_hash, kdf_params, srp_salt, srp_verifier }
+ * @returns {Promise<boolean>} false if the credentials changed in the meantime.
+ */
+export async function replaceUserCredentials(id, currentServerHash, credentials) {
+  const { data, error } = await supabase
+    .from("users")
+    .update({ ...credentials, updated_at: new Date().toISOString() })
+    .eq("id", id)
+    .eq("server_hash", currentServerHash)
+    .select("id");
+
+  if (error) throw error;
+  return (data?.length ?? 0) > 0;
+}
+
+/**
+ * Map a new recovery key to the RPC parameters shared by password change and recovery.
+ */
+function recoveryKeyParams(recoveryKey) {
+  return {
+    p_recovery_public_key: recoveryKey?.publicKey ?? null,
+    p_wrapped_mek_recovery: recoveryKey?.wrappedMekRecovery ?? null,
+    p_recovery_expires_at: recoveryKey?.expiresAt ?? null,
+  };
+}
+
+/**
+ * Change the master password in one transaction (RPC change_master_password):
+ * swap the credentials if server_hash is still the one the caller verified,
+ * optionally rotate the recovery key, revoke every other session and delete every passkey.
+ * @param {string} id - The user ID (UUID).
+ * @param {string} currentServerHash - server_hash the caller authenticated against.
+ * @param {Object} credentials - { salt, wrapped_mek, server_hash, kdf_params, srp_salt, srp_verifier }; kdf_params null keeps the stored ones.
+ * @param {Object} options
+ * @param {{ publicKey: string, wrappedMekRecovery: string, expiresAt: string|null }|null} options.recoveryKey - New recovery key, or null to keep the current one.
+ * @param {string|null} options.keepDeviceId - The caller's session (user_devices.id), which stays signed in.
+ * @returns {Promise<{ changed: boolean, revokedSessions: number, removedPasskeys: number }>} changed is false if the credentials changed in the meantime.
+ */
+export async function changeMasterPassword(id, currentServerHash, credentials, { recoveryKey = null, keepDeviceId = null } = {}) {
+  const { data, error } = await supabase.rpc("change_master_password", {
+    p_user_id: id,
+    p_current_server_hash: currentServerHash,
+    p_salt: credentials.salt,
+    p_wrapped_mek: credentials.wrapped_mek,
+    p_server_hash: credentials.server_hash,
+    p_kdf_params: credentials.kdf_params ?? null,
+    p_srp_salt: credentials.srp_salt ?? null,
+    p_srp_verifier: credentials.srp_verifier ?? null,
+    ...recoveryKeyParams(recoveryKey),
+    p_keep_device_id: keepDeviceId,
+  });
+
+  if (error) throw error;
+  return {
+    changed: !!data?.success,
+    revokedSessions: data?.revoked_sessions ?? 0,
+    removedPasskeys: data?.removed_passkeys ?? 0,
+  };
+}
+
+/**
+ * Finish an account recovery in one transaction (RPC complete_account_recovery):
+ * replace the recovery key that was just proven (if it is still that version and
+ * unexpired) with a new one, swap the credentials, revoke every session and
+ * delete every passkey.
+ * @param {string} id - The user ID (UUID).
+ * @param {number} keyVersion - key_version of the recovery key the client proved.
+ * @param {Object} credentials - { salt, wrapped_mek, server_hash, kdf_params, srp_salt, srp_verifier }; kdf_params null keeps the stored ones.
+ * @param {{ publicKey: string, wrappedMekRecovery: string, expiresAt: string|null }} recoveryKey - The replacement recovery key.
+ * @returns {Promise<{ keyVersion: number, removedPasskeys: number }|null>} null if the proven key is no longer current.
+ */
+export async function completeAccountRecovery(id, keyVersion, credentials, recoveryKey) {
+  const { data, error } = await supabase.rpc("complete_account_recovery", {
+    p_user_id: id,
+    p_key_version: keyVersion,
+    p_salt: credentials.salt,
+    p_wrapped_mek: credentials.wrapped_mek,
+    p_server_hash: credentials.server_hash,
+    p_kdf_params: credentials.kdf_params ?? null,
+    p_srp_salt: credentials.srp_salt ?? null,
+    p_srp_verifier: credentials.srp_verifier ?? null,
+    ...recoveryKeyParams(recoveryKey),
+  });
+
+  if (error) throw error;
+  return data?.success
+    ? { keyVersion: data.key_version, removedPasskeys: data.removed_passkeys ?? 0 }
+    : null;
+}
+
+/**
+ * Record that an account lockout was cleared. Failed attempts before this
+ * moment no longer count towards the per-account lockout.
+ * @param {string} id - The user ID (UUID).
+ */
+export async function clearAccountLockout(id) {
+  const { error } = await supabase
+    .from("users")
+    .update({ lockout_cleared_at: new Date().toISOString() })
+    .eq("id", id);
+
+  if (error) throw error;
+}
+
+/**
+ * Mark a user's email address as verified.
+ * Only applies while the account still has the address the link was sent to.
+ * @param {string} id - The user ID (UUID).
+ * @param {string} email - The address that was verified.
+ * @returns {Promise<boolean>} false if the account's address has changed since.
+ */
+export async function markEmailVerified(id, email) {
+  const { data, error } = await supabase
+    .from("users")
+    .update({ email_verified_at: new Date().toISOString() })
+    .eq("id", id)
+    .eq("email", email)
+    .select("id");
+
+  if (error) throw error;
+  return (data?.length ?? 0) > 0;
+}
@@ -0,0 +1,164 @@
+// models/webauthnCredentialModel.js
+// Data access layer for the webauthn_credentials table.
+// One row per registered security key or platform authenticator; a user may have several.
+
+import { supabase } from "../config/db.js";
+
+const CREDENTIAL_COLUMNS = "id, user_id, credential_id, public_key, sign_count, transports, name, device_type, backed_up, created_at, last_used_at";
+
+/**
+ * List a user's WebAuthn credentials, oldest first.
+ *
+ * @param {string} userId - UUID of the user.
+ * @returns {Promise<import('../validators/schemas.js').WebAuthnCredential[]>}
+ * @throws {Error} If the database query fails.
+ */
+export async function listWebAuthnCredentials(userId) {
+    const { data, error } = await supabase
+        .from("webauthn_credentials")
+        .select(CREDENTIAL_COLUMNS)
+        .eq("user_id", userId)
+        .order("created_at", { ascending: true });
+
+    if (error) {
+        throw new Error(`Error fetching WebAuthn credentials: ${error.message}`);
+    }
+
+    return data || [];
+}
+
+/**
+ * Fetch one of a user's credentials by its authenticator credential ID.
+ *
+ * @param {string} userId - UUID of the user.
+ * @param {string} credentialId - Credential ID as reported by the authenticator (base64url).
+ * @returns {Promise<import('../validators/schemas.js').WebAuthnCredential|null>} null if the user has no such credential.
+ * @throws {Error} If the database query fails.
+ */
+export async function getWebAuthnCredential(userId, credentialId) {
+    const { data, error } = await supabase
+        .from("webauthn_credentials")
+        .select(CREDENTIAL_COLUMNS)
+        .eq("user_id", userId)
+        .eq("credential_id", credentialId)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Error fetching WebAuthn credential: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Store a newly registered credential.
+ *
+ * @param {Object} params
+ * @param {string} params.userId - UUID of the user.
+ * @param {string} params.credentialId - Credential ID (base64url).
+ * @param {string} params.publicKey - COSE public key (base64url).
+ * @param {number} params.signCount - Counter reported at registration.
+ * @param {string[]} [params.transports] - Transport hints.
+ * @param {string} params.name - User-chosen label.
+ * @param {string} [params.deviceType] - 'singleDevice' or 'multiDevice'.
+ * @param {boolean} [params.backedUp] - Whether the credential is backed up.
+ * @returns {Promise<import('../validators/schemas.js').WebAuthnCredential>}
+ * @throws {Error} If the database insert fails (including a duplicate credential ID).
+ */
+export async function createWebAuthnCredential({ userId, credentialId, publicKey, signCount, transports = null, name, deviceType = null, backedUp = false }) {
+    const { data, error } = await supabase
+        .from("webauthn_credentials")
+        .insert([{
+            user_id: userId,
+            credential_id: credentialId,
+            public_key: publicKey,
+            sign_count: signCount,
+            transports,
+            name,
+            device_type: deviceType,
+            backed_up: backedUp,
+        }])
+        .select(CREDENTIAL_COLUMNS)
+        .single();
+
+    if (error) {
+        throw new Error(`Error creating WebAuthn credential: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Record a successful assertion. Conditional on the counter the caller verified
+ * against, so two concurrent logins with the same signature cannot both succeed.
+ *
+ * @param {string} id - UUID of the credential row.
+ * @param {number} expectedSignCount - sign_count the caller read.
+ * @param {number} newSignCount - Counter from the verified assertion.
+ * @returns {Promise<boolean>} false if the counter changed in the meantime.
+ * @throws {Error} If the database update fails.
+ */
+export async function recordWebAuthnCredentialUse(id, expectedSignCount, newSignCount) {
+    const { data, error } = await supabase
+        .from("webauthn_credentials")
+        .update({ sign_count: newSignCount, last_used_at: new Date().toISOString() })
+        .eq("id", id)
+        .eq("sign_count", expectedSignCount)
+        .select("id")
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Error updating WebAuthn credential: ${error.message}`);
+    }
+
+    return !!data;
+}
+
+/**
+ * Rename one of a user's credentials.
+ *
+ * @param {string} userId - UUID of the user.
+ * @param {string} id - UUID of the credential row.
+ * @param {string} name - New label.
+ * @returns {Promise<import('../validators/schemas.js').WebAuthnCredential|null>} null if the user has no such credential.
+ * @throws {Error} If the database update fails.
+ */
+export async function renameWebAuthnCredential(userId, id, name) {
+    const { data, error } = await supabase
+        .from("webauthn_credentials")
+        .update({ name })
+        .eq("id", id)
+        .eq("user_id", userId)
+        .select(CREDENTIAL_COLUMNS)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Error renaming WebAuthn credential: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Delete one of a user's credentials.
+ *
+ * @param {string} userId - UUID of the user.
+ * @param {string} id - UUID of the credential row.
+ * @returns {Promise<import('../validators/schemas.js').WebAuthnCredential|null>} The deleted row, or null if the user has no such credential.
+ * @throws {Error} If the database delete fails.
+ */
+export async function deleteWebAuthnCredential(userId, id) {
+    const { data, error } = await supabase
+        .from("webauthn_credentials")
+        .delete()
+        .eq("id", id)
+        .eq("user_id", userId)
+        .select(CREDENTIAL_COLUMNS)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Error deleting WebAuthn credential: ${error.message}`);
+    }
+
+    return data;
+}
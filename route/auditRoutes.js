@@ -1,6 +1,6 @@
 // route/auditRoutes.js
 // Audit Log / Login History API routes.
-// Returns login attempts for the authenticated user.
+// Returns login attempts and account security events for the authenticated user.
 
 import express from 'express';
 import { verifySession } from '../middleware/verifySession.js';
@@ -10,7 +10,8 @@ const router = express.Router();
 
 // GET /api/audit-logs
 // Returns login history for the current user, newest first.
-// Also returns aggregate success/failure counts across ALL records (not just this page).
+// Also returns aggregate success/failure counts across ALL records (not just this page)
+// and the latest account security events (e.g. ACCOUNT_LOCKED, ACCOUNT_UNLOCKED).
 router.get('/', verifySession, getAuditLogs);
 
 export default router;
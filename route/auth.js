@@ -2,6 +2,8 @@ import express from "express";
 import { validateRequest } from "../validators/middleware.js";
 import Joi from "joi";
 import { verifySession } from "../middleware/verifySession.js";
+import { requireFreshAuth } from "../middleware/requireFreshAuth.js";
+import { createRateLimiter } from "../middleware/rateLimit.js";
 import {
   register,
   getParams,
@@ -9,24 +11,141 @@ import {
   refresh,
   logout,
   verifyPassword,
+  recoverInit,
   recover,
   changePassword,
+  srpInit,
+  srpVerify,
+  upgradeKdf,
+  requestUnlockEmail,
+  unlock,
+  verifyEmail,
+  resendVerificationEmail,
 } from "../controllers/authController.js";
 
 const router = express.Router();
 
+// --- Per-IP throttling for unauthenticated account lookups ---
+// These endpoints are the first step of a targeted attack, so they are limited on
+// every request, not only on failures.
+const paramsLimiter = createRateLimiter({ windowMs: 60 * 1000, max: 20 });
+const srpInitLimiter = createRateLimiter({ windowMs: 60 * 1000, max: 20 });
+const recoverInitLimiter = createRateLimiter({ windowMs: 60 * 1000, max: 20 });
+const recoverLimiter = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 5 });
+const unlockLimiter = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 5 });
+const verifyEmailLimiter = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 20 });
+const resendVerificationLimiter = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 5 });
+
 // --- Validation Schemas (request-level) ---
+// SRP salt and verifier are computed client-side (see utils/srp.js); both or neither.
+const srpSalt = Joi.string().hex().min(32).max(128);
+const srpHex = Joi.string().hex().max(512);
+
+// Client-side KDF parameters (Argon2id memory in KiB, iterations, parallelism)
+const kdfParamsSchema = Joi.object({
+  algo: Joi.string().valid("argon2id").required(),
+  m: Joi.number().integer().min(1024).max(4 * 1024 * 1024).required(),
+  t: Joi.number().integer().min(1).max(100).required(),
+  p: Joi.number().integer().min(1).max(64).required(),
+});
+
+// Recovery key material derived client-side (see utils/recoveryKey.js); the key itself is never sent.
+const recoveryPublicKey = Joi.string().base64().length(44); // raw 32-byte Ed25519 public key
+const wrappedMekRecovery = Joi.string().max(1024);
+const recoverySignature = Joi.string().base64().length(88); // 64-byte Ed25519 signature
+
 const registerBodySchema = Joi.object({
   email: Joi.string().email().required(),
   salt: Joi.string().required(),
   wrapped_mek: Joi.string().required(),
   auth_hash: Joi.string().required(),
-  recovery_key_hash: Joi.string().hex().length(64).required(), // SHA-256 hex of the recovery key
-});
+  recovery_public_key: recoveryPublicKey.required(),
+  wrapped_mek_recovery: wrappedMekRecovery.required(),
+  kdf_params: kdfParamsSchema,
+  srp_salt: srpSalt,
+  srp_verifier: srpHex,
+}).and("srp_salt", "srp_verifier");
 
 const loginBodySchema = Joi.object({
   email: Joi.string().email().required(),
   auth_hash: Joi.string().required(),
+  srp_salt: srpSalt,
+  srp_verifier: srpHex,
+}).and("srp_salt", "srp_verifier");
+
+const kdfUpgradeBodySchema = Joi.object({
+  current_auth_hash: Joi.string().required(),
+  salt: Joi.string().required(),
+  wrapped_mek: Joi.string().required(),
+  auth_hash: Joi.string().required(),
+  kdf_params: kdfParamsSchema.required(),
+  srp_salt: srpSalt,
+  srp_verifier: srpHex,
+}).and("srp_salt", "srp_verifier");
+
+const changePasswordBodySchema = Joi.object({
+  current_auth_hash: Joi.string().required(),
+  salt: Joi.string().required(),
+  wrapped_mek: Joi.string().required(),
+  auth_hash: Joi.string().required(),
+  kdf_params: kdfParamsSchema,
+  srp_salt: srpSalt,
+  srp_verifier: srpHex,
+  // New recovery key (same format as at registration); omit to keep the current one
+  recovery_public_key: recoveryPublicKey,
+  wrapped_mek_recovery: wrappedMekRecovery,
+}).and("srp_salt", "srp_verifier").and("recovery_public_key", "wrapped_mek_recovery");
+
+const recoverInitBodySchema = Joi.object({
+  email: Joi.string().email().required(),
+});
+
+const recoverBodySchema = Joi.object({
+  email: Joi.string().email().required(),
+  challenge_id: Joi.string().uuid().required(),
+  signature: recoverySignature.required(),
+  new_salt: Joi.string().required(),
+  new_wrapped_mek: Joi.string().required(),
+  new_auth_hash: Joi.string().required(),
+  new_kdf_params: kdfParamsSchema,
+  new_srp_salt: srpSalt,
+  new_srp_verifier: srpHex,
+  // Recovery always rotates to a fresh recovery key
+  new_recovery_public_key: recoveryPublicKey.required(),
+  new_wrapped_mek_recovery: wrappedMekRecovery.required(),
+}).and("new_srp_salt", "new_srp_verifier");
+
+const unlockRequestBodySchema = Joi.object({
+  email: Joi.string().email().required(),
+});
+
+// Either the token from the unlock email, or a signed recovery challenge (see /recover/init)
+const unlockBodySchema = Joi.alternatives().try(
+  Joi.object({ token: Joi.string().max(200).required() }),
+  Joi.object({
+    email: Joi.string().email().required(),
+    challenge_id: Joi.string().uuid().required(),
+    signature: recoverySignature.required(),
+  }),
+);
+
+const verifyEmailBodySchema = Joi.object({
+  token: Joi.string().max(2048).required(),
+});
+
+const resendVerificationBodySchema = Joi.object({
+  email: Joi.string().email().required(),
+});
+
+const srpInitBodySchema = Joi.object({
+  email: Joi.string().email().required(),
+  A: srpHex.required(),
+});
+
+const srpVerifyBodySchema = Joi.object({
+  email: Joi.string().email().required(),
+  challenge_id: Joi.string().uuid().required(),
+  M1: Joi.string().hex().length(64).required(),
 });
 
 // --- Zero Knowledge Authentication Endpoints ---
@@ -36,14 +155,29 @@ const loginBodySchema = Joi.object({
 // Hashes auth_hash with Argon2id before storing as server_hash.
 router.post("/register", validateRequest(registerBodySchema), register);
 
+// 1b. Verify Email
+// New accounts cannot log in until the single-use link from the registration email is used.
+router.post("/verify-email", verifyEmailLimiter, validateRequest(verifyEmailBodySchema), verifyEmail);
+// Send a fresh link; throttled per IP and per account, always answers 200.
+router.post("/verify-email/resend", resendVerificationLimiter, validateRequest(resendVerificationBodySchema), resendVerificationEmail);
+
 // 2. Login Step 1: Get Auth Params
-// Returns the salt and wrapped_mek for the user to derive their keys and auth_hash.
-router.get("/params", getParams);
+// Returns the salt, wrapped_mek and KDF parameters for the user to derive their keys and auth_hash.
+// Unknown emails receive deterministic fake values, never a 404.
+router.get("/params", paramsLimiter, getParams);
 
 // 3. Login Step 2: Verify Auth Hash
 // Verifies the auth_hash sent by the client against the stored server_hash.
 router.post("/login", validateRequest(loginBodySchema), login);
 
+// SRP-6a Login (alternative to steps 2–3; the server keeps only a verifier)
+// Round 1: client sends its ephemeral A, receives the KDF salt, SRP salt and server ephemeral B.
+router.post("/srp/init", srpInitLimiter, validateRequest(srpInitBodySchema), srpInit);
+
+// Round 2: client sends its proof M1; on success the same cookies / MFA step as /login,
+// plus the server proof M2 and the wrapped MEK.
+router.post("/srp/verify", validateRequest(srpVerifyBodySchema), srpVerify);
+
 // Refresh Token Endpoint
 router.post("/refresh", refresh);
 
@@ -51,14 +185,31 @@ router.post("/refresh", refresh);
 router.post("/logout", logout);
 
 // Password Verification Endpoint (Step-up Auth)
-router.post("/verify-password", verifyPassword);
+// Requires a full session; re-issues the access token for the same session with a fresh iat.
+router.post("/verify-password", verifySession, verifyPassword);
+
+// Recovery: Reset master password using the recovery key (never sent to the server)
+// Step 1: get a single-use challenge and the recovery-wrapped MEK (decoys for unknown emails).
+router.post("/recover/init", recoverInitLimiter, validateRequest(recoverInitBodySchema), recoverInit);
+// Step 2: send the signed challenge, credentials re-wrapping the same MEK under a new password,
+// and a new recovery key. Every failure (unknown email, no key, wrong key) returns the same 401.
+router.post("/recover", recoverLimiter, validateRequest(recoverBodySchema), recover);
+
+// KDF Upgrade
+// Login responses carry kdf_upgrade_required when the account's KDF parameters are below
+// the server minimum. The client re-derives from the same master password with stronger
+// parameters and swaps salt, wrapped_mek, server_hash and kdf_params in one update.
+router.post("/kdf-upgrade", verifySession, validateRequest(kdfUpgradeBodySchema), upgradeKdf);
 
-// Recovery: Reset master password using the recovery key
-// The client re-wraps the existing MEK under a new password and sends new credentials.
-router.post("/recover", recover);
+// Account Unlock (per-account lockout, see config/lockoutPolicy.js)
+// Request a fresh unlock email; always answers 200 so it cannot be used to probe accounts.
+router.post("/unlock/request", unlockLimiter, validateRequest(unlockRequestBodySchema), requestUnlockEmail);
+// Unlock with the emailed token, or with a recovery challenge signed by the account's recovery key.
+router.post("/unlock", unlockLimiter, validateRequest(unlockBodySchema), unlock);
 
 // Change Master Password
-// Requires a valid active session.
-router.post("/change-password", verifySession, changePassword);
+// Requires a recent login and the current auth hash. Swaps the credentials (and optionally
+// the recovery key) atomically and signs out every other session.
+router.post("/change-password", verifySession, requireFreshAuth, validateRequest(changePasswordBodySchema), changePassword);
 
 export default router;
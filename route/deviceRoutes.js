@@ -1,6 +1,15 @@
 import express from 'express';
 import { verifySession } from '../middleware/verifySession.js';
-import { getDevices, revokeDevice, registerDevice } from '../controllers/deviceController.js';
+import { validateRequest } from '../validators/middleware.js';
+import { deviceParamsSchema } from '../validators/schemas.js';
+import {
+    getDevices,
+    revokeDevice,
+    registerDevice,
+    getTrustedDevices,
+    revokeTrustedDevice,
+    revokeAllTrustedDevices,
+} from '../controllers/deviceController.js';
 
 const router = express.Router();
 
@@ -10,9 +19,18 @@ router.use(verifySession);
 // GET /api/devices - Fetch all devices for current user
 router.get('/', getDevices);
 
-// POST /api/devices/:id/revoke - Revoke a specific device
+// POST /api/devices/:id/revoke - Revoke a specific device (its refresh tokens and MFA trust)
 router.post('/:id/revoke', revokeDevice);
 
+// GET /api/devices/trusted - Devices that currently skip MFA at login
+router.get('/trusted', getTrustedDevices);
+
+// POST /api/devices/trusted/revoke-all - Require MFA again on every device
+router.post('/trusted/revoke-all', revokeAllTrustedDevices);
+
+// POST /api/devices/:id/trust/revoke - Require MFA again on one device (its session stays)
+router.post('/:id/trust/revoke', validateRequest(deviceParamsSchema, 'params'), revokeTrustedDevice);
+
 // POST /api/devices/register - Update current session device name
 router.post('/register', registerDevice);
 
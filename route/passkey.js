@@ -0,0 +1,44 @@
+import express from "express";
+import { verifySession } from "../middleware/verifySession.js";
+import { requireFreshAuth } from "../middleware/requireFreshAuth.js";
+import { createRateLimiter } from "../middleware/rateLimit.js";
+import { validateRequest } from "../validators/middleware.js";
+import {
+  mfaProofBodySchema,
+  passkeyRegisterVerifyBodySchema,
+  passkeyLoginVerifyBodySchema,
+  webauthnRenameBodySchema,
+  webauthnCredentialParamsSchema,
+} from "../validators/schemas.js";
+import {
+  registrationOptions,
+  registrationVerify,
+  listUserPasskeys,
+  renameUserPasskey,
+  deleteUserPasskey,
+  loginOptions,
+  loginVerify,
+} from "../controllers/passkeyController.js";
+
+const router = express.Router();
+
+const passkeyLoginOptionsLimiter = createRateLimiter({ windowMs: 60 * 1000, max: 20 });
+const passkeyLoginLimiter = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 30 });
+
+// Register a passkey (with its PRF-wrapped copy of the MEK)
+// A passkey replaces the master password at login, so adding one needs a recent login
+// and, once MFA is on, a second factor (a TOTP / backup code or a security key assertion).
+router.post("/register/options", verifySession, requireFreshAuth, validateRequest(mfaProofBodySchema), registrationOptions);
+router.post("/register/verify", verifySession, requireFreshAuth, validateRequest(passkeyRegisterVerifyBodySchema), registrationVerify);
+
+// Manage registered passkeys
+router.get("/credentials", verifySession, listUserPasskeys);
+router.put("/credentials/:id", verifySession, validateRequest(webauthnCredentialParamsSchema, "params"), validateRequest(webauthnRenameBodySchema), renameUserPasskey);
+router.delete("/credentials/:id", verifySession, requireFreshAuth, validateRequest(webauthnCredentialParamsSchema, "params"), deleteUserPasskey);
+
+// Passwordless login
+// Issues the same cookies as /auth/login and returns the passkey's wrapped MEK.
+router.post("/login/options", passkeyLoginOptionsLimiter, loginOptions);
+router.post("/login/verify", passkeyLoginLimiter, validateRequest(passkeyLoginVerifyBodySchema), loginVerify);
+
+export default router;
@@ -0,0 +1,30 @@
+import express from "express";
+import { verifySession } from "../middleware/verifySession.js";
+import { createRateLimiter } from "../middleware/rateLimit.js";
+import { validateRequest } from "../validators/middleware.js";
+import { pushChallengeParamsSchema, pushApproveBodySchema } from "../validators/schemas.js";
+import {
+  listPending,
+  approve,
+  deny,
+  events,
+  complete,
+} from "../controllers/pushController.js";
+
+const router = express.Router();
+
+const pushLoginLimiter = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 30 });
+
+// Answer a login from another device
+// A signed-in device lists pending logins and approves one by picking the number
+// shown on the login screen; a wrong number denies it.
+router.get("/pending", verifySession, listPending);
+router.post("/:id/approve", verifySession, validateRequest(pushChallengeParamsSchema, "params"), validateRequest(pushApproveBodySchema), approve);
+router.post("/:id/deny", verifySession, validateRequest(pushChallengeParamsSchema, "params"), deny);
+
+// Wait for the answer (server-sent events), then complete the login
+// Both take the mfa-pending cookie of the login the challenge was opened for.
+router.get("/:id/events", pushLoginLimiter, validateRequest(pushChallengeParamsSchema, "params"), events);
+router.post("/:id/complete", pushLoginLimiter, validateRequest(pushChallengeParamsSchema, "params"), complete);
+
+export default router;
@@ -0,0 +1,25 @@
+// route/recoveryKeyRoutes.js
+// Recovery key management for the signed-in user.
+// Every route needs a recent login: the recovery key can take over the account.
+
+import express from 'express';
+import { verifySession } from '../middleware/verifySession.js';
+import { requireFreshAuth } from '../middleware/requireFreshAuth.js';
+import { validateRequest } from '../validators/middleware.js';
+import { recoveryKeyRegenerateBodySchema } from '../validators/schemas.js';
+import { getRecoveryKeyStatus, regenerateRecoveryKey, revokeRecoveryKey } from '../controllers/recoveryKeyController.js';
+
+const router = express.Router();
+
+router.use(verifySession, requireFreshAuth);
+
+// GET /api/recovery-key - Whether a recovery key exists, its version, creation, expiry and revocation
+router.get('/', getRecoveryKeyStatus);
+
+// POST /api/recovery-key/regenerate - Replace the recovery key (new public key + recovery-wrapped MEK)
+router.post('/regenerate', validateRequest(recoveryKeyRegenerateBodySchema, 'body'), regenerateRecoveryKey);
+
+// POST /api/recovery-key/revoke - Disable the current recovery key until a new one is generated
+router.post('/revoke', revokeRecoveryKey);
+
+export default router;
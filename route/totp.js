@@ -3,45 +3,97 @@ import {
   setup,
   verifySetup,
   getStatus,
+  getOverview,
   verifyLogin,
   disable,
   generateBackup,
   redeemBackup,
-  generateBackupDev
+  generateBackupDev,
+  listAuthenticators,
+  renameAuthenticator,
+  removeAuthenticator,
+  enableEmailOtp,
+  disableEmailOtp,
+  sendEmailCode,
+  verifyEmailCode
 } from "../controllers/totpController.js";
+import { verifySession } from "../middleware/verifySession.js";
+import { requireFreshAuth } from "../middleware/requireFreshAuth.js";
+import { createRateLimiter } from "../middleware/rateLimit.js";
+import { validateRequest } from "../validators/middleware.js";
+import {
+  totpSetupBodySchema,
+  totpAuthenticatorParamsSchema,
+  totpAuthenticatorRenameBodySchema,
+  totpAuthenticatorRemoveBodySchema,
+  emailOtpVerifyBodySchema,
+} from "../validators/schemas.js";
 
 const router = express.Router();
 
+// Per IP, on top of the per-user and per-login attempt limits in utils/mfaAttempts.js
+const mfaCodeLimiter = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 30 });
+
 // Task 5.2.1: Setup TOTP
 // Generates a new TOTP secret and returns a QR code for the user to scan.
-// The secret is NOT saved yet; it must be verified first.
-router.post("/setup", setup);
+// The secret is stored encrypted as a pending enrollment (10 minutes) until verified.
+// Takes an optional authenticator name. Adding a further authenticator needs a recent
+// login and a code from one already registered; wrong codes count towards the MFA lock.
+router.post("/setup", verifySession, mfaCodeLimiter, validateRequest(totpSetupBodySchema), setup);
 
 // Task 5.2.2: Verify Setup
-// Validates the 6-digit code from the app to confirm the user scanned the QR correctly.
-// If valid, encrypts and saves the secret to the mfa_settings table, enabling MFA.
-router.post("/verify-setup", verifySetup);
+// Validates the 6-digit code from the app against the pending secret (only the code is sent).
+// If valid, encrypts and saves the secret as a new authenticator in mfa_factors.
+// The first authenticator enables MFA and comes with backup codes.
+// Wrong codes count towards the MFA lock.
+router.post("/verify-setup", verifySession, mfaCodeLimiter, verifySetup);
 
 // Get MFA Status
 // Checks if the current user has TOTP enabled.
 router.get("/status", getStatus);
 
+// MFA Overview
+// Every factor type with last-used times, backup codes left (with a low-count
+// warning), trusted-device grants and the organization's MFA policy.
+router.get("/overview", verifySession, getOverview);
+
 // Verify Login with TOTP
 // Second step of login for MFA-enabled users.
-router.post("/verify-login", verifyLogin);
+// Accepts a code from any of the user's authenticators, each code once;
+// wrong codes are limited per login and per user.
+router.post("/verify-login", mfaCodeLimiter, verifyLogin);
 
 // Disable TOTP
-router.post("/disable", disable);
+// Removes every authenticator. Needs a full session from the last 5 minutes and a
+// current code from any authenticator or a backup code.
+router.post("/disable", verifySession, requireFreshAuth, mfaCodeLimiter, disable);
+
+// Manage authenticators
+// Removing one needs a recent login and a code from any authenticator or a backup code;
+// the last one can only go through /disable.
+router.get("/authenticators", verifySession, listAuthenticators);
+router.put("/authenticators/:id", verifySession, validateRequest(totpAuthenticatorParamsSchema, "params"), validateRequest(totpAuthenticatorRenameBodySchema), renameAuthenticator);
+router.delete("/authenticators/:id", verifySession, requireFreshAuth, mfaCodeLimiter, validateRequest(totpAuthenticatorParamsSchema, "params"), validateRequest(totpAuthenticatorRemoveBodySchema), removeAuthenticator);
 
 // Generate Backup Codes
 // Creates 10 new random codes, hashes them, and stores them in mfa_settings.
 // Returns the plaintext codes ONCE for the user to save.
-router.post("/backup-codes/generate", generateBackup);
+// Replaces every existing code, so it needs a recent login.
+router.post("/backup-codes/generate", verifySession, requireFreshAuth, generateBackup);
 
 // Redeem Backup Code
-// Validates a single backup code during login (instead of TOTP).
+// Validates a single backup code during login (instead of TOTP) and completes the login.
 // If valid, the code is consumed (deleted) so it cannot be used again.
-router.post("/backup-codes/redeem", redeemBackup);
+router.post("/backup-codes/redeem", mfaCodeLimiter, redeemBackup);
+
+// Email one-time codes
+// A fallback second factor, offered at login only next to another one. Turning it on
+// or off needs a recent login. During the MFA step the mfa-pending login asks for a
+// code (resends are throttled per user) and completes with it like /verify-login.
+router.post("/email-otp/enable", verifySession, requireFreshAuth, enableEmailOtp);
+router.post("/email-otp/disable", verifySession, requireFreshAuth, disableEmailOtp);
+router.post("/email-otp/send", mfaCodeLimiter, sendEmailCode);
+router.post("/email-otp/verify-login", mfaCodeLimiter, validateRequest(emailOtpVerifyBodySchema), verifyEmailCode);
 
 // Dev-only: generate backup codes without auth/DB for quick local testing
 if (process.env.NODE_ENV !== "production") {
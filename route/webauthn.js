@@ -0,0 +1,48 @@
+import express from "express";
+import { verifySession } from "../middleware/verifySession.js";
+import { requireFreshAuth } from "../middleware/requireFreshAuth.js";
+import { createRateLimiter } from "../middleware/rateLimit.js";
+import { validateRequest } from "../validators/middleware.js";
+import {
+  mfaProofBodySchema,
+  webauthnRegisterVerifyBodySchema,
+  webauthnLoginVerifyBodySchema,
+  webauthnRenameBodySchema,
+  webauthnCredentialParamsSchema,
+  webauthnRemoveBodySchema,
+} from "../validators/schemas.js";
+import {
+  registrationOptions,
+  registrationVerify,
+  listCredentials,
+  renameCredential,
+  removalOptions,
+  deleteCredential,
+  loginOptions,
+  loginVerify,
+} from "../controllers/webauthnController.js";
+
+const router = express.Router();
+
+const webauthnLoginLimiter = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 30 });
+
+// Register a security key or platform authenticator
+// Adding a second factor needs a recent login, like other account-takeover-sensitive changes,
+// and once MFA is on, a proof of an existing one (a security key assertion or a TOTP / backup code).
+router.post("/register/options", verifySession, requireFreshAuth, validateRequest(mfaProofBodySchema), registrationOptions);
+router.post("/register/verify", verifySession, requireFreshAuth, validateRequest(webauthnRegisterVerifyBodySchema), registrationVerify);
+
+// Manage registered keys
+// Removing one needs a recent login and a second factor: an assertion from any key
+// (challenge from /credentials/remove/options) or a TOTP / backup code.
+router.get("/credentials", verifySession, listCredentials);
+router.put("/credentials/:id", verifySession, validateRequest(webauthnCredentialParamsSchema, "params"), validateRequest(webauthnRenameBodySchema), renameCredential);
+router.post("/credentials/remove/options", verifySession, requireFreshAuth, removalOptions);
+router.delete("/credentials/:id", verifySession, requireFreshAuth, webauthnLoginLimiter, validateRequest(webauthnCredentialParamsSchema, "params"), validateRequest(webauthnRemoveBodySchema), deleteCredential);
+
+// Verify Login with a security key
+// Second step of login for MFA-enabled users, alongside /auth/totp/verify-login.
+router.post("/login/options", webauthnLoginLimiter, loginOptions);
+router.post("/login/verify", webauthnLoginLimiter, validateRequest(webauthnLoginVerifyBodySchema), loginVerify);
+
+export default router;
@@ -0,0 +1,11 @@
+import express from 'express';
+import { getJwksDocument } from '../controllers/jwksController.js';
+
+const router = express.Router();
+
+// GET /.well-known/jwks.json
+// Public keys for access tokens, so other services can verify PasswordPal sessions
+// without holding a signing secret. Empty when access tokens use an HMAC key.
+router.get('/jwks.json', getJwksDocument);
+
+export default router;
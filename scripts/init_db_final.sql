@@ -9,15 +9,25 @@
 --   user_devices     — per-device session tracking and revocation
 --   mfa_settings     — TOTP secrets and backup codes
 --   login_attempts   — rate-limiting and brute-force detection
---   recovery_keys    — hashed recovery key for master password reset
+--   recovery_keys    — recovery key public key and recovery-wrapped MEK for master password reset
 --   refresh_tokens   — token rotation with revocation chain
 --   sync_queue       — offline operation queue per device
 --   conflicts        — sync conflict tracking and resolution
+--   audit_logs       — account-level security events (never vault activity)
+--   auth_challenges  — short-lived single-use state for multi-step flows (SRP, WebAuthn, TOTP enrollment)
+--   email_verification_tokens — single-use email verification links
+--   webauthn_credentials — WebAuthn/FIDO2 security keys registered as a second factor
+--   passkey_credentials  — passkeys for passwordless login, each with its own PRF-wrapped MEK
+--   mfa_attempts     — second-factor attempts, for per-user and per-login MFA attempt limits
+--   mfa_factors      — named second factors per user (TOTP authenticators, email OTP); replaces mfa_settings.totp_secret_enc
+--   mfa_push_challenges — logins waiting for approval from another signed-in device (number matching)
+--   mfa_email_codes  — hashed one-time codes emailed as a fallback second factor
 --
 -- ARCHITECTURE DECISIONS:
---   - Audit logging is LOCAL ONLY (SQLite per device). No server-side audit table.
---     The server structurally cannot log vault-level activity — this is a hard
---     architectural guarantee, not just a policy promise.
+--   - Vault audit logging is LOCAL ONLY (SQLite per device). The server
+--     structurally cannot log vault-level activity — this is a hard
+--     architectural guarantee, not just a policy promise. audit_logs only
+--     records account security events (token theft, lockouts, MFA changes).
 --   - refresh_token in user_devices is legacy. refresh_tokens table is the
 --     authoritative token store going forward.
 --
@@ -58,6 +68,21 @@ CREATE TABLE IF NOT EXISTS public.users (
 -- Case-insensitive email lookup — prevents duplicate accounts differing only in case
 CREATE INDEX IF NOT EXISTS idx_users_email ON public.users (lower(email));
 
+-- SRP-6a login. Both NULL for accounts that have not upgraded yet; they are set
+-- together on the first successful auth_hash login (or at registration).
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS srp_salt     TEXT;   -- Hex salt chosen by the client
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS srp_verifier TEXT;   -- Hex g^x mod N. Not a password equivalent.
+
+-- Per-account lockout is derived from login_attempts; unlocking only records
+-- the moment from which failures count again.
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS lockout_cleared_at TIMESTAMPTZ;
+
+-- Email verification: NULL = pending (cannot log in). The DEFAULT only fills rows
+-- that exist when the column is first added, so accounts created before email
+-- verification keep working; it is dropped right away so new accounts start pending.
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE public.users ALTER COLUMN email_verified_at DROP DEFAULT;
+
 -- ============================================================================
 -- 2. VAULT RECORDS
 -- ============================================================================
@@ -80,6 +105,31 @@ CREATE TABLE IF NOT EXISTS public.vault_records (
 CREATE INDEX IF NOT EXISTS idx_vault_records_sync        ON public.vault_records (user_id, updated_at DESC);
 CREATE INDEX IF NOT EXISTS idx_vault_records_record_type ON public.vault_records (record_type);
 
+-- Change sequence for cursor-based delta sync: every insert and update takes the
+-- next value (trigger set_vault_change_seq below), so a client that has seen
+-- change_seq N only needs rows above N. Unlike updated_at it never ties and never
+-- goes backwards.
+CREATE SEQUENCE IF NOT EXISTS public.vault_change_seq;
+ALTER TABLE public.vault_records ADD COLUMN IF NOT EXISTS change_seq BIGINT;
+
+-- Migration: number existing rows in the order they last changed. Re-runnable.
+UPDATE public.vault_records v
+SET change_seq = o.seq
+FROM (
+    SELECT id, nextval('public.vault_change_seq') AS seq
+    FROM (
+        SELECT id FROM public.vault_records
+        WHERE change_seq IS NULL
+        ORDER BY updated_at, id
+    ) pending
+) o
+WHERE v.id = o.id;
+
+ALTER TABLE public.vault_records ALTER COLUMN change_seq SET NOT NULL;
+
+-- Cursor sync query pattern: a user's changes after a sequence number
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vault_records_change_seq ON public.vault_records (user_id, change_seq);
+
 -- ============================================================================
 -- 3. USER DEVICES
 -- ============================================================================
@@ -110,6 +160,11 @@ CREATE INDEX IF NOT EXISTS idx_user_devices_user  ON public.user_devices (user_i
 CREATE INDEX IF NOT EXISTS idx_user_devices_token ON public.user_devices (refresh_token)
     WHERE is_revoked = FALSE;
 
+-- Trusted-device grant: the jti of the sb-trusted-device cookie issued with trusted_until.
+-- Login skips MFA only while both are set and the cookie names this grant; clearing
+-- them (revoke, password change, recovery, MFA reset) revokes the trust.
+ALTER TABLE public.user_devices ADD COLUMN IF NOT EXISTS trust_token_id TEXT;
+
 -- ============================================================================
 -- 4. MFA SETTINGS
 -- ============================================================================
@@ -122,6 +177,10 @@ CREATE TABLE IF NOT EXISTS public.mfa_settings (
     updated_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
+-- Replay protection: the latest TOTP time step (unix time / 30) accepted for this
+-- secret. A code is only accepted for a later step, so each code works once.
+ALTER TABLE public.mfa_settings ADD COLUMN IF NOT EXISTS last_totp_step BIGINT;
+
 -- ============================================================================
 -- 5. LOGIN ATTEMPTS
 -- ============================================================================
@@ -142,6 +201,9 @@ CREATE INDEX IF NOT EXISTS idx_login_attempts_time ON public.login_attempts (att
 CREATE INDEX IF NOT EXISTS idx_login_failures ON public.login_attempts (ip_address, attempt_time)
     WHERE was_successful = FALSE;
 
+-- Per-account lockout reads an account's latest attempts
+CREATE INDEX IF NOT EXISTS idx_login_attempts_user_time ON public.login_attempts (user_id, attempt_time DESC);
+
 -- ============================================================================
 -- 6. RECOVERY KEYS
 -- ============================================================================
@@ -154,6 +216,17 @@ CREATE TABLE IF NOT EXISTS public.recovery_keys (
     expires_at  TIMESTAMPTZ                         -- Nullable — set if recovery keys have a TTL policy
 );
 
+-- Recovery by proof of possession: the client derives an Ed25519 key pair and a
+-- wrapping key from the recovery key. The server keeps the public key and the
+-- MEK wrapped under the recovery key, and never sees the key itself.
+-- key_hash is only kept for rows created before this; those accounts must
+-- generate a new recovery key before they can recover.
+ALTER TABLE public.recovery_keys ALTER COLUMN key_hash DROP NOT NULL;
+ALTER TABLE public.recovery_keys ADD COLUMN IF NOT EXISTS public_key TEXT;            -- Ed25519, raw 32 bytes, base64
+ALTER TABLE public.recovery_keys ADD COLUMN IF NOT EXISTS wrapped_mek_recovery TEXT;  -- MEK wrapped under the recovery key
+ALTER TABLE public.recovery_keys ADD COLUMN IF NOT EXISTS key_version INTEGER NOT NULL DEFAULT 1; -- +1 on every rotation
+ALTER TABLE public.recovery_keys ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMPTZ;    -- Set by the owner; a new key clears it
+
 -- ============================================================================
 -- 7. REFRESH TOKENS
 -- ============================================================================
@@ -171,9 +244,18 @@ CREATE TABLE IF NOT EXISTS public.refresh_tokens (
     created_at           TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
+-- Every token minted by one login shares a family_id. Presenting a token that
+-- was already rotated away revokes the whole family (stolen-token detection).
+ALTER TABLE public.refresh_tokens ADD COLUMN IF NOT EXISTS family_id UUID;
+-- An earlier revision stored the raw IP here; only created_country may be kept
+ALTER TABLE public.refresh_tokens DROP COLUMN IF EXISTS created_ip;
+
 -- Most frequent query in the system — every auth request hits this
 CREATE INDEX IF NOT EXISTS idx_refresh_tokens_hash ON public.refresh_tokens (token_hash)
     WHERE is_revoked = FALSE;
+-- Reuse detection must also find revoked tokens, so the lookup cannot rely on the partial index
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_hash_all ON public.refresh_tokens (token_hash);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family   ON public.refresh_tokens (family_id);
 
 -- ============================================================================
 -- 8. SYNC QUEUE
@@ -209,6 +291,193 @@ CREATE TABLE IF NOT EXISTS public.conflicts (
 
 CREATE INDEX IF NOT EXISTS idx_conflicts_user ON public.conflicts (user_id, record_id);
 
+-- ============================================================================
+-- 10. AUDIT LOGS
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.audit_logs (
+    id            UUID        PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id       UUID        REFERENCES public.users(id) ON DELETE CASCADE,
+    event_type    TEXT        NOT NULL,             -- e.g. 'REFRESH_TOKEN_REUSE', 'ACCOUNT_LOCKED'
+    ip_address    INET,                             -- Nullable — same legitimate-interest basis as login_attempts
+    device_id     UUID        REFERENCES public.user_devices(id) ON DELETE SET NULL,
+    location_city TEXT,
+    metadata      JSONB,                            -- Event details. Never vault contents or key material.
+    created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_user ON public.audit_logs (user_id, created_at DESC);
+
+-- ============================================================================
+-- 11. AUTH CHALLENGES
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.auth_challenges (
+    id          UUID        PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id     UUID        REFERENCES public.users(id) ON DELETE CASCADE,
+    purpose     TEXT        NOT NULL,               -- e.g. 'srp-login'
+    payload     JSONB       NOT NULL DEFAULT '{}',  -- Flow state; secrets are encrypted by the application
+    expires_at  TIMESTAMPTZ NOT NULL,
+    consumed_at TIMESTAMPTZ,                        -- Set exactly once; consumed challenges are never reused
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Expired and consumed rows are dead weight; periodic cleanup deletes by expiry
+CREATE INDEX IF NOT EXISTS idx_auth_challenges_expires ON public.auth_challenges (expires_at);
+-- Flows answered more than once (TOTP enrollment) look up a user's latest open challenge
+CREATE INDEX IF NOT EXISTS idx_auth_challenges_user_purpose ON public.auth_challenges (user_id, purpose, created_at DESC);
+
+-- ============================================================================
+-- 12. EMAIL VERIFICATION TOKENS
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.email_verification_tokens (
+    id         UUID        PRIMARY KEY DEFAULT uuid_generate_v4(),  -- jti of the signed link
+    user_id    UUID        NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    email      TEXT        NOT NULL,            -- Address the link was sent to; a changed address is not verified by it
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at    TIMESTAMPTZ,                     -- Set exactly once
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Resend throttling looks up a user's recent links
+CREATE INDEX IF NOT EXISTS idx_email_verification_user ON public.email_verification_tokens (user_id, created_at DESC);
+
+-- ============================================================================
+-- 13. WEBAUTHN CREDENTIALS
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.webauthn_credentials (
+    id            UUID        PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id       UUID        NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    credential_id TEXT        NOT NULL UNIQUE,      -- Authenticator credential ID (base64url)
+    public_key    TEXT        NOT NULL,             -- COSE public key (base64url)
+    sign_count    BIGINT      NOT NULL DEFAULT 0,   -- Last signature counter seen; a counter that goes backwards means a cloned key
+    transports    TEXT[],                           -- Hints for the browser (usb, nfc, ble, internal, hybrid)
+    name          TEXT        NOT NULL,             -- User-chosen label, e.g. "YubiKey 5C"
+    device_type   TEXT,                             -- singleDevice | multiDevice (synced passkey)
+    backed_up     BOOLEAN     NOT NULL DEFAULT FALSE,
+    created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_used_at  TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_webauthn_credentials_user ON public.webauthn_credentials (user_id);
+
+-- ============================================================================
+-- 14. PASSKEY CREDENTIALS
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.passkey_credentials (
+    id            UUID        PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id       UUID        NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    credential_id TEXT        NOT NULL UNIQUE,      -- Discoverable credential ID (base64url); looked up without an email
+    public_key    TEXT        NOT NULL,             -- COSE public key (base64url)
+    sign_count    BIGINT      NOT NULL DEFAULT 0,
+    transports    TEXT[],
+    name          TEXT        NOT NULL,
+    device_type   TEXT,                             -- singleDevice | multiDevice (synced passkey)
+    backed_up     BOOLEAN     NOT NULL DEFAULT FALSE,
+    wrapped_mek   TEXT        NOT NULL,             -- MEK wrapped under a key derived from this passkey's PRF output; opaque to the server
+    created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_used_at  TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_passkey_credentials_user ON public.passkey_credentials (user_id);
+
+-- ============================================================================
+-- 15. MFA ATTEMPTS
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.mfa_attempts (
+    id               UUID        PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id          UUID        NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    pending_token_id TEXT,                          -- jti of the mfa-pending token; NULL when sent from a full session
+    method           TEXT        NOT NULL,          -- totp | backup_code | email_otp
+    ip_address       INET        NOT NULL,          -- Same justification as login_attempts.ip_address
+    was_successful   BOOLEAN     NOT NULL DEFAULT FALSE,
+    attempt_time     TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Per-user lock reads a user's latest attempts; per-login limit counts one token's failures
+CREATE INDEX IF NOT EXISTS idx_mfa_attempts_user_time ON public.mfa_attempts (user_id, attempt_time DESC);
+CREATE INDEX IF NOT EXISTS idx_mfa_attempts_token ON public.mfa_attempts (pending_token_id)
+    WHERE was_successful = FALSE;
+
+-- ============================================================================
+-- 16. MFA FACTORS
+-- ============================================================================
+-- One row per enrolled second factor, so a user can have several authenticators
+-- (a second phone, a hardware OTP token). mfa_settings keeps the backup codes and
+-- is_totp_enabled; its totp_secret_enc / last_totp_step columns are legacy.
+CREATE TABLE IF NOT EXISTS public.mfa_factors (
+    id             UUID        PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id        UUID        NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    type           TEXT        NOT NULL DEFAULT 'totp',  -- totp | email (at most one, no secret)
+    name           TEXT        NOT NULL,                 -- User-chosen label, e.g. 'Work phone'
+    secret_enc     TEXT,                                 -- Server-side encrypted TOTP secret
+    last_totp_step BIGINT,                               -- Replay protection, as mfa_settings.last_totp_step
+    created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_used_at   TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_mfa_factors_user ON public.mfa_factors (user_id, type);
+
+-- The email factor is an on/off switch: one row per user at most
+CREATE UNIQUE INDEX IF NOT EXISTS idx_mfa_factors_user_email ON public.mfa_factors (user_id)
+    WHERE type = 'email';
+
+-- Migration: every enabled single-secret TOTP setup becomes the user's first
+-- authenticator. Re-runnable: users that already have a TOTP factor are skipped.
+INSERT INTO public.mfa_factors (user_id, type, name, secret_enc, last_totp_step, created_at)
+SELECT s.user_id, 'totp', 'Authenticator app', s.totp_secret_enc, s.last_totp_step, s.updated_at
+FROM public.mfa_settings s
+WHERE s.is_totp_enabled = TRUE
+  AND s.totp_secret_enc IS NOT NULL
+  AND NOT EXISTS (
+      SELECT 1 FROM public.mfa_factors f
+      WHERE f.user_id = s.user_id AND f.type = 'totp'
+  );
+
+-- ============================================================================
+-- 17. MFA PUSH CHALLENGES
+-- ============================================================================
+-- A login that has passed the password step and can be approved from another
+-- device of the same user that has a session. The new machine shows
+-- number_match; the approving device must pick it from number_choices.
+CREATE TABLE IF NOT EXISTS public.mfa_push_challenges (
+    id                  UUID        PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id             UUID        NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    pending_token_id    TEXT        NOT NULL,       -- jti of the mfa-pending token of the waiting login
+    number_match        SMALLINT    NOT NULL,       -- Shown on the new machine only
+    number_choices      SMALLINT[]  NOT NULL,       -- Shown on approving devices; includes number_match
+    status              TEXT        NOT NULL DEFAULT 'pending'
+                        CHECK (status IN ('pending', 'approved', 'denied', 'completed')),
+    ip_address          INET,                       -- Of the waiting login, so the approver can judge it
+    user_agent          TEXT,
+    responded_device_id UUID        REFERENCES public.user_devices(id) ON DELETE SET NULL,
+    created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at          TIMESTAMPTZ NOT NULL,       -- Same lifetime as the mfa-pending token
+    responded_at        TIMESTAMPTZ,
+    completed_at        TIMESTAMPTZ                 -- Set once, when the approved login receives its session
+);
+
+-- Approving devices list a user's open challenges
+CREATE INDEX IF NOT EXISTS idx_mfa_push_challenges_user ON public.mfa_push_challenges (user_id, status, expires_at);
+
+-- ============================================================================
+-- 18. MFA EMAIL CODES
+-- ============================================================================
+-- One-time codes emailed to users who turned on the email factor (an 'email' row
+-- in mfa_factors), as a fallback when the authenticator is not at hand. Only a
+-- hash of each code is kept, and a code only completes the login it was sent for.
+CREATE TABLE IF NOT EXISTS public.mfa_email_codes (
+    id               UUID        PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id          UUID        NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    pending_token_id TEXT        NOT NULL,          -- jti of the mfa-pending token the code was sent for
+    code_hash        TEXT        NOT NULL,          -- SHA-256 of pending_token_id and the code; never the code itself
+    attempts         INTEGER     NOT NULL DEFAULT 0, -- Wrong codes sent against this one
+    created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at       TIMESTAMPTZ NOT NULL,
+    consumed_at      TIMESTAMPTZ                    -- Set once, when the code completes the login
+);
+
+-- Latest code of a login; resend throttling reads a user's recent codes
+CREATE INDEX IF NOT EXISTS idx_mfa_email_codes_user ON public.mfa_email_codes (user_id, created_at DESC);
+
 -- ============================================================================
 -- ROW LEVEL SECURITY
 -- ============================================================================
@@ -221,6 +490,15 @@ ALTER TABLE public.recovery_keys   ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.refresh_tokens  ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.sync_queue      ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.conflicts       ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.audit_logs      ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.auth_challenges ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.email_verification_tokens ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.webauthn_credentials ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.passkey_credentials ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.mfa_attempts    ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.mfa_factors     ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.mfa_push_challenges ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.mfa_email_codes ENABLE ROW LEVEL SECURITY;
 
 -- Drop all existing policies to make script re-runnable
 DROP POLICY IF EXISTS "Users can see their own data"             ON public.users;
@@ -233,6 +511,15 @@ DROP POLICY IF EXISTS "Allow all for recovery_keys"              ON public.recov
 DROP POLICY IF EXISTS "Allow all for refresh_tokens"             ON public.refresh_tokens;
 DROP POLICY IF EXISTS "Allow all for sync_queue"                 ON public.sync_queue;
 DROP POLICY IF EXISTS "Allow all for conflicts"                  ON public.conflicts;
+DROP POLICY IF EXISTS "Allow all for audit_logs"                 ON public.audit_logs;
+DROP POLICY IF EXISTS "Allow all for auth_challenges"            ON public.auth_challenges;
+DROP POLICY IF EXISTS "Allow all for email_verification_tokens"  ON public.email_verification_tokens;
+DROP POLICY IF EXISTS "Allow all for webauthn_credentials"       ON public.webauthn_credentials;
+DROP POLICY IF EXISTS "Allow all for passkey_credentials"        ON public.passkey_credentials;
+DROP POLICY IF EXISTS "Allow all for mfa_attempts"               ON public.mfa_attempts;
+DROP POLICY IF EXISTS "Allow all for mfa_factors"                ON public.mfa_factors;
+DROP POLICY IF EXISTS "Allow all for mfa_push_challenges"        ON public.mfa_push_challenges;
+DROP POLICY IF EXISTS "Allow all for mfa_email_codes"            ON public.mfa_email_codes;
 
 -- User-scoped policies (each user reads and writes only their own data)
 CREATE POLICY "Users can see their own data"
@@ -244,6 +531,9 @@ CREATE POLICY "Users can manage their own vault records"
 CREATE POLICY "Users can manage their own devices"
     ON public.user_devices FOR ALL USING (auth.uid() = user_id);
 
+-- Credentials, challenges and attempt counters get no policy at all: a row in them
+-- is a login, so only the backend may read or write them (see GRANTS).
+
 -- Open policies — service_role (Node backend) bypasses RLS automatically.
 -- These cover authenticated/anon roles for direct access if needed.
 CREATE POLICY "Allow all for mfa_settings"
@@ -347,6 +637,382 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
 
+-- Assigns vault_records.change_seq. The per-user advisory lock is held until the
+-- writing transaction ends, so a user's writes take sequence numbers one at a time
+-- and commit in that order: once a reader sees change_seq N, no row of that user
+-- can still appear below N. Without it a slower transaction could commit a lower
+-- number after a faster one, and a cursor already past it would skip that change.
+CREATE OR REPLACE FUNCTION public.set_vault_change_seq()
+RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtextextended('vault_records:' || NEW.user_id::text, 0));
+    NEW.change_seq := nextval('public.vault_change_seq');
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_vault_records_change_seq ON public.vault_records;
+CREATE TRIGGER trg_vault_records_change_seq
+    BEFORE INSERT OR UPDATE ON public.vault_records
+    FOR EACH ROW EXECUTE FUNCTION public.set_vault_change_seq();
+
+-- Sign out one device session in one transaction: revoke the user_devices row,
+-- drop its trusted-device grant and revoke every refresh token minted for it,
+-- so neither its access tokens nor its refresh cookie outlive the revocation.
+-- Returns false when the device does not exist or belongs to someone else.
+CREATE OR REPLACE FUNCTION public.revoke_device_session(
+    p_device_id UUID,
+    p_user_id UUID
+) RETURNS BOOLEAN AS $$
+BEGIN
+    UPDATE public.user_devices
+    SET is_revoked = true,
+        revoked_at = COALESCE(revoked_at, NOW()),
+        trusted_until = NULL,
+        trust_token_id = NULL
+    WHERE id = p_device_id
+      AND user_id = p_user_id;
+
+    IF NOT FOUND THEN
+        RETURN false;
+    END IF;
+
+    UPDATE public.refresh_tokens
+    SET is_revoked = true
+    WHERE device_id = p_device_id
+      AND is_revoked = false;
+
+    RETURN true;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Refresh token rotation in one transaction: retire the presented token (only if it
+-- is still active) and store its successor in the same family and device session,
+-- so a failure in between can never leave the session without a valid token.
+-- Returns false when another request already rotated or revoked the token.
+DROP FUNCTION IF EXISTS public.rotate_refresh_token(UUID, UUID, TEXT, TIMESTAMPTZ, INET);
+CREATE OR REPLACE FUNCTION public.rotate_refresh_token(
+    p_old_token_id UUID,
+    p_new_token_id UUID,
+    p_token_hash TEXT,
+    p_expires_at TIMESTAMPTZ,
+    p_created_country TEXT
+) RETURNS BOOLEAN AS $$
+DECLARE
+    v_old public.refresh_tokens%ROWTYPE;
+BEGIN
+    UPDATE public.refresh_tokens
+    SET is_revoked = true,
+        replaced_by_token_id = p_new_token_id
+    WHERE id = p_old_token_id
+      AND is_revoked = false
+    RETURNING * INTO v_old;
+
+    IF NOT FOUND THEN
+        RETURN false;
+    END IF;
+
+    INSERT INTO public.refresh_tokens (id, user_id, device_id, family_id, token_hash, expires_at, created_country)
+    VALUES (p_new_token_id, v_old.user_id, v_old.device_id, v_old.family_id, p_token_hash, p_expires_at, p_created_country);
+
+    RETURN true;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Master password change in one transaction: swap the credentials (only if
+-- server_hash is still the one the caller proved), optionally rotate the
+-- recovery key, revoke every session except the caller's, drop every
+-- trusted-device grant and delete every passkey.
+-- Returns {"success": false} when the credentials changed in the meantime.
+DROP FUNCTION IF EXISTS public.change_master_password(UUID, TEXT, TEXT, TEXT, TEXT, JSONB, TEXT, TEXT, TEXT, UUID);
+CREATE OR REPLACE FUNCTION public.change_master_password(
+    p_user_id UUID,
+    p_current_server_hash TEXT,
+    p_salt TEXT,
+    p_wrapped_mek TEXT,
+    p_server_hash TEXT,
+    p_kdf_params JSONB,
+    p_srp_salt TEXT,
+    p_srp_verifier TEXT,
+    p_recovery_public_key TEXT,
+    p_wrapped_mek_recovery TEXT,
+    p_recovery_expires_at TIMESTAMPTZ,
+    p_keep_device_id UUID
+) RETURNS json AS $$
+DECLARE
+    v_revoked INTEGER;
+    v_passkeys INTEGER;
+BEGIN
+    UPDATE public.users
+    SET
+        salt = p_salt,
+        wrapped_mek = p_wrapped_mek,
+        server_hash = p_server_hash,
+        kdf_params = COALESCE(p_kdf_params, kdf_params),
+        srp_salt = p_srp_salt,
+        srp_verifier = p_srp_verifier,
+        updated_at = NOW()
+    WHERE id = p_user_id
+      AND server_hash = p_current_server_hash;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false);
+    END IF;
+
+    IF p_recovery_public_key IS NOT NULL THEN
+        INSERT INTO public.recovery_keys (user_id, public_key, wrapped_mek_recovery, key_version, expires_at, created_at)
+        VALUES (p_user_id, p_recovery_public_key, p_wrapped_mek_recovery, 1, p_recovery_expires_at, NOW())
+        ON CONFLICT (user_id) DO UPDATE SET
+            key_hash = NULL,
+            public_key = EXCLUDED.public_key,
+            wrapped_mek_recovery = EXCLUDED.wrapped_mek_recovery,
+            key_version = public.recovery_keys.key_version + 1,
+            expires_at = EXCLUDED.expires_at,
+            revoked_at = NULL,
+            created_at = EXCLUDED.created_at;
+    END IF;
+
+    UPDATE public.user_devices
+    SET is_revoked = true, revoked_at = NOW()
+    WHERE user_id = p_user_id
+      AND is_revoked = false
+      AND id IS DISTINCT FROM p_keep_device_id;
+    GET DIAGNOSTICS v_revoked = ROW_COUNT;
+
+    -- A new password means MFA again everywhere, including on this device
+    UPDATE public.user_devices
+    SET trusted_until = NULL, trust_token_id = NULL
+    WHERE user_id = p_user_id
+      AND trust_token_id IS NOT NULL;
+
+    UPDATE public.refresh_tokens
+    SET is_revoked = true
+    WHERE user_id = p_user_id
+      AND is_revoked = false
+      AND device_id IS DISTINCT FROM p_keep_device_id;
+
+    -- Each passkey unwraps the MEK on its own; one an attacker registered must not
+    -- outlive the password. The owner registers theirs again.
+    DELETE FROM public.passkey_credentials
+    WHERE user_id = p_user_id;
+    GET DIAGNOSTICS v_passkeys = ROW_COUNT;
+
+    RETURN json_build_object('success', true, 'revoked_sessions', v_revoked, 'removed_passkeys', v_passkeys);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Account recovery in one transaction: retire the recovery key that was just
+-- proven (only if it is still the same version, not revoked and not expired), store the new
+-- one, swap the credentials, revoke every session, drop every trusted-device grant
+-- and delete every passkey.
+-- Returns {"success": false} when the key was rotated or expired in the meantime.
+CREATE OR REPLACE FUNCTION public.complete_account_recovery(
+    p_user_id UUID,
+    p_key_version INTEGER,
+    p_salt TEXT,
+    p_wrapped_mek TEXT,
+    p_server_hash TEXT,
+    p_kdf_params JSONB,
+    p_srp_salt TEXT,
+    p_srp_verifier TEXT,
+    p_recovery_public_key TEXT,
+    p_wrapped_mek_recovery TEXT,
+    p_recovery_expires_at TIMESTAMPTZ
+) RETURNS json AS $$
+DECLARE
+    v_new_version INTEGER;
+    v_passkeys INTEGER;
+BEGIN
+    UPDATE public.recovery_keys
+    SET
+        key_hash = NULL,
+        public_key = p_recovery_public_key,
+        wrapped_mek_recovery = p_wrapped_mek_recovery,
+        key_version = key_version + 1,
+        expires_at = p_recovery_expires_at,
+        created_at = NOW()
+    WHERE user_id = p_user_id
+      AND key_version = p_key_version
+      AND revoked_at IS NULL
+      AND (expires_at IS NULL OR expires_at > NOW())
+    RETURNING key_version INTO v_new_version;
+
+    IF v_new_version IS NULL THEN
+        RETURN json_build_object('success', false);
+    END IF;
+
+    UPDATE public.users
+    SET
+        salt = p_salt,
+        wrapped_mek = p_wrapped_mek,
+        server_hash = p_server_hash,
+        kdf_params = COALESCE(p_kdf_params, kdf_params),
+        srp_salt = p_srp_salt,
+        srp_verifier = p_srp_verifier,
+        updated_at = NOW()
+    WHERE id = p_user_id;
+
+    UPDATE public.user_devices
+    SET is_revoked = true, revoked_at = NOW()
+    WHERE user_id = p_user_id
+      AND is_revoked = false;
+
+    UPDATE public.user_devices
+    SET trusted_until = NULL, trust_token_id = NULL
+    WHERE user_id = p_user_id
+      AND trust_token_id IS NOT NULL;
+
+    UPDATE public.refresh_tokens
+    SET is_revoked = true
+    WHERE user_id = p_user_id
+      AND is_revoked = false;
+
+    DELETE FROM public.passkey_credentials
+    WHERE user_id = p_user_id;
+    GET DIAGNOSTICS v_passkeys = ROW_COUNT;
+
+    RETURN json_build_object('success', true, 'key_version', v_new_version, 'removed_passkeys', v_passkeys);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Second-factor attempt, counted before the code is checked: under a per-user lock,
+-- refuse it if the mfa-pending token has used up its attempts or the user's MFA is
+-- locked, otherwise store it as a failure. Parallel guesses are therefore counted
+-- one after another; the caller flips the row to successful if the code is right.
+-- Returns {"token_exhausted": true}, {"locked": true, ...} or the new attempt_id
+-- with the user's run of failures including this attempt.
+CREATE OR REPLACE FUNCTION public.begin_mfa_attempt(
+    p_user_id UUID,
+    p_pending_token_id TEXT,
+    p_method TEXT,
+    p_ip_address INET,
+    p_max_attempts_per_token INTEGER,
+    p_threshold INTEGER,
+    p_window_minutes INTEGER,
+    p_duration_minutes INTEGER
+) RETURNS json AS $$
+DECLARE
+    v_last_success TIMESTAMPTZ;
+    v_failures INTEGER;
+    v_last_failure TIMESTAMPTZ;
+    v_locked_until TIMESTAMPTZ;
+    v_attempt_id UUID;
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext('mfa_attempts:' || p_user_id::text));
+
+    IF p_pending_token_id IS NOT NULL AND (
+        SELECT COUNT(*) FROM public.mfa_attempts
+        WHERE pending_token_id = p_pending_token_id
+          AND was_successful = false
+    ) >= p_max_attempts_per_token THEN
+        RETURN json_build_object('token_exhausted', true);
+    END IF;
+
+    SELECT MAX(attempt_time) INTO v_last_success
+    FROM public.mfa_attempts
+    WHERE user_id = p_user_id
+      AND was_successful = true;
+
+    SELECT COUNT(*), MAX(attempt_time) INTO v_failures, v_last_failure
+    FROM public.mfa_attempts
+    WHERE user_id = p_user_id
+      AND was_successful = false
+      AND attempt_time > NOW() - make_interval(mins => p_window_minutes)
+      AND attempt_time > COALESCE(v_last_success, '-infinity');
+
+    v_locked_until := v_last_failure + make_interval(mins => p_duration_minutes);
+    IF v_failures >= p_threshold AND v_locked_until > NOW() THEN
+        RETURN json_build_object('locked', true, 'failures', v_failures, 'locked_until', v_locked_until);
+    END IF;
+
+    INSERT INTO public.mfa_attempts (user_id, pending_token_id, method, ip_address, was_successful)
+    VALUES (p_user_id, p_pending_token_id, p_method, p_ip_address, false)
+    RETURNING id INTO v_attempt_id;
+
+    RETURN json_build_object('attempt_id', v_attempt_id, 'failures', v_failures + 1);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Login attempt for a known account, stored as a failure before the password is
+-- checked (same scheme as begin_mfa_attempt, see config/lockoutPolicy.js for the
+-- policy). Returns {"blocked_until": ..., "locked": ...} while the account is in
+-- backoff or locked, otherwise the new attempt_id with the account's run of
+-- failures including this attempt.
+CREATE OR REPLACE FUNCTION public.begin_login_attempt(
+    p_user_id UUID,
+    p_ip_address INET,
+    p_user_agent TEXT,
+    p_threshold INTEGER,
+    p_window_minutes INTEGER,
+    p_duration_minutes INTEGER,
+    p_backoff_after INTEGER,
+    p_backoff_base_seconds INTEGER
+) RETURNS json AS $$
+DECLARE
+    v_since TIMESTAMPTZ;
+    v_last_success TIMESTAMPTZ;
+    v_failures INTEGER;
+    v_last_failure TIMESTAMPTZ;
+    v_blocked_until TIMESTAMPTZ;
+    v_attempt_id UUID;
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext('login_attempts:' || p_user_id::text));
+
+    SELECT GREATEST(NOW() - make_interval(mins => p_window_minutes), COALESCE(lockout_cleared_at, '-infinity'))
+    INTO v_since
+    FROM public.users
+    WHERE id = p_user_id;
+
+    SELECT MAX(attempt_time) INTO v_last_success
+    FROM public.login_attempts
+    WHERE user_id = p_user_id
+      AND was_successful = true
+      AND attempt_time > v_since;
+
+    SELECT COUNT(*), MAX(attempt_time) INTO v_failures, v_last_failure
+    FROM public.login_attempts
+    WHERE user_id = p_user_id
+      AND was_successful = false
+      AND attempt_time > GREATEST(v_since, COALESCE(v_last_success, '-infinity'));
+
+    IF v_failures >= p_threshold THEN
+        v_blocked_until := v_last_failure + make_interval(mins => p_duration_minutes);
+        IF v_blocked_until > NOW() THEN
+            RETURN json_build_object('locked', true, 'failures', v_failures, 'blocked_until', v_blocked_until);
+        END IF;
+    ELSIF v_failures >= p_backoff_after THEN
+        v_blocked_until := v_last_failure + make_interval(secs => LEAST(
+            p_backoff_base_seconds * power(2, v_failures - p_backoff_after),
+            p_duration_minutes * 60
+        ));
+        IF v_blocked_until > NOW() THEN
+            RETURN json_build_object('locked', false, 'failures', v_failures, 'blocked_until', v_blocked_until);
+        END IF;
+    END IF;
+
+    INSERT INTO public.login_attempts (user_id, ip_address, was_successful, user_agent)
+    VALUES (p_user_id, p_ip_address, false, p_user_agent)
+    RETURNING id INTO v_attempt_id;
+
+    RETURN json_build_object('attempt_id', v_attempt_id, 'failures', v_failures + 1);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only the backend may call these; clients must go through /auth/change-password, /auth/recover,
+-- /api/devices/:id/revoke, /auth/refresh and the endpoints that take a second-factor code
+REVOKE EXECUTE ON FUNCTION public.change_master_password(UUID, TEXT, TEXT, TEXT, TEXT, JSONB, TEXT, TEXT, TEXT, TEXT, TIMESTAMPTZ, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.change_master_password(UUID, TEXT, TEXT, TEXT, TEXT, JSONB, TEXT, TEXT, TEXT, TEXT, TIMESTAMPTZ, UUID) TO service_role;
+REVOKE EXECUTE ON FUNCTION public.complete_account_recovery(UUID, INTEGER, TEXT, TEXT, TEXT, JSONB, TEXT, TEXT, TEXT, TEXT, TIMESTAMPTZ) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.complete_account_recovery(UUID, INTEGER, TEXT, TEXT, TEXT, JSONB, TEXT, TEXT, TEXT, TEXT, TIMESTAMPTZ) TO service_role;
+REVOKE EXECUTE ON FUNCTION public.revoke_device_session(UUID, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.revoke_device_session(UUID, UUID) TO service_role;
+REVOKE EXECUTE ON FUNCTION public.rotate_refresh_token(UUID, UUID, TEXT, TIMESTAMPTZ, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.rotate_refresh_token(UUID, UUID, TEXT, TIMESTAMPTZ, TEXT) TO service_role;
+REVOKE EXECUTE ON FUNCTION public.begin_mfa_attempt(UUID, TEXT, TEXT, INET, INTEGER, INTEGER, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.begin_mfa_attempt(UUID, TEXT, TEXT, INET, INTEGER, INTEGER, INTEGER, INTEGER) TO service_role;
+REVOKE EXECUTE ON FUNCTION public.begin_login_attempt(UUID, INET, TEXT, INTEGER, INTEGER, INTEGER, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.begin_login_attempt(UUID, INET, TEXT, INTEGER, INTEGER, INTEGER, INTEGER, INTEGER) TO service_role;
+
 -- ============================================================================
 -- GRANTS
 -- ============================================================================
@@ -356,8 +1022,33 @@ GRANT ALL ON public.recovery_keys  TO service_role, authenticated, anon;
 GRANT ALL ON public.refresh_tokens TO service_role, authenticated, anon;
 GRANT ALL ON public.sync_queue     TO service_role, authenticated, anon;
 GRANT ALL ON public.conflicts      TO service_role, authenticated, anon;
+
+-- Only the backend may touch these tables. RLS is on with no policy, so the anon key and user JWTs
+-- reach no rows; the Node service_role bypasses RLS. REVOKE first so that re-running
+-- this script also closes databases set up with the earlier open grants.
+REVOKE ALL ON public.passkey_credentials FROM anon, authenticated;
+GRANT ALL ON public.passkey_credentials TO service_role;
+REVOKE ALL ON public.webauthn_credentials FROM anon, authenticated;
+GRANT ALL ON public.webauthn_credentials TO service_role;
+REVOKE ALL ON public.mfa_factors FROM anon, authenticated;
+GRANT ALL ON public.mfa_factors TO service_role;
+REVOKE ALL ON public.email_verification_tokens FROM anon, authenticated;
+GRANT ALL ON public.email_verification_tokens TO service_role;
+REVOKE ALL ON public.mfa_push_challenges FROM anon, authenticated;
+GRANT ALL ON public.mfa_push_challenges TO service_role;
+REVOKE ALL ON public.auth_challenges FROM anon, authenticated;
+GRANT ALL ON public.auth_challenges TO service_role;
+REVOKE ALL ON public.mfa_email_codes FROM anon, authenticated;
+GRANT ALL ON public.mfa_email_codes TO service_role;
+REVOKE ALL ON public.mfa_attempts FROM anon, authenticated;
+GRANT ALL ON public.mfa_attempts TO service_role;
+REVOKE ALL ON public.audit_logs FROM anon, authenticated;
+GRANT ALL ON public.audit_logs TO service_role;
+
 -- users and user_devices also need explicit grants so that the Node service_role
 -- client can insert/update after a schema reload without losing default privileges.
 GRANT ALL ON public.users          TO service_role, authenticated, anon;
 GRANT ALL ON public.vault_records  TO service_role, authenticated, anon;
+-- Writers of vault_records draw change_seq from this sequence (set_vault_change_seq)
+GRANT USAGE, SELECT ON SEQUENCE public.vault_change_seq TO service_role, authenticated, anon;
 GRANT ALL ON public.user_devices   TO service_role, authenticated, anon;
@@ -0,0 +1,30 @@
+// reencrypt_secrets.js
+// Usage: npm run reencrypt-secrets [-- --dry-run]
+// Re-encrypts stored TOTP secrets under the current encryption key (ENCRYPTION_KEY_ID).
+// Keep the old key (and ENCRYPTION_KEY, for legacy values) configured until this reports no failures.
+
+import { reencryptStoredSecrets } from '../utils/reencryptSecrets.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function run() {
+    console.log(dryRun ? 'Dry run: nothing will be written.' : 'Re-encrypting stored secrets...');
+
+    const results = await reencryptStoredSecrets({ dryRun });
+
+    let failed = 0;
+    for (const [column, stats] of Object.entries(results)) {
+        console.log(`${column}: ${stats.scanned} scanned, ${stats.reencrypted} re-encrypted, ${stats.current} already current, ${stats.changed} changed meanwhile, ${stats.failed} failed`);
+        failed += stats.failed;
+    }
+
+    if (failed > 0) {
+        console.error(`${failed} secrets could not be decrypted with the configured keys.`);
+        process.exit(1);
+    }
+}
+
+run().catch((err) => {
+    console.error('Re-encryption failed:', err.message);
+    process.exit(1);
+});
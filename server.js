@@ -4,16 +4,25 @@
 
 import app from './app.js';
 import { startHealthCheck } from './config/db.js';
+import { assertEncryptionConfig } from './config/encryptionKeys.js';
 
 // Define the port to run the server on, defaulting to 3000 if not specified in environment variables.
 const PORT = process.env.PORT || 3000;
 
 (async () => {
-  // 1. Start Database Connectivity Polling
+  // 1. Refuse to run with a missing or development encryption key in production
+  try {
+    assertEncryptionConfig();
+  } catch (err) {
+    console.error(`Refusing to start: ${err.message}`);
+    process.exit(1);
+  }
+
+  // 2. Start Database Connectivity Polling
   // Before starting the server, start the health check routine.
   await startHealthCheck();
 
-  // 2. Start the Server
+  // 3. Start the Server
   // Listen for incoming requests on the specified port.
   app.listen(PORT, () => {
     console.log(`Server running on http://localhost:${PORT}`);
@@ -1,4 +1,4 @@
-import { describe, it, expect, vi, beforeEach } from "vitest";
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
 import request from "supertest";
 import express from "express";
 import cookieParser from "cookie-parser";
@@ -14,24 +14,77 @@ vi.mock("../models/userModel.js", () => ({
   getUserById: vi.fn(),
   incrementFailedLogin: vi.fn(),
   resetFailedLogin: vi.fn(),
+  setSrpVerifier: vi.fn().mockResolvedValue(),
+  clearAccountLockout: vi.fn().mockResolvedValue(),
+  replaceUserCredentials: vi.fn().mockResolvedValue(true),
+  changeMasterPassword: vi.fn().mockResolvedValue({ changed: true, revokedSessions: 2, removedPasskeys: 1 }),
 }));
 
 // Mock login attempt tracking (rate-limiting)
 vi.mock("../models/loginAttemptModel.js", () => ({
   recordLoginAttempt: vi.fn().mockResolvedValue({}),
   countRecentFailedAttempts: vi.fn().mockResolvedValue(0),
+  getRecentAttemptsForUser: vi.fn().mockResolvedValue([]),
+  beginLoginAttempt: vi.fn().mockResolvedValue({ attempt_id: "attempt-1", failures: 1 }),
+  markLoginAttemptSuccessful: vi.fn().mockResolvedValue(),
+  deleteLoginAttempt: vi.fn().mockResolvedValue(),
 }));
 
-// Mock mfaSettingsModel — return null (MFA disabled) so login flows to token issuance
-vi.mock("../models/mfaSettingsModel.js", () => ({
-  getMfaSettings: vi.fn().mockResolvedValue(null),
+// Mock mfaFactorModel — no authenticators (MFA disabled) so login flows to token issuance
+vi.mock("../models/mfaFactorModel.js", () => ({
+  listMfaFactors: vi.fn().mockResolvedValue([]),
+}));
+
+vi.mock("../models/webauthnCredentialModel.js", () => ({
+  listWebAuthnCredentials: vi.fn().mockResolvedValue([]),
 }));
 
 // Mock deviceModel — prevent real DB calls when registering devices on login
 vi.mock("../models/deviceModel.js", () => ({
-  registerUserDevice: vi.fn().mockResolvedValue({}),
+  registerUserDevice: vi.fn().mockResolvedValue({ id: "device-1" }),
   updateDeviceToken: vi.fn().mockResolvedValue({}),
   revokeDeviceByToken: vi.fn().mockResolvedValue({}),
+  revokeDeviceById: vi.fn().mockResolvedValue({}),
+  getDeviceSessionState: vi.fn().mockResolvedValue({ id: "device-1", user_id: "123", is_revoked: false }),
+  getDeviceTrust: vi.fn().mockResolvedValue(null),
+  getSignedInDevicesByUserId: vi.fn().mockResolvedValue([]),
+}));
+
+vi.mock("../models/mfaPushChallengeModel.js", () => ({
+  createPushChallenge: vi.fn(async ({ userId, pendingTokenId, numberMatch, numberChoices }) => ({
+    id: "push-1",
+    user_id: userId,
+    pending_token_id: pendingTokenId,
+    number_match: numberMatch,
+    number_choices: numberChoices,
+    status: "pending",
+    expires_at: new Date(Date.now() + 5 * 60 * 1000).toISOString(),
+  })),
+}));
+
+// Only the country of a client is stored, never its IP
+vi.mock("../utils/geoip.js", () => ({
+  resolveCountry: vi.fn((ip) => (ip === "203.0.113.7" ? "NL" : null)),
+}));
+
+// Mock refresh token storage so rotation can be driven from each test
+vi.mock("../models/refreshTokenModel.js", () => ({
+  createRefreshToken: vi.fn().mockResolvedValue({ id: "rt-new" }),
+  findRefreshTokenByHash: vi.fn(),
+  rotateRefreshToken: vi.fn().mockResolvedValue(true),
+  revokeRefreshToken: vi.fn().mockResolvedValue(),
+  revokeTokenFamily: vi.fn().mockResolvedValue(),
+}));
+
+// Mock verification link storage so registration can send its email without a DB
+vi.mock("../models/emailVerificationModel.js", () => ({
+  createVerificationToken: vi.fn().mockResolvedValue({ id: "0b7e4f8e-6a39-4b4c-9b1e-3f0c2d7a9e11" }),
+  consumeVerificationToken: vi.fn(),
+  getRecentVerificationTokenTimes: vi.fn().mockResolvedValue([]),
+}));
+
+vi.mock("../models/auditLogModel.js", () => ({
+  recordAuditEvent: vi.fn().mockResolvedValue({}),
 }));
 
 // Mock db config with a minimal supabase stub that supports chained calls
@@ -40,6 +93,7 @@ const makeChain = () => ({
   insert: vi.fn().mockReturnThis(),
   select: vi.fn().mockReturnThis(),
   single: vi.fn().mockResolvedValue({ data: {}, error: null }),
+  maybeSingle: vi.fn().mockResolvedValue({ data: null, error: null }),
   update: vi.fn().mockReturnThis(),
   eq: vi.fn().mockReturnThis(),
 });
@@ -52,9 +106,19 @@ vi.mock("../config/db.js", () => ({
 // Import the router after mocks
 import router from "../route/auth.js";
 import * as db from "../models/userModel.js";
+import * as tokenDb from "../models/refreshTokenModel.js";
+import * as deviceDb from "../models/deviceModel.js";
+import * as auditDb from "../models/auditLogModel.js";
+import * as webauthnDb from "../models/webauthnCredentialModel.js";
+import * as pushDb from "../models/mfaPushChallengeModel.js";
+import * as mfaFactorDb from "../models/mfaFactorModel.js";
+import { hashToken } from "../utils/session.js";
+import { TOKEN_TYPES, signToken, verifyToken } from "../config/tokenKeys.js";
 
 // Setup app
 const app = express();
+// The tests pose as different clients through X-Forwarded-For
+app.set("trust proxy", true);
 app.use(express.json());
 app.use(cookieParser());
 app.use("/auth", router);
@@ -76,7 +140,8 @@ describe("Auth Routes (Zero Knowledge)", () => {
         wrapped_mek: "mek123",
         auth_hash: "client_hash_value",
         // 64-char hex — satisfies the Joi .hex().length(64) validation rule
-        recovery_key_hash: "a".repeat(64),
+        recovery_public_key: Buffer.alloc(32, 1).toString("base64"),
+        wrapped_mek_recovery: "mek_recovery123",
       };
 
       const res = await request(app)
@@ -105,10 +170,11 @@ describe("Auth Routes (Zero Knowledge)", () => {
   });
 
   describe("GET /auth/params", () => {
-    it("should return salt and wrapped_mek", async () => {
+    it("should return salt, wrapped_mek and kdf_params", async () => {
       const user = {
         salt: "some_salt",
         wrapped_mek: "some_mek",
+        kdf_params: { algo: "argon2id", m: 131072, t: 4, p: 4 },
       };
       db.getUserByEmail.mockResolvedValue(user);
 
@@ -119,13 +185,27 @@ describe("Auth Routes (Zero Knowledge)", () => {
       expect(res.body).toEqual(user);
     });
 
-    it("should return 404 if user not found", async () => {
-      db.getUserByEmail.mockResolvedValue(null);
+    it("should fall back to the default kdf_params for old rows", async () => {
+      db.getUserByEmail.mockResolvedValue({ salt: "some_salt", wrapped_mek: "some_mek", kdf_params: null });
 
       const res = await request(app)
-        .get("/auth/params?email=unknown@example.com");
+        .get("/auth/params?email=test@example.com");
+
+      expect(res.body.kdf_params).toEqual({ algo: "argon2id", m: 65536, t: 3, p: 4 });
+    });
+
+    it("should return stable decoy params for an unknown email", async () => {
+      db.getUserByEmail.mockResolvedValue(null);
 
-      expect(res.status).toBe(404);
+      const first = await request(app).get("/auth/params?email=unknown@example.com");
+      const again = await request(app).get("/auth/params?email=Unknown@Example.com");
+      const other = await request(app).get("/auth/params?email=other@example.com");
+
+      expect(first.status).toBe(200);
+      expect(Object.keys(first.body).sort()).toEqual(["kdf_params", "salt", "wrapped_mek"]);
+      expect(Buffer.from(first.body.salt, "base64")).toHaveLength(16);
+      expect(again.body).toEqual(first.body);
+      expect(other.body.salt).not.toBe(first.body.salt);
     });
   });
 
@@ -137,6 +217,7 @@ describe("Auth Routes (Zero Knowledge)", () => {
         id: "123",
         email: "test@example.com",
         server_hash: validHash,
+        email_verified_at: "2024-01-01T00:00:00Z",
       };
 
       // Mock the database response to return this user
@@ -151,6 +232,24 @@ describe("Auth Routes (Zero Knowledge)", () => {
       expect(res.status).toBe(200);
       expect(res.body.message).toBe("Login successful");
       expect(res.headers["set-cookie"]).toBeDefined(); // Should set the JWT cookie
+
+      // The refresh token is persisted only as a hash, starting a new family
+      const refreshCookie = res.headers["set-cookie"].find((c) => c.startsWith("sb-refresh-token="));
+      const rawRefresh = refreshCookie.split(";")[0].split("=")[1];
+      const stored = tokenDb.createRefreshToken.mock.calls[0][0];
+      expect(stored.tokenHash).toBe(hashToken(rawRefresh));
+      expect(stored.familyId).toBeDefined();
+      expect(stored).not.toHaveProperty("createdIp");
+      expect(deviceDb.registerUserDevice.mock.calls[0][2]).toBe(hashToken(rawRefresh));
+
+      // The access token is bound to the registered device session
+      const accessCookie = res.headers["set-cookie"].find((c) => c.startsWith("sb-access-token="));
+      const access = jwt.decode(accessCookie.split(";")[0].split("=")[1]);
+      expect(access.sid).toBe("device-1");
+
+      // Both tokens record when the user authenticated
+      expect(access.auth_time).toBeGreaterThan(Math.floor(Date.now() / 1000) - 5);
+      expect(jwt.decode(rawRefresh).auth_time).toBe(access.auth_time);
     });
 
     it("should return 401 on wrong auth_hash", async () => {
@@ -160,6 +259,7 @@ describe("Auth Routes (Zero Knowledge)", () => {
         id: "123",
         email: "test@example.com",
         server_hash: validHash,
+        email_verified_at: "2024-01-01T00:00:00Z",
       };
       db.getUserByEmail.mockResolvedValue(user);
 
@@ -171,6 +271,150 @@ describe("Auth Routes (Zero Knowledge)", () => {
       // Assertions: Verify 401 Unauthorized and that we tracked the failed attempt
       expect(res.status).toBe(401);
     });
+
+    it("should store an SRP verifier sent with a legacy login", async () => {
+      const validHash = await argon2.hash("client_auth_hash");
+      db.getUserByEmail.mockResolvedValue({ id: "123", email: "test@example.com", server_hash: validHash, srp_verifier: null, email_verified_at: "2024-01-01T00:00:00Z" });
+
+      const res = await request(app)
+        .post("/auth/login")
+        .send({ email: "test@example.com", auth_hash: "client_auth_hash", srp_salt: "ab".repeat(16), srp_verifier: "0f1e" });
+
+      expect(res.status).toBe(200);
+      expect(res.body.srp_upgrade_required).toBe(false);
+      expect(db.setSrpVerifier).toHaveBeenCalledWith("123", "ab".repeat(16), "0f1e");
+    });
+
+    it("should flag accounts that still need an SRP verifier", async () => {
+      const validHash = await argon2.hash("client_auth_hash");
+      db.getUserByEmail.mockResolvedValue({ id: "123", email: "test@example.com", server_hash: validHash, srp_verifier: null, email_verified_at: "2024-01-01T00:00:00Z" });
+
+      const res = await request(app)
+        .post("/auth/login")
+        .send({ email: "test@example.com", auth_hash: "client_auth_hash" });
+
+      expect(res.body.srp_upgrade_required).toBe(true);
+      expect(db.setSrpVerifier).not.toHaveBeenCalled();
+    });
+
+    it("should ask for a security key when the user has registered one", async () => {
+      const validHash = await argon2.hash("client_auth_hash");
+      db.getUserByEmail.mockResolvedValue({ id: "123", email: "test@example.com", server_hash: validHash, email_verified_at: "2024-01-01T00:00:00Z" });
+      webauthnDb.listWebAuthnCredentials.mockResolvedValueOnce([{ id: "cred-1", credential_id: "abc" }]);
+
+      const res = await request(app)
+        .post("/auth/login")
+        .send({ email: "test@example.com", auth_hash: "client_auth_hash" });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ mfa_required: true, mfa_methods: ["webauthn"] });
+      expect(res.body.push).toBeUndefined();
+      expect(deviceDb.registerUserDevice).not.toHaveBeenCalled();
+    });
+
+    it("should offer email codes only next to another second factor", async () => {
+      const validHash = await argon2.hash("client_auth_hash");
+      db.getUserByEmail.mockResolvedValue({ id: "123", email: "test@example.com", server_hash: validHash, email_verified_at: "2024-01-01T00:00:00Z" });
+      mfaFactorDb.listMfaFactors.mockImplementation(async (userId, type) => [{ id: `${type}-1`, type }]);
+      const login = () => request(app)
+        .post("/auth/login")
+        .send({ email: "test@example.com", auth_hash: "client_auth_hash" });
+
+      try {
+        expect((await login()).body.mfa_methods).toEqual(["totp", "email"]);
+
+        mfaFactorDb.listMfaFactors.mockImplementation(async (userId, type) => (type === "email" ? [{ id: "email-1", type }] : []));
+        const res = await login();
+        expect(res.body.mfa_required).toBeUndefined();
+        expect(res.body.message).toBe("Login successful");
+      } finally {
+        mfaFactorDb.listMfaFactors.mockReset();
+        mfaFactorDb.listMfaFactors.mockResolvedValue([]);
+      }
+    });
+
+    it("should offer push approval when another device has a session", async () => {
+      const validHash = await argon2.hash("client_auth_hash");
+      db.getUserByEmail.mockResolvedValue({ id: "123", email: "test@example.com", server_hash: validHash, email_verified_at: "2024-01-01T00:00:00Z" });
+      webauthnDb.listWebAuthnCredentials.mockResolvedValueOnce([{ id: "cred-1", credential_id: "abc" }]);
+      deviceDb.getSignedInDevicesByUserId.mockResolvedValueOnce([{ id: "device-1", user_id: "123", is_revoked: false }]);
+
+      const res = await request(app)
+        .post("/auth/login")
+        .set("X-Forwarded-For", "10.22.0.1")
+        .send({ email: "test@example.com", auth_hash: "client_auth_hash" });
+
+      expect(res.status).toBe(200);
+      expect(res.body.mfa_methods).toEqual(["webauthn", "push"]);
+      expect(res.body.push).toMatchObject({ challenge_id: "push-1", number: expect.any(Number) });
+
+      // Bound to the pending token just issued; the right number is among the choices
+      const { pendingTokenId, numberMatch, numberChoices, ipAddress } = pushDb.createPushChallenge.mock.calls[0][0];
+      const pendingCookie = res.headers["set-cookie"].find((c) => c.startsWith("sb-access-token="));
+      const claims = verifyToken(TOKEN_TYPES.MFA_PENDING, pendingCookie.split(";")[0].slice("sb-access-token=".length));
+      expect(pendingTokenId).toBe(claims.jti);
+      expect(res.body.push.number).toBe(numberMatch);
+      expect(numberChoices).toHaveLength(3);
+      expect(numberChoices).toContain(numberMatch);
+      expect(ipAddress).toBe("10.22.0.1");
+    });
+
+    describe("trusted devices", () => {
+      const trustCookie = (payload, jwtid) =>
+        `sb-trusted-device=${signToken(TOKEN_TYPES.TRUSTED_DEVICE, payload, jwtid ? { jwtid } : {})}`;
+      const loginWithCookie = (cookie) => request(app)
+        .post("/auth/login")
+        .set("Cookie", [cookie])
+        .send({ email: "test@example.com", auth_hash: "client_auth_hash" });
+
+      beforeEach(async () => {
+        const validHash = await argon2.hash("client_auth_hash");
+        db.getUserByEmail.mockResolvedValue({ id: "123", email: "test@example.com", server_hash: validHash, email_verified_at: "2024-01-01T00:00:00Z" });
+        webauthnDb.listWebAuthnCredentials.mockResolvedValue([{ id: "cred-1", credential_id: "abc" }]);
+      });
+
+      afterEach(() => {
+        webauthnDb.listWebAuthnCredentials.mockResolvedValue([]);
+      });
+
+      it("should skip MFA while the device's trust grant exists", async () => {
+        deviceDb.getDeviceTrust.mockResolvedValueOnce({
+          id: "device-1",
+          user_id: "123",
+          trust_token_id: "trust-1",
+          trusted_until: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        });
+
+        const res = await loginWithCookie(trustCookie({ id: "123", did: "device-1" }, "trust-1"));
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ message: "Login successful", trusted_device: true });
+        expect(deviceDb.getDeviceTrust).toHaveBeenCalledWith("device-1");
+      });
+
+      it("should ask for MFA once the grant is revoked or replaced", async () => {
+        const cookie = trustCookie({ id: "123", did: "device-1" }, "trust-1");
+
+        deviceDb.getDeviceTrust.mockResolvedValueOnce({ id: "device-1", user_id: "123", trust_token_id: null, trusted_until: null });
+        expect((await loginWithCookie(cookie)).body.mfa_required).toBe(true);
+
+        deviceDb.getDeviceTrust.mockResolvedValueOnce({
+          id: "device-1",
+          user_id: "123",
+          trust_token_id: "trust-2",
+          trusted_until: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        });
+        expect((await loginWithCookie(cookie)).body.mfa_required).toBe(true);
+      });
+
+      it("should not honour a trusted-device cookie without a stored grant", async () => {
+        // Cookies issued before grants were stored name no device
+        const res = await loginWithCookie(trustCookie({ id: "123", issuedAt: Date.now() }));
+
+        expect(res.body.mfa_required).toBe(true);
+        expect(deviceDb.getDeviceTrust).not.toHaveBeenCalled();
+      });
+    });
   });
 
   describe("POST /auth/verify-password", () => {
@@ -180,12 +424,13 @@ describe("Auth Routes (Zero Knowledge)", () => {
         id: "123",
         email: "test@example.com",
         server_hash: validHash,
+        email_verified_at: "2024-01-01T00:00:00Z",
       };
 
       // Create a fake JWT token to simulate logged-in state
-      const token = jwt.sign(
-        { email: "test@example.com" },
-        process.env.JWT_SECRET,
+      const token = signToken(
+        TOKEN_TYPES.ACCESS,
+        { id: "123", email: "test@example.com", sid: "device-1" },
       );
 
       db.getUserByEmail.mockResolvedValue(user);
@@ -200,5 +445,341 @@ describe("Auth Routes (Zero Knowledge)", () => {
       expect(res.status).toBe(200);
       expect(res.body.fresh).toBe(true);
     });
+
+    it("should not upgrade an mfa-pending token into a session", async () => {
+      const pending = signToken(
+        TOKEN_TYPES.MFA_PENDING,
+        { id: "123", email: "test@example.com", sid: "device-1" },
+      );
+
+      const res = await request(app)
+        .post("/auth/verify-password")
+        .set("Cookie", [`sb-access-token=${pending}`])
+        .send({ auth_hash: "client_auth_hash" });
+
+      expect(res.status).toBe(401);
+      expect(db.getUserByEmail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("POST /auth/refresh", () => {
+    const refreshToken = () => signToken(
+      TOKEN_TYPES.REFRESH,
+      { id: "123", email: "test@example.com" },
+      { expiresIn: "7d", jwtid: "jti-1" },
+    );
+    const activeRow = (overrides = {}) => ({
+      id: "rt-old",
+      user_id: "123",
+      device_id: "device-1",
+      family_id: "family-1",
+      expires_at: new Date(Date.now() + 60_000).toISOString(),
+      is_revoked: false,
+      replaced_by_token_id: null,
+      ...overrides,
+    });
+
+    it("should rotate the token within the same family", async () => {
+      const token = refreshToken();
+      tokenDb.findRefreshTokenByHash.mockResolvedValue(activeRow());
+
+      const res = await request(app)
+        .post("/auth/refresh")
+        .set("X-Forwarded-For", "203.0.113.7")
+        .set("Cookie", [`sb-refresh-token=${token}`]);
+
+      expect(res.status).toBe(200);
+      expect(tokenDb.findRefreshTokenByHash).toHaveBeenCalledWith(hashToken(token));
+
+      // The new access token stays bound to the same device session
+      const accessCookie = res.headers["set-cookie"].find((c) => c.startsWith("sb-access-token="));
+      expect(jwt.decode(accessCookie.split(";")[0].split("=")[1]).sid).toBe("device-1");
+
+      // Retired and replaced in one call; the successor inherits family and device in the database
+      const refreshCookie = res.headers["set-cookie"].find((c) => c.startsWith("sb-refresh-token="));
+      expect(tokenDb.rotateRefreshToken).toHaveBeenCalledWith(expect.objectContaining({
+        oldTokenId: "rt-old",
+        newTokenId: expect.any(String),
+        tokenHash: hashToken(refreshCookie.split(";")[0].split("=")[1]),
+        createdCountry: "NL",
+      }));
+      expect(tokenDb.createRefreshToken).not.toHaveBeenCalled();
+      expect(tokenDb.revokeTokenFamily).not.toHaveBeenCalled();
+    });
+
+    it("should keep the original auth_time so a refreshed session is not fresh", async () => {
+      const authTime = Math.floor(Date.now() / 1000) - 60 * 60;
+      const token = signToken(
+        TOKEN_TYPES.REFRESH,
+        { id: "123", email: "test@example.com", auth_time: authTime },
+        { expiresIn: "7d", jwtid: "jti-2" },
+      );
+      tokenDb.findRefreshTokenByHash.mockResolvedValue(activeRow());
+
+      const res = await request(app)
+        .post("/auth/refresh")
+        .set("Cookie", [`sb-refresh-token=${token}`]);
+
+      expect(res.status).toBe(200);
+      const cookie = (name) => res.headers["set-cookie"].find((c) => c.startsWith(`${name}=`)).split(";")[0].split("=")[1];
+      const access = jwt.decode(cookie("sb-access-token"));
+      expect(access.auth_time).toBe(authTime);
+      expect(access.iat).toBeGreaterThan(authTime);
+      expect(jwt.decode(cookie("sb-refresh-token")).auth_time).toBe(authTime);
+
+      // The refreshed session cannot change the master password without logging in again
+      const change = await request(app)
+        .post("/auth/change-password")
+        .set("Cookie", [`sb-access-token=${cookie("sb-access-token")}`])
+        .send({ current_auth_hash: "old_auth_hash", salt: "s2", wrapped_mek: "w2", auth_hash: "new_auth_hash" });
+      expect(change.status).toBe(401);
+      expect(change.body.code).toBe("REAUTH_REQUIRED");
+    });
+
+    it("should revoke the whole family when a rotated token is reused", async () => {
+      tokenDb.findRefreshTokenByHash.mockResolvedValue(
+        activeRow({ is_revoked: true, replaced_by_token_id: "rt-next" })
+      );
+
+      const res = await request(app)
+        .post("/auth/refresh")
+        .set("Cookie", [`sb-refresh-token=${refreshToken()}`]);
+
+      expect(res.status).toBe(401);
+      expect(tokenDb.revokeTokenFamily).toHaveBeenCalledWith("family-1");
+      expect(deviceDb.revokeDeviceById).toHaveBeenCalledWith("device-1", "123");
+      expect(auditDb.recordAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+        userId: "123",
+        eventType: "REFRESH_TOKEN_REUSE",
+      }));
+      expect(tokenDb.rotateRefreshToken).not.toHaveBeenCalled();
+    });
+
+    it("should treat losing the rotation race as reuse", async () => {
+      tokenDb.findRefreshTokenByHash.mockResolvedValue(activeRow());
+      tokenDb.rotateRefreshToken.mockResolvedValueOnce(false);
+
+      const res = await request(app)
+        .post("/auth/refresh")
+        .set("Cookie", [`sb-refresh-token=${refreshToken()}`]);
+
+      expect(res.status).toBe(401);
+      expect(tokenDb.revokeTokenFamily).toHaveBeenCalledWith("family-1");
+    });
+
+    it("should not accept an access token as a refresh token", async () => {
+      const access = signToken(TOKEN_TYPES.ACCESS, { id: "123", sid: "device-1" });
+
+      const res = await request(app)
+        .post("/auth/refresh")
+        .set("Cookie", [`sb-refresh-token=${access}`]);
+
+      expect(res.status).toBe(401);
+      expect(tokenDb.findRefreshTokenByHash).not.toHaveBeenCalled();
+    });
+
+    it("should reject a token that is not on file", async () => {
+      tokenDb.findRefreshTokenByHash.mockResolvedValue(null);
+
+      const res = await request(app)
+        .post("/auth/refresh")
+        .set("Cookie", [`sb-refresh-token=${refreshToken()}`]);
+
+      expect(res.status).toBe(401);
+      expect(tokenDb.revokeTokenFamily).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("KDF policy", () => {
+    const strong = { algo: "argon2id", m: 262144, t: 4, p: 4 };
+    const session = () => signToken(TOKEN_TYPES.ACCESS, { id: "123", email: "test@example.com", sid: "device-1" });
+
+    afterEach(() => {
+      delete process.env.KDF_MIN_MEMORY_KIB;
+    });
+
+    it("should reject registration below the minimum", async () => {
+      process.env.KDF_MIN_MEMORY_KIB = "131072";
+
+      const res = await request(app)
+        .post("/auth/register")
+        .send({
+          email: "test@example.com",
+          salt: "s",
+          wrapped_mek: "w",
+          auth_hash: "h",
+          recovery_public_key: Buffer.alloc(32, 1).toString("base64"),
+        wrapped_mek_recovery: "mek_recovery123",
+          kdf_params: { algo: "argon2id", m: 65536, t: 3, p: 4 },
+        });
+
+      expect(res.status).toBe(400);
+      expect(res.body.kdf_policy.m).toBe(131072);
+      expect(db.createUser).not.toHaveBeenCalled();
+    });
+
+    it("should flag logins whose parameters fall below the minimum", async () => {
+      process.env.KDF_MIN_MEMORY_KIB = "131072";
+      const validHash = await argon2.hash("client_auth_hash");
+      db.getUserByEmail.mockResolvedValue({
+        id: "123", email: "test@example.com", server_hash: validHash,
+        kdf_params: { algo: "argon2id", m: 65536, t: 3, p: 4 },
+        email_verified_at: "2024-01-01T00:00:00Z",
+      });
+
+      const res = await request(app)
+        .post("/auth/login")
+        .send({ email: "test@example.com", auth_hash: "client_auth_hash" });
+
+      expect(res.status).toBe(200);
+      expect(res.body.kdf_upgrade_required).toBe(true);
+      expect(res.body.kdf_policy).toEqual({ algo: "argon2id", m: 131072, t: 3, p: 4 });
+    });
+
+    it("should swap all credential fields in one conditional update", async () => {
+      const oldHash = await argon2.hash("old_auth_hash");
+      db.getUserByEmail.mockResolvedValue({ id: "123", email: "test@example.com", server_hash: oldHash, kdf_params: null });
+
+      const res = await request(app)
+        .post("/auth/kdf-upgrade")
+        .set("Cookie", [`sb-access-token=${session()}`])
+        .send({ current_auth_hash: "old_auth_hash", salt: "s2", wrapped_mek: "w2", auth_hash: "new_auth_hash", kdf_params: strong });
+
+      expect(res.status).toBe(200);
+      const [userId, expectedHash, update] = db.replaceUserCredentials.mock.calls[0];
+      expect(userId).toBe("123");
+      expect(expectedHash).toBe(oldHash);
+      expect(update).toMatchObject({ salt: "s2", wrapped_mek: "w2", kdf_params: strong, srp_salt: null, srp_verifier: null });
+      expect(await argon2.verify(update.server_hash, "new_auth_hash")).toBe(true);
+      expect(auditDb.recordAuditEvent).toHaveBeenCalledWith(expect.objectContaining({ eventType: "KDF_PARAMS_UPGRADED" }));
+    });
+
+    it("should refuse the swap without the current auth_hash", async () => {
+      db.getUserByEmail.mockResolvedValue({ id: "123", email: "test@example.com", server_hash: await argon2.hash("old_auth_hash") });
+
+      const res = await request(app)
+        .post("/auth/kdf-upgrade")
+        .set("Cookie", [`sb-access-token=${session()}`])
+        .send({ current_auth_hash: "WRONG", salt: "s2", wrapped_mek: "w2", auth_hash: "new_auth_hash", kdf_params: strong });
+
+      expect(res.status).toBe(401);
+      expect(db.replaceUserCredentials).not.toHaveBeenCalled();
+    });
+
+    it("should return 409 when the credentials changed concurrently", async () => {
+      db.getUserByEmail.mockResolvedValue({ id: "123", email: "test@example.com", server_hash: await argon2.hash("old_auth_hash") });
+      db.replaceUserCredentials.mockResolvedValueOnce(false);
+
+      const res = await request(app)
+        .post("/auth/kdf-upgrade")
+        .set("Cookie", [`sb-access-token=${session()}`])
+        .send({ current_auth_hash: "old_auth_hash", salt: "s2", wrapped_mek: "w2", auth_hash: "new_auth_hash", kdf_params: strong });
+
+      expect(res.status).toBe(409);
+    });
+
+    it("should not accept an upgrade to parameters below the minimum", async () => {
+      process.env.KDF_MIN_MEMORY_KIB = "524288";
+
+      const res = await request(app)
+        .post("/auth/kdf-upgrade")
+        .set("Cookie", [`sb-access-token=${session()}`])
+        .send({ current_auth_hash: "old_auth_hash", salt: "s2", wrapped_mek: "w2", auth_hash: "new_auth_hash", kdf_params: strong });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe("POST /auth/change-password", () => {
+    const session = (authTime = Math.floor(Date.now() / 1000)) =>
+      signToken(TOKEN_TYPES.ACCESS, { id: "123", email: "test@example.com", sid: "device-1", auth_time: authTime });
+    const body = { current_auth_hash: "old_auth_hash", salt: "s2", wrapped_mek: "w2", auth_hash: "new_auth_hash" };
+
+    it("should swap credentials, rotate the recovery key and keep only the caller's session", async () => {
+      const oldHash = await argon2.hash("old_auth_hash");
+      db.getUserByEmail.mockResolvedValue({ id: "123", email: "test@example.com", server_hash: oldHash });
+
+      const res = await request(app)
+        .post("/auth/change-password")
+        .set("Cookie", [`sb-access-token=${session()}`])
+        .send({ ...body, recovery_public_key: Buffer.alloc(32, 2).toString("base64"), wrapped_mek_recovery: "w2_recovery" });
+
+      expect(res.status).toBe(200);
+      expect(res.body.revoked_sessions).toBe(2);
+      expect(res.body.removed_passkeys).toBe(1);
+      const [userId, expectedHash, credentials, options] = db.changeMasterPassword.mock.calls[0];
+      expect(userId).toBe("123");
+      expect(expectedHash).toBe(oldHash);
+      expect(credentials).toMatchObject({ salt: "s2", wrapped_mek: "w2", kdf_params: null, srp_salt: null, srp_verifier: null });
+      expect(await argon2.verify(credentials.server_hash, "new_auth_hash")).toBe(true);
+      expect(options.recoveryKey).toMatchObject({ publicKey: Buffer.alloc(32, 2).toString("base64"), wrappedMekRecovery: "w2_recovery" });
+      expect(options.keepDeviceId).toBe("device-1");
+      expect(auditDb.recordAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+        eventType: "MASTER_PASSWORD_CHANGED",
+        metadata: expect.objectContaining({ revoked_sessions: 2, removed_passkeys: 1, recovery_key_rotated: true }),
+      }));
+    });
+
+    it("should refuse the change without the current auth_hash", async () => {
+      db.getUserByEmail.mockResolvedValue({ id: "123", email: "test@example.com", server_hash: await argon2.hash("old_auth_hash") });
+
+      const res = await request(app)
+        .post("/auth/change-password")
+        .set("Cookie", [`sb-access-token=${session()}`])
+        .send({ ...body, current_auth_hash: "WRONG" });
+
+      expect(res.status).toBe(401);
+      expect(db.changeMasterPassword).not.toHaveBeenCalled();
+    });
+
+    it("should require a recent login", async () => {
+      const res = await request(app)
+        .post("/auth/change-password")
+        .set("Cookie", [`sb-access-token=${session(Math.floor(Date.now() / 1000) - 10 * 60)}`])
+        .send(body);
+
+      expect(res.status).toBe(401);
+      expect(res.body.code).toBe("REAUTH_REQUIRED");
+      expect(db.changeMasterPassword).not.toHaveBeenCalled();
+    });
+
+    it("should reject requests missing the current auth_hash", async () => {
+      const { current_auth_hash, ...rest } = body;
+      const res = await request(app)
+        .post("/auth/change-password")
+        .set("Cookie", [`sb-access-token=${session()}`])
+        .send(rest);
+
+      expect(res.status).toBe(400);
+    });
+
+    it("should return 409 when the credentials changed concurrently", async () => {
+      db.getUserByEmail.mockResolvedValue({ id: "123", email: "test@example.com", server_hash: await argon2.hash("old_auth_hash") });
+      db.changeMasterPassword.mockResolvedValueOnce({ changed: false, revokedSessions: 0, removedPasskeys: 0 });
+
+      const res = await request(app)
+        .post("/auth/change-password")
+        .set("Cookie", [`sb-access-token=${session()}`])
+        .send(body);
+
+      expect(res.status).toBe(409);
+      expect(auditDb.recordAuditEvent).not.toHaveBeenCalled();
+    });
+
+    it("should not reveal database errors", async () => {
+      db.getUserByEmail.mockResolvedValue({ id: "123", email: "test@example.com", server_hash: await argon2.hash("old_auth_hash") });
+      db.changeMasterPassword.mockRejectedValueOnce(new Error("Error changing master password: function change_master_password does not exist"));
+      const consoleError = vi.spyOn(console, "error").mockImplementation(() => { });
+
+      const res = await request(app)
+        .post("/auth/change-password")
+        .set("Cookie", [`sb-access-token=${session()}`])
+        .send(body);
+
+      expect(res.status).toBe(500);
+      expect(res.body).toEqual({ error: "Internal server error" });
+      expect(consoleError).toHaveBeenCalled();
+      consoleError.mockRestore();
+    });
   });
 });
@@ -0,0 +1,118 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import cookieParser from 'cookie-parser';
+
+vi.mock('../middleware/verifySession.js', () => ({
+    verifySession: (req, res, next) => {
+        req.user = { id: '123', email: 'test@example.com', sid: '11111111-1111-4111-8111-111111111111' };
+        next();
+    }
+}));
+
+// In-memory user_devices and refresh_tokens. The rpc stub mirrors
+// revoke_device_session in scripts/init_db_final.sql.
+const devices = [];
+const tokens = [];
+vi.mock('../config/db.js', () => {
+    const chain = {
+        update: () => chain,
+        eq: () => chain,
+        select: () => chain,
+        maybeSingle: async () => ({ data: null, error: null }),
+    };
+    return {
+        supabase: {
+            from: () => chain,
+            rpc: vi.fn(async (name, { p_device_id, p_user_id }) => {
+                const device = devices.find((d) => d.id === p_device_id && d.user_id === p_user_id);
+                if (!device) return { data: false, error: null };
+                Object.assign(device, { is_revoked: true, trusted_until: null, trust_token_id: null });
+                tokens.filter((t) => t.device_id === p_device_id).forEach((t) => { t.is_revoked = true; });
+                return { data: true, error: null };
+            }),
+        },
+    };
+});
+
+vi.mock('../models/refreshTokenModel.js', () => ({
+    findRefreshTokenByHash: vi.fn(async (hash) => tokens.find((t) => t.token_hash === hash) ?? null),
+    // Mirrors rotate_refresh_token: the successor inherits the device and family
+    rotateRefreshToken: vi.fn(async ({ oldTokenId, newTokenId, tokenHash, expiresAt }) => {
+        const old = tokens.find((t) => t.id === oldTokenId && !t.is_revoked);
+        if (!old) return false;
+        Object.assign(old, { is_revoked: true, replaced_by_token_id: newTokenId });
+        tokens.push({ ...old, id: newTokenId, token_hash: tokenHash, expires_at: expiresAt, is_revoked: false, replaced_by_token_id: null });
+        return true;
+    }),
+    createRefreshToken: vi.fn(),
+    revokeRefreshToken: vi.fn(),
+    revokeTokenFamily: vi.fn(),
+}));
+
+vi.mock('../models/auditLogModel.js', () => ({
+    recordAuditEvent: vi.fn().mockResolvedValue({}),
+}));
+
+import deviceRouter from '../route/deviceRoutes.js';
+import authRouter from '../route/auth.js';
+import { hashToken } from '../utils/session.js';
+import { TOKEN_TYPES, signToken } from '../config/tokenKeys.js';
+
+process.env.JWT_SECRET = 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use('/api/devices', deviceRouter);
+app.use('/auth', authRouter);
+
+const OTHER = '22222222-2222-4222-8222-222222222222';
+
+const refreshCookie = (res) => res.headers['set-cookie']
+    .find((c) => c.startsWith('sb-refresh-token='))
+    .split(';')[0];
+
+describe('Device revocation', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        devices.length = 0;
+        tokens.length = 0;
+    });
+
+    it('should make the revoked device\'s refresh token fail', async () => {
+        devices.push({ id: OTHER, user_id: '123', is_revoked: false });
+        const token = signToken(TOKEN_TYPES.REFRESH, { id: '123', email: 'test@example.com' }, { expiresIn: '7d', jwtid: 'jti-1' });
+        tokens.push({
+            id: 'rt-1',
+            user_id: '123',
+            token_hash: hashToken(token),
+            device_id: OTHER,
+            family_id: 'family-1',
+            expires_at: new Date(Date.now() + 60_000).toISOString(),
+            is_revoked: false,
+            replaced_by_token_id: null,
+        });
+
+        // Still signed in: the device rotates its token as usual
+        const before = await request(app).post('/auth/refresh').set('Cookie', [`sb-refresh-token=${token}`]);
+        expect(before.status).toBe(200);
+        const current = refreshCookie(before);
+
+        const revoke = await request(app).post(`/api/devices/${OTHER}/revoke`);
+        expect(revoke.status).toBe(200);
+
+        const after = await request(app).post('/auth/refresh').set('Cookie', [current]);
+        expect(after.status).toBe(401);
+        expect(tokens.every((t) => t.is_revoked)).toBe(true);
+    });
+
+    it('should not revoke anything on a device the user does not own', async () => {
+        devices.push({ id: OTHER, user_id: '456', is_revoked: false });
+
+        const res = await request(app).post(`/api/devices/${OTHER}/revoke`);
+
+        expect(res.status).toBe(500);
+        expect(devices[0].is_revoked).toBe(false);
+    });
+});
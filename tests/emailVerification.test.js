@@ -0,0 +1,220 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import request from "supertest";
+import express from "express";
+import cookieParser from "cookie-parser";
+import argon2 from "argon2";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+vi.mock("../models/userModel.js", () => ({
+  getUserByEmail: vi.fn(),
+  createUser: vi.fn(),
+  getUserById: vi.fn(),
+  setSrpVerifier: vi.fn().mockResolvedValue(),
+  replaceUserCredentials: vi.fn().mockResolvedValue(true),
+  clearAccountLockout: vi.fn().mockResolvedValue(),
+  markEmailVerified: vi.fn().mockResolvedValue(true),
+}));
+
+// In-memory email_verification_tokens with the same single-use semantics as the model
+const tokens = new Map();
+vi.mock("../models/emailVerificationModel.js", () => ({
+  createVerificationToken: vi.fn(async ({ userId, email, expiresAt }) => {
+    const row = {
+      id: crypto.randomUUID(),
+      user_id: userId,
+      email,
+      expires_at: expiresAt,
+      used_at: null,
+      created_at: new Date().toISOString(),
+    };
+    tokens.set(row.id, row);
+    return row;
+  }),
+  consumeVerificationToken: vi.fn(async (tokenId, userId) => {
+    const row = tokens.get(tokenId);
+    if (!row || row.user_id !== userId || row.used_at || new Date(row.expires_at) <= new Date()) {
+      return null;
+    }
+    row.used_at = new Date().toISOString();
+    return row;
+  }),
+  getRecentVerificationTokenTimes: vi.fn(async (userId, sinceIso) =>
+    [...tokens.values()]
+      .filter((row) => row.user_id === userId && row.created_at > sinceIso)
+      .map((row) => row.created_at)
+      .sort((a, b) => b.localeCompare(a))
+  ),
+}));
+
+vi.mock("../models/loginAttemptModel.js", () => ({
+  recordLoginAttempt: vi.fn().mockResolvedValue({}),
+  countRecentFailedAttempts: vi.fn().mockResolvedValue(0),
+  getRecentAttemptsForUser: vi.fn().mockResolvedValue([]),
+  beginLoginAttempt: vi.fn().mockResolvedValue({ attempt_id: "attempt-1", failures: 1 }),
+  markLoginAttemptSuccessful: vi.fn().mockResolvedValue(),
+  deleteLoginAttempt: vi.fn().mockResolvedValue(),
+}));
+
+vi.mock("../models/mfaFactorModel.js", () => ({
+  listMfaFactors: vi.fn().mockResolvedValue([]),
+}));
+
+vi.mock("../models/webauthnCredentialModel.js", () => ({
+  listWebAuthnCredentials: vi.fn().mockResolvedValue([]),
+}));
+
+vi.mock("../models/auditLogModel.js", () => ({
+  recordAuditEvent: vi.fn().mockResolvedValue({}),
+}));
+
+// recovery_keys insert inside /auth/register
+vi.mock("../config/db.js", () => {
+  const chain = {
+    insert: () => chain,
+    select: () => chain,
+    single: async () => ({ data: {}, error: null }),
+  };
+  return { supabase: { from: vi.fn(() => chain) } };
+});
+
+import router from "../route/auth.js";
+import * as db from "../models/userModel.js";
+import * as loginDb from "../models/loginAttemptModel.js";
+import { getOutbox, clearOutbox, sendMail } from "../utils/mailer.js";
+
+const app = express();
+// The tests pose as different clients through X-Forwarded-For
+app.set("trust proxy", true);
+app.use(express.json());
+app.use(cookieParser());
+app.use("/auth", router);
+
+process.env.JWT_SECRET = "test-secret";
+
+const registration = {
+  email: "new@example.com",
+  salt: "salt123",
+  wrapped_mek: "mek123",
+  auth_hash: "client_auth_hash",
+  recovery_public_key: Buffer.alloc(32, 1).toString("base64"),
+  wrapped_mek_recovery: "mek_recovery123",
+};
+
+const linkToken = (message) => decodeURIComponent(message.text.match(/verify-email\?token=(\S+)/)[1]);
+
+describe("Email verification", () => {
+  let ipCounter = 0;
+  // Each test uses its own client IP so the per-IP limiters never interfere
+  const post = (path) => request(app).post(path).set("X-Forwarded-For", `10.2.0.${++ipCounter}`);
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    tokens.clear();
+    clearOutbox();
+    process.env.MAIL_TRANSPORT = "memory";
+    db.createUser.mockResolvedValue({ id: "123", email: registration.email });
+  });
+
+  afterEach(() => {
+    delete process.env.MAIL_TRANSPORT;
+    delete process.env.MAIL_OUTBOX_DIR;
+  });
+
+  it("should email a single-use link at registration", async () => {
+    const res = await post("/auth/register").send(registration);
+
+    expect(res.status).toBe(201);
+    expect(res.body.email_verification_required).toBe(true);
+    expect(getOutbox()).toHaveLength(1);
+    expect(getOutbox()[0].to).toBe(registration.email);
+
+    const token = linkToken(getOutbox()[0]);
+    const first = await post("/auth/verify-email").send({ token });
+    expect(first.status).toBe(200);
+    expect(db.markEmailVerified).toHaveBeenCalledWith("123", registration.email);
+
+    const second = await post("/auth/verify-email").send({ token });
+    expect(second.status).toBe(400);
+  });
+
+  it("should reject tampered links", async () => {
+    await post("/auth/register").send(registration);
+    const token = linkToken(getOutbox()[0]);
+
+    const res = await post("/auth/verify-email").send({ token: token.slice(0, -2) + "xx" });
+
+    expect(res.status).toBe(400);
+    expect(db.markEmailVerified).not.toHaveBeenCalled();
+  });
+
+  it("should not verify an address the link was not sent to", async () => {
+    await post("/auth/register").send(registration);
+    const token = linkToken(getOutbox()[0]);
+    db.markEmailVerified.mockResolvedValueOnce(false); // email changed since the link was sent
+
+    const res = await post("/auth/verify-email").send({ token });
+
+    expect(res.status).toBe(400);
+  });
+
+  it("should refuse login until the email is verified", async () => {
+    db.getUserByEmail.mockResolvedValue({
+      id: "123",
+      email: registration.email,
+      server_hash: await argon2.hash("client_auth_hash"),
+      email_verified_at: null,
+    });
+
+    const res = await post("/auth/login").send({ email: registration.email, auth_hash: "client_auth_hash" });
+
+    expect(res.status).toBe(403);
+    expect(res.body.email_verification_required).toBe(true);
+    expect(res.headers["set-cookie"]).toBeUndefined();
+    expect(loginDb.markLoginAttemptSuccessful).not.toHaveBeenCalled();
+    expect(loginDb.deleteLoginAttempt).toHaveBeenCalledWith("attempt-1");
+  });
+
+  it("should throttle resends without changing the response", async () => {
+    db.getUserByEmail.mockResolvedValue({ id: "123", email: registration.email, email_verified_at: null });
+
+    const first = await post("/auth/verify-email/resend").send({ email: registration.email });
+    const second = await post("/auth/verify-email/resend").send({ email: registration.email });
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(200);
+    expect(second.body).toEqual(first.body);
+    expect(getOutbox()).toHaveLength(1);
+  });
+
+  it("should answer resends for verified and unknown accounts the same way", async () => {
+    db.getUserByEmail.mockResolvedValueOnce({ id: "123", email: registration.email, email_verified_at: "2024-01-01T00:00:00Z" });
+    const verified = await post("/auth/verify-email/resend").send({ email: registration.email });
+
+    db.getUserByEmail.mockResolvedValueOnce(null);
+    const unknown = await post("/auth/verify-email/resend").send({ email: "nobody@example.com" });
+
+    expect(verified.body).toEqual(unknown.body);
+    expect(getOutbox()).toHaveLength(0);
+  });
+
+  it("should write .eml files with the file transport", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "outbox-"));
+    process.env.MAIL_TRANSPORT = "file";
+    process.env.MAIL_OUTBOX_DIR = dir;
+
+    try {
+      await sendMail({ to: "a@example.com", subject: "Hello", text: "Body" });
+
+      const files = fs.readdirSync(dir);
+      expect(files).toHaveLength(1);
+      expect(files[0]).toMatch(/\.eml$/);
+      const eml = fs.readFileSync(path.join(dir, files[0]), "utf8");
+      expect(eml).toContain("To: a@example.com");
+      expect(eml).toContain("Subject: Hello");
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
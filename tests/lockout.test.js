@@ -0,0 +1,308 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import request from "supertest";
+import express from "express";
+import cookieParser from "cookie-parser";
+import argon2 from "argon2";
+import { generateKeyPairSync, sign } from "crypto";
+
+vi.mock("../models/userModel.js", () => ({
+  getUserByEmail: vi.fn(),
+  createUser: vi.fn(),
+  getUserById: vi.fn(),
+  setSrpVerifier: vi.fn().mockResolvedValue(),
+  replaceUserCredentials: vi.fn().mockResolvedValue(true),
+  clearAccountLockout: vi.fn(async (userId) => {
+    lockoutClearedAt.set(userId, new Date().toISOString());
+  }),
+}));
+
+// In-memory login_attempts so the lockout policy sees what the controller records.
+// beginLoginAttempt mirrors the begin_login_attempt RPC, one call at a time.
+const attempts = [];
+const lockoutClearedAt = new Map();
+vi.mock("../models/loginAttemptModel.js", () => ({
+  recordLoginAttempt: vi.fn(async ({ userId, wasSuccessful }) => {
+    attempts.push({ user_id: userId, was_successful: wasSuccessful, attempt_time: new Date().toISOString() });
+    return {};
+  }),
+  countRecentFailedAttempts: vi.fn().mockResolvedValue(0),
+  getRecentAttemptsForUser: vi.fn(async (userId, sinceIso, limit) =>
+    attempts
+      .filter((a) => a.user_id === userId && a.attempt_time > sinceIso)
+      .sort((a, b) => b.attempt_time.localeCompare(a.attempt_time))
+      .slice(0, limit)
+  ),
+  beginLoginAttempt: vi.fn(async ({ userId, policy }) => {
+    const now = Date.now();
+    const since = Math.max(now - policy.windowMinutes * 60 * 1000, Date.parse(lockoutClearedAt.get(userId) ?? 0));
+    const recent = attempts
+      .filter((a) => a.user_id === userId && Date.parse(a.attempt_time) > since)
+      .sort((a, b) => b.attempt_time.localeCompare(a.attempt_time));
+    let failures = 0;
+    for (const attempt of recent) {
+      if (attempt.was_successful) break;
+      failures++;
+    }
+
+    if (failures > 0) {
+      const lastFailureAt = Date.parse(recent[0].attempt_time);
+      let blockedUntil = 0;
+      if (failures >= policy.threshold) {
+        blockedUntil = lastFailureAt + policy.durationMinutes * 60 * 1000;
+      } else if (failures >= policy.backoffAfter) {
+        blockedUntil = lastFailureAt + Math.min(
+          policy.backoffBaseSeconds * 2 ** (failures - policy.backoffAfter),
+          policy.durationMinutes * 60
+        ) * 1000;
+      }
+      if (blockedUntil > now) {
+        return { locked: failures >= policy.threshold, failures, blocked_until: new Date(blockedUntil).toISOString() };
+      }
+    }
+
+    const row = { id: crypto.randomUUID(), user_id: userId, was_successful: false, attempt_time: new Date().toISOString() };
+    attempts.push(row);
+    return { attempt_id: row.id, failures: failures + 1 };
+  }),
+  markLoginAttemptSuccessful: vi.fn(async (id) => {
+    const row = attempts.find((a) => a.id === id);
+    if (row) row.was_successful = true;
+  }),
+  deleteLoginAttempt: vi.fn(async (id) => {
+    const index = attempts.findIndex((a) => a.id === id);
+    if (index !== -1) attempts.splice(index, 1);
+  }),
+}));
+
+vi.mock("../models/mfaFactorModel.js", () => ({
+  listMfaFactors: vi.fn().mockResolvedValue([]),
+}));
+
+vi.mock("../models/webauthnCredentialModel.js", () => ({
+  listWebAuthnCredentials: vi.fn().mockResolvedValue([]),
+}));
+
+vi.mock("../models/deviceModel.js", () => ({
+  registerUserDevice: vi.fn().mockResolvedValue({ id: "device-1" }),
+  updateDeviceToken: vi.fn().mockResolvedValue({}),
+  revokeDeviceByToken: vi.fn().mockResolvedValue({}),
+  revokeDeviceById: vi.fn().mockResolvedValue({}),
+  getDeviceSessionState: vi.fn().mockResolvedValue({ id: "device-1", user_id: "123", is_revoked: false }),
+}));
+
+vi.mock("../models/refreshTokenModel.js", () => ({
+  createRefreshToken: vi.fn().mockResolvedValue({ id: "rt-new" }),
+  findRefreshTokenByHash: vi.fn(),
+  rotateRefreshToken: vi.fn().mockResolvedValue(true),
+  revokeRefreshToken: vi.fn().mockResolvedValue(),
+  revokeTokenFamily: vi.fn().mockResolvedValue(),
+}));
+
+vi.mock("../models/auditLogModel.js", () => ({
+  recordAuditEvent: vi.fn().mockResolvedValue({}),
+  listAuditEvents: vi.fn().mockResolvedValue([]),
+}));
+
+const challenges = new Map();
+vi.mock("../models/challengeModel.js", () => ({
+  createChallenge: vi.fn(async ({ userId, purpose, payload, ttlSeconds }) => {
+    const row = {
+      id: crypto.randomUUID(),
+      user_id: userId,
+      purpose,
+      payload,
+      expires_at: new Date(Date.now() + ttlSeconds * 1000).toISOString(),
+      consumed_at: null,
+    };
+    challenges.set(row.id, row);
+    return row;
+  }),
+  consumeChallenge: vi.fn(async (id, purpose) => {
+    const row = challenges.get(id);
+    if (!row || row.purpose !== purpose || row.consumed_at || new Date(row.expires_at) <= new Date()) {
+      return null;
+    }
+    row.consumed_at = new Date().toISOString();
+    return row;
+  }),
+}));
+
+// recovery_keys lookup used by unlock with a recovery challenge
+const recoveryKeyRow = { data: null };
+vi.mock("../config/db.js", () => {
+  const chain = {
+    select: () => chain,
+    eq: () => chain,
+    maybeSingle: async () => ({ data: recoveryKeyRow.data, error: null }),
+  };
+  return { supabase: { from: vi.fn(() => chain) } };
+});
+
+import router from "../route/auth.js";
+import * as db from "../models/userModel.js";
+import * as auditDb from "../models/auditLogModel.js";
+import { getOutbox, clearOutbox } from "../utils/mailer.js";
+import { recoveryProofMessage } from "../utils/recoveryKey.js";
+
+const app = express();
+// The tests pose as different clients through X-Forwarded-For
+app.set("trust proxy", true);
+app.use(express.json());
+app.use(cookieParser());
+app.use("/auth", router);
+
+process.env.JWT_SECRET = "test-secret";
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+const seedFailures = (count, at) => {
+  for (let i = 0; i < count; i++) {
+    attempts.push({ user_id: "123", was_successful: false, attempt_time: at });
+  }
+};
+
+describe("Per-account lockout", () => {
+  let user;
+  let ipCounter = 0;
+  // Each test uses its own client IP so the per-IP limiters never interfere
+  const post = (path) => request(app).post(path).set("X-Forwarded-For", `10.1.0.${++ipCounter}`);
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    attempts.length = 0;
+    lockoutClearedAt.clear();
+    challenges.clear();
+    clearOutbox();
+    recoveryKeyRow.data = null;
+    process.env.MAIL_TRANSPORT = "memory";
+    user = {
+      id: "123",
+      email: "test@example.com",
+      server_hash: await argon2.hash("client_auth_hash"),
+      lockout_cleared_at: null,
+      email_verified_at: "2024-01-01T00:00:00Z",
+    };
+    db.getUserByEmail.mockResolvedValue(user);
+  });
+
+  afterEach(() => {
+    delete process.env.MAIL_TRANSPORT;
+    delete process.env.LOCKOUT_THRESHOLD;
+  });
+
+  it("should back off exponentially with Retry-After before locking", async () => {
+    seedFailures(4, new Date().toISOString()); // 4 failures → 2s delay
+
+    const res = await post("/auth/login").send({ email: user.email, auth_hash: "client_auth_hash" });
+
+    expect(res.status).toBe(429);
+    expect(Number(res.headers["retry-after"])).toBeGreaterThanOrEqual(1);
+    expect(Number(res.headers["retry-after"])).toBeLessThanOrEqual(2);
+    expect(attempts).toHaveLength(4); // a refused attempt is not a new failure
+  });
+
+  it("should lock at the threshold, audit it and email an unlock link", async () => {
+    seedFailures(9, minutesAgo(5));
+
+    const failing = await post("/auth/login").send({ email: user.email, auth_hash: "WRONG" });
+    expect(failing.status).toBe(401);
+    expect(auditDb.recordAuditEvent).toHaveBeenCalledWith(expect.objectContaining({ eventType: "ACCOUNT_LOCKED" }));
+    expect(getOutbox()).toHaveLength(1);
+    expect(getOutbox()[0].to).toBe(user.email);
+    expect(getOutbox()[0].text).toMatch(/\/unlock\?token=/);
+
+    // Even the right password is refused while locked
+    const locked = await post("/auth/login").send({ email: user.email, auth_hash: "client_auth_hash" });
+    expect(locked.status).toBe(423);
+    expect(Number(locked.headers["retry-after"])).toBeGreaterThan(29 * 60);
+    expect(locked.body.locked_until).toBeDefined();
+  });
+
+  it("should count password guesses sent in parallel before checking any of them", async () => {
+    seedFailures(9, minutesAgo(5));
+
+    const responses = await Promise.all(
+      [1, 2, 3].map(() => post("/auth/login").send({ email: user.email, auth_hash: "WRONG" }))
+    );
+
+    expect(responses.map((res) => res.status).sort()).toEqual([401, 423, 423]);
+    expect(attempts).toHaveLength(10);
+    const locks = auditDb.recordAuditEvent.mock.calls.filter(([event]) => event.eventType === "ACCOUNT_LOCKED");
+    expect(locks).toHaveLength(1);
+    expect(getOutbox()).toHaveLength(1);
+  });
+
+  it("should let the lock expire on its own", async () => {
+    seedFailures(10, minutesAgo(31));
+
+    const res = await post("/auth/login").send({ email: user.email, auth_hash: "client_auth_hash" });
+
+    expect(res.status).toBe(200);
+  });
+
+  it("should honour configured thresholds", async () => {
+    process.env.LOCKOUT_THRESHOLD = "3";
+    seedFailures(3, minutesAgo(1));
+
+    const res = await post("/auth/login").send({ email: user.email, auth_hash: "client_auth_hash" });
+
+    expect(res.status).toBe(423);
+  });
+
+  it("should unlock once with the emailed token", async () => {
+    seedFailures(9, minutesAgo(5));
+    await post("/auth/login").send({ email: user.email, auth_hash: "WRONG" });
+    const token = decodeURIComponent(getOutbox()[0].text.match(/token=([^\s]+)/)[1]);
+
+    const res = await post("/auth/unlock").send({ token });
+    const reused = await post("/auth/unlock").send({ token });
+
+    expect(res.status).toBe(200);
+    expect(db.clearAccountLockout).toHaveBeenCalledWith("123");
+    expect(auditDb.recordAuditEvent).toHaveBeenCalledWith(
+      expect.objectContaining({ eventType: "ACCOUNT_UNLOCKED", metadata: { method: "email" } })
+    );
+    expect(reused.status).toBe(401);
+
+    // Failures before the unlock no longer count
+    user.lockout_cleared_at = new Date().toISOString();
+    const login = await post("/auth/login").send({ email: user.email, auth_hash: "client_auth_hash" });
+    expect(login.status).toBe(200);
+  });
+
+  it("should unlock with a signed recovery challenge", async () => {
+    seedFailures(10, minutesAgo(1));
+    const { publicKey, privateKey } = generateKeyPairSync("ed25519");
+    recoveryKeyRow.data = {
+      user_id: "123",
+      key_version: 1,
+      public_key: Buffer.from(publicKey.export({ format: "jwk" }).x, "base64url").toString("base64"),
+      wrapped_mek_recovery: "wrapped",
+      expires_at: null,
+    };
+    const signedUnlock = async (key) => {
+      const init = await post("/auth/recover/init").send({ email: user.email });
+      const { challenge_id, nonce } = init.body;
+      const signature = sign(null, recoveryProofMessage(challenge_id, nonce), key).toString("base64");
+      return post("/auth/unlock").send({ email: user.email, challenge_id, signature });
+    };
+
+    const wrong = await signedUnlock(generateKeyPairSync("ed25519").privateKey);
+    const res = await signedUnlock(privateKey);
+
+    expect(wrong.status).toBe(401);
+    expect(res.status).toBe(200);
+    expect(auditDb.recordAuditEvent).toHaveBeenCalledWith(
+      expect.objectContaining({ eventType: "ACCOUNT_UNLOCKED", metadata: { method: "recovery_key" } })
+    );
+  });
+
+  it("should answer unlock email requests the same for unknown and unlocked accounts", async () => {
+    db.getUserByEmail.mockResolvedValueOnce(null);
+    const unknown = await post("/auth/unlock/request").send({ email: "nobody@example.com" });
+    const unlocked = await post("/auth/unlock/request").send({ email: user.email });
+
+    expect(unknown.status).toBe(200);
+    expect(unknown.body).toEqual(unlocked.body);
+    expect(getOutbox()).toHaveLength(0);
+  });
+});
@@ -1,4 +1,4 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi } from 'vitest';
 import { generateBackupCodes, hashBackupCodes } from '../utils/mfa.js';
 import bcrypt from 'bcryptjs';
 
@@ -25,6 +25,17 @@ describe('MFA Utils', () => {
             expect(codes).toHaveLength(10); // default count
             expect(codes[0]).toHaveLength(10); // default length
         });
+
+        it('should draw codes from crypto.randomInt, not Math.random', () => {
+            const spy = vi.spyOn(Math, 'random');
+
+            const codes = generateBackupCodes(10, 10);
+
+            expect(spy).not.toHaveBeenCalled();
+            expect(new Set(codes).size).toBe(10);
+            codes.forEach(code => expect(code).toMatch(/^[A-HJ-NP-Z2-9]{10}$/));
+            spy.mockRestore();
+        });
     });
 
     describe('hashBackupCodes', () => {
@@ -1,5 +1,11 @@
 import { describe, it, expect, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
 import { requireFreshAuth } from '../middleware/requireFreshAuth.js';
+import { createRateLimiter } from '../middleware/rateLimit.js';
+
+// rateLimit → utils/session.js → models; keep the real Supabase client out of unit tests
+vi.mock('../config/db.js', () => ({ supabase: { from: vi.fn() } }));
 
 describe('requireFreshAuth Middleware', () => {
     it('should return 401 if user is missing', () => {
@@ -24,7 +30,7 @@ describe('requireFreshAuth Middleware', () => {
         // Setup: Create a timestamp from more than 5 minutes ago
         const now = Math.floor(Date.now() / 1000);
         const req = {
-            user: { iat: now - 301 } // 5 mins 1 sec ago (issued at)
+            user: { iat: now, auth_time: now - 301 } // Refreshed just now, but authenticated 5 mins 1 sec ago
         };
         const res = {
             status: vi.fn().mockReturnThis(),
@@ -41,11 +47,28 @@ describe('requireFreshAuth Middleware', () => {
         expect(next).not.toHaveBeenCalled();
     });
 
+    it('should return 401 for a recently issued token without auth_time', () => {
+        const req = {
+            user: { iat: Math.floor(Date.now() / 1000) }
+        };
+        const res = {
+            status: vi.fn().mockReturnThis(),
+            json: vi.fn()
+        };
+        const next = vi.fn();
+
+        requireFreshAuth(req, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'REAUTH_REQUIRED' }));
+        expect(next).not.toHaveBeenCalled();
+    });
+
     it('should call next if token is fresh (< 5 mins)', () => {
         // Setup: Create a timestamp from 1 minute ago
         const now = Math.floor(Date.now() / 1000);
         const req = {
-            user: { iat: now - 60 } // 1 min ago
+            user: { iat: now - 60, auth_time: now - 60 } // 1 min ago
         };
         const res = {
             status: vi.fn().mockReturnThis(),
@@ -61,3 +84,59 @@ describe('requireFreshAuth Middleware', () => {
         expect(res.status).not.toHaveBeenCalled();
     });
 });
+
+describe('createRateLimiter Middleware', () => {
+    const makeRes = () => ({
+        set: vi.fn(),
+        status: vi.fn().mockReturnThis(),
+        json: vi.fn()
+    });
+
+    it('should allow requests up to the limit and then return 429 with Retry-After', () => {
+        const limiter = createRateLimiter({ windowMs: 60 * 1000, max: 2 });
+        const req = { headers: {}, ip: '10.0.0.1' };
+        const next = vi.fn();
+
+        limiter(req, makeRes(), next);
+        limiter(req, makeRes(), next);
+        const res = makeRes();
+        limiter(req, res, next);
+
+        expect(next).toHaveBeenCalledTimes(2);
+        expect(res.status).toHaveBeenCalledWith(429);
+        expect(res.set).toHaveBeenCalledWith('Retry-After', '60');
+    });
+
+    it('should count each IP separately and reset after the window', () => {
+        vi.useFakeTimers();
+        const limiter = createRateLimiter({ windowMs: 1000, max: 1 });
+        const next = vi.fn();
+
+        limiter({ headers: {}, ip: '10.0.0.1' }, makeRes(), next);
+        limiter({ headers: {}, ip: '10.0.0.2' }, makeRes(), next);
+        expect(next).toHaveBeenCalledTimes(2);
+
+        vi.advanceTimersByTime(1001);
+        limiter({ headers: {}, ip: '10.0.0.1' }, makeRes(), next);
+        expect(next).toHaveBeenCalledTimes(3);
+        vi.useRealTimers();
+    });
+
+    it('should ignore X-Forwarded-For unless the proxy is trusted', async () => {
+        const makeApp = (trustProxy) => {
+            const app = express();
+            app.set('trust proxy', trustProxy);
+            app.get('/', createRateLimiter({ windowMs: 60 * 1000, max: 1 }), (req, res) => res.sendStatus(204));
+            return app;
+        };
+
+        // A forged header must not buy a fresh limit
+        const direct = makeApp(false);
+        expect((await request(direct).get('/').set('X-Forwarded-For', '203.0.113.1')).status).toBe(204);
+        expect((await request(direct).get('/').set('X-Forwarded-For', '203.0.113.2')).status).toBe(429);
+
+        const proxied = makeApp(1);
+        expect((await request(proxied).get('/').set('X-Forwarded-For', '203.0.113.1')).status).toBe(204);
+        expect((await request(proxied).get('/').set('X-Forwarded-For', '203.0.113.2')).status).toBe(204);
+    });
+});
@@ -0,0 +1,395 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import { createCipheriv, createDecipheriv, randomBytes, randomUUID } from 'crypto';
+import speakeasy from 'speakeasy';
+
+vi.mock('../middleware/verifySession.js', () => ({
+    verifySession: (req, res, next) => {
+        req.user = { id: '123', email: 'test@example.com', sid: 'device-1' };
+        next();
+    }
+}));
+
+// Toggle fresh authentication with the 'x-fresh' header
+vi.mock('../middleware/requireFreshAuth.js', () => ({
+    requireFreshAuth: (req, res, next) => {
+        if (req.headers['x-fresh'] === 'true') {
+            return next();
+        }
+        res.status(401).json({ error: 'Fresh authentication required', code: 'REAUTH_REQUIRED' });
+    }
+}));
+
+// In-memory passkey store with the same conditional counter update as the real table
+const passkeys = new Map();
+vi.mock('../models/passkeyModel.js', () => ({
+    listPasskeys: vi.fn(async (userId) => [...passkeys.values()].filter((p) => p.user_id === userId)),
+    getPasskeyByCredentialId: vi.fn(async (credentialId) =>
+        [...passkeys.values()].find((p) => p.credential_id === credentialId) ?? null),
+    createPasskey: vi.fn(async ({ userId, credentialId, publicKey, signCount, transports, name, deviceType, backedUp, wrappedMek }) => {
+        const row = {
+            id: randomUUID(),
+            user_id: userId,
+            credential_id: credentialId,
+            public_key: publicKey,
+            sign_count: signCount,
+            transports,
+            name,
+            device_type: deviceType,
+            backed_up: backedUp,
+            wrapped_mek: wrappedMek,
+            created_at: new Date().toISOString(),
+            last_used_at: null,
+        };
+        passkeys.set(row.id, row);
+        return row;
+    }),
+    recordPasskeyUse: vi.fn(async (id, expectedSignCount, newSignCount) => {
+        const row = passkeys.get(id);
+        if (!row || row.sign_count !== expectedSignCount) return false;
+        row.sign_count = newSignCount;
+        row.last_used_at = new Date().toISOString();
+        return true;
+    }),
+    renamePasskey: vi.fn(async (userId, id, name) => {
+        const row = passkeys.get(id);
+        if (!row || row.user_id !== userId) return null;
+        row.name = name;
+        return row;
+    }),
+    deletePasskey: vi.fn(async (userId, id) => {
+        const row = passkeys.get(id);
+        if (!row || row.user_id !== userId) return null;
+        passkeys.delete(id);
+        return row;
+    }),
+}));
+
+const challenges = new Map();
+vi.mock('../models/challengeModel.js', () => ({
+    createChallenge: vi.fn(async ({ userId, purpose, payload }) => {
+        const row = { id: randomUUID(), user_id: userId, purpose, payload, consumed_at: null };
+        challenges.set(row.id, row);
+        return row;
+    }),
+    consumeChallenge: vi.fn(async (id, purpose) => {
+        const row = challenges.get(id);
+        if (!row || row.purpose !== purpose || row.consumed_at) return null;
+        row.consumed_at = new Date().toISOString();
+        return row;
+    }),
+}));
+
+vi.mock('../models/auditLogModel.js', () => ({
+    recordAuditEvent: vi.fn().mockResolvedValue({}),
+}));
+
+vi.mock('../models/loginAttemptModel.js', () => ({
+    recordLoginAttempt: vi.fn().mockResolvedValue({}),
+}));
+
+vi.mock('../models/userModel.js', () => ({
+    getUserById: vi.fn().mockResolvedValue({ id: '123', email: 'test@example.com', email_verified_at: '2024-01-01T00:00:00Z' }),
+}));
+
+vi.mock('../models/deviceModel.js', () => ({
+    registerUserDevice: vi.fn().mockResolvedValue({ id: 'device-2' }),
+}));
+
+vi.mock('../models/refreshTokenModel.js', () => ({
+    createRefreshToken: vi.fn().mockResolvedValue({ id: 'rt-1' }),
+}));
+
+// Second factors that make registering a passkey ask for a proof
+const totpFactors = [];
+vi.mock('../models/mfaFactorModel.js', () => ({
+    listMfaFactors: vi.fn(async (userId) => totpFactors.filter((row) => row.user_id === userId)),
+    recordTotpFactorUse: vi.fn(async (id, step) => {
+        const row = totpFactors.find((factor) => factor.id === id);
+        if (!row || (row.last_totp_step !== null && row.last_totp_step >= step)) return false;
+        row.last_totp_step = step;
+        return true;
+    }),
+}));
+
+vi.mock('../models/webauthnCredentialModel.js', () => ({
+    listWebAuthnCredentials: vi.fn().mockResolvedValue([]),
+    getWebAuthnCredential: vi.fn().mockResolvedValue(null),
+    recordWebAuthnCredentialUse: vi.fn(),
+}));
+
+vi.mock('../models/mfaSettingsModel.js', () => ({
+    getMfaSettings: vi.fn().mockResolvedValue(null),
+    consumeBackupCode: vi.fn(),
+}));
+
+vi.mock('../models/mfaAttemptModel.js', () => ({
+    beginMfaAttempt: vi.fn(async () => ({ attempt_id: randomUUID(), failures: 1 })),
+    markMfaAttemptSuccessful: vi.fn().mockResolvedValue(),
+    getRecentMfaAttemptsForUser: vi.fn().mockResolvedValue([]),
+    countFailedMfaAttemptsForToken: vi.fn().mockResolvedValue(0),
+}));
+
+vi.mock('../utils/encryption.js', () => ({
+    encryptData: (data) => `encrypted_${data}`,
+    decryptData: (data) => data.replace('encrypted_', ''),
+}));
+
+vi.mock('../config/db.js', () => ({
+    supabase: { from: vi.fn() },
+}));
+
+import passkeyRouter from '../route/passkey.js';
+import * as auditDb from '../models/auditLogModel.js';
+import * as attemptsDb from '../models/loginAttemptModel.js';
+import * as deviceDb from '../models/deviceModel.js';
+import * as mfaAttemptDb from '../models/mfaAttemptModel.js';
+import { getOutbox, clearOutbox } from '../utils/mailer.js';
+import { SoftwareAuthenticator, ORIGIN, RP_ID } from './softwareAuthenticator.js';
+
+const app = express();
+// The tests pose as different clients through X-Forwarded-For
+app.set('trust proxy', true);
+app.use(express.json());
+app.use(cookieParser());
+app.use('/auth/passkey', passkeyRouter);
+
+process.env.JWT_SECRET = 'test-secret';
+
+// What the client does with the PRF output: AES-256-GCM wrap of the MEK
+function wrapMek(mek, prfOutput) {
+    const iv = randomBytes(12);
+    const cipher = createCipheriv('aes-256-gcm', prfOutput, iv);
+    const ct = Buffer.concat([cipher.update(mek), cipher.final()]);
+    return Buffer.concat([iv, ct, cipher.getAuthTag()]).toString('base64');
+}
+
+function unwrapMek(wrapped, prfOutput) {
+    const buf = Buffer.from(wrapped, 'base64');
+    const decipher = createDecipheriv('aes-256-gcm', prfOutput, buf.subarray(0, 12));
+    decipher.setAuthTag(buf.subarray(buf.length - 16));
+    return Buffer.concat([decipher.update(buf.subarray(12, buf.length - 16)), decipher.final()]);
+}
+
+const MEK = randomBytes(32);
+
+async function registerPasskey(authenticator, name = 'Laptop', proof) {
+    const start = await request(app).post('/auth/passkey/register/options').set('x-fresh', 'true').send(proof);
+    const credential = authenticator.register(start.body.options);
+    const prfOutput = authenticator.prfSecret ? authenticator.prf(start.body.options.extensions.prf.eval.first) : randomBytes(32);
+    return request(app)
+        .post('/auth/passkey/register/verify')
+        .set('x-fresh', 'true')
+        .send({ challenge_id: start.body.challenge_id, name, credential, wrapped_mek: wrapMek(MEK, prfOutput) });
+}
+
+async function startLogin(ip) {
+    return request(app).post('/auth/passkey/login/options').set('X-Forwarded-For', ip);
+}
+
+function finishLogin(ip, challengeId, credential) {
+    return request(app)
+        .post('/auth/passkey/login/verify')
+        .set('X-Forwarded-For', ip)
+        .send({ challenge_id: challengeId, credential });
+}
+
+async function loginWith(authenticator, ip, assertOptions) {
+    const start = await startLogin(ip);
+    return finishLogin(ip, start.body.challenge_id, authenticator.assert(start.body.options, assertOptions));
+}
+
+describe('Passkeys', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        passkeys.clear();
+        challenges.clear();
+        totpFactors.length = 0;
+        clearOutbox();
+        process.env.MAIL_TRANSPORT = 'memory';
+        process.env.WEBAUTHN_RP_ID = RP_ID;
+        process.env.WEBAUTHN_ORIGINS = ORIGIN;
+    });
+
+    afterEach(() => {
+        delete process.env.MAIL_TRANSPORT;
+        delete process.env.WEBAUTHN_RP_ID;
+        delete process.env.WEBAUTHN_ORIGINS;
+    });
+
+    describe('registration', () => {
+        it('should require fresh authentication', async () => {
+            const res = await request(app).post('/auth/passkey/register/options');
+
+            expect(res.status).toBe(401);
+        });
+
+        it('should ask for a discoverable, user-verified credential with PRF', async () => {
+            const res = await request(app).post('/auth/passkey/register/options').set('x-fresh', 'true');
+
+            expect(res.status).toBe(200);
+            expect(res.body.options.authenticatorSelection).toMatchObject({ residentKey: 'required', userVerification: 'required' });
+            expect(res.body.options.extensions.prf.eval.first).toEqual(expect.any(String));
+        });
+
+        it('should store the passkey with its wrapped MEK, audit it and notify the owner', async () => {
+            const res = await registerPasskey(new SoftwareAuthenticator({ prf: true }));
+
+            expect(res.status).toBe(201);
+            expect(res.body.passkey).toMatchObject({ name: 'Laptop' });
+            expect(res.body.passkey.wrapped_mek).toBeUndefined();
+            expect([...passkeys.values()][0].wrapped_mek).toEqual(expect.any(String));
+            expect(auditDb.recordAuditEvent).toHaveBeenCalledWith(expect.objectContaining({ eventType: 'PASSKEY_ADDED' }));
+            expect(getOutbox()).toHaveLength(1);
+        });
+
+        it('should refuse authenticators without the PRF extension', async () => {
+            const res = await registerPasskey(new SoftwareAuthenticator({ prf: false }));
+
+            expect(res.status).toBe(400);
+            expect(passkeys.size).toBe(0);
+        });
+
+        it('should refuse authenticators that do not verify the user', async () => {
+            const res = await registerPasskey(new SoftwareAuthenticator({ prf: true, userVerification: false }));
+
+            expect(res.status).toBe(400);
+            expect(passkeys.size).toBe(0);
+        });
+
+        it('should require a second factor once MFA is on', async () => {
+            const secret = speakeasy.generateSecret({ length: 20 });
+            totpFactors.push({ id: randomUUID(), user_id: '123', type: 'totp', name: 'Phone', secret_enc: `encrypted_${secret.base32}`, last_totp_step: null });
+            const code = speakeasy.totp({ secret: secret.base32, encoding: 'base32' });
+            const start = (body) => request(app).post('/auth/passkey/register/options').set('x-fresh', 'true').send(body);
+
+            const missing = await start();
+            expect(missing.status).toBe(401);
+            expect(missing.body.code).toBe('MFA_PROOF_REQUIRED');
+            expect(missing.body.options).toBeUndefined();
+
+            const wrong = await start({ code: String((Number(code) + 1) % 1000000).padStart(6, '0') });
+            expect(wrong.status).toBe(401);
+            expect(wrong.body.options).toBeUndefined();
+            expect(mfaAttemptDb.markMfaAttemptSuccessful).not.toHaveBeenCalled();
+
+            const res = await registerPasskey(new SoftwareAuthenticator({ prf: true }), 'Laptop', { code });
+            expect(res.status).toBe(201);
+            expect(mfaAttemptDb.beginMfaAttempt).toHaveBeenCalledTimes(2);
+        });
+
+        it('should require the wrapped MEK', async () => {
+            const start = await request(app).post('/auth/passkey/register/options').set('x-fresh', 'true');
+
+            const res = await request(app)
+                .post('/auth/passkey/register/verify')
+                .set('x-fresh', 'true')
+                .send({ challenge_id: start.body.challenge_id, name: 'Laptop', credential: new SoftwareAuthenticator({ prf: true }).register(start.body.options) });
+
+            expect(res.status).toBe(400);
+        });
+    });
+
+    describe('management', () => {
+        it('should list, rename and delete passkeys', async () => {
+            await registerPasskey(new SoftwareAuthenticator({ prf: true }), 'Laptop');
+            await registerPasskey(new SoftwareAuthenticator({ prf: true }), 'Phone');
+
+            const list = await request(app).get('/auth/passkey/credentials');
+            expect(list.body.passkeys.map((p) => p.name)).toEqual(['Laptop', 'Phone']);
+            expect(list.body.passkeys[0].wrapped_mek).toBeUndefined();
+
+            const id = list.body.passkeys[1].id;
+            const renamed = await request(app).put(`/auth/passkey/credentials/${id}`).send({ name: 'Work phone' });
+            expect(renamed.body.passkey.name).toBe('Work phone');
+
+            expect((await request(app).delete(`/auth/passkey/credentials/${id}`)).status).toBe(401);
+            const removed = await request(app).delete(`/auth/passkey/credentials/${id}`).set('x-fresh', 'true');
+            expect(removed.status).toBe(200);
+            expect(passkeys.size).toBe(1);
+            expect(auditDb.recordAuditEvent).toHaveBeenCalledWith(expect.objectContaining({ eventType: 'PASSKEY_REMOVED' }));
+        });
+
+        it('should return 404 for a passkey that does not exist', async () => {
+            const res = await request(app).delete(`/auth/passkey/credentials/${randomUUID()}`).set('x-fresh', 'true');
+
+            expect(res.status).toBe(404);
+        });
+    });
+
+    describe('login', () => {
+        it('should log in without a password and return a MEK copy the PRF output unwraps', async () => {
+            const authenticator = new SoftwareAuthenticator({ prf: true, counter: 1 });
+            await registerPasskey(authenticator);
+
+            const start = await startLogin('10.14.0.1');
+            expect(start.body.options.allowCredentials).toBeUndefined();
+            const credential = authenticator.assert(start.body.options);
+            const res = await finishLogin('10.14.0.1', start.body.challenge_id, credential);
+
+            expect(res.status).toBe(200);
+            expect(res.body).toMatchObject({ message: 'Login successful', user: { id: '123', email: 'test@example.com' } });
+            const cookies = res.headers['set-cookie'].join(';');
+            expect(cookies).toContain('sb-access-token=');
+            expect(cookies).toContain('sb-refresh-token=');
+            expect(deviceDb.registerUserDevice).toHaveBeenCalled();
+            expect(attemptsDb.recordLoginAttempt).toHaveBeenCalledWith(expect.objectContaining({ userId: '123', wasSuccessful: true }));
+
+            const prfOutput = Buffer.from(credential.clientExtensionResults.prf.results.first, 'base64url');
+            expect(unwrapMek(res.body.wrapped_mek, prfOutput).equals(MEK)).toBe(true);
+        });
+
+        it('should not accept the same challenge twice', async () => {
+            const authenticator = new SoftwareAuthenticator({ prf: true });
+            await registerPasskey(authenticator);
+
+            const start = await startLogin('10.14.0.2');
+            const credential = authenticator.assert(start.body.options);
+
+            expect((await finishLogin('10.14.0.2', start.body.challenge_id, credential)).status).toBe(200);
+            expect((await finishLogin('10.14.0.2', start.body.challenge_id, credential)).status).toBe(400);
+        });
+
+        it('should reject assertions without user verification', async () => {
+            const authenticator = new SoftwareAuthenticator({ prf: true });
+            await registerPasskey(authenticator);
+            authenticator.userVerification = false;
+
+            const res = await loginWith(authenticator, '10.14.0.3');
+
+            expect(res.status).toBe(401);
+            expect(deviceDb.registerUserDevice).not.toHaveBeenCalled();
+        });
+
+        it('should reject an unknown passkey', async () => {
+            const res = await loginWith(new SoftwareAuthenticator({ prf: true }), '10.14.0.4');
+
+            expect(res.status).toBe(401);
+        });
+
+        it('should reject a user handle that does not match the passkey owner', async () => {
+            const authenticator = new SoftwareAuthenticator({ prf: true });
+            await registerPasskey(authenticator);
+            authenticator.userHandle = Buffer.from('someone-else').toString('base64url');
+
+            const res = await loginWith(authenticator, '10.14.0.5');
+
+            expect(res.status).toBe(401);
+        });
+
+        it('should reject a counter that does not advance and audit it', async () => {
+            const authenticator = new SoftwareAuthenticator({ prf: true, counter: 3 });
+            await registerPasskey(authenticator);
+
+            const res = await loginWith(authenticator, '10.14.0.6', { advance: false });
+
+            expect(res.status).toBe(401);
+            expect(auditDb.recordAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+                eventType: 'WEBAUTHN_SIGN_COUNT_REGRESSION',
+                metadata: expect.objectContaining({ stored_count: 3, received_count: 3 }),
+            }));
+        });
+    });
+});
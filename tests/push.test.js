@@ -0,0 +1,297 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import cookieParser from 'cookie-parser';
+
+// In-memory mfa_push_challenges with the same conditional updates as the real table
+const pushChallenges = new Map();
+vi.mock('../models/mfaPushChallengeModel.js', () => {
+    const live = (row) => new Date(row.expires_at) > new Date();
+    return {
+        getPushChallenge: vi.fn(async (id) => pushChallenges.get(id) ?? null),
+        listPendingPushChallenges: vi.fn(async (userId) =>
+            [...pushChallenges.values()].filter((row) => row.user_id === userId && row.status === 'pending' && live(row))),
+        respondToPushChallenge: vi.fn(async (id, userId, status, deviceId) => {
+            const row = pushChallenges.get(id);
+            if (!row || row.user_id !== userId || row.status !== 'pending' || !live(row)) return null;
+            Object.assign(row, { status, responded_device_id: deviceId, responded_at: new Date().toISOString() });
+            return row;
+        }),
+        completePushChallenge: vi.fn(async (id, pendingTokenId) => {
+            const row = pushChallenges.get(id);
+            if (!row || row.pending_token_id !== pendingTokenId || row.status !== 'approved' || !live(row)) return null;
+            Object.assign(row, { status: 'completed', completed_at: new Date().toISOString() });
+            return row;
+        }),
+    };
+});
+
+vi.mock('../models/userModel.js', () => ({
+    getUserById: vi.fn().mockResolvedValue({ id: '123', email: 'test@example.com' }),
+}));
+
+vi.mock('../models/deviceModel.js', () => ({
+    registerUserDevice: vi.fn().mockResolvedValue({ id: 'device-2' }),
+    // device-1 is signed in as user 123, device-9 as user 456
+    getDeviceSessionState: vi.fn(async (id) => ({ id, user_id: id === 'device-9' ? '456' : '123', is_revoked: false })),
+    getSignedInDevicesByUserId: vi.fn().mockResolvedValue([]),
+    trustDevice: vi.fn().mockResolvedValue({ id: 'device-2' }),
+}));
+
+// Records the filters of the device query and answers with one signed-in device
+const deviceQuery = [];
+vi.mock('../config/db.js', () => {
+    const record = (method) => (...args) => {
+        deviceQuery.push([method, ...args]);
+        return chain;
+    };
+    const chain = {
+        select: record('select'),
+        eq: record('eq'),
+        gt: record('gt'),
+        order: async (...args) => {
+            deviceQuery.push(['order', ...args]);
+            return { data: [{ id: 'device-1', user_id: '123', device_name: 'Phone', last_login: '2024-01-01T00:00:00Z', refresh_tokens: [{ id: 'rt-1' }] }], error: null };
+        },
+    };
+    return { supabase: { from: vi.fn(() => chain) } };
+});
+
+vi.mock('../models/refreshTokenModel.js', () => ({
+    createRefreshToken: vi.fn().mockResolvedValue({ id: 'rt-1' }),
+}));
+
+vi.mock('../models/auditLogModel.js', () => ({
+    recordAuditEvent: vi.fn().mockResolvedValue({}),
+}));
+
+import pushRouter from '../route/push.js';
+import * as auditDb from '../models/auditLogModel.js';
+import * as deviceDb from '../models/deviceModel.js';
+import { TOKEN_TYPES, signToken } from '../config/tokenKeys.js';
+import { getOutbox, clearOutbox } from '../utils/mailer.js';
+
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use('/push', pushRouter);
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.MAIL_TRANSPORT = 'memory';
+
+const accessToken = (userId = '123') =>
+    signToken(TOKEN_TYPES.ACCESS, { id: userId, email: 'test@example.com', sid: userId === '123' ? 'device-1' : 'device-9' });
+const pendingToken = (jti, userId = '123') =>
+    signToken(TOKEN_TYPES.MFA_PENDING, { id: userId, email: 'test@example.com' }, { expiresIn: '5m', jwtid: jti });
+
+// A login waiting at the MFA step, as authController opens it
+const openChallenge = (overrides = {}) => {
+    const row = {
+        id: crypto.randomUUID(),
+        user_id: '123',
+        pending_token_id: crypto.randomUUID(),
+        number_match: 42,
+        number_choices: [17, 42, 86],
+        status: 'pending',
+        ip_address: '10.22.1.1',
+        user_agent: 'Firefox',
+        responded_device_id: null,
+        created_at: new Date().toISOString(),
+        expires_at: new Date(Date.now() + 5 * 60 * 1000).toISOString(),
+        responded_at: null,
+        completed_at: null,
+        ...overrides,
+    };
+    pushChallenges.set(row.id, row);
+    return row;
+};
+
+const approve = (id, number, token = accessToken()) => request(app)
+    .post(`/push/${id}/approve`)
+    .set('Cookie', [`sb-access-token=${token}`])
+    .send({ number });
+const complete = (challenge, body = {}, jti = challenge.pending_token_id) => request(app)
+    .post(`/push/${challenge.id}/complete`)
+    .set('Cookie', [`sb-access-token=${pendingToken(jti)}`])
+    .send(body);
+// Collects the whole event stream; it ends once the challenge is answered
+const events = (challenge, jti = challenge.pending_token_id) => request(app)
+    .get(`/push/${challenge.id}/events`)
+    .set('Cookie', [`sb-access-token=${pendingToken(jti)}`])
+    .buffer(true)
+    .parse((res, callback) => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => { body += chunk; });
+        res.on('end', () => callback(null, body));
+    });
+const statusEvent = (status) => `event: status\ndata: {"status":"${status}"}\n\n`;
+
+describe('Push approval', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        pushChallenges.clear();
+        clearOutbox();
+    });
+
+    it('should list pending logins with the choices but not the number to pick', async () => {
+        const challenge = openChallenge();
+        openChallenge({ user_id: '456' });
+        openChallenge({ expires_at: new Date(Date.now() - 1000).toISOString() });
+
+        const res = await request(app)
+            .get('/push/pending')
+            .set('Cookie', [`sb-access-token=${accessToken()}`]);
+
+        expect(res.status).toBe(200);
+        expect(res.body.challenges).toEqual([{
+            id: challenge.id,
+            number_choices: [17, 42, 86],
+            ip_address: '10.22.1.1',
+            user_agent: 'Firefox',
+            created_at: challenge.created_at,
+            expires_at: challenge.expires_at,
+        }]);
+    });
+
+    it('should not accept an mfa-pending token on the approving side', async () => {
+        const challenge = openChallenge();
+
+        const res = await approve(challenge.id, 42, pendingToken(challenge.pending_token_id));
+
+        expect(res.status).toBe(401);
+        expect(challenge.status).toBe('pending');
+    });
+
+    it('should complete the login once after the right number is picked', async () => {
+        const challenge = openChallenge();
+
+        const approved = await approve(challenge.id, 42);
+        expect(approved.status).toBe(200);
+        expect(challenge).toMatchObject({ status: 'approved', responded_device_id: 'device-1' });
+        expect(auditDb.recordAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+            eventType: 'MFA_PUSH_APPROVED',
+            metadata: { challenge: challenge.id, login_ip: '10.22.1.1' },
+        }));
+
+        const res = await complete(challenge, { trust_device: true });
+        expect(res.status).toBe(200);
+        expect(res.body.authenticated).toBe(true);
+        const cookies = res.headers['set-cookie'].join(';');
+        expect(cookies).toContain('sb-refresh-token=');
+        expect(cookies).toContain('sb-trusted-device=');
+        expect(deviceDb.trustDevice).toHaveBeenCalledWith('device-2', '123', expect.any(String), expect.any(String));
+
+        // One approval, one session
+        expect((await complete(challenge)).status).toBe(409);
+    });
+
+    it('should deny the login when the wrong number is picked', async () => {
+        const challenge = openChallenge();
+
+        const res = await approve(challenge.id, 17);
+
+        expect(res.status).toBe(400);
+        expect(challenge.status).toBe('denied');
+        expect(auditDb.recordAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+            eventType: 'MFA_PUSH_DENIED',
+            metadata: expect.objectContaining({ reason: 'number_mismatch' }),
+        }));
+        expect(getOutbox()).toHaveLength(1);
+
+        const completed = await complete(challenge);
+        expect(completed.status).toBe(403);
+        expect(completed.body.code).toBe('MFA_PUSH_DENIED');
+        expect(completed.headers['set-cookie'].join(';')).toContain('sb-access-token=;');
+        expect((await approve(challenge.id, 42)).status).toBe(404);
+    });
+
+    it('should deny a login and email the owner', async () => {
+        const challenge = openChallenge();
+
+        const res = await request(app)
+            .post(`/push/${challenge.id}/deny`)
+            .set('Cookie', [`sb-access-token=${accessToken()}`]);
+
+        expect(res.status).toBe(200);
+        expect(challenge.status).toBe('denied');
+        expect(getOutbox()[0].to).toBe('test@example.com');
+    });
+
+    it('should not let another user answer a challenge', async () => {
+        const challenge = openChallenge();
+
+        const approved = await approve(challenge.id, 42, accessToken('456'));
+        const denied = await request(app)
+            .post(`/push/${challenge.id}/deny`)
+            .set('Cookie', [`sb-access-token=${accessToken('456')}`]);
+
+        expect(approved.status).toBe(404);
+        expect(denied.status).toBe(404);
+        expect(challenge.status).toBe('pending');
+    });
+
+    it('should not complete before approval or for another login', async () => {
+        const challenge = openChallenge();
+
+        const early = await complete(challenge);
+        expect(early.status).toBe(409);
+        expect(early.body.status).toBe('pending');
+
+        await approve(challenge.id, 42);
+        // An mfa-pending token from a different login of the same user
+        expect((await complete(challenge, {}, crypto.randomUUID())).status).toBe(404);
+        expect(challenge.status).toBe('approved');
+    });
+
+    it('should stream the answer to the waiting login', async () => {
+        const challenge = openChallenge();
+
+        const waiting = events(challenge).then((res) => res);
+        // Let the stream open before answering
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        expect((await approve(challenge.id, 42)).status).toBe(200);
+
+        const res = await waiting;
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toContain('text/event-stream');
+        expect(res.body).toBe(statusEvent('pending') + statusEvent('approved'));
+    });
+
+    it('should end the stream at once for an answered or expired challenge', async () => {
+        const denied = openChallenge({ status: 'denied' });
+        const expired = openChallenge({ expires_at: new Date(Date.now() - 1000).toISOString() });
+
+        expect((await events(denied)).body).toBe(statusEvent('denied'));
+        expect((await events(expired)).body).toBe(statusEvent('expired'));
+    });
+
+    it('should only stream to the login the challenge belongs to', async () => {
+        const challenge = openChallenge();
+
+        const other = await events(challenge, crypto.randomUUID());
+        const anonymous = await request(app).get(`/push/${challenge.id}/events`);
+
+        expect(other.status).toBe(404);
+        expect(anonymous.status).toBe(401);
+    });
+});
+
+describe('Devices that can approve a push', async () => {
+    const { getSignedInDevicesByUserId } = await vi.importActual('../models/deviceModel.js');
+
+    it('should only count devices with a live, unrevoked refresh token', async () => {
+        deviceQuery.length = 0;
+
+        const devices = await getSignedInDevicesByUserId('123');
+
+        expect(deviceQuery).toEqual(expect.arrayContaining([
+            ['select', expect.stringContaining('refresh_tokens!inner(')],
+            ['eq', 'user_id', '123'],
+            ['eq', 'is_revoked', false],
+            ['eq', 'refresh_tokens.is_revoked', false],
+            ['gt', 'refresh_tokens.expires_at', expect.any(String)],
+        ]));
+        expect(devices).toEqual([{ id: 'device-1', user_id: '123', device_name: 'Phone', last_login: '2024-01-01T00:00:00Z' }]);
+    });
+});
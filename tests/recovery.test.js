@@ -0,0 +1,329 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import request from "supertest";
+import express from "express";
+import cookieParser from "cookie-parser";
+import argon2 from "argon2";
+import { generateKeyPairSync, sign } from "crypto";
+
+vi.mock("../models/userModel.js", () => ({
+  getUserByEmail: vi.fn(),
+  createUser: vi.fn(),
+  getUserById: vi.fn(),
+  setSrpVerifier: vi.fn().mockResolvedValue(),
+  clearAccountLockout: vi.fn().mockResolvedValue(),
+  completeAccountRecovery: vi.fn(),
+}));
+
+vi.mock("../models/recoveryKeyModel.js", () => ({
+  createRecoveryKey: vi.fn().mockResolvedValue({}),
+  getRecoveryKey: vi.fn(),
+}));
+
+vi.mock("../models/loginAttemptModel.js", () => ({
+  recordLoginAttempt: vi.fn().mockResolvedValue({}),
+  countRecentFailedAttempts: vi.fn().mockResolvedValue(0),
+  getRecentAttemptsForUser: vi.fn().mockResolvedValue([]),
+  beginLoginAttempt: vi.fn().mockResolvedValue({ attempt_id: "attempt-1", failures: 1 }),
+  markLoginAttemptSuccessful: vi.fn().mockResolvedValue(),
+  deleteLoginAttempt: vi.fn().mockResolvedValue(),
+}));
+
+vi.mock("../models/auditLogModel.js", () => ({
+  recordAuditEvent: vi.fn().mockResolvedValue({}),
+}));
+
+vi.mock("../models/emailVerificationModel.js", () => ({
+  createVerificationToken: vi.fn().mockResolvedValue({ id: "0b7e4f8e-6a39-4b4c-9b1e-3f0c2d7a9e11" }),
+  consumeVerificationToken: vi.fn(),
+  getRecentVerificationTokenTimes: vi.fn().mockResolvedValue([]),
+}));
+
+// In-memory challenge store with the same single-use semantics as the real table
+const challenges = new Map();
+vi.mock("../models/challengeModel.js", () => ({
+  createChallenge: vi.fn(async ({ userId, purpose, payload, ttlSeconds }) => {
+    const row = {
+      id: crypto.randomUUID(),
+      user_id: userId,
+      purpose,
+      payload,
+      expires_at: new Date(Date.now() + ttlSeconds * 1000).toISOString(),
+      consumed_at: null,
+    };
+    challenges.set(row.id, row);
+    return row;
+  }),
+  consumeChallenge: vi.fn(async (id, purpose) => {
+    const row = challenges.get(id);
+    if (!row || row.purpose !== purpose || row.consumed_at || new Date(row.expires_at) <= new Date()) {
+      return null;
+    }
+    row.consumed_at = new Date().toISOString();
+    return row;
+  }),
+}));
+
+vi.mock("../config/db.js", () => ({
+  supabase: { from: vi.fn(), rpc: vi.fn() },
+}));
+
+import router from "../route/auth.js";
+import * as db from "../models/userModel.js";
+import { supabase } from "../config/db.js";
+import * as recoveryDb from "../models/recoveryKeyModel.js";
+import * as auditDb from "../models/auditLogModel.js";
+import { recoveryProofMessage } from "../utils/recoveryKey.js";
+
+const app = express();
+// The tests pose as different clients through X-Forwarded-For
+app.set("trust proxy", true);
+app.use(express.json());
+app.use(cookieParser());
+app.use("/auth", router);
+
+process.env.JWT_SECRET = "test-secret";
+
+const EMAIL = "test@example.com";
+
+// --- What the apps derive from a recovery key ---
+function makeRecoveryKey() {
+  const { publicKey, privateKey } = generateKeyPairSync("ed25519");
+  const raw = Buffer.from(publicKey.export({ format: "jwk" }).x, "base64url");
+  return { privateKey, publicKey: raw.toString("base64") };
+}
+
+function signChallenge(key, { challenge_id, nonce }) {
+  return sign(null, recoveryProofMessage(challenge_id, nonce), key.privateKey).toString("base64");
+}
+
+const newCredentials = (newKey) => ({
+  new_salt: "s2",
+  new_wrapped_mek: "w2",
+  new_auth_hash: "h2",
+  new_recovery_public_key: newKey.publicKey,
+  new_wrapped_mek_recovery: "wrapped-under-new-key",
+});
+
+let ipCounter = 0;
+// Each test uses its own client IP so the per-IP limiters never interfere
+let clientIp;
+const post = (path) => request(app).post(path).set("X-Forwarded-For", clientIp);
+
+async function recoverWith(key, body) {
+  const init = await post("/auth/recover/init").send({ email: EMAIL });
+  return post("/auth/recover").send({
+    email: EMAIL,
+    challenge_id: init.body.challenge_id,
+    signature: signChallenge(key, init.body),
+    ...body,
+  });
+}
+
+describe("Recovery key", () => {
+  let currentKey;
+  let storedKey;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    challenges.clear();
+    clientIp = `10.3.0.${++ipCounter}`;
+    currentKey = makeRecoveryKey();
+    storedKey = {
+      user_id: "123",
+      key_version: 3,
+      public_key: currentKey.publicKey,
+      wrapped_mek_recovery: "wrapped-under-recovery-key",
+      expires_at: null,
+    };
+    db.getUserByEmail.mockResolvedValue({ id: "123", email: EMAIL });
+    recoveryDb.getRecoveryKey.mockImplementation(async () => storedKey);
+    db.completeAccountRecovery.mockResolvedValue({ keyVersion: 4, removedPasskeys: 2 });
+  });
+
+  afterEach(() => {
+    delete process.env.RECOVERY_KEY_TTL_DAYS;
+  });
+
+  it("should store the recovery public key and wrapped MEK at registration", async () => {
+    db.createUser.mockResolvedValue({ id: "123", email: EMAIL });
+    process.env.RECOVERY_KEY_TTL_DAYS = "365";
+
+    const res = await post("/auth/register").send({
+      email: EMAIL,
+      salt: "salt123",
+      wrapped_mek: "mek123",
+      auth_hash: "client_auth_hash",
+      recovery_public_key: currentKey.publicKey,
+      wrapped_mek_recovery: "wrapped-under-recovery-key",
+    });
+
+    expect(res.status).toBe(201);
+    const stored = recoveryDb.createRecoveryKey.mock.calls[0][0];
+    expect(stored).toMatchObject({ userId: "123", publicKey: currentKey.publicKey, wrappedMekRecovery: "wrapped-under-recovery-key" });
+    expect(new Date(stored.expiresAt).getTime()).toBeGreaterThan(Date.now() + 364 * 24 * 60 * 60 * 1000);
+  });
+
+  it("should recover with a signed challenge and rotate to the new key", async () => {
+    const newKey = makeRecoveryKey();
+
+    const init = await post("/auth/recover/init").send({ email: EMAIL });
+    expect(init.status).toBe(200);
+    expect(init.body.wrapped_mek_recovery).toBe("wrapped-under-recovery-key");
+
+    const res = await post("/auth/recover").send({
+      email: EMAIL,
+      challenge_id: init.body.challenge_id,
+      signature: signChallenge(currentKey, init.body),
+      ...newCredentials(newKey),
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.recovery_key_version).toBe(4);
+    expect(res.body.removed_passkeys).toBe(2);
+    const [userId, keyVersion, credentials, recoveryKey] = db.completeAccountRecovery.mock.calls[0];
+    expect(userId).toBe("123");
+    expect(keyVersion).toBe(3);
+    expect(credentials).toMatchObject({ salt: "s2", wrapped_mek: "w2", srp_salt: null, srp_verifier: null });
+    expect(await argon2.verify(credentials.server_hash, "h2")).toBe(true);
+    expect(recoveryKey).toMatchObject({ publicKey: newKey.publicKey, wrappedMekRecovery: "wrapped-under-new-key" });
+    expect(auditDb.recordAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+      eventType: "ACCOUNT_RECOVERED",
+      metadata: { recovery_key_version: 4, removed_passkeys: 2 },
+    }));
+  });
+
+  it("should not accept a challenge twice", async () => {
+    const init = await post("/auth/recover/init").send({ email: EMAIL });
+    const body = {
+      email: EMAIL,
+      challenge_id: init.body.challenge_id,
+      signature: signChallenge(currentKey, init.body),
+      ...newCredentials(makeRecoveryKey()),
+    };
+
+    const first = await post("/auth/recover").send(body);
+    const replay = await post("/auth/recover").send(body);
+
+    expect(first.status).toBe(200);
+    expect(replay.status).toBe(401);
+  });
+
+  it("should reject a signature from another key", async () => {
+    const res = await recoverWith(makeRecoveryKey(), newCredentials(makeRecoveryKey()));
+
+    expect(res.status).toBe(401);
+    expect(db.completeAccountRecovery).not.toHaveBeenCalled();
+  });
+
+  it("should require a new recovery key", async () => {
+    const res = await recoverWith(currentKey, newCredentials(currentKey));
+
+    expect(res.status).toBe(400);
+    expect(db.completeAccountRecovery).not.toHaveBeenCalled();
+  });
+
+  it("should refuse an expired recovery key", async () => {
+    storedKey.expires_at = new Date(Date.now() - 1000).toISOString();
+
+    const res = await recoverWith(currentKey, newCredentials(makeRecoveryKey()));
+
+    expect(res.status).toBe(401);
+    expect(db.completeAccountRecovery).not.toHaveBeenCalled();
+  });
+
+  it("should refuse a revoked recovery key", async () => {
+    storedKey.revoked_at = new Date().toISOString();
+
+    const res = await recoverWith(currentKey, newCredentials(makeRecoveryKey()));
+
+    expect(res.status).toBe(401);
+    expect(db.completeAccountRecovery).not.toHaveBeenCalled();
+  });
+
+  it("should return 409 if the key was rotated in the meantime", async () => {
+    db.completeAccountRecovery.mockResolvedValueOnce(null);
+
+    const res = await recoverWith(currentKey, newCredentials(makeRecoveryKey()));
+
+    expect(res.status).toBe(409);
+  });
+
+  it("should not reveal database errors", async () => {
+    db.completeAccountRecovery.mockRejectedValueOnce(new Error("Error recovering account: relation \"recovery_keys\" does not exist"));
+    const consoleError = vi.spyOn(console, "error").mockImplementation(() => { });
+
+    const res = await recoverWith(currentKey, newCredentials(makeRecoveryKey()));
+
+    expect(res.status).toBe(500);
+    expect(res.body).toEqual({ error: "Internal server error" });
+    expect(consoleError).toHaveBeenCalled();
+    consoleError.mockRestore();
+  });
+
+  it("should answer unknown emails with a stable decoy", async () => {
+    db.getUserByEmail.mockResolvedValue(null);
+
+    const first = await post("/auth/recover/init").send({ email: "nobody@example.com" });
+    const second = await post("/auth/recover/init").send({ email: "nobody@example.com" });
+
+    expect(first.status).toBe(200);
+    expect(Object.keys(first.body).sort()).toEqual(["challenge_id", "nonce", "wrapped_mek_recovery"]);
+    expect(first.body.wrapped_mek_recovery).toBe(second.body.wrapped_mek_recovery);
+    expect(first.body.nonce).not.toBe(second.body.nonce);
+  });
+
+  it("should answer an unknown email exactly like a wrong recovery key", async () => {
+    const wrongKey = await recoverWith(makeRecoveryKey(), newCredentials(makeRecoveryKey()));
+
+    db.getUserByEmail.mockResolvedValue(null);
+    const unknown = await recoverWith(makeRecoveryKey(), newCredentials(makeRecoveryKey()));
+
+    expect(unknown.status).toBe(401);
+    expect(unknown.body).toEqual(wrongKey.body);
+  });
+
+  it("should never accept the raw recovery key", async () => {
+    const res = await post("/auth/recover").send({
+      email: EMAIL,
+      recovery_key: "RECOVERY-KEY",
+      ...newCredentials(makeRecoveryKey()),
+    });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+// Every passkey unwraps the MEK by itself, so none may outlive the password it was
+// registered under. Both RPCs delete them and report how many went.
+describe("Passkeys after a password change or recovery", async () => {
+  const { changeMasterPassword, completeAccountRecovery } = await vi.importActual("../models/userModel.js");
+  const credentials = { salt: "s2", wrapped_mek: "w2", server_hash: "hash" };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("should report the passkeys deleted by change_master_password", async () => {
+    supabase.rpc.mockResolvedValue({ data: { success: true, revoked_sessions: 1, removed_passkeys: 3 }, error: null });
+
+    const result = await changeMasterPassword("123", "old-hash", credentials, { keepDeviceId: "device-1" });
+
+    expect(supabase.rpc).toHaveBeenCalledWith("change_master_password", expect.objectContaining({ p_user_id: "123" }));
+    expect(result).toEqual({ changed: true, revokedSessions: 1, removedPasskeys: 3 });
+  });
+
+  it("should report the passkeys deleted by complete_account_recovery", async () => {
+    supabase.rpc.mockResolvedValue({ data: { success: true, key_version: 4, removed_passkeys: 2 }, error: null });
+
+    const result = await completeAccountRecovery("123", 3, credentials, { publicKey: "pk", wrappedMekRecovery: "w", expiresAt: null });
+
+    expect(supabase.rpc).toHaveBeenCalledWith("complete_account_recovery", expect.objectContaining({ p_user_id: "123", p_key_version: 3 }));
+    expect(result).toEqual({ keyVersion: 4, removedPasskeys: 2 });
+  });
+
+  it("should report nothing removed when the recovery lost a race", async () => {
+    supabase.rpc.mockResolvedValue({ data: { success: false }, error: null });
+
+    expect(await completeAccountRecovery("123", 3, credentials, { publicKey: "pk", wrappedMekRecovery: "w", expiresAt: null })).toBeNull();
+  });
+});
@@ -0,0 +1,162 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+
+vi.mock('../middleware/verifySession.js', () => ({
+    verifySession: (req, res, next) => {
+        req.user = { id: '123', email: 'test@example.com', sid: 'device-1' };
+        next();
+    }
+}));
+
+// Toggle fresh authentication with the 'x-fresh' header
+vi.mock('../middleware/requireFreshAuth.js', () => ({
+    requireFreshAuth: (req, res, next) => {
+        if (req.headers['x-fresh'] === 'true') {
+            return next();
+        }
+        res.status(401).json({ error: 'Fresh authentication required', code: 'REAUTH_REQUIRED' });
+    }
+}));
+
+vi.mock('../models/recoveryKeyModel.js', () => ({
+    getRecoveryKey: vi.fn(),
+    replaceRecoveryKey: vi.fn(),
+    revokeRecoveryKey: vi.fn(),
+}));
+
+vi.mock('../models/auditLogModel.js', () => ({
+    recordAuditEvent: vi.fn().mockResolvedValue({}),
+}));
+
+vi.mock('../config/db.js', () => ({
+    supabase: { from: vi.fn() },
+}));
+
+import recoveryKeyRouter from '../route/recoveryKeyRoutes.js';
+import * as recoveryDb from '../models/recoveryKeyModel.js';
+import * as auditDb from '../models/auditLogModel.js';
+import { getOutbox, clearOutbox } from '../utils/mailer.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/recovery-key', recoveryKeyRouter);
+
+const publicKey = (fill) => Buffer.alloc(32, fill).toString('base64');
+const activeKey = {
+    user_id: '123',
+    key_hash: null,
+    key_version: 2,
+    public_key: publicKey(1),
+    wrapped_mek_recovery: 'wrapped',
+    created_at: '2026-01-01T00:00:00Z',
+    expires_at: null,
+    revoked_at: null,
+};
+
+describe('Recovery key management', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        clearOutbox();
+        process.env.MAIL_TRANSPORT = 'memory';
+        recoveryDb.getRecoveryKey.mockResolvedValue(activeKey);
+    });
+
+    afterEach(() => {
+        delete process.env.MAIL_TRANSPORT;
+    });
+
+    it('should require fresh authentication', async () => {
+        const res = await request(app).get('/api/recovery-key');
+
+        expect(res.status).toBe(401);
+        expect(recoveryDb.getRecoveryKey).not.toHaveBeenCalled();
+    });
+
+    it('should report status without key material', async () => {
+        const res = await request(app).get('/api/recovery-key').set('x-fresh', 'true');
+
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual({
+            exists: true,
+            usable: true,
+            legacy: false,
+            key_version: 2,
+            created_at: '2026-01-01T00:00:00Z',
+            expires_at: null,
+            revoked_at: null,
+        });
+    });
+
+    it('should flag legacy hash-only keys as unusable', async () => {
+        recoveryDb.getRecoveryKey.mockResolvedValue({ ...activeKey, key_hash: '$argon2id$...', public_key: null, key_version: 1 });
+
+        const res = await request(app).get('/api/recovery-key').set('x-fresh', 'true');
+
+        expect(res.body).toMatchObject({ exists: true, usable: false, legacy: true });
+    });
+
+    it('should replace the key conditionally, audit it and notify the owner', async () => {
+        recoveryDb.replaceRecoveryKey.mockResolvedValue({ ...activeKey, key_version: 3, public_key: publicKey(2) });
+
+        const res = await request(app)
+            .post('/api/recovery-key/regenerate')
+            .set('x-fresh', 'true')
+            .send({ recovery_public_key: publicKey(2), wrapped_mek_recovery: 'wrapped-new' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.key_version).toBe(3);
+        expect(recoveryDb.replaceRecoveryKey).toHaveBeenCalledWith('123', 2, expect.objectContaining({
+            publicKey: publicKey(2),
+            wrappedMekRecovery: 'wrapped-new',
+        }));
+        expect(auditDb.recordAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+            eventType: 'RECOVERY_KEY_REGENERATED',
+            metadata: { key_version: 3 },
+        }));
+        expect(getOutbox()).toHaveLength(1);
+        expect(getOutbox()[0].to).toBe('test@example.com');
+    });
+
+    it('should return 409 when the key changed concurrently', async () => {
+        recoveryDb.replaceRecoveryKey.mockResolvedValue(null);
+
+        const res = await request(app)
+            .post('/api/recovery-key/regenerate')
+            .set('x-fresh', 'true')
+            .send({ recovery_public_key: publicKey(2), wrapped_mek_recovery: 'wrapped-new' });
+
+        expect(res.status).toBe(409);
+        expect(getOutbox()).toHaveLength(0);
+    });
+
+    it('should reject malformed public keys', async () => {
+        const res = await request(app)
+            .post('/api/recovery-key/regenerate')
+            .set('x-fresh', 'true')
+            .send({ recovery_public_key: 'not-a-key', wrapped_mek_recovery: 'wrapped-new' });
+
+        expect(res.status).toBe(400);
+        expect(recoveryDb.replaceRecoveryKey).not.toHaveBeenCalled();
+    });
+
+    it('should revoke the key, audit it and notify the owner', async () => {
+        recoveryDb.revokeRecoveryKey.mockResolvedValue({ ...activeKey, revoked_at: '2026-10-18T00:00:00Z' });
+
+        const res = await request(app).post('/api/recovery-key/revoke').set('x-fresh', 'true');
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ usable: false, revoked_at: '2026-10-18T00:00:00Z' });
+        expect(auditDb.recordAuditEvent).toHaveBeenCalledWith(expect.objectContaining({ eventType: 'RECOVERY_KEY_REVOKED' }));
+        expect(getOutbox()).toHaveLength(1);
+    });
+
+    it('should return 404 when there is no active key to revoke', async () => {
+        recoveryDb.revokeRecoveryKey.mockResolvedValue(null);
+
+        const res = await request(app).post('/api/recovery-key/revoke').set('x-fresh', 'true');
+
+        expect(res.status).toBe(404);
+        expect(auditDb.recordAuditEvent).not.toHaveBeenCalled();
+    });
+});
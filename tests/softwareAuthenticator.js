@@ -0,0 +1,135 @@
+// Software WebAuthn authenticator for tests, so no ceremony needs real hardware.
+// Just enough CBOR, COSE and authenticator data to stand in for a security key or
+// passkey with "none" attestation, an ES256 (P-256) credential and the PRF extension.
+
+import { createHash, createHmac, generateKeyPairSync, randomBytes, sign } from 'crypto';
+
+export const ORIGIN = 'http://localhost:5173';
+export const RP_ID = 'localhost';
+
+// Authenticator data flags
+const UP = 0x01;
+const UV = 0x04;
+const AT = 0x40;
+
+function cborHead(major, length) {
+    if (length < 24) return Buffer.from([(major << 5) | length]);
+    if (length < 0x100) return Buffer.from([(major << 5) | 24, length]);
+    const buf = Buffer.alloc(3);
+    buf[0] = (major << 5) | 25;
+    buf.writeUInt16BE(length, 1);
+    return buf;
+}
+
+function cbor(value) {
+    if (typeof value === 'number') {
+        return value >= 0 ? cborHead(0, value) : cborHead(1, -1 - value);
+    }
+    if (typeof value === 'string') {
+        const bytes = Buffer.from(value, 'utf8');
+        return Buffer.concat([cborHead(3, bytes.length), bytes]);
+    }
+    if (Buffer.isBuffer(value)) {
+        return Buffer.concat([cborHead(2, value.length), value]);
+    }
+    const entries = value instanceof Map ? [...value] : Object.entries(value);
+    return Buffer.concat([cborHead(5, entries.length), ...entries.flatMap(([k, v]) => [cbor(k), cbor(v)])]);
+}
+
+const sha256 = (data) => createHash('sha256').update(data).digest();
+export const b64url = (buf) => Buffer.from(buf).toString('base64url');
+
+export class SoftwareAuthenticator {
+    /**
+     * @param {Object} [opts]
+     * @param {number} [opts.counter] - Initial signature counter; 0 means the authenticator never counts.
+     * @param {boolean} [opts.userVerification] - Whether it reports user verification (PIN/biometric).
+     * @param {boolean} [opts.prf] - Whether it supports the PRF extension.
+     */
+    constructor({ counter = 0, userVerification = true, prf = false } = {}) {
+        const { publicKey, privateKey } = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+        this.privateKey = privateKey;
+        this.publicJwk = publicKey.export({ format: 'jwk' });
+        this.credentialId = randomBytes(16);
+        this.counter = counter;
+        this.userVerification = userVerification;
+        this.prfSecret = prf ? randomBytes(32) : null;
+        this.userHandle = null;
+    }
+
+    get id() {
+        return b64url(this.credentialId);
+    }
+
+    authData(flags, extra = Buffer.alloc(0)) {
+        const counter = Buffer.alloc(4);
+        counter.writeUInt32BE(this.counter);
+        const uv = this.userVerification ? UV : 0;
+        return Buffer.concat([sha256(RP_ID), Buffer.from([flags | uv]), counter, extra]);
+    }
+
+    coseKey() {
+        return cbor(new Map([
+            [1, 2],     // kty: EC2
+            [3, -7],    // alg: ES256
+            [-1, 1],    // crv: P-256
+            [-2, Buffer.from(this.publicJwk.x, 'base64url')],
+            [-3, Buffer.from(this.publicJwk.y, 'base64url')],
+        ]));
+    }
+
+    /**
+     * PRF output for a salt, as the browser would return it in prf.results.first.
+     * @param {string} salt - base64url, as sent in the options.
+     * @returns {Buffer}
+     */
+    prf(salt) {
+        return createHmac('sha256', this.prfSecret).update(Buffer.from(salt, 'base64url')).digest();
+    }
+
+    // navigator.credentials.create()
+    register(options, origin = ORIGIN) {
+        this.userHandle = options.user?.id ?? null;
+        const idLength = Buffer.alloc(2);
+        idLength.writeUInt16BE(this.credentialId.length);
+        const attestedCredential = Buffer.concat([Buffer.alloc(16), idLength, this.credentialId, this.coseKey()]);
+        const authData = this.authData(UP | AT, attestedCredential);
+        const clientDataJSON = Buffer.from(JSON.stringify({ type: 'webauthn.create', challenge: options.challenge, origin }));
+
+        return {
+            id: this.id,
+            rawId: this.id,
+            type: 'public-key',
+            response: {
+                clientDataJSON: b64url(clientDataJSON),
+                attestationObject: b64url(cbor({ fmt: 'none', attStmt: {}, authData })),
+                transports: ['usb'],
+            },
+            clientExtensionResults: options.extensions?.prf ? { prf: { enabled: !!this.prfSecret } } : {},
+        };
+    }
+
+    // navigator.credentials.get(); the counter moves forward unless told otherwise
+    assert(options, { origin = ORIGIN, advance = true } = {}) {
+        if (advance && this.counter > 0) this.counter += 1;
+        const authData = this.authData(UP);
+        const clientDataJSON = Buffer.from(JSON.stringify({ type: 'webauthn.get', challenge: options.challenge, origin }));
+        const signature = sign('sha256', Buffer.concat([authData, sha256(clientDataJSON)]), this.privateKey);
+
+        const response = {
+            clientDataJSON: b64url(clientDataJSON),
+            authenticatorData: b64url(authData),
+            signature: b64url(signature),
+        };
+        if (this.userHandle) response.userHandle = this.userHandle;
+
+        const salt = options.extensions?.prf?.eval?.first;
+        return {
+            id: this.id,
+            rawId: this.id,
+            type: 'public-key',
+            response,
+            clientExtensionResults: salt && this.prfSecret ? { prf: { results: { first: b64url(this.prf(salt)) } } } : {},
+        };
+    }
+}
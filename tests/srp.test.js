@@ -0,0 +1,225 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import request from "supertest";
+import express from "express";
+import cookieParser from "cookie-parser";
+import { randomBytes } from "crypto";
+
+vi.mock("../models/userModel.js", () => ({
+  getUserByEmail: vi.fn(),
+  createUser: vi.fn(),
+  getUserById: vi.fn(),
+  setSrpVerifier: vi.fn().mockResolvedValue(),
+  clearAccountLockout: vi.fn().mockResolvedValue(),
+}));
+
+vi.mock("../models/loginAttemptModel.js", () => ({
+  recordLoginAttempt: vi.fn().mockResolvedValue({}),
+  countRecentFailedAttempts: vi.fn().mockResolvedValue(0),
+  getRecentAttemptsForUser: vi.fn().mockResolvedValue([]),
+  beginLoginAttempt: vi.fn().mockResolvedValue({ attempt_id: "attempt-1", failures: 1 }),
+  markLoginAttemptSuccessful: vi.fn().mockResolvedValue(),
+  deleteLoginAttempt: vi.fn().mockResolvedValue(),
+}));
+
+vi.mock("../models/mfaFactorModel.js", () => ({
+  listMfaFactors: vi.fn().mockResolvedValue([]),
+}));
+
+vi.mock("../models/webauthnCredentialModel.js", () => ({
+  listWebAuthnCredentials: vi.fn().mockResolvedValue([]),
+}));
+
+vi.mock("../models/deviceModel.js", () => ({
+  registerUserDevice: vi.fn().mockResolvedValue({ id: "device-1" }),
+  updateDeviceToken: vi.fn().mockResolvedValue({}),
+  revokeDeviceByToken: vi.fn().mockResolvedValue({}),
+  revokeDeviceById: vi.fn().mockResolvedValue({}),
+  getDeviceSessionState: vi.fn().mockResolvedValue({ id: "device-1", user_id: "123", is_revoked: false }),
+  getSignedInDevicesByUserId: vi.fn().mockResolvedValue([]),
+}));
+
+vi.mock("../models/refreshTokenModel.js", () => ({
+  createRefreshToken: vi.fn().mockResolvedValue({ id: "rt-new" }),
+  findRefreshTokenByHash: vi.fn(),
+  rotateRefreshToken: vi.fn().mockResolvedValue(true),
+  revokeRefreshToken: vi.fn().mockResolvedValue(),
+  revokeTokenFamily: vi.fn().mockResolvedValue(),
+}));
+
+vi.mock("../models/auditLogModel.js", () => ({
+  recordAuditEvent: vi.fn().mockResolvedValue({}),
+}));
+
+// In-memory challenge store with the same single-use semantics as the real table
+const challenges = new Map();
+vi.mock("../models/challengeModel.js", () => ({
+  createChallenge: vi.fn(async ({ userId, purpose, payload, ttlSeconds }) => {
+    const row = {
+      id: crypto.randomUUID(),
+      user_id: userId,
+      purpose,
+      payload,
+      expires_at: new Date(Date.now() + ttlSeconds * 1000).toISOString(),
+      consumed_at: null,
+    };
+    challenges.set(row.id, row);
+    return row;
+  }),
+  consumeChallenge: vi.fn(async (id, purpose) => {
+    const row = challenges.get(id);
+    if (!row || row.purpose !== purpose || row.consumed_at || new Date(row.expires_at) <= new Date()) {
+      return null;
+    }
+    row.consumed_at = new Date().toISOString();
+    return row;
+  }),
+}));
+
+vi.mock("../config/db.js", () => ({
+  supabase: { from: vi.fn() },
+}));
+
+import router from "../route/auth.js";
+import * as db from "../models/userModel.js";
+import * as mfaFactorDb from "../models/mfaFactorModel.js";
+import * as attemptsDb from "../models/loginAttemptModel.js";
+import { SRP_N, SRP_G, SRP_K, modPow, pad, srpHash, toBigInt, computeU, computeClientProof, computeServerProof } from "../utils/srp.js";
+
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use("/auth", router);
+
+process.env.JWT_SECRET = "test-secret";
+
+// --- Minimal SRP-6a client, as the apps implement it ---
+const EMAIL = "test@example.com";
+const AUTH_HASH = "client_auth_hash";
+
+function privateKey(salt, password) {
+  return toBigInt(srpHash(Buffer.from(salt, "hex"), srpHash(`${EMAIL}:${password}`)));
+}
+
+function makeVerifier(password) {
+  const salt = randomBytes(16).toString("hex");
+  const verifier = modPow(SRP_G, privateKey(salt, password), SRP_N).toString(16);
+  return { salt, verifier };
+}
+
+function clientStart() {
+  const a = toBigInt(randomBytes(32));
+  return { a, A: modPow(SRP_G, a, SRP_N) };
+}
+
+function clientProof({ a, A }, { srp_salt, B }, password) {
+  const bigB = BigInt("0x" + B);
+  const x = privateKey(srp_salt, password);
+  const u = computeU(A, bigB);
+  const base = (bigB - (SRP_K * modPow(SRP_G, x, SRP_N)) % SRP_N + SRP_N) % SRP_N;
+  const S = modPow(base, a + u * x, SRP_N);
+  const K = srpHash(pad(S));
+  const M1 = computeClientProof({ identity: EMAIL, salt: srp_salt, A, B: bigB, K });
+  return { M1: M1.toString("hex"), M2: computeServerProof(A, M1, K).toString("hex") };
+}
+
+async function srpLogin(password) {
+  const client = clientStart();
+  const init = await request(app).post("/auth/srp/init").send({ email: EMAIL, A: client.A.toString(16) });
+  const proof = clientProof(client, init.body, password);
+  const verify = await request(app)
+    .post("/auth/srp/verify")
+    .send({ email: EMAIL, challenge_id: init.body.challenge_id, M1: proof.M1 });
+  return { init, verify, expectedM2: proof.M2 };
+}
+
+describe("SRP-6a login", () => {
+  let user;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    challenges.clear();
+    const { salt, verifier } = makeVerifier(AUTH_HASH);
+    user = {
+      id: "123",
+      email: EMAIL,
+      salt: "kdf_salt",
+      wrapped_mek: "wrapped",
+      srp_salt: salt,
+      srp_verifier: verifier,
+      email_verified_at: "2024-01-01T00:00:00Z",
+    };
+    db.getUserByEmail.mockResolvedValue(user);
+  });
+
+  it("should log in and prove the server knows the verifier", async () => {
+    const { init, verify, expectedM2 } = await srpLogin(AUTH_HASH);
+
+    expect(init.status).toBe(200);
+    expect(init.body).toMatchObject({ salt: "kdf_salt", srp_salt: user.srp_salt });
+    expect(init.body.wrapped_mek).toBeUndefined(); // only released after a valid proof
+
+    expect(verify.status).toBe(200);
+    expect(verify.body.M2).toBe(expectedM2);
+    expect(verify.body.wrapped_mek).toBe("wrapped");
+    const cookies = verify.headers["set-cookie"].join(";");
+    expect(cookies).toContain("sb-access-token");
+    expect(cookies).toContain("sb-refresh-token");
+  });
+
+  it("should reject a wrong password and record the failure", async () => {
+    const { verify } = await srpLogin("wrong_auth_hash");
+
+    expect(verify.status).toBe(401);
+    expect(verify.headers["set-cookie"]).toBeUndefined();
+    expect(attemptsDb.beginLoginAttempt).toHaveBeenCalledWith(expect.objectContaining({ userId: user.id }));
+    expect(attemptsDb.markLoginAttemptSuccessful).not.toHaveBeenCalled();
+  });
+
+  it("should not accept a replayed proof", async () => {
+    const client = clientStart();
+    const init = await request(app).post("/auth/srp/init").send({ email: EMAIL, A: client.A.toString(16) });
+    const { M1 } = clientProof(client, init.body, AUTH_HASH);
+    const body = { email: EMAIL, challenge_id: init.body.challenge_id, M1 };
+
+    const first = await request(app).post("/auth/srp/verify").send(body);
+    const replay = await request(app).post("/auth/srp/verify").send(body);
+
+    expect(first.status).toBe(200);
+    expect(replay.status).toBe(401);
+  });
+
+  it("should reject A = 0 mod N", async () => {
+    const res = await request(app).post("/auth/srp/init").send({ email: EMAIL, A: SRP_N.toString(16) });
+    expect(res.status).toBe(400);
+  });
+
+  it("should give unknown and non-upgraded accounts a decoy that fails the proof", async () => {
+    db.getUserByEmail.mockResolvedValue({ ...user, srp_salt: null, srp_verifier: null });
+    const legacy = await srpLogin(AUTH_HASH);
+
+    db.getUserByEmail.mockResolvedValue(null);
+    const unknown = await srpLogin(AUTH_HASH);
+    const unknownAgain = await request(app).post("/auth/srp/init").send({ email: EMAIL, A: clientStart().A.toString(16) });
+
+    for (const { init, verify } of [legacy, unknown]) {
+      expect(init.status).toBe(200);
+      expect(Object.keys(init.body).sort()).toEqual(["B", "challenge_id", "kdf_params", "salt", "srp_salt"]);
+      expect(verify.status).toBe(401);
+      expect(verify.body).toEqual({ error: "Invalid credentials" });
+    }
+    // Same fake salts on every attempt, like a real account
+    expect(unknownAgain.body.srp_salt).toBe(unknown.init.body.srp_salt);
+    expect(unknownAgain.body.salt).toBe(unknown.init.body.salt);
+  });
+
+  it("should run the MFA step instead of issuing a session when TOTP is on", async () => {
+    mfaFactorDb.listMfaFactors.mockResolvedValue([{ id: "factor-1", type: "totp" }]);
+
+    const { verify } = await srpLogin(AUTH_HASH);
+
+    expect(verify.status).toBe(200);
+    expect(verify.body.mfa_required).toBe(true);
+    expect(verify.headers["set-cookie"].join(";")).not.toContain("sb-refresh-token");
+    mfaFactorDb.listMfaFactors.mockResolvedValue([]);
+  });
+});
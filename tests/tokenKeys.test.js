@@ -0,0 +1,175 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import jwt from 'jsonwebtoken';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import request from 'supertest';
+import { generateKeyPairSync, createPublicKey } from 'crypto';
+import { TOKEN_TYPES, signToken, verifyToken, reloadTokenKeys, getJwks } from '../config/tokenKeys.js';
+import wellKnownRouter from '../route/wellKnownRoutes.js';
+
+const KEY_ENV = ['JWT_ACCESS_KEYS', 'JWT_ACCESS_SIGNING_KID', 'JWT_MFA_PENDING_KEYS'];
+
+describe('Token key management', () => {
+    beforeEach(() => {
+        process.env.JWT_SECRET = 'test-secret';
+        reloadTokenKeys();
+    });
+
+    afterEach(() => {
+        KEY_ENV.forEach((name) => delete process.env[name]);
+        reloadTokenKeys();
+    });
+
+    it('should sign with a kid header and a per-type audience', () => {
+        const token = signToken(TOKEN_TYPES.ACCESS, { id: '123' }, { expiresIn: '15m' });
+
+        const { header, payload } = jwt.decode(token, { complete: true });
+        expect(header.kid).toBe('access-derived');
+        expect(payload.aud).toBe('passwordpal:access');
+
+        const claims = verifyToken(TOKEN_TYPES.ACCESS, token);
+        expect(claims.id).toBe('123');
+        expect(claims.token_type).toBe(TOKEN_TYPES.ACCESS);
+    });
+
+    it('should never accept one token type as another', () => {
+        const pending = signToken(TOKEN_TYPES.MFA_PENDING, { id: '123' });
+        const trusted = signToken(TOKEN_TYPES.TRUSTED_DEVICE, { id: '123' });
+
+        expect(() => verifyToken(TOKEN_TYPES.ACCESS, pending)).toThrow(jwt.JsonWebTokenError);
+        expect(() => verifyToken(TOKEN_TYPES.ACCESS, trusted)).toThrow(jwt.JsonWebTokenError);
+        expect(verifyToken([TOKEN_TYPES.ACCESS, TOKEN_TYPES.MFA_PENDING], pending).token_type)
+            .toBe(TOKEN_TYPES.MFA_PENDING);
+    });
+
+    it('should reject legacy tokens signed with the shared JWT_SECRET', () => {
+        const legacy = jwt.sign({ id: '123' }, process.env.JWT_SECRET);
+        expect(() => verifyToken(TOKEN_TYPES.ACCESS, legacy)).toThrow(jwt.JsonWebTokenError);
+    });
+
+    it('should keep verifying tokens from a retired signing key during rotation', () => {
+        // Before rotation: "old" signs
+        process.env.JWT_ACCESS_KEYS = 'old:old-secret';
+        reloadTokenKeys();
+        const oldToken = signToken(TOKEN_TYPES.ACCESS, { id: '123' });
+
+        // Rotation: "new" is added and selected for signing, "old" stays verify-only
+        process.env.JWT_ACCESS_KEYS = 'old:old-secret,new:new-secret';
+        process.env.JWT_ACCESS_SIGNING_KID = 'new';
+        reloadTokenKeys();
+        const newToken = signToken(TOKEN_TYPES.ACCESS, { id: '123' });
+
+        expect(jwt.decode(newToken, { complete: true }).header.kid).toBe('new');
+        expect(verifyToken(TOKEN_TYPES.ACCESS, oldToken).id).toBe('123');
+        expect(verifyToken(TOKEN_TYPES.ACCESS, newToken).id).toBe('123');
+
+        // Once the old key is removed, its tokens stop verifying
+        process.env.JWT_ACCESS_KEYS = 'new:new-secret';
+        reloadTokenKeys();
+        expect(() => verifyToken(TOKEN_TYPES.ACCESS, oldToken)).toThrow(jwt.JsonWebTokenError);
+    });
+
+    it('should not let a shared kid cross token types', () => {
+        process.env.JWT_ACCESS_KEYS = 'k1:access-secret';
+        process.env.JWT_MFA_PENDING_KEYS = 'k1:pending-secret';
+        reloadTokenKeys();
+
+        const pending = signToken(TOKEN_TYPES.MFA_PENDING, { id: '123' });
+        expect(() => verifyToken(TOKEN_TYPES.ACCESS, pending)).toThrow(jwt.JsonWebTokenError);
+    });
+
+    it('should refuse a signing kid that is not in the keyring', () => {
+        process.env.JWT_ACCESS_KEYS = 'a:secret';
+        process.env.JWT_ACCESS_SIGNING_KID = 'b';
+        reloadTokenKeys();
+
+        expect(() => signToken(TOKEN_TYPES.ACCESS, { id: '123' })).toThrow(/not in the keyring/);
+    });
+});
+
+describe('Asymmetric signing keys', () => {
+    let keysDir;
+
+    const writeKey = (type, file, pem) => {
+        fs.mkdirSync(path.join(keysDir, type), { recursive: true });
+        fs.writeFileSync(path.join(keysDir, type, file), pem);
+    };
+    const rsaPair = () => generateKeyPairSync('rsa', {
+        modulusLength: 2048,
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    });
+
+    beforeEach(() => {
+        process.env.JWT_SECRET = 'test-secret';
+        keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pp-jwt-keys-'));
+        process.env.JWT_KEYS_DIR = keysDir;
+        reloadTokenKeys();
+    });
+
+    afterEach(() => {
+        delete process.env.JWT_KEYS_DIR;
+        fs.rmSync(keysDir, { recursive: true, force: true });
+        reloadTokenKeys();
+    });
+
+    it('should sign access tokens with RS256 and publish the public key', async () => {
+        const { privateKey } = rsaPair();
+        writeKey('access', '2026-10.pem', privateKey);
+
+        const token = signToken(TOKEN_TYPES.ACCESS, { id: '123', sid: 'device-1' });
+        expect(jwt.decode(token, { complete: true }).header).toMatchObject({ alg: 'RS256', kid: '2026-10' });
+        expect(verifyToken(TOKEN_TYPES.ACCESS, token).id).toBe('123');
+
+        // Another service verifies the token using only the published JWKS
+        const app = express();
+        app.use('/.well-known', wellKnownRouter);
+        const res = await request(app).get('/.well-known/jwks.json');
+
+        expect(res.status).toBe(200);
+        expect(res.body.keys).toHaveLength(1);
+        const [jwk] = res.body.keys;
+        expect(jwk).toMatchObject({ kty: 'RSA', kid: '2026-10', alg: 'RS256', use: 'sig' });
+        expect(jwk.d).toBeUndefined(); // never the private part
+
+        const publicKey = createPublicKey({ key: jwk, format: 'jwk' });
+        expect(jwt.verify(token, publicKey, { algorithms: ['RS256'], audience: 'passwordpal:access' }).id).toBe('123');
+    });
+
+    it('should keep accepting tokens from a retired key published as .pub.pem', () => {
+        const old = rsaPair();
+        writeKey('access', '2026-04.pem', old.privateKey);
+        const oldToken = signToken(TOKEN_TYPES.ACCESS, { id: '123' });
+
+        // Rotate: the retired key keeps only its public half, the new key signs
+        fs.rmSync(path.join(keysDir, 'access', '2026-04.pem'));
+        writeKey('access', '2026-04.pub.pem', old.publicKey);
+        writeKey('access', '2026-10.pem', rsaPair().privateKey);
+        reloadTokenKeys();
+
+        const newToken = signToken(TOKEN_TYPES.ACCESS, { id: '123' });
+        expect(jwt.decode(newToken, { complete: true }).header.kid).toBe('2026-10');
+        expect(verifyToken(TOKEN_TYPES.ACCESS, oldToken).id).toBe('123');
+        expect(getJwks().keys.map((k) => k.kid)).toEqual(['2026-04', '2026-10']);
+    });
+
+    it('should not let an HMAC token verify against a public key', () => {
+        const { privateKey, publicKey } = rsaPair();
+        writeKey('access', 'k1.pem', privateKey);
+
+        // Classic algorithm-confusion attempt: HS256 keyed with the public PEM
+        const forged = jwt.sign({ id: 'attacker', sid: 'x' }, publicKey, {
+            algorithm: 'HS256', keyid: 'k1', audience: 'passwordpal:access', issuer: 'passwordpal',
+        });
+        expect(() => verifyToken(TOKEN_TYPES.ACCESS, forged)).toThrow(jwt.JsonWebTokenError);
+    });
+
+    it('should leave types without a key directory on HMAC keys', () => {
+        writeKey('access', 'k1.pem', rsaPair().privateKey);
+
+        const pending = signToken(TOKEN_TYPES.MFA_PENDING, { id: '123' });
+        expect(jwt.decode(pending, { complete: true }).header.alg).toBe('HS256');
+    });
+});
@@ -1,8 +1,7 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import request from 'supertest';
 import express from 'express';
 import cookieParser from 'cookie-parser';
-import jwt from 'jsonwebtoken';
 import speakeasy from 'speakeasy';
 
 import bcrypt from 'bcryptjs';
@@ -12,6 +11,84 @@ vi.mock('../models/mfaSettingsModel.js', () => ({
     disableMfa: vi.fn(),
     upsertMfaSettings: vi.fn(),
     getMfaSettings: vi.fn(),
+    consumeBackupCode: vi.fn().mockResolvedValue(true),
+}));
+
+// In-memory mfa_factors; last_totp_step per factor only ever moves forward (like the conditional update)
+const factors = [];
+vi.mock('../models/mfaFactorModel.js', () => ({
+    listMfaFactors: vi.fn(async (userId, type = 'totp') =>
+        factors.filter((row) => row.user_id === userId && row.type === type)),
+    createMfaFactor: vi.fn(async ({ userId, type = 'totp', name, secretEnc = null, lastTotpStep = null }) => {
+        const row = {
+            id: crypto.randomUUID(),
+            user_id: userId,
+            type,
+            name,
+            secret_enc: secretEnc,
+            last_totp_step: lastTotpStep,
+            created_at: new Date().toISOString(),
+            last_used_at: null,
+        };
+        factors.push(row);
+        return row;
+    }),
+    recordTotpFactorUse: vi.fn(async (id, step) => {
+        const row = factors.find((factor) => factor.id === id);
+        if (!row || (row.last_totp_step !== null && row.last_totp_step >= step)) return false;
+        row.last_totp_step = step;
+        row.last_used_at = new Date().toISOString();
+        return true;
+    }),
+    renameMfaFactor: vi.fn(async (userId, id, name) => {
+        const row = factors.find((factor) => factor.id === id && factor.user_id === userId);
+        if (!row) return null;
+        row.name = name;
+        return row;
+    }),
+    deleteMfaFactor: vi.fn(async (userId, id) => {
+        const index = factors.findIndex((factor) => factor.id === id && factor.user_id === userId);
+        return index === -1 ? null : factors.splice(index, 1)[0];
+    }),
+    deleteMfaFactors: vi.fn(async (userId, type = 'totp') => {
+        const before = factors.length;
+        factors.splice(0, factors.length, ...factors.filter((row) => row.user_id !== userId || row.type !== type));
+        return before - factors.length;
+    }),
+}));
+
+// In-memory mfa_attempts; beginMfaAttempt mirrors begin_mfa_attempt in scripts/init_db_final.sql
+const mfaAttempts = [];
+vi.mock('../models/mfaAttemptModel.js', () => ({
+    beginMfaAttempt: vi.fn(async ({ userId, pendingTokenId, method, policy }) => {
+        const tokenFailures = mfaAttempts.filter((row) => pendingTokenId && row.pending_token_id === pendingTokenId && !row.was_successful);
+        if (tokenFailures.length >= policy.maxAttemptsPerToken) return { token_exhausted: true };
+
+        const since = new Date(Date.now() - policy.windowMinutes * 60 * 1000).toISOString();
+        const lastSuccess = mfaAttempts.filter((row) => row.user_id === userId && row.was_successful).at(-1)?.attempt_time ?? '';
+        const failures = mfaAttempts.filter((row) => row.user_id === userId && !row.was_successful
+            && row.attempt_time > since && row.attempt_time >= lastSuccess);
+        const lockedUntil = failures.length && Date.parse(failures.at(-1).attempt_time) + policy.durationMinutes * 60 * 1000;
+        if (failures.length >= policy.threshold && lockedUntil > Date.now()) {
+            return { locked: true, failures: failures.length, locked_until: new Date(lockedUntil).toISOString() };
+        }
+
+        const row = { id: crypto.randomUUID(), user_id: userId, pending_token_id: pendingTokenId, method, was_successful: false, attempt_time: new Date().toISOString() };
+        mfaAttempts.push(row);
+        return { attempt_id: row.id, failures: failures.length + 1 };
+    }),
+    markMfaAttemptSuccessful: vi.fn(async (id) => {
+        mfaAttempts.find((row) => row.id === id).was_successful = true;
+    }),
+    deleteMfaAttempt: vi.fn(async (id) => {
+        mfaAttempts.splice(mfaAttempts.findIndex((row) => row.id === id), 1);
+    }),
+    getRecentMfaAttemptsForUser: vi.fn(async (userId, sinceIso, limit) =>
+        mfaAttempts.filter((row) => row.user_id === userId && row.attempt_time > sinceIso).reverse().slice(0, limit)),
+    countFailedMfaAttemptsForToken: vi.fn(async (tokenId) =>
+        mfaAttempts.filter((row) => row.pending_token_id === tokenId && !row.was_successful).length),
+    getLastSuccessfulMfaAttempt: vi.fn(async (userId, method) =>
+        mfaAttempts.filter((row) => row.user_id === userId && row.method === method && row.was_successful).at(-1)?.attempt_time ?? null),
 }));
 
 vi.mock('../models/userModel.js', () => ({
@@ -20,6 +97,92 @@ vi.mock('../models/userModel.js', () => ({
 
 vi.mock('../models/deviceModel.js', () => ({
     registerUserDevice: vi.fn().mockResolvedValue({ id: 'device-1' }),
+    getDeviceSessionState: vi.fn().mockResolvedValue({ id: 'device-1', user_id: '123', is_revoked: false }),
+    trustDevice: vi.fn().mockResolvedValue({ id: 'device-1' }),
+    revokeAllDeviceTrust: vi.fn().mockResolvedValue(0),
+    getTrustedDevicesByUserId: vi.fn().mockResolvedValue([]),
+}));
+
+vi.mock('../models/auditLogModel.js', () => ({
+    recordAuditEvent: vi.fn().mockResolvedValue({}),
+}));
+
+// In-memory challenge store with the same semantics as the real table
+const challenges = new Map();
+vi.mock('../models/challengeModel.js', () => ({
+    createChallenge: vi.fn(async ({ userId, purpose, payload, ttlSeconds }) => {
+        const row = {
+            id: crypto.randomUUID(),
+            user_id: userId,
+            purpose,
+            payload,
+            expires_at: new Date(Date.now() + ttlSeconds * 1000).toISOString(),
+            consumed_at: null,
+            created_at: new Date().toISOString(),
+        };
+        challenges.set(row.id, row);
+        return row;
+    }),
+    getActiveChallenge: vi.fn(async (userId, purpose) =>
+        [...challenges.values()].reverse().find((row) =>
+            row.user_id === userId && row.purpose === purpose && !row.consumed_at && new Date(row.expires_at) > new Date()) ?? null),
+    consumeChallenge: vi.fn(async (id, purpose) => {
+        const row = challenges.get(id);
+        if (!row || row.purpose !== purpose || row.consumed_at || new Date(row.expires_at) <= new Date()) {
+            return null;
+        }
+        row.consumed_at = new Date().toISOString();
+        return row;
+    }),
+}));
+
+vi.mock('../models/webauthnCredentialModel.js', () => ({
+    listWebAuthnCredentials: vi.fn().mockResolvedValue([]),
+}));
+
+vi.mock('../models/passkeyModel.js', () => ({
+    listPasskeys: vi.fn().mockResolvedValue([]),
+}));
+
+// In-memory mfa_email_codes with the same conditional updates as the real table
+const emailCodes = [];
+vi.mock('../models/mfaEmailCodeModel.js', () => ({
+    createEmailCode: vi.fn(async ({ userId, pendingTokenId, codeHash, ttlSeconds }) => {
+        const row = {
+            id: crypto.randomUUID(),
+            user_id: userId,
+            pending_token_id: pendingTokenId,
+            code_hash: codeHash,
+            attempts: 0,
+            created_at: new Date().toISOString(),
+            expires_at: new Date(Date.now() + ttlSeconds * 1000).toISOString(),
+            consumed_at: null,
+        };
+        emailCodes.push(row);
+        return row;
+    }),
+    getActiveEmailCode: vi.fn(async (userId, pendingTokenId) => {
+        const row = emailCodes.filter((code) => code.user_id === userId && code.pending_token_id === pendingTokenId).at(-1);
+        return row && !row.consumed_at && new Date(row.expires_at) > new Date() ? row : null;
+    }),
+    recordEmailCodeFailure: vi.fn(async (id, attempts) => {
+        const row = emailCodes.find((code) => code.id === id);
+        if (!row || row.attempts !== attempts) return false;
+        row.attempts++;
+        return true;
+    }),
+    consumeEmailCode: vi.fn(async (id) => {
+        const row = emailCodes.find((code) => code.id === id);
+        if (!row || row.consumed_at) return false;
+        row.consumed_at = new Date().toISOString();
+        return true;
+    }),
+    getRecentEmailCodeTimes: vi.fn(async (userId, sinceIso) =>
+        emailCodes.filter((code) => code.user_id === userId && code.created_at > sinceIso).map((code) => code.created_at).reverse()),
+}));
+
+vi.mock('../models/refreshTokenModel.js', () => ({
+    createRefreshToken: vi.fn().mockResolvedValue({ id: 'rt-1' }),
 }));
 
 vi.mock('../utils/encryption.js', () => ({
@@ -33,14 +196,39 @@ vi.mock('../utils/mfa.js', () => ({
 }));
 
 import * as db from '../models/mfaSettingsModel.js';
+import * as auditDb from '../models/auditLogModel.js';
+import * as deviceDb from '../models/deviceModel.js';
+import * as webauthnDb from '../models/webauthnCredentialModel.js';
+import * as passkeyDb from '../models/passkeyModel.js';
 import totpRouter from '../route/totp.js';
+import { TOKEN_TYPES, signToken } from '../config/tokenKeys.js';
+import { getOutbox, clearOutbox } from '../utils/mailer.js';
+
+// An authenticator the user already has, as the factor row stores it
+const addAuthenticator = (base32, name = 'Phone') => {
+    const row = {
+        id: crypto.randomUUID(),
+        user_id: '123',
+        type: 'totp',
+        name,
+        secret_enc: `encrypted_${base32}`,
+        last_totp_step: null,
+        created_at: new Date().toISOString(),
+        last_used_at: null,
+    };
+    factors.push(row);
+    return row;
+};
 
 const app = express();
+// The tests pose as different clients through X-Forwarded-For
+app.set('trust proxy', true);
 app.use(express.json());
 app.use(cookieParser());
 app.use('/totp', totpRouter);
 
 process.env.JWT_SECRET = 'test-secret';
+process.env.MAIL_TRANSPORT = 'memory';
 
 describe('TOTP Routes', () => {
     let validToken;
@@ -48,12 +236,18 @@ describe('TOTP Routes', () => {
 
     beforeEach(() => {
         vi.clearAllMocks();
-        validToken = jwt.sign({ id: '123', email: 'test@example.com' }, process.env.JWT_SECRET);
+        challenges.clear();
+        factors.length = 0;
+        mfaAttempts.length = 0;
+        emailCodes.length = 0;
+        clearOutbox();
+        delete process.env.MFA_TOTP_WINDOW;
+        validToken = signToken(TOKEN_TYPES.ACCESS, { id: '123', email: 'test@example.com', sid: 'device-1', auth_time: Math.floor(Date.now() / 1000) });
         secret = speakeasy.generateSecret({ length: 20 });
     });
 
     describe('POST /totp/setup', () => {
-        it('should return QR code and secret', async () => {
+        it('should return QR code and secret and keep the secret as a pending enrollment', async () => {
             // Action: Request to start TOTP setup
             const res = await request(app)
                 .post('/totp/setup')
@@ -64,55 +258,219 @@ describe('TOTP Routes', () => {
             expect(res.body.success).toBe(true);
             expect(res.body.qrCode).toBeDefined(); // The data URL for the QR image
             expect(res.body.secret).toBeDefined(); // The text version of the secret
+            expect(res.body.expires_at).toBeDefined();
+
+            // The secret is stored encrypted, bound to this user
+            const [pending] = challenges.values();
+            expect(pending).toMatchObject({ user_id: '123', purpose: 'totp-enrollment' });
+            expect(pending.payload.secret_enc).toBe(`encrypted_${res.body.secret}`);
+            expect(pending.payload.name).toBe('Authenticator app');
+            expect(auditDb.recordAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+                eventType: 'TOTP_ENROLLMENT_STARTED',
+                metadata: { additional: false },
+            }));
         });
 
         it('should return 401 if unauthorized', async () => {
             const res = await request(app).post('/totp/setup');
             expect(res.status).toBe(401);
         });
+
+        it('should not start an enrollment from an mfa-pending token', async () => {
+            const pendingToken = signToken(TOKEN_TYPES.MFA_PENDING, { id: '123', email: 'test@example.com' });
+
+            const res = await request(app)
+                .post('/totp/setup')
+                .set('Cookie', [`sb-access-token=${pendingToken}`]);
+
+            expect(res.status).toBe(401);
+            expect(challenges.size).toBe(0);
+        });
+
+        describe('when TOTP is already enabled', () => {
+            beforeEach(() => {
+                addAuthenticator(secret.base32);
+            });
+
+            it('should require a fresh session', async () => {
+                const staleToken = signToken(TOKEN_TYPES.ACCESS, { id: '123', email: 'test@example.com', sid: 'device-1', auth_time: Math.floor(Date.now() / 1000) - 600 });
+
+                const res = await request(app)
+                    .post('/totp/setup')
+                    .set('Cookie', [`sb-access-token=${staleToken}`])
+                    .send({ code: speakeasy.totp({ secret: secret.base32, encoding: 'base32' }) });
+
+                expect(res.status).toBe(401);
+                expect(res.body.code).toBe('REAUTH_REQUIRED');
+            });
+
+            it('should require a code from an existing authenticator', async () => {
+                const missing = await request(app)
+                    .post('/totp/setup')
+                    .set('Cookie', [`sb-access-token=${validToken}`]);
+                const wrong = await request(app)
+                    .post('/totp/setup')
+                    .set('Cookie', [`sb-access-token=${validToken}`])
+                    .send({ code: '000000' });
+
+                expect(missing.status).toBe(400);
+                expect(wrong.status).toBe(401);
+                expect(challenges.size).toBe(0);
+                expect(mfaAttempts).toEqual([expect.objectContaining({ user_id: '123', was_successful: false, method: 'totp' })]);
+            });
+
+            it('should start adding another authenticator with a valid code', async () => {
+                const res = await request(app)
+                    .post('/totp/setup')
+                    .set('Cookie', [`sb-access-token=${validToken}`])
+                    .send({ name: 'Tablet', code: speakeasy.totp({ secret: secret.base32, encoding: 'base32' }) });
+
+                expect(res.status).toBe(200);
+                expect(res.body.secret).not.toBe(secret.base32);
+                expect([...challenges.values()][0].payload).toMatchObject({ name: 'Tablet', additional: true });
+            });
+
+            it('should refuse more than ten authenticators', async () => {
+                for (let i = 0; i < 9; i++) addAuthenticator(speakeasy.generateSecret({ length: 20 }).base32, `Key ${i}`);
+
+                const res = await request(app)
+                    .post('/totp/setup')
+                    .set('Cookie', [`sb-access-token=${validToken}`])
+                    .send({ code: speakeasy.totp({ secret: secret.base32, encoding: 'base32' }) });
+
+                expect(res.status).toBe(400);
+                expect(challenges.size).toBe(0);
+            });
+        });
     });
 
     describe('POST /totp/verify-setup', () => {
-        it('should verify correct code and store secret', async () => {
-            // Setup: Generate a valid TOTP code for our mock secret
-            const validCode = speakeasy.totp({
-                secret: secret.base32,
-                encoding: 'base32'
-            });
+        const startSetup = async () => {
+            const res = await request(app)
+                .post('/totp/setup')
+                .set('Cookie', [`sb-access-token=${validToken}`]);
+            return res.body.secret;
+        };
 
+        it('should verify the code against the pending secret and store it', async () => {
             db.upsertMfaSettings.mockResolvedValue(true);
+            const pendingSecret = await startSetup();
 
-            // Action: Send the code to verify and enable MFA
+            // Action: Send only the code to verify and enable MFA
             const res = await request(app)
                 .post('/totp/verify-setup')
                 .set('Cookie', [`sb-access-token=${validToken}`])
-                .send({ secret: secret.base32, code: validCode });
+                .send({ code: speakeasy.totp({ secret: pendingSecret, encoding: 'base32' }) });
 
             // Assertions: Should succeed and update the DB
             expect(res.status).toBe(200);
             expect(res.body.success).toBe(true);
+            expect(factors).toEqual([expect.objectContaining({
+                user_id: '123',
+                name: 'Authenticator app',
+                secret_enc: `encrypted_${pendingSecret}`,
+            })]);
+            expect(res.body.authenticator).toEqual({
+                id: factors[0].id,
+                name: 'Authenticator app',
+                created_at: factors[0].created_at,
+                last_used_at: null,
+            });
+            expect(res.body.backupCodes).toHaveLength(2);
             expect(db.upsertMfaSettings).toHaveBeenCalledWith(expect.objectContaining({
                 userId: '123',
-                totpSecretEnc: `encrypted_${secret.base32}`,
-                isTotpEnabled: true
+                isTotpEnabled: true,
+                backupCodesEnc: JSON.stringify(['hash_code1', 'hash_code2']),
             }));
+            expect(auditDb.recordAuditEvent).toHaveBeenCalledWith(expect.objectContaining({ eventType: 'TOTP_ENABLED' }));
+            expect(deviceDb.revokeAllDeviceTrust).not.toHaveBeenCalled();
+
+            // The enrollment is used up
+            const again = await request(app)
+                .post('/totp/verify-setup')
+                .set('Cookie', [`sb-access-token=${validToken}`])
+                .send({ code: speakeasy.totp({ secret: pendingSecret, encoding: 'base32' }) });
+            expect(again.status).toBe(400);
         });
 
-        it('should reject invalid code', async () => {
+        it('should ignore a secret sent by the client', async () => {
+            await startSetup();
+
+            const res = await request(app)
+                .post('/totp/verify-setup')
+                .set('Cookie', [`sb-access-token=${validToken}`])
+                .send({ secret: secret.base32, code: speakeasy.totp({ secret: secret.base32, encoding: 'base32' }) });
+
+            expect(res.status).toBe(401);
+            expect(factors).toHaveLength(0);
+        });
+
+        it('should reject invalid code and keep the enrollment open', async () => {
+            await startSetup();
+
             // Action: Send an obviously wrong code
             const res = await request(app)
                 .post('/totp/verify-setup')
                 .set('Cookie', [`sb-access-token=${validToken}`])
-                .send({ secret: secret.base32, code: '000000' });
+                .send({ code: '000000' });
 
-            // Assertions: Should fail
+            // Assertions: Should fail and count towards the MFA lock
             expect(res.status).toBe(401);
+            expect([...challenges.values()][0].consumed_at).toBeNull();
+            expect(mfaAttempts).toEqual([expect.objectContaining({ user_id: '123', was_successful: false, method: 'totp' })]);
+        });
+
+        it('should return 400 without a pending enrollment', async () => {
+            const res = await request(app)
+                .post('/totp/verify-setup')
+                .set('Cookie', [`sb-access-token=${validToken}`])
+                .send({ code: '123456' });
+
+            expect(res.status).toBe(400);
+        });
+
+        it('should not let an enrollment started before TOTP was enabled add an authenticator', async () => {
+            const pendingSecret = await startSetup();
+            addAuthenticator(secret.base32);
+
+            const res = await request(app)
+                .post('/totp/verify-setup')
+                .set('Cookie', [`sb-access-token=${validToken}`])
+                .send({ code: speakeasy.totp({ secret: pendingSecret, encoding: 'base32' }) });
+
+            expect(res.status).toBe(409);
+            expect(factors).toHaveLength(1);
+            expect(db.upsertMfaSettings).not.toHaveBeenCalled();
+        });
+
+        it('should add a second authenticator and keep the backup codes and trusted devices', async () => {
+            addAuthenticator(secret.base32, 'Phone');
+            const setupRes = await request(app)
+                .post('/totp/setup')
+                .set('Cookie', [`sb-access-token=${validToken}`])
+                .send({ name: 'Tablet', code: speakeasy.totp({ secret: secret.base32, encoding: 'base32' }) });
+
+            const res = await request(app)
+                .post('/totp/verify-setup')
+                .set('Cookie', [`sb-access-token=${validToken}`])
+                .send({ code: speakeasy.totp({ secret: setupRes.body.secret, encoding: 'base32' }) });
+
+            expect(res.status).toBe(200);
+            expect(factors.map((factor) => factor.name)).toEqual(['Phone', 'Tablet']);
+            expect(res.body.backupCodes).toBeUndefined();
+            expect(db.upsertMfaSettings).not.toHaveBeenCalled();
+            expect(deviceDb.revokeAllDeviceTrust).not.toHaveBeenCalled();
+            expect(auditDb.recordAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+                eventType: 'TOTP_AUTHENTICATOR_ADDED',
+                metadata: { authenticator: factors[1].id, name: 'Tablet' },
+            }));
+            expect(getOutbox()).toHaveLength(1);
         });
     });
 
     describe('GET /totp/status', () => {
         it('should return totp enabled status', async () => {
-            db.getMfaSettings.mockResolvedValue({ is_totp_enabled: true });
+            addAuthenticator(secret.base32);
 
             const res = await request(app)
                 .get('/totp/status')
@@ -120,6 +478,101 @@ describe('TOTP Routes', () => {
 
             expect(res.status).toBe(200);
             expect(res.body.totp_enabled).toBe(true);
+            expect(res.body.authenticators).toBe(1);
+            expect(res.body.email_otp_enabled).toBe(false);
+        });
+    });
+
+    describe('GET /totp/overview', () => {
+        const overview = (token = validToken) => request(app)
+            .get('/totp/overview')
+            .set('Cookie', [`sb-access-token=${token}`]);
+
+        afterEach(() => {
+            delete process.env.MFA_REQUIRED;
+            delete process.env.MFA_BACKUP_CODES_LOW_THRESHOLD;
+        });
+
+        it('should report every factor with last-used times and trusted devices', async () => {
+            const phone = addAuthenticator(secret.base32, 'Phone');
+            phone.last_used_at = '2026-10-01T10:00:00.000Z';
+            const tablet = addAuthenticator(secret.base32, 'Tablet');
+            tablet.last_used_at = '2026-10-02T10:00:00.000Z';
+            factors.push({ id: 'email-1', user_id: '123', type: 'email', name: 'Email', created_at: '2026-09-01T00:00:00.000Z' });
+            webauthnDb.listWebAuthnCredentials.mockResolvedValueOnce([
+                { id: 'key-1', name: 'YubiKey', public_key: 'secret-ish', created_at: '2026-08-01T00:00:00.000Z', last_used_at: null },
+            ]);
+            passkeyDb.listPasskeys.mockResolvedValueOnce([
+                { id: 'pk-1', name: 'Laptop', wrapped_mek: 'wrapped', created_at: '2026-08-02T00:00:00.000Z', last_used_at: '2026-10-03T00:00:00.000Z' },
+            ]);
+            deviceDb.getTrustedDevicesByUserId.mockResolvedValueOnce([
+                { id: 'device-1', device_name: 'Firefox', last_login: '2026-10-03T00:00:00.000Z', trusted_until: '2026-11-02T00:00:00.000Z', trust_token_id: 'grant-1' },
+            ]);
+            mfaAttempts.push({ user_id: '123', method: 'email_otp', was_successful: true, attempt_time: '2026-10-04T00:00:00.000Z' });
+
+            const res = await overview();
+
+            expect(res.status).toBe(200);
+            expect(res.body.mfa_enabled).toBe(true);
+            expect(res.body.totp).toMatchObject({
+                enabled: true,
+                enabled_at: phone.created_at,
+                last_used_at: '2026-10-02T10:00:00.000Z',
+            });
+            expect(res.body.totp.authenticators.map((a) => a.name)).toEqual(['Phone', 'Tablet']);
+            expect(res.body.security_keys).toEqual({
+                enabled: true,
+                last_used_at: null,
+                credentials: [{ id: 'key-1', name: 'YubiKey', created_at: '2026-08-01T00:00:00.000Z', last_used_at: null }],
+            });
+            expect(res.body.passkeys.last_used_at).toBe('2026-10-03T00:00:00.000Z');
+            expect(res.body.email_otp).toEqual({
+                enabled: true,
+                active: true,
+                enabled_at: '2026-09-01T00:00:00.000Z',
+                last_used_at: '2026-10-04T00:00:00.000Z',
+            });
+            expect(res.body.trusted_devices).toEqual([{
+                id: 'device-1',
+                device_name: 'Firefox',
+                last_login: '2026-10-03T00:00:00.000Z',
+                trusted_until: '2026-11-02T00:00:00.000Z',
+                is_current: true,
+            }]);
+            expect(JSON.stringify(res.body)).not.toMatch(/encrypted_|secret-ish|wrapped|grant-1/);
+        });
+
+        it('should count backup codes left and warn when few remain', async () => {
+            addAuthenticator(secret.base32);
+            db.getMfaSettings.mockResolvedValue({ backup_codes_enc: JSON.stringify(['h1', 'h2', 'h3']), codes_used: 7 });
+            mfaAttempts.push({ user_id: '123', method: 'backup_code', was_successful: true, attempt_time: '2026-10-05T00:00:00.000Z' });
+
+            const low = await overview();
+            expect(low.body.backup_codes).toEqual({ remaining: 3, used: 7, low: true, last_used_at: '2026-10-05T00:00:00.000Z' });
+            expect(low.body.policy.backup_codes_low_threshold).toBe(3);
+
+            process.env.MFA_BACKUP_CODES_LOW_THRESHOLD = '2';
+            expect((await overview()).body.backup_codes.low).toBe(false);
+        });
+
+        it('should report the organization policy and whether the account meets it', async () => {
+            db.getMfaSettings.mockResolvedValue(null);
+            process.env.MFA_REQUIRED = 'true';
+
+            const res = await overview();
+
+            expect(res.body.mfa_enabled).toBe(false);
+            expect(res.body.policy).toMatchObject({ mfa_required: true, compliant: false });
+            expect(res.body.backup_codes).toMatchObject({ remaining: 0, used: 0, low: false });
+
+            addAuthenticator(secret.base32);
+            expect((await overview()).body.policy.compliant).toBe(true);
+        });
+
+        it('should need a full session', async () => {
+            const pendingToken = signToken(TOKEN_TYPES.MFA_PENDING, { id: '123', email: 'test@example.com' });
+
+            expect((await overview(pendingToken)).status).toBe(401);
         });
     });
 
@@ -130,10 +583,7 @@ describe('TOTP Routes', () => {
                 encoding: 'base32'
             });
 
-            db.getMfaSettings.mockResolvedValue({
-                is_totp_enabled: true,
-                totp_secret_enc: `encrypted_${secret.base32}`
-            });
+            addAuthenticator(secret.base32);
 
             const res = await request(app)
                 .post('/totp/verify-login')
@@ -143,21 +593,375 @@ describe('TOTP Routes', () => {
             expect(res.status).toBe(200);
             expect(res.body.authenticated).toBe(true);
         });
+
+        it('should accept a code from any of the user\'s authenticators', async () => {
+            const other = speakeasy.generateSecret({ length: 20 });
+            addAuthenticator(secret.base32, 'Phone');
+            const tablet = addAuthenticator(other.base32, 'Tablet');
+
+            const res = await request(app)
+                .post('/totp/verify-login')
+                .set('Cookie', [`sb-access-token=${validToken}`])
+                .set('X-Forwarded-For', '10.16.2.1')
+                .send({ code: speakeasy.totp({ secret: other.base32, encoding: 'base32' }) });
+
+            expect(res.status).toBe(200);
+            expect(tablet.last_used_at).not.toBeNull();
+            expect(factors[0].last_used_at).toBeNull();
+        });
+
+        it('should return 400 when the user has no authenticator', async () => {
+            const res = await request(app)
+                .post('/totp/verify-login')
+                .set('Cookie', [`sb-access-token=${validToken}`])
+                .set('X-Forwarded-For', '10.16.2.2')
+                .send({ code: '123456' });
+
+            expect(res.status).toBe(400);
+        });
+
+        describe('replay protection and attempt limits', () => {
+            const pendingToken = () =>
+                signToken(TOKEN_TYPES.MFA_PENDING, { id: '123', email: 'test@example.com' }, { expiresIn: '5m', jwtid: crypto.randomUUID() });
+            const verify = (token, code, ip) => request(app)
+                .post('/totp/verify-login')
+                .set('Cookie', [`sb-access-token=${token}`])
+                .set('X-Forwarded-For', ip)
+                .send({ code });
+            const wrongCode = (code) => String((Number(code) + 1) % 1000000).padStart(6, '0');
+
+            beforeEach(() => {
+                addAuthenticator(secret.base32);
+            });
+
+            it('should accept each code only once', async () => {
+                const code = speakeasy.totp({ secret: secret.base32, encoding: 'base32' });
+
+                expect((await verify(pendingToken(), code, '10.16.0.1')).status).toBe(200);
+                const replay = await verify(pendingToken(), code, '10.16.0.1');
+
+                expect(replay.status).toBe(401);
+                expect(replay.headers['set-cookie']?.join(';') ?? '').not.toContain('sb-refresh-token=');
+            });
+
+            it('should reject a code older than the current one', async () => {
+                const now = Date.now() / 1000;
+                expect((await verify(pendingToken(), speakeasy.totp({ secret: secret.base32, encoding: 'base32', time: now }), '10.16.0.2')).status).toBe(200);
+
+                const earlier = speakeasy.totp({ secret: secret.base32, encoding: 'base32', time: now - 30 });
+                expect((await verify(pendingToken(), earlier, '10.16.0.2')).status).toBe(401);
+            });
+
+            it('should only accept codes inside the configured window', async () => {
+                const stale = speakeasy.totp({ secret: secret.base32, encoding: 'base32', time: Date.now() / 1000 - 60 });
+
+                expect((await verify(pendingToken(), stale, '10.16.0.3')).status).toBe(401);
+
+                process.env.MFA_TOTP_WINDOW = '2';
+                expect((await verify(pendingToken(), stale, '10.16.0.3')).status).toBe(200);
+            });
+
+            it('should end the login after too many wrong codes with one pending token', async () => {
+                const token = pendingToken();
+                const code = speakeasy.totp({ secret: secret.base32, encoding: 'base32' });
+                for (let i = 0; i < 5; i++) {
+                    expect((await verify(token, wrongCode(code), '10.16.0.4')).status).toBe(401);
+                }
+
+                const res = await verify(token, code, '10.16.0.4');
+                expect(res.status).toBe(401);
+                expect(res.body.code).toBe('MFA_ATTEMPTS_EXHAUSTED');
+
+                // Logging in again gives a new token with a fresh allowance
+                expect((await verify(pendingToken(), code, '10.16.0.4')).status).toBe(200);
+            });
+
+            it('should count wrong codes sent in parallel before checking any of them', async () => {
+                const token = pendingToken();
+                const code = speakeasy.totp({ secret: secret.base32, encoding: 'base32' });
+
+                const results = await Promise.all(Array.from({ length: 8 }, () => verify(token, wrongCode(code), '10.16.0.7')));
+
+                // Only five guesses got checked; the rest were refused without looking at the code
+                expect(results.filter((res) => res.body.code === 'MFA_ATTEMPTS_EXHAUSTED')).toHaveLength(3);
+                expect(mfaAttempts).toHaveLength(5);
+            });
+
+            it('should lock MFA for the user after repeated failures across logins', async () => {
+                const code = speakeasy.totp({ secret: secret.base32, encoding: 'base32' });
+                // Two logins, each using up its five attempts
+                for (const token of [pendingToken(), pendingToken()]) {
+                    for (let i = 0; i < 5; i++) {
+                        expect((await verify(token, wrongCode(code), '10.16.0.5')).status).toBe(401);
+                    }
+                }
+
+                const res = await verify(pendingToken(), code, '10.16.0.5');
+                expect(res.status).toBe(429);
+                expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+                expect(auditDb.recordAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+                    userId: '123',
+                    eventType: 'MFA_LOCKED',
+                }));
+            });
+
+            it('should rate limit verify-login per IP', async () => {
+                let res;
+                for (let i = 0; i < 31; i++) {
+                    res = await request(app).post('/totp/verify-login').set('X-Forwarded-For', '10.16.0.6').send({ code: '000000' });
+                }
+                expect(res.status).toBe(429);
+            });
+        });
+    });
+
+    describe('MFA lock on every endpoint that takes a code', () => {
+        const lockMfa = () => {
+            for (let i = 0; i < 10; i++) {
+                mfaAttempts.push({ user_id: '123', pending_token_id: null, method: 'totp', was_successful: false, attempt_time: new Date().toISOString() });
+            }
+        };
+        const send = (method, path, body) => request(app)[method](path)
+            .set('Cookie', [`sb-access-token=${validToken}`])
+            .set('X-Forwarded-For', '10.21.0.1')
+            .send(body);
+
+        it('should refuse to add an authenticator while MFA is locked', async () => {
+            addAuthenticator(secret.base32);
+            lockMfa();
+
+            const res = await send('post', '/totp/setup', { code: speakeasy.totp({ secret: secret.base32, encoding: 'base32' }) });
+
+            expect(res.status).toBe(429);
+            expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+            expect(challenges.size).toBe(0);
+            // The correct code was not spent or counted
+            expect(factors[0].last_totp_step).toBeNull();
+            expect(mfaAttempts).toHaveLength(10);
+        });
+
+        it('should refuse to confirm an enrollment while MFA is locked', async () => {
+            const pendingSecret = (await send('post', '/totp/setup')).body.secret;
+            lockMfa();
+
+            const res = await send('post', '/totp/verify-setup', { code: speakeasy.totp({ secret: pendingSecret, encoding: 'base32' }) });
+
+            expect(res.status).toBe(429);
+            expect(factors).toHaveLength(0);
+        });
+
+        it('should refuse to disable TOTP or remove an authenticator while MFA is locked', async () => {
+            addAuthenticator(secret.base32, 'Phone');
+            const tablet = addAuthenticator(speakeasy.generateSecret({ length: 20 }).base32, 'Tablet');
+            lockMfa();
+            const code = speakeasy.totp({ secret: secret.base32, encoding: 'base32' });
+
+            const disable = await send('post', '/totp/disable', { code });
+            const remove = await send('delete', `/totp/authenticators/${tablet.id}`, { code });
+
+            expect(disable.status).toBe(429);
+            expect(remove.status).toBe(429);
+            expect(factors).toHaveLength(2);
+        });
     });
 
     describe('POST /totp/disable', () => {
-        it('should disable totp', async () => {
+        const disable = (token, body, ip = '10.19.0.1') => request(app)
+            .post('/totp/disable')
+            .set('Cookie', [`sb-access-token=${token}`])
+            .set('X-Forwarded-For', ip)
+            .send(body);
+
+        beforeEach(() => {
+            addAuthenticator(secret.base32, 'Phone');
+            addAuthenticator(speakeasy.generateSecret({ length: 20 }).base32, 'Tablet');
+        });
+
+        it('should disable totp with a current code and remove every authenticator', async () => {
             db.disableMfa.mockResolvedValue(true);
 
-            // Action: Request to turn off MFA
-            const res = await request(app)
-                .post('/totp/disable')
-                .set('Cookie', [`sb-access-token=${validToken}`]);
+            // Action: Request to turn off MFA, proving possession of the authenticator
+            const res = await disable(validToken, { code: speakeasy.totp({ secret: secret.base32, encoding: 'base32' }) });
 
             // Assertions: Should call the DB function to remove the secret
             expect(res.status).toBe(200);
+            expect(factors).toHaveLength(0);
+            expect(db.disableMfa).toHaveBeenCalledWith('123');
+            expect(deviceDb.revokeAllDeviceTrust).toHaveBeenCalledWith('123');
+            expect(auditDb.recordAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+                userId: '123',
+                eventType: 'TOTP_DISABLED',
+                metadata: { method: 'totp' },
+            }));
+            expect(getOutbox()).toHaveLength(1);
+            expect(getOutbox()[0].to).toBe('test@example.com');
+        });
+
+        it('should disable totp with a backup code and use it up', async () => {
+            const hashed = await bcrypt.hash('valid-code', 1);
+            db.getMfaSettings.mockResolvedValue({
+                is_totp_enabled: true,
+                backup_codes_enc: JSON.stringify([hashed]),
+                codes_used: 0,
+            });
+
+            const res = await disable(validToken, { code: 'valid-code' });
+
+            expect(res.status).toBe(200);
+            expect(db.consumeBackupCode).toHaveBeenCalledWith('123', JSON.stringify([hashed]), '[]', 1);
             expect(db.disableMfa).toHaveBeenCalledWith('123');
         });
+
+        it('should require a code', async () => {
+            const res = await disable(validToken, {});
+
+            expect(res.status).toBe(400);
+            expect(db.disableMfa).not.toHaveBeenCalled();
+        });
+
+        it('should reject a wrong code and count it', async () => {
+            const code = speakeasy.totp({ secret: secret.base32, encoding: 'base32' });
+            const res = await disable(validToken, { code: String((Number(code) + 1) % 1000000).padStart(6, '0') });
+
+            expect(res.status).toBe(401);
+            expect(db.disableMfa).not.toHaveBeenCalled();
+            expect(mfaAttempts).toEqual([expect.objectContaining({ user_id: '123', was_successful: false, method: 'totp' })]);
+        });
+
+        it('should not accept an mfa-pending token', async () => {
+            const pendingToken = signToken(TOKEN_TYPES.MFA_PENDING, { id: '123', email: 'test@example.com' });
+
+            const res = await disable(pendingToken, { code: speakeasy.totp({ secret: secret.base32, encoding: 'base32' }) });
+
+            expect(res.status).toBe(401);
+            expect(db.disableMfa).not.toHaveBeenCalled();
+        });
+
+        it('should require a fresh session', async () => {
+            const staleToken = signToken(TOKEN_TYPES.ACCESS, { id: '123', email: 'test@example.com', sid: 'device-1', auth_time: Math.floor(Date.now() / 1000) - 600 });
+
+            const res = await disable(staleToken, { code: speakeasy.totp({ secret: secret.base32, encoding: 'base32' }) });
+
+            expect(res.status).toBe(401);
+            expect(res.body.code).toBe('REAUTH_REQUIRED');
+            expect(db.disableMfa).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('/totp/authenticators', () => {
+        let phone;
+        let tablet;
+        let tabletSecret;
+
+        const remove = (id, body, token = validToken) => request(app)
+            .delete(`/totp/authenticators/${id}`)
+            .set('Cookie', [`sb-access-token=${token}`])
+            .set('X-Forwarded-For', '10.20.0.1')
+            .send(body);
+
+        beforeEach(() => {
+            tabletSecret = speakeasy.generateSecret({ length: 20 });
+            phone = addAuthenticator(secret.base32, 'Phone');
+            tablet = addAuthenticator(tabletSecret.base32, 'Tablet');
+        });
+
+        it('should list authenticators without their secrets', async () => {
+            const res = await request(app)
+                .get('/totp/authenticators')
+                .set('Cookie', [`sb-access-token=${validToken}`]);
+
+            expect(res.status).toBe(200);
+            expect(res.body.authenticators.map((a) => a.name)).toEqual(['Phone', 'Tablet']);
+            expect(res.body.authenticators[0]).toEqual({
+                id: phone.id,
+                name: 'Phone',
+                created_at: phone.created_at,
+                last_used_at: null,
+            });
+        });
+
+        it('should rename an authenticator', async () => {
+            const res = await request(app)
+                .put(`/totp/authenticators/${tablet.id}`)
+                .set('Cookie', [`sb-access-token=${validToken}`])
+                .send({ name: '  Work tablet ' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.authenticator.name).toBe('Work tablet');
+            expect(tablet.name).toBe('Work tablet');
+        });
+
+        it('should validate the ID and name and return 404 for an unknown authenticator', async () => {
+            const badId = await request(app)
+                .put('/totp/authenticators/not-a-uuid')
+                .set('Cookie', [`sb-access-token=${validToken}`])
+                .send({ name: 'Phone' });
+            const badName = await request(app)
+                .put(`/totp/authenticators/${tablet.id}`)
+                .set('Cookie', [`sb-access-token=${validToken}`])
+                .send({ name: '' });
+            const unknown = await request(app)
+                .put(`/totp/authenticators/${crypto.randomUUID()}`)
+                .set('Cookie', [`sb-access-token=${validToken}`])
+                .send({ name: 'Phone' });
+
+            expect(badId.status).toBe(400);
+            expect(badName.status).toBe(400);
+            expect(unknown.status).toBe(404);
+        });
+
+        it('should remove an authenticator with a code from another one', async () => {
+            const res = await remove(tablet.id, { code: speakeasy.totp({ secret: secret.base32, encoding: 'base32' }) });
+
+            expect(res.status).toBe(200);
+            expect(factors).toEqual([phone]);
+            expect(deviceDb.revokeAllDeviceTrust).toHaveBeenCalledWith('123');
+            expect(auditDb.recordAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+                eventType: 'TOTP_AUTHENTICATOR_REMOVED',
+                metadata: { authenticator: tablet.id, name: 'Tablet' },
+            }));
+            expect(getOutbox()).toHaveLength(1);
+        });
+
+        it('should reject a wrong code and count it', async () => {
+            const code = speakeasy.totp({ secret: tabletSecret.base32, encoding: 'base32' });
+            const res = await remove(tablet.id, { code: String((Number(code) + 1) % 1000000).padStart(6, '0') });
+
+            expect(res.status).toBe(401);
+            expect(factors).toHaveLength(2);
+            expect(mfaAttempts).toEqual([expect.objectContaining({ user_id: '123', was_successful: false, method: 'totp' })]);
+        });
+
+        it('should not remove the last authenticator', async () => {
+            factors.splice(1, 1);
+
+            const res = await remove(phone.id, { code: speakeasy.totp({ secret: secret.base32, encoding: 'base32' }) });
+
+            expect(res.status).toBe(409);
+            expect(factors).toEqual([phone]);
+        });
+
+        it('should require a fresh session and a code', async () => {
+            const staleToken = signToken(TOKEN_TYPES.ACCESS, { id: '123', email: 'test@example.com', sid: 'device-1', auth_time: Math.floor(Date.now() / 1000) - 600 });
+
+            const stale = await remove(tablet.id, { code: speakeasy.totp({ secret: secret.base32, encoding: 'base32' }) }, staleToken);
+            const missing = await remove(tablet.id, {});
+
+            expect(stale.status).toBe(401);
+            expect(stale.body.code).toBe('REAUTH_REQUIRED');
+            expect(missing.status).toBe(400);
+            expect(factors).toHaveLength(2);
+        });
+
+        it('should return 404 for another user\'s authenticator', async () => {
+            const foreign = addAuthenticator(speakeasy.generateSecret({ length: 20 }).base32);
+            foreign.user_id = '456';
+
+            const res = await remove(foreign.id, { code: speakeasy.totp({ secret: secret.base32, encoding: 'base32' }) });
+
+            expect(res.status).toBe(404);
+            expect(factors).toContain(foreign);
+        });
     });
 
     describe('POST /totp/backup-codes/generate', () => {
@@ -171,6 +975,31 @@ describe('TOTP Routes', () => {
             expect(res.status).toBe(200);
             expect(res.body.backupCodes).toHaveLength(2); // Mock returns 2 codes
             expect(db.upsertMfaSettings).toHaveBeenCalledWith(expect.objectContaining({ userId: '123' }));
+            expect(auditDb.recordAuditEvent).toHaveBeenCalledWith(expect.objectContaining({ eventType: 'BACKUP_CODES_REGENERATED' }));
+            expect(getOutbox()).toHaveLength(1);
+        });
+
+        it('should require a fresh session', async () => {
+            const staleToken = signToken(TOKEN_TYPES.ACCESS, { id: '123', email: 'test@example.com', sid: 'device-1', auth_time: Math.floor(Date.now() / 1000) - 600 });
+
+            const res = await request(app)
+                .post('/totp/backup-codes/generate')
+                .set('Cookie', [`sb-access-token=${staleToken}`]);
+
+            expect(res.status).toBe(401);
+            expect(res.body.code).toBe('REAUTH_REQUIRED');
+            expect(db.upsertMfaSettings).not.toHaveBeenCalled();
+        });
+
+        it('should not accept an mfa-pending token', async () => {
+            const pendingToken = signToken(TOKEN_TYPES.MFA_PENDING, { id: '123', email: 'test@example.com' });
+
+            const res = await request(app)
+                .post('/totp/backup-codes/generate')
+                .set('Cookie', [`sb-access-token=${pendingToken}`]);
+
+            expect(res.status).toBe(401);
+            expect(db.upsertMfaSettings).not.toHaveBeenCalled();
         });
     });
 
@@ -189,13 +1018,36 @@ describe('TOTP Routes', () => {
                 .set('Cookie', [`sb-access-token=${validToken}`])
                 .send({ code: 'valid-code' });
 
-            // Assertions: Should succeed
+            // Assertions: Should succeed, consume the code and finish the login
             expect(res.status).toBe(200);
-            expect(db.upsertMfaSettings).toHaveBeenCalledWith(expect.objectContaining({ 
-                userId: '123', 
-                backupCodesEnc: '[]', 
-                codesUsed: 1 
+            expect(res.body.authenticated).toBe(true);
+            expect(res.body.backup_codes_remaining).toBe(0);
+            expect(db.consumeBackupCode).toHaveBeenCalledWith('123', JSON.stringify([hashed]), '[]', 1);
+            const cookies = res.headers['set-cookie'].join(';');
+            expect(cookies).toContain('sb-access-token=');
+            expect(cookies).toContain('sb-refresh-token=');
+            expect(auditDb.recordAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+                eventType: 'BACKUP_CODE_USED',
+                metadata: { remaining: 0 },
             }));
+            expect(getOutbox()[0].to).toBe('test@example.com');
+        });
+
+        it('should not log in when the code was consumed by a concurrent request', async () => {
+            const hashed = await bcrypt.hash('valid-code', 1);
+            db.getMfaSettings.mockResolvedValue({
+                backup_codes_enc: JSON.stringify([hashed]),
+                codes_used: 0
+            });
+            db.consumeBackupCode.mockResolvedValueOnce(false);
+
+            const res = await request(app)
+                .post('/totp/backup-codes/redeem')
+                .set('Cookie', [`sb-access-token=${validToken}`])
+                .send({ code: 'valid-code' });
+
+            expect(res.status).toBe(401);
+            expect(res.headers['set-cookie']).toBeUndefined();
         });
 
         it('should reject invalid backup code', async () => {
@@ -211,5 +1063,146 @@ describe('TOTP Routes', () => {
 
             expect(res.status).toBe(401);
         });
+
+        it('should count wrong backup codes against the pending token', async () => {
+            const hashed = await bcrypt.hash('valid-code', 1);
+            db.getMfaSettings.mockResolvedValue({
+                backup_codes_enc: JSON.stringify([hashed])
+            });
+            const token = signToken(TOKEN_TYPES.MFA_PENDING, { id: '123', email: 'test@example.com' }, { expiresIn: '5m', jwtid: crypto.randomUUID() });
+            const redeem = (code) => request(app)
+                .post('/totp/backup-codes/redeem')
+                .set('Cookie', [`sb-access-token=${token}`])
+                .set('X-Forwarded-For', '10.16.1.1')
+                .send({ code });
+
+            for (let i = 0; i < 5; i++) {
+                expect((await redeem('invalid-code')).status).toBe(401);
+            }
+
+            const res = await redeem('valid-code');
+            expect(res.status).toBe(401);
+            expect(res.body.code).toBe('MFA_ATTEMPTS_EXHAUSTED');
+            expect(db.consumeBackupCode).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('/totp/email-otp', () => {
+        const pendingToken = (jti = crypto.randomUUID()) =>
+            signToken(TOKEN_TYPES.MFA_PENDING, { id: '123', email: 'test@example.com' }, { expiresIn: '5m', jwtid: jti });
+        const post = (path, token, body = {}, ip = '10.23.0.1') => request(app)
+            .post(`/totp/email-otp/${path}`)
+            .set('Cookie', [`sb-access-token=${token}`])
+            .set('X-Forwarded-For', ip)
+            .send(body);
+        const sentCode = () => getOutbox().at(-1).text.match(/\b(\d{6})\b/)[1];
+        const wrongCode = (code) => String((Number(code) + 1) % 1000000).padStart(6, '0');
+        const enableEmailFactor = () => factors.push({ id: crypto.randomUUID(), user_id: '123', type: 'email', name: 'Email' });
+
+        it('should only turn on next to another second factor', async () => {
+            const refused = await post('enable', validToken);
+            expect(refused.status).toBe(409);
+
+            addAuthenticator(secret.base32);
+            const res = await post('enable', validToken);
+            expect(res.status).toBe(200);
+            expect(res.body.email_otp_enabled).toBe(true);
+            expect(auditDb.recordAuditEvent).toHaveBeenCalledWith(expect.objectContaining({ eventType: 'EMAIL_OTP_ENABLED' }));
+            expect(getOutbox()).toHaveLength(1);
+
+            const status = await request(app).get('/totp/status').set('Cookie', [`sb-access-token=${validToken}`]);
+            expect(status.body.email_otp_enabled).toBe(true);
+        });
+
+        it('should also turn on next to a security key', async () => {
+            webauthnDb.listWebAuthnCredentials.mockResolvedValueOnce([{ id: 'key-1' }]);
+
+            expect((await post('enable', validToken)).status).toBe(200);
+        });
+
+        it('should need a fresh session to turn it on or off', async () => {
+            addAuthenticator(secret.base32);
+            enableEmailFactor();
+            const staleToken = signToken(TOKEN_TYPES.ACCESS, { id: '123', email: 'test@example.com', sid: 'device-1', auth_time: Math.floor(Date.now() / 1000) - 600 });
+
+            expect((await post('enable', staleToken)).body.code).toBe('REAUTH_REQUIRED');
+            expect((await post('disable', staleToken)).body.code).toBe('REAUTH_REQUIRED');
+            expect((await post('disable', pendingToken())).status).toBe(401);
+
+            const res = await post('disable', validToken);
+            expect(res.status).toBe(200);
+            expect(factors.some((factor) => factor.type === 'email')).toBe(false);
+            expect(auditDb.recordAuditEvent).toHaveBeenCalledWith(expect.objectContaining({ eventType: 'EMAIL_OTP_DISABLED' }));
+        });
+
+        it('should email a hashed single-use code that completes the login', async () => {
+            addAuthenticator(secret.base32);
+            enableEmailFactor();
+            const token = pendingToken();
+
+            const sent = await post('send', token, {}, '10.23.1.1');
+            expect(sent.status).toBe(200);
+            expect(getOutbox()[0].to).toBe('test@example.com');
+            const code = sentCode();
+            expect(emailCodes[0].code_hash).not.toContain(code);
+
+            const res = await post('verify-login', token, { code, trust_device: true }, '10.23.1.1');
+            expect(res.status).toBe(200);
+            expect(res.body.authenticated).toBe(true);
+            expect(res.headers['set-cookie'].join(';')).toContain('sb-trusted-device=');
+            expect(mfaAttempts.at(-1)).toMatchObject({ method: 'email_otp', was_successful: true });
+
+            expect((await post('verify-login', token, { code }, '10.23.1.1')).status).toBe(400);
+        });
+
+        it('should only accept a code for the login it was sent for', async () => {
+            addAuthenticator(secret.base32);
+            enableEmailFactor();
+            const token = pendingToken();
+            await post('send', token, {}, '10.23.2.1');
+
+            const res = await post('verify-login', pendingToken(), { code: sentCode() }, '10.23.2.1');
+
+            expect(res.status).toBe(400);
+            expect(emailCodes[0].consumed_at).toBeNull();
+        });
+
+        it('should retire a code after three wrong guesses and count them for the login', async () => {
+            addAuthenticator(secret.base32);
+            enableEmailFactor();
+            const token = pendingToken();
+            await post('send', token, {}, '10.23.3.1');
+            const code = sentCode();
+
+            for (let i = 0; i < 3; i++) {
+                expect((await post('verify-login', token, { code: wrongCode(code) }, '10.23.3.1')).status).toBe(401);
+            }
+            expect(mfaAttempts.filter((row) => row.method === 'email_otp' && !row.was_successful)).toHaveLength(3);
+
+            expect((await post('verify-login', token, { code }, '10.23.3.1')).status).toBe(400);
+        });
+
+        it('should throttle resends', async () => {
+            addAuthenticator(secret.base32);
+            enableEmailFactor();
+
+            expect((await post('send', pendingToken(), {}, '10.23.4.1')).status).toBe(200);
+            const res = await post('send', pendingToken(), {}, '10.23.4.1');
+
+            expect(res.status).toBe(429);
+            expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+            expect(getOutbox()).toHaveLength(1);
+        });
+
+        it('should refuse users without email codes and full sessions', async () => {
+            addAuthenticator(secret.base32);
+
+            expect((await post('send', pendingToken(), {}, '10.23.5.1')).status).toBe(400);
+
+            enableEmailFactor();
+            expect((await post('send', validToken, {}, '10.23.5.1')).status).toBe(401);
+            expect((await post('verify-login', pendingToken(), { code: '12345' }, '10.23.5.1')).status).toBe(400);
+            expect(getOutbox()).toHaveLength(0);
+        });
     });
 });
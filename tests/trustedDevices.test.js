@@ -0,0 +1,115 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+
+vi.mock('../middleware/verifySession.js', () => ({
+    verifySession: (req, res, next) => {
+        req.user = { id: '123', email: 'test@example.com', sid: '11111111-1111-4111-8111-111111111111' };
+        next();
+    }
+}));
+
+vi.mock('../models/deviceModel.js', () => ({
+    getDevicesByUserId: vi.fn(),
+    revokeDeviceById: vi.fn(),
+    getTrustedDevicesByUserId: vi.fn(),
+    revokeDeviceTrust: vi.fn(),
+    revokeAllDeviceTrust: vi.fn(),
+}));
+
+vi.mock('../models/auditLogModel.js', () => ({
+    recordAuditEvent: vi.fn().mockResolvedValue({}),
+}));
+
+vi.mock('../config/db.js', () => ({
+    supabase: { from: vi.fn() },
+}));
+
+import deviceRouter from '../route/deviceRoutes.js';
+import * as deviceDb from '../models/deviceModel.js';
+import * as auditDb from '../models/auditLogModel.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/devices', deviceRouter);
+
+const CURRENT = '11111111-1111-4111-8111-111111111111';
+const OTHER = '22222222-2222-4222-8222-222222222222';
+const trusted = (id) => ({
+    id,
+    user_id: '123',
+    device_name: 'Firefox',
+    last_login: '2026-10-01T00:00:00Z',
+    trusted_until: '2026-10-31T00:00:00Z',
+    trust_token_id: 'trust-1',
+});
+
+describe('Trusted devices', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    it('should list trusted devices without their trust token IDs', async () => {
+        deviceDb.getTrustedDevicesByUserId.mockResolvedValue([trusted(CURRENT), trusted(OTHER)]);
+
+        const res = await request(app).get('/api/devices/trusted');
+
+        expect(res.status).toBe(200);
+        expect(res.body.devices).toHaveLength(2);
+        expect(res.body.devices[0]).toMatchObject({ id: CURRENT, trusted_until: '2026-10-31T00:00:00Z', isCurrent: true });
+        expect(res.body.devices[1].isCurrent).toBe(false);
+        expect(res.body.devices[0].trust_token_id).toBeUndefined();
+    });
+
+    it('should revoke trust on one device and keep its session', async () => {
+        deviceDb.revokeDeviceTrust.mockResolvedValue(trusted(OTHER));
+
+        const res = await request(app).post(`/api/devices/${OTHER}/trust/revoke`);
+
+        expect(res.status).toBe(200);
+        expect(deviceDb.revokeDeviceTrust).toHaveBeenCalledWith(OTHER, '123');
+        expect(deviceDb.revokeDeviceById).not.toHaveBeenCalled();
+        expect(auditDb.recordAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+            eventType: 'DEVICE_TRUST_REVOKED',
+            metadata: { device: OTHER },
+        }));
+        // Another device's cookie is not this browser's to clear
+        expect(res.headers['set-cookie']).toBeUndefined();
+    });
+
+    it('should clear the cookie when revoking trust on the current device', async () => {
+        deviceDb.revokeDeviceTrust.mockResolvedValue(trusted(CURRENT));
+
+        const res = await request(app).post(`/api/devices/${CURRENT}/trust/revoke`);
+
+        expect(res.status).toBe(200);
+        expect(res.headers['set-cookie'].join(';')).toContain('sb-trusted-device=;');
+    });
+
+    it('should return 404 for a device that is not trusted', async () => {
+        deviceDb.revokeDeviceTrust.mockResolvedValue(null);
+
+        const res = await request(app).post(`/api/devices/${OTHER}/trust/revoke`);
+
+        expect(res.status).toBe(404);
+        expect(auditDb.recordAuditEvent).not.toHaveBeenCalled();
+    });
+
+    it('should reject a malformed device ID', async () => {
+        const res = await request(app).post('/api/devices/not-a-uuid/trust/revoke');
+
+        expect(res.status).toBe(400);
+        expect(deviceDb.revokeDeviceTrust).not.toHaveBeenCalled();
+    });
+
+    it('should revoke trust on every device', async () => {
+        deviceDb.revokeAllDeviceTrust.mockResolvedValue(3);
+
+        const res = await request(app).post('/api/devices/trusted/revoke-all');
+
+        expect(res.status).toBe(200);
+        expect(res.body.revoked).toBe(3);
+        expect(deviceDb.revokeAllDeviceTrust).toHaveBeenCalledWith('123');
+        expect(res.headers['set-cookie'].join(';')).toContain('sb-trusted-device=;');
+    });
+});
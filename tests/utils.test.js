@@ -1,7 +1,40 @@
-import { describe, it, expect } from 'vitest';
-import { encryptData, decryptData } from '../utils/encryption.js';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { randomBytes } from 'crypto';
+import CryptoJS from 'crypto-js';
+
+vi.mock('../models/mfaSettingsModel.js', () => ({
+    listTotpSecretsPage: vi.fn(),
+    replaceTotpSecretEnc: vi.fn().mockResolvedValue(true),
+}));
+
+vi.mock('../models/mfaFactorModel.js', () => ({
+    listFactorSecretsPage: vi.fn(),
+    replaceFactorSecretEnc: vi.fn().mockResolvedValue(true),
+}));
+
+import { encryptData, decryptData, needsReencryption } from '../utils/encryption.js';
+import { reloadEncryptionKeys, assertEncryptionConfig, DEFAULT_ENCRYPTION_KEY } from '../config/encryptionKeys.js';
+import { reencryptStoredSecrets } from '../utils/reencryptSecrets.js';
+import { resolveCountry } from '../utils/geoip.js';
+import * as settingsDb from '../models/mfaSettingsModel.js';
+import * as factorDb from '../models/mfaFactorModel.js';
+
+const KEY_ENV = ['ENCRYPTION_KEYS', 'ENCRYPTION_KEY_ID', 'ENCRYPTION_KEY'];
+const newKey = () => randomBytes(32).toString('base64');
 
 describe('Encryption Utils', () => {
+    const originalNodeEnv = process.env.NODE_ENV;
+
+    beforeEach(() => {
+        reloadEncryptionKeys();
+    });
+
+    afterEach(() => {
+        KEY_ENV.forEach((name) => delete process.env[name]);
+        process.env.NODE_ENV = originalNodeEnv;
+        reloadEncryptionKeys();
+    });
+
     it('should encrypt and decrypt data correctly', () => {
         const plainText = 'secret-message';
 
@@ -22,4 +55,164 @@ describe('Encryption Utils', () => {
     it('should throw error when decrypting invalid data', () => {
         expect(() => decryptData('invalid-data')).toThrowError();
     });
+
+    it('should write a versioned AES-GCM envelope naming the key', () => {
+        process.env.ENCRYPTION_KEYS = `2026-10:${newKey()}`;
+
+        const encrypted = encryptData('secret-message');
+        const [version, kid, iv, , tag] = encrypted.split(':');
+
+        expect(version).toBe('v1');
+        expect(kid).toBe('2026-10');
+        expect(Buffer.from(iv, 'base64url')).toHaveLength(12);
+        expect(Buffer.from(tag, 'base64url')).toHaveLength(16);
+        expect(encryptData('secret-message')).not.toBe(encrypted); // fresh IV every time
+    });
+
+    it('should reject a tampered ciphertext or a relabelled key id', () => {
+        process.env.ENCRYPTION_KEYS = `a:${newKey()},b:${newKey()}`;
+        const parts = encryptData('secret-message').split(':');
+
+        const flipped = Buffer.from(parts[3], 'base64url');
+        flipped[0] ^= 1;
+        const tampered = [...parts.slice(0, 3), flipped.toString('base64url'), parts[4]].join(':');
+        const relabelled = [parts[0], 'b', ...parts.slice(2)].join(':');
+
+        expect(() => decryptData(tampered)).toThrowError('Failed to decrypt data');
+        expect(() => decryptData(relabelled)).toThrowError('Failed to decrypt data');
+    });
+
+    it('should decrypt values under a retired key and flag them for re-encryption', () => {
+        const oldKey = newKey();
+        process.env.ENCRYPTION_KEYS = `old:${oldKey}`;
+        const oldValue = encryptData('secret-message');
+
+        process.env.ENCRYPTION_KEYS = `new:${newKey()},old:${oldKey}`;
+        reloadEncryptionKeys();
+
+        expect(decryptData(oldValue)).toBe('secret-message');
+        expect(needsReencryption(oldValue)).toBe(true);
+        expect(needsReencryption(encryptData('secret-message'))).toBe(false);
+
+        process.env.ENCRYPTION_KEYS = `new:${newKey()}`;
+        reloadEncryptionKeys();
+        expect(() => decryptData(oldValue)).toThrowError('Failed to decrypt data');
+    });
+
+    it('should decrypt legacy CryptoJS values with ENCRYPTION_KEY', () => {
+        process.env.ENCRYPTION_KEY = 'legacy-passphrase';
+        process.env.ENCRYPTION_KEYS = `2026-10:${newKey()}`;
+        const legacy = CryptoJS.AES.encrypt('secret-message', 'legacy-passphrase').toString();
+
+        expect(decryptData(legacy)).toBe('secret-message');
+        expect(needsReencryption(legacy)).toBe(true);
+    });
+
+    it('should pick the current key with ENCRYPTION_KEY_ID and reject unknown ids', () => {
+        process.env.ENCRYPTION_KEYS = `a:${newKey()},b:${newKey()}`;
+        process.env.ENCRYPTION_KEY_ID = 'b';
+        expect(encryptData('x').split(':')[1]).toBe('b');
+
+        process.env.ENCRYPTION_KEY_ID = 'c';
+        reloadEncryptionKeys();
+        expect(() => assertEncryptionConfig()).toThrowError(/not in the keyring/);
+    });
+
+    it('should reject keys that are not 32 bytes', () => {
+        process.env.ENCRYPTION_KEYS = `short:${randomBytes(16).toString('base64')}`;
+        expect(() => assertEncryptionConfig()).toThrowError(/32 bytes/);
+    });
+
+    it('should refuse to start in production with the default or a missing key', () => {
+        process.env.NODE_ENV = 'production';
+
+        expect(() => assertEncryptionConfig()).toThrowError(/No encryption key/);
+
+        process.env.ENCRYPTION_KEY = DEFAULT_ENCRYPTION_KEY;
+        expect(() => assertEncryptionConfig()).toThrowError(/development default/);
+
+        delete process.env.ENCRYPTION_KEY;
+        process.env.ENCRYPTION_KEYS = `2026-10:${newKey()}`;
+        expect(() => assertEncryptionConfig()).not.toThrow();
+    });
+});
+
+describe('Re-encryption job', () => {
+    let oldKey;
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        oldKey = newKey();
+        process.env.ENCRYPTION_KEY = 'legacy-passphrase';
+        process.env.ENCRYPTION_KEYS = `old:${oldKey}`;
+        reloadEncryptionKeys();
+    });
+
+    afterEach(() => {
+        KEY_ENV.forEach((name) => delete process.env[name]);
+        reloadEncryptionKeys();
+    });
+
+    it('should move legacy and retired-key secrets to the current key', async () => {
+        const legacy = CryptoJS.AES.encrypt('LEGACYSECRET', 'legacy-passphrase').toString();
+        const retired = encryptData('RETIREDSECRET');
+
+        process.env.ENCRYPTION_KEYS = `new:${newKey()},old:${oldKey}`;
+        reloadEncryptionKeys();
+        const current = encryptData('CURRENTSECRET');
+
+        settingsDb.listTotpSecretsPage.mockResolvedValueOnce([{ user_id: 'u1', totp_secret_enc: legacy }]);
+        factorDb.listFactorSecretsPage
+            .mockResolvedValueOnce([{ id: 'f1', secret_enc: retired }, { id: 'f2', secret_enc: current }])
+            .mockResolvedValueOnce([{ id: 'f3', secret_enc: 'v1:gone:AAAA:AAAA:AAAA' }])
+            .mockResolvedValueOnce([]);
+        factorDb.replaceFactorSecretEnc.mockResolvedValueOnce(true);
+
+        const results = await reencryptStoredSecrets({ batchSize: 2 });
+
+        expect(results['mfa_settings.totp_secret_enc']).toEqual({ scanned: 1, reencrypted: 1, current: 0, changed: 0, failed: 0 });
+        expect(results['mfa_factors.secret_enc']).toEqual({ scanned: 3, reencrypted: 1, current: 1, changed: 0, failed: 1 });
+
+        const [userId, expected, next] = settingsDb.replaceTotpSecretEnc.mock.calls[0];
+        expect([userId, expected]).toEqual(['u1', legacy]);
+        expect(next.split(':')[1]).toBe('new');
+        expect(decryptData(next)).toBe('LEGACYSECRET');
+        expect(factorDb.replaceFactorSecretEnc).toHaveBeenCalledTimes(1);
+        expect(decryptData(factorDb.replaceFactorSecretEnc.mock.calls[0][2])).toBe('RETIREDSECRET');
+        // Pages continue after the last id seen
+        expect(factorDb.listFactorSecretsPage).toHaveBeenNthCalledWith(2, 'f2', 2);
+    });
+
+    it('should count secrets rewritten meanwhile and write nothing on a dry run', async () => {
+        const legacy = CryptoJS.AES.encrypt('LEGACYSECRET', 'legacy-passphrase').toString();
+        settingsDb.listTotpSecretsPage.mockResolvedValue([{ user_id: 'u1', totp_secret_enc: legacy }]);
+        factorDb.listFactorSecretsPage.mockResolvedValue([]);
+
+        const dryRun = await reencryptStoredSecrets({ dryRun: true });
+        expect(dryRun['mfa_settings.totp_secret_enc'].reencrypted).toBe(1);
+        expect(settingsDb.replaceTotpSecretEnc).not.toHaveBeenCalled();
+
+        settingsDb.replaceTotpSecretEnc.mockResolvedValueOnce(false);
+        const raced = await reencryptStoredSecrets();
+        expect(raced['mfa_settings.totp_secret_enc']).toMatchObject({ reencrypted: 0, changed: 1 });
+    });
+});
+
+describe('Country lookup', () => {
+    afterEach(() => {
+        delete process.env.GEOIP_COUNTRY_DB;
+    });
+
+    it('should resolve nothing without a GeoLite2 database', () => {
+        expect(resolveCountry('203.0.113.7')).toBeNull();
+    });
+
+    it('should resolve nothing when the database cannot be opened', () => {
+        process.env.GEOIP_COUNTRY_DB = '/nonexistent/GeoLite2-Country.mmdb';
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => { });
+
+        expect(resolveCountry('203.0.113.7')).toBeNull();
+        expect(warn).toHaveBeenCalledOnce();
+        warn.mockRestore();
+    });
 });
@@ -0,0 +1,126 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+
+vi.mock('../middleware/verifySession.js', () => ({
+    verifySession: (req, res, next) => {
+        if (req.headers['x-auth'] === 'valid') {
+            req.user = { id: 'user-123' };
+            return next();
+        }
+        return res.status(401).json({ error: 'Unauthorized' });
+    },
+}));
+
+// In-memory vault_records; every write takes the next change_seq like the trigger
+const records = [];
+let changeSeq = 0;
+vi.mock('../models/syncModel.js', () => ({
+    pullChangesAfter: vi.fn(async (userId, afterSeq, { limit }) => {
+        const rows = records
+            .filter((row) => row.user_id === userId && row.change_seq > afterSeq)
+            .sort((a, b) => a.change_seq - b.change_seq);
+        return { records: rows.slice(0, limit), has_more: rows.length > limit };
+    }),
+    pullChanges: vi.fn(async (userId, since, { limit, offset }) => {
+        const rows = records
+            .filter((row) => row.user_id === userId && new Date(row.updated_at) > new Date(since))
+            .sort((a, b) => a.change_seq - b.change_seq);
+        return { records: rows.slice(offset, offset + limit), total_count: rows.length };
+    }),
+    getLatestChangeSeq: vi.fn(async (userId) =>
+        Math.max(0, ...records.filter((row) => row.user_id === userId).map((row) => row.change_seq))),
+    pushRecord: vi.fn(),
+}));
+
+import vaultSyncRouter from '../route/vaultSync.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/vault', vaultSyncRouter);
+
+// All writes inside one millisecond share updated_at, as a batch push can
+const SAME_INSTANT = '2026-10-18T12:00:00.000Z';
+const write = (id, { userId = 'user-123', updatedAt = SAME_INSTANT } = {}) => {
+    const existing = records.find((row) => row.id === id);
+    const row = existing ?? { id, user_id: userId, encrypted_data: `enc-${id}`, nonce: 'n', version: 0, is_deleted: false, record_type: 'credential' };
+    Object.assign(row, { version: row.version + 1, updated_at: updatedAt, change_seq: ++changeSeq });
+    if (!existing) records.push(row);
+    return row;
+};
+
+const pull = (query) => request(app)
+    .get('/api/vault/sync')
+    .set('x-auth', 'valid')
+    .query(query);
+
+describe('GET /api/vault/sync', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        records.length = 0;
+        changeSeq = 0;
+    });
+
+    it('should page through every change once by cursor, even with shared timestamps', async () => {
+        ['a', 'b', 'c', 'd', 'e'].forEach((id) => write(id));
+        write('other', { userId: 'user-456' });
+
+        const first = await pull({ cursor: Buffer.from('v1:0').toString('base64url'), limit: 2 });
+        expect(first.status).toBe(200);
+        expect(first.body.records.map((r) => r.id)).toEqual(['a', 'b']);
+        expect(first.body.has_more).toBe(true);
+        expect(first.body.records[0].change_seq).toBeUndefined();
+
+        // Written between page fetches: a record already sent changes again, a new one appears
+        write('a');
+        write('f');
+
+        const seen = [...first.body.records.map((r) => r.id)];
+        let cursor = first.body.next_cursor;
+        for (let page = 0; page < 5; page++) {
+            const res = await pull({ cursor, limit: 2 });
+            seen.push(...res.body.records.map((r) => r.id));
+            cursor = res.body.next_cursor;
+            if (!res.body.has_more) break;
+        }
+
+        expect(seen).toEqual(['a', 'b', 'c', 'd', 'e', 'a', 'f']);
+
+        // Nothing new: the cursor stays put
+        const idle = await pull({ cursor, limit: 2 });
+        expect(idle.body).toMatchObject({ records: [], has_more: false, next_cursor: cursor });
+    });
+
+    it('should keep serving since and offset with a cursor to switch to', async () => {
+        write('old', { updatedAt: '2026-01-01T00:00:00.000Z' });
+        ['a', 'b', 'c'].forEach((id) => write(id));
+
+        const first = await pull({ since: '2026-06-01T00:00:00.000Z', limit: 2, offset: 0 });
+        expect(first.status).toBe(200);
+        expect(first.body).toMatchObject({ total_count: 3, has_more: true });
+        expect(first.body.records.map((r) => r.id)).toEqual(['a', 'b']);
+
+        const next = await pull({ cursor: first.body.next_cursor });
+        expect(next.body.records.map((r) => r.id)).toEqual(['c']);
+    });
+
+    it('should hand a since client with nothing new a cursor at its latest change', async () => {
+        write('a', { updatedAt: '2026-01-01T00:00:00.000Z' });
+
+        const res = await pull({ since: '2026-06-01T00:00:00.000Z' });
+        expect(res.body).toMatchObject({ records: [], total_count: 0, has_more: false });
+
+        write('b');
+        const next = await pull({ cursor: res.body.next_cursor });
+        expect(next.body.records.map((r) => r.id)).toEqual(['b']);
+    });
+
+    it('should reject a malformed cursor or a cursor mixed with since', async () => {
+        const garbage = await pull({ cursor: 'not-a-cursor' });
+        expect(garbage.status).toBe(400);
+
+        const mixed = await pull({ cursor: Buffer.from('v1:3').toString('base64url'), since: '2026-06-01T00:00:00.000Z' });
+        expect(mixed.status).toBe(400);
+        expect(mixed.body.error).toBe('Validation failed');
+    });
+});
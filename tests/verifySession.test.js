@@ -1,11 +1,21 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+// Mock the device lookup behind the session revocation cache
+vi.mock('../models/deviceModel.js', () => ({
+    getDeviceSessionState: vi.fn(),
+}));
+
 import { verifySession } from '../middleware/verifySession.js';
-import jwt from 'jsonwebtoken';
+import { forgetSession } from '../utils/sessionCache.js';
+import { TOKEN_TYPES, signToken } from '../config/tokenKeys.js';
+import * as deviceDb from '../models/deviceModel.js';
 
 describe('verifySession Middleware', () => {
     let req, res, next;
 
     beforeEach(() => {
+        vi.clearAllMocks();
+        forgetSession('device-1');
         req = {
             cookies: {},
             headers: {}
@@ -16,40 +26,140 @@ describe('verifySession Middleware', () => {
         };
         next = vi.fn();
         process.env.JWT_SECRET = 'test-secret';
+        deviceDb.getDeviceSessionState.mockResolvedValue({ id: 'device-1', user_id: '123', is_revoked: false });
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        delete process.env.SESSION_CACHE_TTL_MS;
+        delete process.env.SESSION_CACHE_MAX_ENTRIES;
     });
 
-    it('should call next if valid token is provided', () => {
-        // Setup: Create a real signed JWT
-        const token = jwt.sign({ id: '123', email: 'test@example.com' }, process.env.JWT_SECRET);
+    it('should call next if valid token is provided', async () => {
+        // Setup: Create a real signed JWT bound to an active session
+        const token = signToken(TOKEN_TYPES.ACCESS, { id: '123', email: 'test@example.com', sid: 'device-1' });
         req.cookies['sb-access-token'] = token;
 
         // Action: Call middleware
-        verifySession(req, res, next);
+        await verifySession(req, res, next);
 
         // Assertions: Should pass authentication
         expect(next).toHaveBeenCalled(); // Should proceed to next handler
         expect(req.user).toBeDefined(); // Should attach user info to request
         expect(req.user.id).toBe('123');
+        expect(req.user.sid).toBe('device-1');
     });
 
-    it('should return 401 if no token is provided', () => {
-        verifySession(req, res, next);
+    it('should return 401 if no token is provided', async () => {
+        await verifySession(req, res, next);
 
         expect(res.status).toHaveBeenCalledWith(401);
         expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'No session found. Please login.' }));
         expect(next).not.toHaveBeenCalled();
     });
 
-    it('should return 401 if token is invalid', () => {
+    it('should return 401 if token is invalid', async () => {
         // Setup: Provide a garbage token
         req.cookies['sb-access-token'] = 'invalid-token';
 
         // Action: Call middleware
-        verifySession(req, res, next);
+        await verifySession(req, res, next);
 
         // Assertions: Should fail
         expect(res.status).toHaveBeenCalledWith(401);
         expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Invalid or expired session.' }));
         expect(next).not.toHaveBeenCalled();
     });
+
+    it('should reject mfa-pending and trusted-device tokens', async () => {
+        for (const type of [TOKEN_TYPES.MFA_PENDING, TOKEN_TYPES.TRUSTED_DEVICE, TOKEN_TYPES.REFRESH]) {
+            req.cookies['sb-access-token'] = signToken(type, { id: '123', sid: 'device-1' });
+
+            await verifySession(req, res, next);
+        }
+
+        expect(res.status).toHaveBeenCalledTimes(3);
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should return 401 if the token is not bound to a session', async () => {
+        req.cookies['sb-access-token'] = signToken(TOKEN_TYPES.ACCESS, { id: '123' });
+
+        await verifySession(req, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(deviceDb.getDeviceSessionState).not.toHaveBeenCalled();
+        expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should return 401 once the device has been revoked', async () => {
+        deviceDb.getDeviceSessionState.mockResolvedValue({ id: 'device-1', user_id: '123', is_revoked: true });
+        req.cookies['sb-access-token'] = signToken(TOKEN_TYPES.ACCESS, { id: '123', sid: 'device-1' });
+
+        await verifySession(req, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: expect.stringContaining('revoked') }));
+        expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject a session that belongs to another user', async () => {
+        req.cookies['sb-access-token'] = signToken(TOKEN_TYPES.ACCESS, { id: 'someone-else', sid: 'device-1' });
+
+        await verifySession(req, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should cache session state until it is forgotten', async () => {
+        req.cookies['sb-access-token'] = signToken(TOKEN_TYPES.ACCESS, { id: '123', sid: 'device-1' });
+
+        await verifySession(req, res, next);
+        await verifySession(req, res, next);
+        expect(deviceDb.getDeviceSessionState).toHaveBeenCalledTimes(1);
+
+        // Revocation evicts the entry, so the next request sees the new state
+        deviceDb.getDeviceSessionState.mockResolvedValue({ id: 'device-1', user_id: '123', is_revoked: true });
+        forgetSession('device-1');
+        await verifySession(req, res, next);
+
+        expect(deviceDb.getDeviceSessionState).toHaveBeenCalledTimes(2);
+        expect(next).toHaveBeenCalledTimes(2);
+        expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    it('should look the session up again once the cached entry expires', async () => {
+        vi.useFakeTimers();
+        process.env.SESSION_CACHE_TTL_MS = '1000';
+        req.cookies['sb-access-token'] = signToken(TOKEN_TYPES.ACCESS, { id: '123', sid: 'device-1' });
+
+        await verifySession(req, res, next);
+        vi.advanceTimersByTime(500);
+        await verifySession(req, res, next);
+        expect(deviceDb.getDeviceSessionState).toHaveBeenCalledTimes(1);
+
+        vi.advanceTimersByTime(600);
+        await verifySession(req, res, next);
+        expect(deviceDb.getDeviceSessionState).toHaveBeenCalledTimes(2);
+    });
+
+    it('should drop the oldest sessions beyond SESSION_CACHE_MAX_ENTRIES', async () => {
+        process.env.SESSION_CACHE_MAX_ENTRIES = '2';
+        const request = async (sid) => {
+            req.cookies['sb-access-token'] = signToken(TOKEN_TYPES.ACCESS, { id: '123', sid });
+            await verifySession(req, res, next);
+        };
+
+        for (const sid of ['device-1', 'device-2', 'device-3']) {
+            await request(sid);
+        }
+        await request('device-3');
+        expect(deviceDb.getDeviceSessionState).toHaveBeenCalledTimes(3);
+
+        await request('device-1');
+        expect(deviceDb.getDeviceSessionState).toHaveBeenCalledTimes(4);
+        for (const sid of ['device-2', 'device-3']) forgetSession(sid);
+    });
 });
@@ -0,0 +1,486 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import { randomUUID } from 'crypto';
+import speakeasy from 'speakeasy';
+
+vi.mock('../middleware/verifySession.js', () => ({
+    verifySession: (req, res, next) => {
+        req.user = { id: '123', email: 'test@example.com', sid: 'device-1' };
+        next();
+    }
+}));
+
+// Toggle fresh authentication with the 'x-fresh' header
+vi.mock('../middleware/requireFreshAuth.js', () => ({
+    requireFreshAuth: (req, res, next) => {
+        if (req.headers['x-fresh'] === 'true') {
+            return next();
+        }
+        res.status(401).json({ error: 'Fresh authentication required', code: 'REAUTH_REQUIRED' });
+    }
+}));
+
+// In-memory credential store with the same conditional counter update as the real table
+const credentials = new Map();
+vi.mock('../models/webauthnCredentialModel.js', () => ({
+    listWebAuthnCredentials: vi.fn(async (userId) => [...credentials.values()].filter((c) => c.user_id === userId)),
+    getWebAuthnCredential: vi.fn(async (userId, credentialId) =>
+        [...credentials.values()].find((c) => c.user_id === userId && c.credential_id === credentialId) ?? null),
+    createWebAuthnCredential: vi.fn(async ({ userId, credentialId, publicKey, signCount, transports, name, deviceType, backedUp }) => {
+        const row = {
+            id: randomUUID(),
+            user_id: userId,
+            credential_id: credentialId,
+            public_key: publicKey,
+            sign_count: signCount,
+            transports,
+            name,
+            device_type: deviceType,
+            backed_up: backedUp,
+            created_at: new Date().toISOString(),
+            last_used_at: null,
+        };
+        credentials.set(row.id, row);
+        return row;
+    }),
+    recordWebAuthnCredentialUse: vi.fn(async (id, expectedSignCount, newSignCount) => {
+        const row = credentials.get(id);
+        if (!row || row.sign_count !== expectedSignCount) return false;
+        row.sign_count = newSignCount;
+        row.last_used_at = new Date().toISOString();
+        return true;
+    }),
+    renameWebAuthnCredential: vi.fn(async (userId, id, name) => {
+        const row = credentials.get(id);
+        if (!row || row.user_id !== userId) return null;
+        row.name = name;
+        return row;
+    }),
+    deleteWebAuthnCredential: vi.fn(async (userId, id) => {
+        const row = credentials.get(id);
+        if (!row || row.user_id !== userId) return null;
+        credentials.delete(id);
+        return row;
+    }),
+}));
+
+const challenges = new Map();
+vi.mock('../models/challengeModel.js', () => ({
+    createChallenge: vi.fn(async ({ userId, purpose, payload }) => {
+        const row = { id: randomUUID(), user_id: userId, purpose, payload, consumed_at: null };
+        challenges.set(row.id, row);
+        return row;
+    }),
+    consumeChallenge: vi.fn(async (id, purpose) => {
+        const row = challenges.get(id);
+        if (!row || row.purpose !== purpose || row.consumed_at) return null;
+        row.consumed_at = new Date().toISOString();
+        return row;
+    }),
+}));
+
+vi.mock('../models/auditLogModel.js', () => ({
+    recordAuditEvent: vi.fn().mockResolvedValue({}),
+}));
+
+vi.mock('../models/userModel.js', () => ({
+    getUserById: vi.fn().mockResolvedValue({ id: '123', email: 'test@example.com' }),
+}));
+
+vi.mock('../models/deviceModel.js', () => ({
+    registerUserDevice: vi.fn().mockResolvedValue({ id: 'device-2' }),
+    trustDevice: vi.fn().mockResolvedValue({ id: 'device-2' }),
+    revokeAllDeviceTrust: vi.fn().mockResolvedValue(1),
+}));
+
+// An authenticator app the user may prove instead of a key when removing one
+const totpFactors = [];
+vi.mock('../models/mfaFactorModel.js', () => ({
+    listMfaFactors: vi.fn(async (userId) => totpFactors.filter((row) => row.user_id === userId)),
+    recordTotpFactorUse: vi.fn(async (id, step) => {
+        const row = totpFactors.find((factor) => factor.id === id);
+        if (!row || (row.last_totp_step !== null && row.last_totp_step >= step)) return false;
+        row.last_totp_step = step;
+        return true;
+    }),
+}));
+
+vi.mock('../models/mfaSettingsModel.js', () => ({
+    getMfaSettings: vi.fn().mockResolvedValue(null),
+    consumeBackupCode: vi.fn(),
+}));
+
+const mfaAttempts = [];
+vi.mock('../models/mfaAttemptModel.js', () => ({
+    // Enough of begin_mfa_attempt for the per-user lock
+    beginMfaAttempt: vi.fn(async ({ userId, method, policy }) => {
+        const rows = mfaAttempts.filter((row) => row.user_id === userId).reverse();
+        const run = rows.findIndex((row) => row.was_successful);
+        const count = run === -1 ? rows.length : run;
+        if (count >= policy.threshold) {
+            return { locked: true, failures: count, locked_until: new Date(Date.now() + 60_000).toISOString() };
+        }
+        const row = { id: crypto.randomUUID(), user_id: userId, method, was_successful: false, attempt_time: new Date().toISOString() };
+        mfaAttempts.push(row);
+        return { attempt_id: row.id, failures: count + 1 };
+    }),
+    markMfaAttemptSuccessful: vi.fn(async (id) => {
+        mfaAttempts.find((row) => row.id === id).was_successful = true;
+    }),
+    getRecentMfaAttemptsForUser: vi.fn(async (userId) => mfaAttempts.filter((row) => row.user_id === userId).reverse()),
+    countFailedMfaAttemptsForToken: vi.fn().mockResolvedValue(0),
+}));
+
+vi.mock('../utils/encryption.js', () => ({
+    encryptData: (data) => `encrypted_${data}`,
+    decryptData: (data) => data.replace('encrypted_', ''),
+}));
+
+vi.mock('../models/refreshTokenModel.js', () => ({
+    createRefreshToken: vi.fn().mockResolvedValue({ id: 'rt-1' }),
+}));
+
+vi.mock('../config/db.js', () => ({
+    supabase: { from: vi.fn() },
+}));
+
+import webauthnRouter from '../route/webauthn.js';
+import * as auditDb from '../models/auditLogModel.js';
+import * as deviceDb from '../models/deviceModel.js';
+import { TOKEN_TYPES, signToken } from '../config/tokenKeys.js';
+import { getOutbox, clearOutbox } from '../utils/mailer.js';
+import { SoftwareAuthenticator, ORIGIN, RP_ID, b64url } from './softwareAuthenticator.js';
+
+const app = express();
+// The tests pose as different clients through X-Forwarded-For
+app.set('trust proxy', true);
+app.use(express.json());
+app.use(cookieParser());
+app.use('/auth/webauthn', webauthnRouter);
+
+process.env.JWT_SECRET = 'test-secret';
+
+// Once a key is registered, adding another takes an assertion from a registered one
+async function proveWith(authenticator) {
+    const required = await request(app).post('/auth/webauthn/register/options').set('x-fresh', 'true');
+    return { challenge_id: required.body.webauthn.challenge_id, credential: authenticator.assert(required.body.webauthn.options) };
+}
+
+async function registerKey(authenticator, name = 'YubiKey 5C', registeredKey = null) {
+    const proof = registeredKey ? await proveWith(registeredKey) : undefined;
+    const start = await request(app).post('/auth/webauthn/register/options').set('x-fresh', 'true').send(proof);
+    return request(app)
+        .post('/auth/webauthn/register/verify')
+        .set('x-fresh', 'true')
+        .send({ challenge_id: start.body.challenge_id, name, credential: authenticator.register(start.body.options) });
+}
+
+function pendingCookie() {
+    const token = signToken(TOKEN_TYPES.MFA_PENDING, { id: '123', email: 'test@example.com' }, { expiresIn: '5m' });
+    return [`sb-access-token=${token}`];
+}
+
+async function loginWith(authenticator, { ip, assertOptions, body = {} } = {}) {
+    const start = await request(app)
+        .post('/auth/webauthn/login/options')
+        .set('X-Forwarded-For', ip)
+        .set('Cookie', pendingCookie());
+    return request(app)
+        .post('/auth/webauthn/login/verify')
+        .set('X-Forwarded-For', ip)
+        .set('Cookie', pendingCookie())
+        .send({ challenge_id: start.body.challenge_id, credential: authenticator.assert(start.body.options, assertOptions), ...body });
+}
+
+async function removeWith(id, authenticator, { assertOptions } = {}) {
+    const start = await request(app).post('/auth/webauthn/credentials/remove/options').set('x-fresh', 'true');
+    return request(app)
+        .delete(`/auth/webauthn/credentials/${id}`)
+        .set('x-fresh', 'true')
+        .set('X-Forwarded-For', '10.13.1.1')
+        .send({ challenge_id: start.body.challenge_id, credential: authenticator.assert(start.body.options, assertOptions) });
+}
+
+describe('WebAuthn security keys', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        credentials.clear();
+        challenges.clear();
+        totpFactors.length = 0;
+        mfaAttempts.length = 0;
+        clearOutbox();
+        process.env.MAIL_TRANSPORT = 'memory';
+        process.env.WEBAUTHN_RP_ID = RP_ID;
+        process.env.WEBAUTHN_ORIGINS = ORIGIN;
+    });
+
+    afterEach(() => {
+        delete process.env.MAIL_TRANSPORT;
+        delete process.env.WEBAUTHN_RP_ID;
+        delete process.env.WEBAUTHN_ORIGINS;
+    });
+
+    describe('registration', () => {
+        it('should require fresh authentication', async () => {
+            const res = await request(app).post('/auth/webauthn/register/options');
+
+            expect(res.status).toBe(401);
+        });
+
+        it('should register a software authenticator, audit it and notify the owner', async () => {
+            const authenticator = new SoftwareAuthenticator({ counter: 5 });
+
+            const res = await registerKey(authenticator);
+
+            expect(res.status).toBe(201);
+            expect(res.body.credential).toMatchObject({ name: 'YubiKey 5C', transports: ['usb'], backed_up: false });
+            expect(res.body.credential.public_key).toBeUndefined();
+
+            const [stored] = credentials.values();
+            expect(stored.credential_id).toBe(b64url(authenticator.credentialId));
+            expect(stored.sign_count).toBe(5);
+
+            expect(auditDb.recordAuditEvent).toHaveBeenCalledWith(expect.objectContaining({ eventType: 'WEBAUTHN_CREDENTIAL_ADDED' }));
+            expect(getOutbox()).toHaveLength(1);
+        });
+
+        it('should exclude already registered keys and refuse to store one twice', async () => {
+            const authenticator = new SoftwareAuthenticator();
+            await registerKey(authenticator);
+
+            const start = await request(app).post('/auth/webauthn/register/options').set('x-fresh', 'true').send(await proveWith(authenticator));
+            expect(start.body.options.excludeCredentials).toEqual([
+                expect.objectContaining({ id: b64url(authenticator.credentialId) }),
+            ]);
+
+            const res = await request(app)
+                .post('/auth/webauthn/register/verify')
+                .set('x-fresh', 'true')
+                .send({ challenge_id: start.body.challenge_id, name: 'Again', credential: authenticator.register(start.body.options) });
+
+            expect(res.status).toBe(409);
+            expect(credentials.size).toBe(1);
+        });
+
+        it('should reject a response made for another origin', async () => {
+            const authenticator = new SoftwareAuthenticator();
+            const start = await request(app).post('/auth/webauthn/register/options').set('x-fresh', 'true');
+
+            const res = await request(app)
+                .post('/auth/webauthn/register/verify')
+                .set('x-fresh', 'true')
+                .send({ challenge_id: start.body.challenge_id, name: 'Phished', credential: authenticator.register(start.body.options, 'https://evil.example') });
+
+            expect(res.status).toBe(400);
+            expect(credentials.size).toBe(0);
+        });
+
+        it('should not accept a registration challenge twice', async () => {
+            const start = await request(app).post('/auth/webauthn/register/options').set('x-fresh', 'true');
+            const send = (authenticator) => request(app)
+                .post('/auth/webauthn/register/verify')
+                .set('x-fresh', 'true')
+                .send({ challenge_id: start.body.challenge_id, name: 'Key', credential: authenticator.register(start.body.options) });
+
+            expect((await send(new SoftwareAuthenticator())).status).toBe(201);
+            expect((await send(new SoftwareAuthenticator())).status).toBe(400);
+        });
+        it('should require a second factor before adding another key', async () => {
+            const first = new SoftwareAuthenticator();
+            await registerKey(first);
+            const start = (body) => request(app).post('/auth/webauthn/register/options').set('x-fresh', 'true').send(body);
+
+            const missing = await start();
+            expect(missing.status).toBe(401);
+            expect(missing.body.code).toBe('MFA_PROOF_REQUIRED');
+            expect(missing.body.options).toBeUndefined();
+            expect(missing.body.webauthn.options.allowCredentials).toEqual([
+                expect.objectContaining({ id: b64url(first.credentialId) }),
+            ]);
+
+            const stranger = await start({
+                challenge_id: missing.body.webauthn.challenge_id,
+                credential: new SoftwareAuthenticator().assert(missing.body.webauthn.options),
+            });
+            expect(stranger.status).toBe(401);
+            expect(stranger.body.options).toBeUndefined();
+
+            const res = await registerKey(new SoftwareAuthenticator(), 'Backup key', first);
+            expect(res.status).toBe(201);
+            expect(credentials.size).toBe(2);
+        });
+
+        it('should accept a code from an authenticator app before adding a key', async () => {
+            const secret = speakeasy.generateSecret({ length: 20 });
+            totpFactors.push({ id: randomUUID(), user_id: '123', type: 'totp', name: 'Phone', secret_enc: `encrypted_${secret.base32}`, last_totp_step: null });
+            const code = speakeasy.totp({ secret: secret.base32, encoding: 'base32' });
+
+            const start = await request(app).post('/auth/webauthn/register/options').set('x-fresh', 'true').send({ code });
+
+            expect(start.status).toBe(200);
+            expect(start.body.challenge_id).toEqual(expect.any(String));
+            expect(mfaAttempts).toEqual([expect.objectContaining({ was_successful: true, method: 'totp' })]);
+        });
+    });
+
+    describe('credential management', () => {
+        it('should list, rename and delete several named keys', async () => {
+            const desk = new SoftwareAuthenticator();
+            await registerKey(desk, 'Desk key');
+            await registerKey(new SoftwareAuthenticator(), 'Keychain key', desk);
+
+            const list = await request(app).get('/auth/webauthn/credentials');
+            expect(list.body.credentials.map((c) => c.name)).toEqual(['Desk key', 'Keychain key']);
+
+            const id = list.body.credentials[0].id;
+            const renamed = await request(app).put(`/auth/webauthn/credentials/${id}`).send({ name: 'Office key' });
+            expect(renamed.status).toBe(200);
+            expect(renamed.body.credential.name).toBe('Office key');
+
+            const stale = await request(app).delete(`/auth/webauthn/credentials/${id}`);
+            expect(stale.status).toBe(401);
+
+            // The key being removed can prove itself
+            const removed = await removeWith(id, desk);
+            expect(removed.status).toBe(200);
+            expect(credentials.size).toBe(1);
+            expect(auditDb.recordAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+                eventType: 'WEBAUTHN_CREDENTIAL_REMOVED',
+                metadata: expect.objectContaining({ method: 'webauthn' }),
+            }));
+            expect(deviceDb.revokeAllDeviceTrust).toHaveBeenCalledWith('123');
+        });
+
+        it('should not delete a key on a fresh session alone', async () => {
+            await registerKey(new SoftwareAuthenticator());
+            const [row] = credentials.values();
+
+            const res = await request(app)
+                .delete(`/auth/webauthn/credentials/${row.id}`)
+                .set('x-fresh', 'true')
+                .set('X-Forwarded-For', '10.13.1.2');
+
+            expect(res.status).toBe(400);
+            expect(credentials.size).toBe(1);
+            expect(deviceDb.revokeAllDeviceTrust).not.toHaveBeenCalled();
+        });
+
+        it('should not accept an assertion from a key that is not registered', async () => {
+            await registerKey(new SoftwareAuthenticator());
+            const [row] = credentials.values();
+
+            const res = await removeWith(row.id, new SoftwareAuthenticator());
+
+            expect(res.status).toBe(401);
+            expect(credentials.size).toBe(1);
+        });
+
+        it('should delete a lost key with a code from an authenticator app and count wrong codes', async () => {
+            await registerKey(new SoftwareAuthenticator());
+            const [row] = credentials.values();
+            const secret = speakeasy.generateSecret({ length: 20 });
+            totpFactors.push({ id: randomUUID(), user_id: '123', type: 'totp', name: 'Phone', secret_enc: `encrypted_${secret.base32}`, last_totp_step: null });
+            const code = speakeasy.totp({ secret: secret.base32, encoding: 'base32' });
+            const remove = (body) => request(app)
+                .delete(`/auth/webauthn/credentials/${row.id}`)
+                .set('x-fresh', 'true')
+                .set('X-Forwarded-For', '10.13.1.3')
+                .send(body);
+
+            const wrong = await remove({ code: String((Number(code) + 1) % 1000000).padStart(6, '0') });
+            expect(wrong.status).toBe(401);
+            expect(credentials.size).toBe(1);
+            expect(mfaAttempts).toEqual([expect.objectContaining({ was_successful: false, method: 'totp' })]);
+
+            const res = await remove({ code });
+            expect(res.status).toBe(200);
+            expect(credentials.size).toBe(0);
+            // With the last second factor gone no browser may keep skipping MFA
+            expect(deviceDb.revokeAllDeviceTrust).toHaveBeenCalledWith('123');
+        });
+
+        it('should return 404 for a key that does not exist', async () => {
+            const res = await request(app).put(`/auth/webauthn/credentials/${randomUUID()}`).send({ name: 'Nope' });
+
+            expect(res.status).toBe(404);
+        });
+    });
+
+    describe('login', () => {
+        it('should only continue a pending MFA login', async () => {
+            await registerKey(new SoftwareAuthenticator());
+            const accessToken = signToken(TOKEN_TYPES.ACCESS, { id: '123', email: 'test@example.com', sid: 'device-1' });
+
+            const res = await request(app)
+                .post('/auth/webauthn/login/options')
+                .set('X-Forwarded-For', '10.13.0.1')
+                .set('Cookie', [`sb-access-token=${accessToken}`]);
+
+            expect(res.status).toBe(401);
+        });
+
+        it('should complete the login, advance the counter and issue a session', async () => {
+            const authenticator = new SoftwareAuthenticator({ counter: 1 });
+            await registerKey(authenticator);
+
+            const res = await loginWith(authenticator, { ip: '10.13.0.2', body: { trust_device: true } });
+
+            expect(res.status).toBe(200);
+            expect(res.body).toMatchObject({ authenticated: true, user: { id: '123' } });
+            expect(deviceDb.registerUserDevice).toHaveBeenCalled();
+            const cookies = res.headers['set-cookie'].join(';');
+            expect(cookies).toContain('sb-refresh-token=');
+            expect(cookies).toContain('sb-trusted-device=');
+            expect(deviceDb.trustDevice).toHaveBeenCalledWith('device-2', '123', expect.any(String), expect.any(String));
+
+            const [stored] = credentials.values();
+            expect(stored.sign_count).toBe(2);
+            expect(stored.last_used_at).not.toBeNull();
+        });
+
+        it('should reject a counter that does not advance and audit it', async () => {
+            const authenticator = new SoftwareAuthenticator({ counter: 1 });
+            await registerKey(authenticator);
+            expect((await loginWith(authenticator, { ip: '10.13.0.3' })).status).toBe(200);
+
+            // A clone of the key still reports the old counter
+            const res = await loginWith(authenticator, { ip: '10.13.0.3', assertOptions: { advance: false } });
+
+            expect(res.status).toBe(401);
+            expect(res.headers['set-cookie'] ?? []).not.toEqual(expect.arrayContaining([expect.stringContaining('sb-refresh-token=')]));
+            expect(auditDb.recordAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+                eventType: 'WEBAUTHN_SIGN_COUNT_REGRESSION',
+                metadata: expect.objectContaining({ stored_count: 2, received_count: 2 }),
+            }));
+        });
+
+        it('should accept authenticators without a signature counter', async () => {
+            const authenticator = new SoftwareAuthenticator({ counter: 0 });
+            await registerKey(authenticator);
+
+            expect((await loginWith(authenticator, { ip: '10.13.0.4' })).status).toBe(200);
+            expect((await loginWith(authenticator, { ip: '10.13.0.4' })).status).toBe(200);
+        });
+
+        it('should reject a key that is not registered to the account', async () => {
+            await registerKey(new SoftwareAuthenticator());
+
+            const res = await loginWith(new SoftwareAuthenticator(), { ip: '10.13.0.5' });
+
+            expect(res.status).toBe(401);
+            expect(deviceDb.registerUserDevice).not.toHaveBeenCalled();
+        });
+
+        it('should reject an assertion made for another origin', async () => {
+            const authenticator = new SoftwareAuthenticator({ counter: 1 });
+            await registerKey(authenticator);
+
+            const res = await loginWith(authenticator, { ip: '10.13.0.6', assertOptions: { origin: 'https://evil.example' } });
+
+            expect(res.status).toBe(401);
+            expect([...credentials.values()][0].sign_count).toBe(1);
+        });
+    });
+});
@@ -0,0 +1,207 @@
+import { randomBytes } from "crypto";
+import { getLockoutPolicy } from "../config/lockoutPolicy.js";
+import {
+  beginLoginAttempt,
+  markLoginAttemptSuccessful,
+  deleteLoginAttempt,
+  getRecentAttemptsForUser,
+} from "../models/loginAttemptModel.js";
+import { recordAuditEvent } from "../models/auditLogModel.js";
+import { clearAccountLockout } from "../models/userModel.js";
+import { createChallenge, consumeChallenge } from "../models/challengeModel.js";
+import { sendMail, appUrl } from "./mailer.js";
+import { getClientIp, hashToken } from "./session.js";
+
+// --- Per-Account Lockout ---
+// See config/lockoutPolicy.js for the policy. State is derived from
+// login_attempts on every check; nothing extra is stored except
+// users.lockout_cleared_at when an account is unlocked.
+// A password attempt is counted as a failure before the password is checked
+// (reserveLoginAttempt), the same scheme as utils/mfaAttempts.js.
+
+const UNLOCK_PURPOSE = "account-unlock";
+const UNLOCK_TTL_SECONDS = 24 * 60 * 60;
+
+/**
+ * Lockout state for an account.
+ *
+ * @param {{ id: string, lockout_cleared_at?: string|null }} user
+ * @returns {Promise<{ failures: number, locked: boolean, retryAfterSeconds: number, lockedUntil: string|null }>}
+ *   retryAfterSeconds > 0 means the next attempt must be refused (backoff or lock).
+ */
+export async function getAccountLockState(user) {
+  const policy = getLockoutPolicy();
+  const now = Date.now();
+
+  let since = now - policy.windowMinutes * 60 * 1000;
+  if (user.lockout_cleared_at) {
+    since = Math.max(since, Date.parse(user.lockout_cleared_at));
+  }
+
+  const attempts = await getRecentAttemptsForUser(user.id, new Date(since).toISOString(), policy.threshold);
+  let failures = 0;
+  for (const attempt of attempts) {
+    if (attempt.was_successful) break;
+    failures++;
+  }
+  if (failures === 0) {
+    return { failures, locked: false, retryAfterSeconds: 0, lockedUntil: null };
+  }
+
+  const lastFailureAt = Date.parse(attempts[0].attempt_time);
+  let blockedUntil = 0;
+  let locked = false;
+  if (failures >= policy.threshold) {
+    blockedUntil = lastFailureAt + policy.durationMinutes * 60 * 1000;
+    locked = blockedUntil > now;
+  } else if (failures >= policy.backoffAfter) {
+    const delaySeconds = Math.min(
+      policy.backoffBaseSeconds * 2 ** (failures - policy.backoffAfter),
+      policy.durationMinutes * 60
+    );
+    blockedUntil = lastFailureAt + delaySeconds * 1000;
+  }
+
+  return {
+    failures,
+    locked,
+    retryAfterSeconds: blockedUntil > now ? Math.ceil((blockedUntil - now) / 1000) : 0,
+    lockedUntil: locked ? new Date(blockedUntil).toISOString() : null,
+  };
+}
+
+/**
+ * Count a password attempt for a known account before the password is checked,
+ * unless the account is in backoff or locked. Check the password only if an
+ * attempt comes back.
+ *
+ * @param {import('express').Request} req
+ * @param {{ id: string }} user
+ * @returns {Promise<{ attempt: { id: string, failures: number }|null, locked: boolean, retryAfterSeconds: number, lockedUntil: string|null }>}
+ */
+export async function reserveLoginAttempt(req, user) {
+  const result = await beginLoginAttempt({
+    userId: user.id,
+    ipAddress: getClientIp(req),
+    userAgent: req.headers["user-agent"] || null,
+    policy: getLockoutPolicy(),
+  });
+
+  const blockedUntil = result.blocked_until ? Date.parse(result.blocked_until) : 0;
+  return {
+    attempt: result.attempt_id ? { id: result.attempt_id, failures: result.failures } : null,
+    locked: !!result.locked,
+    retryAfterSeconds: blockedUntil ? Math.max(1, Math.ceil((blockedUntil - Date.now()) / 1000)) : 0,
+    lockedUntil: result.locked ? new Date(blockedUntil).toISOString() : null,
+  };
+}
+
+/**
+ * Settle a reserved attempt whose password was wrong. It already counts as a
+ * failure; if it is the one that reached the threshold, the account is locked
+ * from now on (audit event + unlock email).
+ *
+ * @param {import('express').Request} req
+ * @param {{ id: string, email: string }} user
+ * @param {{ id: string, failures: number }} attempt
+ */
+export async function recordFailedLogin(req, user, attempt) {
+  const policy = getLockoutPolicy();
+  if (attempt.failures < policy.threshold) return;
+
+  const lockedUntil = new Date(Date.now() + policy.durationMinutes * 60 * 1000).toISOString();
+  await recordAuditEvent({
+    userId: user.id,
+    eventType: "ACCOUNT_LOCKED",
+    ipAddress: getClientIp(req),
+    metadata: { failures: attempt.failures, locked_until: lockedUntil },
+  }).catch(() => { });
+  await sendUnlockEmail(user, lockedUntil).catch((err) => {
+    console.error("Failed to send unlock email:", err.message || err);
+  });
+}
+
+/**
+ * Settle a reserved attempt whose password was accepted, which ends the account's run of failures.
+ *
+ * @param {{ id: string }} attempt
+ */
+export async function recordSuccessfulLogin(attempt) {
+  await markLoginAttemptSuccessful(attempt.id).catch(() => { });
+}
+
+/**
+ * Withdraw a reserved attempt that counts neither way.
+ *
+ * @param {{ id: string }} attempt
+ */
+export async function releaseLoginAttempt(attempt) {
+  await deleteLoginAttempt(attempt.id).catch(() => { });
+}
+
+/**
+ * Email the account owner a single-use unlock link.
+ *
+ * @param {{ id: string, email: string }} user
+ * @param {string|null} lockedUntil - ISO timestamp the lock would otherwise end.
+ */
+export async function sendUnlockEmail(user, lockedUntil) {
+  const secret = randomBytes(32).toString("base64url");
+  const challenge = await createChallenge({
+    userId: user.id,
+    purpose: UNLOCK_PURPOSE,
+    payload: { secret_hash: hashToken(secret) },
+    ttlSeconds: UNLOCK_TTL_SECONDS,
+  });
+  const token = `${challenge.id}.${secret}`;
+
+  await sendMail({
+    to: user.email,
+    subject: "Your PasswordPal account was locked",
+    text:
+      "We locked your account after too many failed login attempts" +
+      (lockedUntil ? ` (until ${lockedUntil}).` : ".") +
+      "\n\nIf this was you, unlock it now:\n" +
+      `${appUrl()}/unlock?token=${encodeURIComponent(token)}\n\n` +
+      "If it was not you, someone may be guessing your master password. The lock protects you; no action is required.",
+  });
+}
+
+/**
+ * Redeem an unlock link token. Single use.
+ *
+ * @param {string} token - `<challenge id>.<secret>` from the email.
+ * @returns {Promise<string|null>} The account's user ID, or null if the token is invalid, used or expired.
+ */
+export async function redeemUnlockToken(token) {
+  const [challengeId, secret] = String(token).split(".");
+  if (!challengeId || !secret) return null;
+
+  let challenge;
+  try {
+    challenge = await consumeChallenge(challengeId, UNLOCK_PURPOSE);
+  } catch {
+    return null; // e.g. malformed UUID
+  }
+  if (!challenge || challenge.payload?.secret_hash !== hashToken(secret)) {
+    return null;
+  }
+  return challenge.user_id;
+}
+
+/**
+ * Clear an account's lockout and record who cleared it.
+ *
+ * @param {import('express').Request} req
+ * @param {string} userId
+ * @param {'email'|'recovery_key'|'password_recovery'} method
+ */
+export async function unlockAccount(req, userId, method) {
+  await clearAccountLockout(userId);
+  await recordAuditEvent({
+    userId,
+    eventType: "ACCOUNT_UNLOCKED",
+    ipAddress: getClientIp(req),
+    metadata: { method },
+  }).catch(() => { });
+}
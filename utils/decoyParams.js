@@ -0,0 +1,101 @@
+import argon2 from "argon2";
+import { createHmac, hkdfSync, randomBytes } from "crypto";
+import { DEFAULT_KDF_PARAMS } from "../config/kdfPolicy.js";
+
+// --- Decoy Auth Params ---
+// Unauthenticated lookups (/auth/params, /auth/srp/init, /auth/recover/init) answer unknown emails
+// with fake values instead of a 404, so the response does not reveal whether an
+// account exists. The fakes are an HMAC of the email under a server secret:
+// the same email always gets the same values, and nobody without the secret can
+// tell them from a real account's.
+//
+// Secret: DECOY_PARAMS_SECRET, or a key derived from JWT_SECRET when unset.
+
+// Byte lengths of the real values: a 16-byte KDF salt and a 256-bit MEK wrapped
+// with AES-GCM (12-byte IV + 32-byte key + 16-byte tag).
+const SALT_BYTES = 16;
+const WRAPPED_MEK_BYTES = 60;
+const SRP_SALT_BYTES = 16;
+
+let decoySecret = null;
+
+function getDecoySecret() {
+  if (!decoySecret) {
+    if (process.env.DECOY_PARAMS_SECRET) {
+      decoySecret = Buffer.from(process.env.DECOY_PARAMS_SECRET);
+    } else if (process.env.JWT_SECRET) {
+      decoySecret = Buffer.from(hkdfSync("sha256", process.env.JWT_SECRET, "", "passwordpal-decoy-params", 32));
+    } else {
+      throw new Error("No secret configured for decoy auth params (set DECOY_PARAMS_SECRET or JWT_SECRET)");
+    }
+  }
+  return decoySecret;
+}
+
+/**
+ * Deterministic pseudo-random bytes for an email and purpose.
+ */
+function decoyBytes(email, purpose, length) {
+  const chunks = [];
+  for (let counter = 0; counter * 32 < length; counter++) {
+    chunks.push(
+      createHmac("sha256", getDecoySecret())
+        .update(`${purpose}:${counter}:${email.trim().toLowerCase()}`)
+        .digest()
+    );
+  }
+  return Buffer.concat(chunks).subarray(0, length);
+}
+
+/**
+ * Fake login parameters for an email with no account.
+ * @param {string} email
+ * @returns {{ salt: string, wrapped_mek: string, kdf_params: Object }}
+ */
+export function decoyAuthParams(email) {
+  return {
+    salt: decoyBytes(email, "salt", SALT_BYTES).toString("base64"),
+    wrapped_mek: decoyBytes(email, "wrapped-mek", WRAPPED_MEK_BYTES).toString("base64"),
+    kdf_params: DEFAULT_KDF_PARAMS,
+  };
+}
+
+/**
+ * Fake SRP salt for an email that cannot do SRP login (unknown, or not upgraded yet).
+ * @param {string} email
+ * @returns {string} Hex salt.
+ */
+export function decoySrpSalt(email) {
+  return decoyBytes(email, "srp-salt", SRP_SALT_BYTES).toString("hex");
+}
+
+/**
+ * Fake recovery-wrapped MEK for an email with no usable recovery key.
+ * @param {string} email
+ * @returns {string} Base64, the same length as a real wrapped_mek_recovery.
+ */
+export function decoyWrappedMekRecovery(email) {
+  return decoyBytes(email, "wrapped-mek-recovery", WRAPPED_MEK_BYTES).toString("base64");
+}
+
+let dummyHashPromise = null;
+
+/**
+ * Run one Argon2 verification against a throwaway hash, so that a request for
+ * an unknown account costs the same as a wrong password for a real one.
+ * @returns {Promise<false>}
+ */
+export async function burnPasswordCheck() {
+  if (!dummyHashPromise) {
+    dummyHashPromise = argon2.hash(randomBytes(32).toString("hex"));
+  }
+  await argon2.verify(await dummyHashPromise, "not-the-password").catch(() => false);
+  return false;
+}
+
+/**
+ * Drop the cached secret (tests and runtime secret rotation).
+ */
+export function resetDecoySecret() {
+  decoySecret = null;
+}
@@ -0,0 +1,97 @@
+import { createHash, randomInt, timingSafeEqual } from "crypto";
+import {
+  createEmailCode,
+  getActiveEmailCode,
+  recordEmailCodeFailure,
+  consumeEmailCode,
+  getRecentEmailCodeTimes,
+} from "../models/mfaEmailCodeModel.js";
+import { sendMail } from "./mailer.js";
+
+// --- Email One-Time Codes ---
+// A fallback second factor for users who turned it on: a 6-digit code is emailed
+// for one mfa-pending login. Only its hash is stored, salted with the login's jti,
+// so a code cannot complete any other login. Each code dies after a few wrong
+// guesses; the per-login and per-user limits of utils/mfaAttempts.js apply on top.
+
+// Well within the 5-minute mfa-pending token it belongs to
+export const EMAIL_OTP_TTL_SECONDS = 5 * 60;
+const MAX_ATTEMPTS_PER_CODE = 3;
+const RESEND_COOLDOWN_SECONDS = 60;
+const RESEND_MAX_PER_HOUR = 5;
+
+function hashEmailOtp(pendingTokenId, code) {
+  return createHash("sha256").update(`${pendingTokenId}:${code}`).digest("hex");
+}
+
+/**
+ * Seconds until another code may be emailed to this user; 0 if one may be sent now.
+ *
+ * @param {string} userId
+ * @returns {Promise<number>}
+ */
+export async function getEmailOtpResendDelay(userId) {
+  const now = Date.now();
+  const sentAt = await getRecentEmailCodeTimes(userId, new Date(now - 60 * 60 * 1000).toISOString());
+
+  let allowedAt = 0;
+  if (sentAt.length >= RESEND_MAX_PER_HOUR) {
+    allowedAt = Date.parse(sentAt[RESEND_MAX_PER_HOUR - 1]) + 60 * 60 * 1000;
+  } else if (sentAt.length) {
+    allowedAt = Date.parse(sentAt[0]) + RESEND_COOLDOWN_SECONDS * 1000;
+  }
+  return allowedAt > now ? Math.ceil((allowedAt - now) / 1000) : 0;
+}
+
+/**
+ * Email a fresh code for a login at the MFA step. Any code sent earlier for the
+ * same login stops working.
+ *
+ * @param {{ id: string, email: string }} user
+ * @param {string} pendingTokenId - jti of the mfa-pending token.
+ * @returns {Promise<import('../validators/schemas.js').MfaEmailCode>}
+ * @throws {Error} If the code cannot be stored or the mail cannot be sent.
+ */
+export async function sendEmailOtp(user, pendingTokenId) {
+  const code = String(randomInt(0, 1000000)).padStart(6, "0");
+  const row = await createEmailCode({
+    userId: user.id,
+    pendingTokenId,
+    codeHash: hashEmailOtp(pendingTokenId, code),
+    ttlSeconds: EMAIL_OTP_TTL_SECONDS,
+  });
+
+  await sendMail({
+    to: user.email,
+    subject: "Your PasswordPal login code",
+    text:
+      `Your PasswordPal login code is ${code}\n\n` +
+      "It expires in 5 minutes and works once. If you are not logging in right now, " +
+      "someone has your master password: change it as soon as possible.",
+  });
+
+  return row;
+}
+
+/**
+ * Check an emailed code and use it up if it matches.
+ *
+ * @param {string} userId
+ * @param {string} pendingTokenId - jti of the mfa-pending token presenting the code.
+ * @param {string} code - The 6-digit code.
+ * @returns {Promise<'accepted'|'invalid'|'missing'>} 'missing' if no usable code was sent for this login.
+ */
+export async function verifyEmailOtp(userId, pendingTokenId, code) {
+  const row = await getActiveEmailCode(userId, pendingTokenId);
+  if (!row || row.attempts >= MAX_ATTEMPTS_PER_CODE) return "missing";
+
+  const expected = Buffer.from(row.code_hash, "hex");
+  const actual = Buffer.from(hashEmailOtp(pendingTokenId, code), "hex");
+  if (!timingSafeEqual(expected, actual)) {
+    await recordEmailCodeFailure(row.id, row.attempts);
+    return "invalid";
+  }
+
+  // Conditional, so of two requests racing with the same code exactly one wins
+  return (await consumeEmailCode(row.id)) ? "accepted" : "missing";
+}
@@ -0,0 +1,84 @@
+import { TOKEN_TYPES, signToken, verifyToken } from "../config/tokenKeys.js";
+import {
+  createVerificationToken,
+  consumeVerificationToken,
+  getRecentVerificationTokenTimes,
+} from "../models/emailVerificationModel.js";
+import { markEmailVerified } from "../models/userModel.js";
+import { sendMail, appUrl } from "./mailer.js";
+
+// --- Email Verification ---
+// A verification link carries a JWT signed with the email-verification keyring.
+// Its jti names an email_verification_tokens row, which makes the link single-use
+// and ties it to the address it was sent to.
+
+const VERIFICATION_TTL_SECONDS = 24 * 60 * 60;
+const RESEND_COOLDOWN_SECONDS = 60;
+const RESEND_MAX_PER_HOUR = 5;
+
+/**
+ * Issue a verification link and email it to the user's address.
+ *
+ * @param {{ id: string, email: string }} user
+ * @returns {Promise<void>}
+ * @throws {Error} If the token cannot be stored or the mail cannot be sent.
+ */
+export async function sendVerificationEmail(user) {
+  const row = await createVerificationToken({
+    userId: user.id,
+    email: user.email,
+    expiresAt: new Date(Date.now() + VERIFICATION_TTL_SECONDS * 1000).toISOString(),
+  });
+
+  const token = signToken(
+    TOKEN_TYPES.EMAIL_VERIFICATION,
+    { id: user.id, email: user.email },
+    { expiresIn: VERIFICATION_TTL_SECONDS, jwtid: row.id }
+  );
+
+  await sendMail({
+    to: user.email,
+    subject: "Confirm your PasswordPal email address",
+    text:
+      "Confirm that this address belongs to your PasswordPal account:\n" +
+      `${appUrl()}/verify-email?token=${encodeURIComponent(token)}\n\n` +
+      "The link expires in 24 hours and works once. If you did not create an account, ignore this email.",
+  });
+}
+
+/**
+ * Whether another verification email may be sent to this user now.
+ *
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+export async function canResendVerification(userId) {
+  const sentAt = await getRecentVerificationTokenTimes(
+    userId,
+    new Date(Date.now() - 60 * 60 * 1000).toISOString()
+  );
+  if (sentAt.length >= RESEND_MAX_PER_HOUR) return false;
+  return !sentAt.length || Date.now() - Date.parse(sentAt[0]) >= RESEND_COOLDOWN_SECONDS * 1000;
+}
+
+/**
+ * Redeem a verification link.
+ *
+ * @param {string} token - The JWT from the link.
+ * @returns {Promise<string|null>} The verified user's ID, or null if the link is invalid, used or expired.
+ */
+export async function redeemVerificationToken(token) {
+  let claims;
+  try {
+    claims = verifyToken(TOKEN_TYPES.EMAIL_VERIFICATION, token);
+  } catch {
+    return null;
+  }
+  if (!claims.jti || !claims.id) return null;
+
+  const row = await consumeVerificationToken(claims.jti, claims.id);
+  if (!row || row.email !== claims.email) return null;
+
+  const verified = await markEmailVerified(claims.id, row.email);
+  return verified ? claims.id : null;
+}
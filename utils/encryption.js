@@ -1,18 +1,59 @@
+import { createCipheriv, createDecipheriv, randomBytes } from 'crypto';
 import CryptoJS from 'crypto-js';
+import { getEncryptionKeyring } from '../config/encryptionKeys.js';
 
-// Encryption key - should be stored in environment variables
-const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'default-secret-key-change-in-production';
+// Envelope: v1:<kid>:<iv>:<ciphertext>:<tag>, base64url parts, AES-256-GCM.
+// The version and key id are authenticated as additional data, so an envelope
+// cannot be relabelled to another key. Anything without the prefix is the
+// legacy CryptoJS passphrase format (base64 of "Salted__...").
+const VERSION = 'v1';
+const IV_BYTES = 12;
+
+const aadFor = (kid) => Buffer.from(`${VERSION}:${kid}`, 'utf8');
+
+const isEnvelope = (value) => typeof value === 'string' && value.startsWith(`${VERSION}:`);
+
+function decryptEnvelope(envelope) {
+  const parts = envelope.split(':');
+  if (parts.length !== 5) {
+    throw new Error('Malformed envelope');
+  }
+  const [, kid, iv, ciphertext, tag] = parts;
+  const entry = getEncryptionKeyring().keysById.get(kid);
+  if (!entry) {
+    throw new Error(`Unknown encryption key "${kid}"`);
+  }
+
+  const decipher = createDecipheriv('aes-256-gcm', entry.key, Buffer.from(iv, 'base64url'));
+  decipher.setAAD(aadFor(kid));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8');
+}
+
+function decryptLegacy(encryptedData) {
+  const { legacyPassphrase } = getEncryptionKeyring();
+  if (!legacyPassphrase) {
+    throw new Error('Legacy value and no ENCRYPTION_KEY to decrypt it');
+  }
+  return CryptoJS.AES.decrypt(encryptedData, legacyPassphrase).toString(CryptoJS.enc.Utf8);
+}
 
 /**
  * Encrypt sensitive data (like TOTP secrets) before storing in the database.
- * Uses AES encryption via crypto-js.
- * 
+ * Uses AES-256-GCM with the current key from config/encryptionKeys.js.
+ *
  * @param {string} data - Plaintext data to encrypt.
- * @returns {string} - AES encrypted string.
+ * @returns {string} - Versioned envelope naming the key that encrypted it.
  */
 export const encryptData = (data) => {
   try {
-    return CryptoJS.AES.encrypt(data, ENCRYPTION_KEY).toString();
+    const { kid, key } = getEncryptionKeyring().current;
+    const iv = randomBytes(IV_BYTES);
+    const cipher = createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(aadFor(kid));
+    const ciphertext = Buffer.concat([cipher.update(String(data), 'utf8'), cipher.final()]);
+
+    return [VERSION, kid, iv.toString('base64url'), ciphertext.toString('base64url'), cipher.getAuthTag().toString('base64url')].join(':');
   } catch (err) {
     console.error('Encryption error:', err);
     throw new Error('Failed to encrypt data');
@@ -21,13 +62,14 @@ export const encryptData = (data) => {
 
 /**
  * Decrypt sensitive data (like TOTP secrets) retrieved from the database.
- * 
+ * Accepts envelopes under any key in the keyring and legacy CryptoJS values.
+ *
  * @param {string} encryptedData - The encrypted string to decrypt.
  * @returns {string} - The original plaintext data.
  */
 export const decryptData = (encryptedData) => {
   try {
-    const decrypted = CryptoJS.AES.decrypt(encryptedData, ENCRYPTION_KEY).toString(CryptoJS.enc.Utf8);
+    const decrypted = isEnvelope(encryptedData) ? decryptEnvelope(encryptedData) : decryptLegacy(encryptedData);
     if (!decrypted) {
       throw new Error('Decryption resulted in empty string');
     }
@@ -38,4 +80,24 @@ export const decryptData = (encryptedData) => {
   }
 };
 
-export default { encryptData, decryptData };
+/**
+ * Whether a stored value should be rewritten: legacy format, or encrypted under
+ * a key other than the current one.
+ *
+ * @param {string} encryptedData
+ * @returns {boolean}
+ */
+export const needsReencryption = (encryptedData) => {
+  if (!isEnvelope(encryptedData)) return true;
+  return encryptedData.split(':')[1] !== getEncryptionKeyring().current.kid;
+};
+
+/**
+ * Decrypt a stored value and encrypt it again under the current key.
+ *
+ * @param {string} encryptedData
+ * @returns {string} - New envelope.
+ */
+export const reencryptData = (encryptedData) => encryptData(decryptData(encryptedData));
+
+export default { encryptData, decryptData, needsReencryption, reencryptData };
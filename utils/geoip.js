@@ -0,0 +1,41 @@
+import maxmind from "maxmind";
+
+// --- Country Lookup ---
+// Turns a client IP into an ISO 3166-1 alpha-2 country code with a MaxMind
+// GeoLite2-Country database (GEOIP_COUNTRY_DB, path to the .mmdb file), so that
+// only the country is stored and the raw IP never reaches the database.
+// Without a database every lookup is null, which the schema allows.
+
+let reader = null;
+let readerPath = null;
+
+function getReader() {
+  const dbPath = process.env.GEOIP_COUNTRY_DB;
+  if (!dbPath) return null;
+  if (readerPath !== dbPath) {
+    readerPath = dbPath;
+    try {
+      reader = maxmind.openSync(dbPath);
+    } catch (err) {
+      console.warn(`[GEOIP] Cannot open ${dbPath}: ${err.message}`);
+      reader = null;
+    }
+  }
+  return reader;
+}
+
+/**
+ * Country of an IP address.
+ *
+ * @param {string|null} ip
+ * @returns {string|null} ISO 3166-1 alpha-2 code, or null for private, unmapped or invalid addresses.
+ */
+export function resolveCountry(ip) {
+  const db = getReader();
+  if (!db || !ip) return null;
+  try {
+    return db.get(ip)?.country?.iso_code ?? null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,122 @@
+import fs from "fs";
+import path from "path";
+import { randomBytes } from "crypto";
+import nodemailer from "nodemailer";
+
+// --- Outgoing Mail ---
+// Security notifications and account links (verification, unlock).
+// The transport is chosen with MAIL_TRANSPORT:
+//   console (default) — log the message; for local development
+//   file              — write each message as an .eml file to MAIL_OUTBOX_DIR
+//                       (default ./mail-outbox); for development without a mail server
+//   memory            — keep messages in an in-process outbox; for tests
+//   smtp              — deliver via SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS
+// The sender is MAIL_FROM. None of the local transports touch the network.
+
+const DEFAULT_FROM = "PasswordPal <no-reply@passwordpal.local>";
+
+const outbox = [];
+let smtpTransport = null;
+
+function getSmtpTransport() {
+  if (!smtpTransport) {
+    if (!process.env.SMTP_HOST) {
+      throw new Error("MAIL_TRANSPORT=smtp requires SMTP_HOST");
+    }
+    smtpTransport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === "true", // true for 465, STARTTLS otherwise
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return smtpTransport;
+}
+
+/**
+ * Render a message in RFC 5322 form for the file outbox.
+ */
+function toEml(message) {
+  return [
+    `From: ${message.from}`,
+    `To: ${message.to}`,
+    `Subject: ${message.subject}`,
+    `Date: ${new Date(message.sentAt).toUTCString()}`,
+    "Content-Type: text/plain; charset=utf-8",
+    "",
+    message.text,
+    "",
+  ].join("\r\n");
+}
+
+const transports = {
+  console: async (message) => {
+    console.log(`[MAIL] To: ${message.to}\n[MAIL] Subject: ${message.subject}\n${message.text}`);
+  },
+  file: async (message) => {
+    const dir = process.env.MAIL_OUTBOX_DIR || "mail-outbox";
+    await fs.promises.mkdir(dir, { recursive: true });
+    const name = `${message.sentAt.replace(/[:.]/g, "-")}-${randomBytes(4).toString("hex")}.eml`;
+    await fs.promises.writeFile(path.join(dir, name), toEml(message));
+  },
+  memory: async (message) => {
+    outbox.push(message);
+  },
+  smtp: async (message) => {
+    await getSmtpTransport().sendMail({
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+    });
+  },
+};
+
+/**
+ * Send an email through the configured transport.
+ *
+ * @param {Object} message
+ * @param {string} message.to - Recipient address.
+ * @param {string} message.subject - Subject line.
+ * @param {string} message.text - Plain-text body.
+ * @returns {Promise<void>}
+ * @throws {Error} If MAIL_TRANSPORT names an unknown transport or delivery fails.
+ */
+export async function sendMail({ to, subject, text }) {
+  const name = process.env.MAIL_TRANSPORT || "console";
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  }
+  await transport({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    sentAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Messages captured by the memory transport, oldest first.
+ * @returns {Array<{ from: string, to: string, subject: string, text: string, sentAt: string }>}
+ */
+export function getOutbox() {
+  return outbox;
+}
+
+/**
+ * Empty the memory outbox.
+ */
+export function clearOutbox() {
+  outbox.length = 0;
+}
+
+/**
+ * Base URL of the frontend, for links in emails.
+ */
+export function appUrl() {
+  return (process.env.FRONTEND_URL || "http://localhost:5173").replace(/\/+$/, "");
+}
@@ -1,7 +1,8 @@
+import { randomInt } from 'crypto';
 import bcrypt from 'bcryptjs';
 
 /**
- * Generates a set of random backup codes.
+ * Generates a set of random backup codes from the CSPRNG.
  * Uses a character set that avoids ambiguous characters (like I, l, 1, O, 0).
  * 
  * @param {number} count - Number of codes to generate (default 10).
@@ -14,7 +15,7 @@ export function generateBackupCodes(count = 10, length = 10) {
   for (let i = 0; i < count; i++) {
     let code = '';
     for (let j = 0; j < length; j++) {
-      code += chars.charAt(Math.floor(Math.random() * chars.length));
+      code += chars.charAt(randomInt(chars.length));
     }
     codes.push(code);
   }
@@ -0,0 +1,129 @@
+import { getMfaPolicy } from "../config/mfaPolicy.js";
+import {
+  beginMfaAttempt,
+  markMfaAttemptSuccessful,
+  deleteMfaAttempt,
+  getRecentMfaAttemptsForUser,
+  countFailedMfaAttemptsForToken,
+} from "../models/mfaAttemptModel.js";
+import { recordAuditEvent } from "../models/auditLogModel.js";
+import { getClientIp } from "./session.js";
+
+// --- MFA Attempt Limits ---
+// See config/mfaPolicy.js for the policy. Like the per-account lockout, state is
+// derived from mfa_attempts on every check: the run of wrong codes for the user
+// since their last accepted one, and the wrong codes sent with this mfa-pending token.
+// An attempt is counted as a failure before its code is checked (reserveMfaAttempt)
+// and only turned into a success afterwards, so requests racing with the same
+// token or user are limited like requests sent one after another.
+
+/**
+ * Attempt-limit state for a second-factor check.
+ *
+ * @param {string} userId
+ * @param {string|null} pendingTokenId - jti of the mfa-pending token; null for a full session.
+ * @returns {Promise<{ failures: number, locked: boolean, retryAfterSeconds: number, lockedUntil: string|null, tokenExhausted: boolean }>}
+ */
+export async function getMfaLockState(userId, pendingTokenId) {
+  const policy = getMfaPolicy();
+  const now = Date.now();
+
+  const tokenExhausted = pendingTokenId
+    ? (await countFailedMfaAttemptsForToken(pendingTokenId)) >= policy.maxAttemptsPerToken
+    : false;
+
+  const since = new Date(now - policy.windowMinutes * 60 * 1000).toISOString();
+  const attempts = await getRecentMfaAttemptsForUser(userId, since, policy.threshold);
+  let failures = 0;
+  for (const attempt of attempts) {
+    if (attempt.was_successful) break;
+    failures++;
+  }
+
+  let lockedUntil = 0;
+  if (failures >= policy.threshold) {
+    lockedUntil = Date.parse(attempts[0].attempt_time) + policy.durationMinutes * 60 * 1000;
+  }
+  const locked = lockedUntil > now;
+
+  return {
+    failures,
+    locked,
+    retryAfterSeconds: locked ? Math.ceil((lockedUntil - now) / 1000) : 0,
+    lockedUntil: locked ? new Date(lockedUntil).toISOString() : null,
+    tokenExhausted,
+  };
+}
+
+/**
+ * Count a second-factor attempt before its code is checked, unless the limits
+ * are already reached. Check the code only if an attempt comes back.
+ *
+ * @param {import('express').Request} req
+ * @param {string} userId
+ * @param {string|null} pendingTokenId - jti of the mfa-pending token; null for a full session.
+ * @param {'totp'|'backup_code'|'email_otp'} method
+ * @returns {Promise<{ attempt: { id: string, userId: string, method: string, failures: number }|null, locked: boolean, retryAfterSeconds: number, lockedUntil: string|null, tokenExhausted: boolean }>}
+ */
+export async function reserveMfaAttempt(req, userId, pendingTokenId, method) {
+  const policy = getMfaPolicy();
+  const result = await beginMfaAttempt({
+    userId,
+    pendingTokenId,
+    method,
+    ipAddress: getClientIp(req),
+    policy,
+  });
+
+  const lockedUntil = result.locked ? Date.parse(result.locked_until) : 0;
+  return {
+    attempt: result.attempt_id
+      ? { id: result.attempt_id, userId, method, failures: result.failures }
+      : null,
+    locked: !!result.locked,
+    retryAfterSeconds: result.locked ? Math.max(1, Math.ceil((lockedUntil - Date.now()) / 1000)) : 0,
+    lockedUntil: result.locked ? new Date(lockedUntil).toISOString() : null,
+    tokenExhausted: !!result.token_exhausted,
+  };
+}
+
+/**
+ * Settle a reserved attempt whose code was wrong. It already counts as a failure;
+ * if it is the one that reached the threshold, the lock starts now and is audited.
+ *
+ * @param {import('express').Request} req
+ * @param {{ id: string, userId: string, method: string, failures: number }} attempt
+ */
+export async function recordFailedMfaAttempt(req, attempt) {
+  const policy = getMfaPolicy();
+  if (attempt.failures < policy.threshold) return;
+
+  await recordAuditEvent({
+    userId: attempt.userId,
+    eventType: "MFA_LOCKED",
+    ipAddress: getClientIp(req),
+    metadata: {
+      failures: attempt.failures,
+      locked_until: new Date(Date.now() + policy.durationMinutes * 60 * 1000).toISOString(),
+      method: attempt.method,
+    },
+  }).catch(() => { });
+}
+
+/**
+ * Settle a reserved attempt whose code was accepted, which ends the user's run of failures.
+ *
+ * @param {{ id: string }} attempt
+ */
+export async function recordSuccessfulMfaAttempt(attempt) {
+  await markMfaAttemptSuccessful(attempt.id).catch(() => { });
+}
+
+/**
+ * Withdraw a reserved attempt that never got to check a code.
+ *
+ * @param {{ id: string }} attempt
+ */
+export async function releaseMfaAttempt(attempt) {
+  await deleteMfaAttempt(attempt.id).catch(() => { });
+}
@@ -0,0 +1,198 @@
+import speakeasy from "speakeasy";
+import bcrypt from "bcryptjs";
+import { getMfaSettings, consumeBackupCode } from "../models/mfaSettingsModel.js";
+import { listMfaFactors, recordTotpFactorUse } from "../models/mfaFactorModel.js";
+import { listWebAuthnCredentials } from "../models/webauthnCredentialModel.js";
+import { getMfaPolicy } from "../config/mfaPolicy.js";
+import { decryptData } from "./encryption.js";
+import { getMfaLockState, reserveMfaAttempt, recordFailedMfaAttempt, recordSuccessfulMfaAttempt } from "./mfaAttempts.js";
+import { verifySecurityKeyAssertion, createSecurityKeyChallenge } from "./webauthn.js";
+
+// --- Second-Factor Proofs ---
+// Checking TOTP and backup codes, shared by the TOTP endpoints and by anything
+// else that must see a second factor before weakening it (e.g. removing a
+// security key, adding a passkey). Every code is checked inside an attempt from startMfaAttempt,
+// so the attempt limits of utils/mfaAttempts.js apply everywhere a code is accepted.
+
+const TOTP_STEP_SECONDS = 30;
+const MFA_PROOF_PURPOSE = "mfa-proof";
+
+/**
+ * Match a code against a secret within the configured window (MFA_TOTP_WINDOW).
+ * @returns {number|null} The time step the code belongs to, or null if it matches none.
+ */
+export function matchTotpStep(secret, code) {
+  const counter = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  const match = speakeasy.totp.verifyDelta({
+    secret,
+    encoding: "base32",
+    token: String(code),
+    counter,
+    window: getMfaPolicy().totpWindow,
+  });
+  return match ? counter + match.delta : null;
+}
+
+/**
+ * Accept a code from any of the user's authenticators, each code at most once:
+ * its time step must be later than the last one that authenticator accepted,
+ * which is then moved forward (and its last_used_at stamped).
+ * @returns {Promise<Object|null>} The authenticator the code came from, or null.
+ */
+export async function acceptTotpCode(factors, code) {
+  for (const factor of factors) {
+    const step = matchTotpStep(decryptData(factor.secret_enc), code);
+    if (step === null) continue;
+    return (await recordTotpFactorUse(factor.id, step)) ? factor : null;
+  }
+  return null;
+}
+
+function sendBlockedResponse(res, state) {
+  if (state.tokenExhausted) {
+    res.clearCookie("sb-access-token");
+    return res.status(401).json({
+      error: "Too many incorrect codes. Please log in again.",
+      code: "MFA_ATTEMPTS_EXHAUSTED",
+    });
+  }
+  res.set("Retry-After", String(state.retryAfterSeconds));
+  return res.status(429).json({
+    error: "Too many incorrect codes. Please wait before trying again.",
+    locked_until: state.lockedUntil,
+    retry_after: state.retryAfterSeconds,
+  });
+}
+
+/**
+ * Refuse a request that leads up to a code (e.g. sending one) once this
+ * mfa-pending token has used up its attempts (401, log in again) or the user's
+ * MFA is locked (429). Checking a code goes through startMfaAttempt instead.
+ * @returns {Object|null} The sent response, or null if the request may go ahead.
+ */
+export async function rejectBlockedMfaAttempt(res, userId, pendingTokenId) {
+  const state = await getMfaLockState(userId, pendingTokenId);
+  return state.tokenExhausted || state.locked ? sendBlockedResponse(res, state) : null;
+}
+
+/**
+ * Count an attempt to check a code, or refuse it like rejectBlockedMfaAttempt.
+ * Settle the attempt with recordFailedMfaAttempt / recordSuccessfulMfaAttempt.
+ * Every endpoint that takes a code starts here, so wrong codes sent to any of
+ * them count towards the same per-user lock as at login.
+ * @returns {Promise<Object|null>} The attempt, or null if a refusal was sent.
+ */
+export async function startMfaAttempt(req, res, userId, pendingTokenId, method) {
+  const state = await reserveMfaAttempt(req, userId, pendingTokenId, method);
+  if (!state.attempt) {
+    sendBlockedResponse(res, state);
+    return null;
+  }
+  return state.attempt;
+}
+
+/**
+ * Use up one of the user's backup codes. The stored hashes are replaced with a
+ * conditional update, so a code is accepted once even when requests race.
+ * @returns {Promise<number|null>} Codes left, or null if the code is wrong, already used or lost a race.
+ */
+export async function useBackupCode(userId, settings, code) {
+  if (!settings?.backup_codes_enc) return null;
+
+  let hashedCodes = [];
+  try {
+    hashedCodes = JSON.parse(settings.backup_codes_enc);
+  } catch {
+    hashedCodes = [];
+  }
+
+  let matchedIndex = -1;
+  for (let i = 0; i < hashedCodes.length; i++) {
+    if (await bcrypt.compare(code, hashedCodes[i])) {
+      matchedIndex = i;
+      break;
+    }
+  }
+  if (matchedIndex === -1) return null;
+
+  const newHashes = hashedCodes.slice();
+  newHashes.splice(matchedIndex, 1);
+
+  const consumed = await consumeBackupCode(
+    userId,
+    settings.backup_codes_enc,
+    JSON.stringify(newHashes),
+    (settings.codes_used || 0) + 1
+  );
+  return consumed ? newHashes.length : null;
+}
+
+/**
+ * The kind of code verifyMfaProof will take this for.
+ * @returns {'totp'|'backup_code'}
+ */
+export function mfaProofMethod(code) {
+  return /^\d{6}$/.test(code) ? "totp" : "backup_code";
+}
+
+/**
+ * Check a code from any authenticator (6 digits) or a backup code before a change
+ * that weakens the second factor, within an attempt from startMfaAttempt.
+ * @returns {Promise<string|null>} The method that was accepted, or null.
+ */
+export async function verifyMfaProof(req, attempt, factors, code) {
+  const accepted = attempt.method === "totp"
+    ? !!(await acceptTotpCode(factors, code))
+    : (await useBackupCode(attempt.userId, await getMfaSettings(attempt.userId), code)) !== null;
+  if (!accepted) {
+    await recordFailedMfaAttempt(req, attempt);
+    return null;
+  }
+  await recordSuccessfulMfaAttempt(attempt);
+  return attempt.method;
+}
+
+/**
+ * Once MFA is on, require a second factor before adding another way into the
+ * account (a passkey, another security key): a code as for verifyMfaProof, or
+ * an assertion from one of the user's security keys. Without either, answers
+ * 401 MFA_PROOF_REQUIRED with a challenge for the keys, if there are any.
+ * @param {{ code?: string, challenge_id?: string, credential?: Object }} [proof]
+ * @returns {Promise<string|null>} The method accepted ("none" while MFA is off), or null if a response was sent.
+ */
+export async function requireMfaProof(req, res, userId, proof = {}) {
+  const [factors, securityKeys] = await Promise.all([
+    listMfaFactors(userId, "totp"),
+    listWebAuthnCredentials(userId),
+  ]);
+  if (factors.length === 0 && securityKeys.length === 0) return "none";
+
+  if (proof.credential) {
+    const result = await verifySecurityKeyAssertion(req, userId, proof.challenge_id, proof.credential, MFA_PROOF_PURPOSE);
+    if (result.error) {
+      res.status(result.status).json({ error: result.error });
+      return null;
+    }
+    return "webauthn";
+  }
+
+  if (!proof.code) {
+    res.status(401).json({
+      error: "MFA is enabled. Confirm with a code from your authenticator, a backup code or one of your security keys.",
+      code: "MFA_PROOF_REQUIRED",
+      ...(securityKeys.length > 0 && {
+        webauthn: await createSecurityKeyChallenge(userId, securityKeys, MFA_PROOF_PURPOSE),
+      }),
+    });
+    return null;
+  }
+
+  const attempt = await startMfaAttempt(req, res, userId, null, mfaProofMethod(proof.code));
+  if (!attempt) return null;
+  const method = await verifyMfaProof(req, attempt, factors, proof.code);
+  if (!method) {
+    res.status(401).json({ error: "Invalid code. Please try again." });
+    return null;
+  }
+  return method;
+}
@@ -0,0 +1,77 @@
+import { EventEmitter } from "events";
+import { randomInt } from "crypto";
+import { getSignedInDevicesByUserId } from "../models/deviceModel.js";
+import { createPushChallenge } from "../models/mfaPushChallengeModel.js";
+import { getClientIp } from "./session.js";
+
+// --- Push Approval ---
+// A login at the MFA step can be approved from another device of the same user
+// that has a session. The machine logging in shows a two-digit number; the
+// approving device is offered three numbers and must pick that one, so a user
+// cannot approve a login they are not looking at by tapping "yes".
+
+// Same lifetime as the mfa-pending token the challenge belongs to
+export const PUSH_CHALLENGE_TTL_SECONDS = 5 * 60;
+
+const NUMBER_CHOICES = 3;
+
+// Answers given on this instance reach waiting clients at once; the event stream
+// also re-reads the row, for answers given on another instance.
+const pushEvents = new EventEmitter();
+pushEvents.setMaxListeners(0);
+
+/**
+ * Open a push challenge for a login that has just reached the MFA step, if the
+ * user has a device with a live session that could approve it.
+ *
+ * @param {import('express').Request} req - The login request.
+ * @param {string} userId
+ * @param {string} pendingTokenId - jti of the mfa-pending token just issued.
+ * @returns {Promise<import('../validators/schemas.js').MfaPushChallenge|null>} null when no device can approve.
+ */
+export async function startPushApproval(req, userId, pendingTokenId) {
+  const devices = await getSignedInDevicesByUserId(userId);
+  if (devices.length === 0) return null;
+
+  const numberMatch = randomInt(10, 100);
+  const choices = new Set([numberMatch]);
+  while (choices.size < NUMBER_CHOICES) choices.add(randomInt(10, 100));
+  // Shuffled, so the right answer's position says nothing
+  const numberChoices = [...choices];
+  for (let i = numberChoices.length - 1; i > 0; i--) {
+    const j = randomInt(i + 1);
+    [numberChoices[i], numberChoices[j]] = [numberChoices[j], numberChoices[i]];
+  }
+
+  return createPushChallenge({
+    userId,
+    pendingTokenId,
+    numberMatch,
+    numberChoices,
+    ipAddress: getClientIp(req),
+    userAgent: req.headers["user-agent"] || null,
+    ttlSeconds: PUSH_CHALLENGE_TTL_SECONDS,
+  });
+}
+
+/**
+ * Tell clients waiting on a challenge (on this instance) that it was answered.
+ *
+ * @param {string} challengeId
+ * @param {string} status - The new status.
+ */
+export function notifyPushChallenge(challengeId, status) {
+  pushEvents.emit(challengeId, status);
+}
+
+/**
+ * Listen for answers to one challenge.
+ *
+ * @param {string} challengeId
+ * @param {(status: string) => void} listener
+ * @returns {() => void} Removes the listener.
+ */
+export function subscribePushChallenge(challengeId, listener) {
+  pushEvents.on(challengeId, listener);
+  return () => pushEvents.off(challengeId, listener);
+}
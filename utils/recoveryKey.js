@@ -0,0 +1,93 @@
+import { createPublicKey, randomBytes, verify } from "crypto";
+import { readInt } from "../config/env.js";
+
+// --- Recovery Key Proofs ---
+// The recovery key never leaves the client. From it the client derives
+//   - an Ed25519 key pair; the server stores only the public key, and
+//   - a wrapping key for wrapped_mek_recovery (the MEK encrypted under the recovery key).
+// To recover, the client fetches a single-use challenge from /auth/recover/init,
+// unwraps the MEK with its recovery key and signs
+//   "passwordpal-recovery-v1:<challenge_id>:<nonce>"
+// with the private key. The server checks the signature against the stored public key.
+
+const PROOF_CONTEXT = "passwordpal-recovery-v1";
+const PUBLIC_KEY_BYTES = 32;
+
+/**
+ * Fresh random nonce for a recovery challenge.
+ * @returns {string} Base64.
+ */
+export function createRecoveryNonce() {
+  return randomBytes(32).toString("base64");
+}
+
+/**
+ * The exact bytes the client signs for a challenge.
+ * @param {string} challengeId
+ * @param {string} nonce
+ * @returns {Buffer}
+ */
+export function recoveryProofMessage(challengeId, nonce) {
+  return Buffer.from(`${PROOF_CONTEXT}:${challengeId}:${nonce}`, "utf8");
+}
+
+/**
+ * Whether a string is a raw 32-byte Ed25519 public key in base64.
+ * @param {string} publicKey
+ * @returns {boolean}
+ */
+export function isRecoveryPublicKey(publicKey) {
+  try {
+    return toKeyObject(publicKey) !== null;
+  } catch {
+    return false;
+  }
+}
+
+function toKeyObject(publicKey) {
+  const raw = Buffer.from(publicKey, "base64");
+  if (raw.length !== PUBLIC_KEY_BYTES) return null;
+  return createPublicKey({ key: { kty: "OKP", crv: "Ed25519", x: raw.toString("base64url") }, format: "jwk" });
+}
+
+/**
+ * Check a recovery proof.
+ *
+ * @param {Object} params
+ * @param {string} params.publicKey - Stored recovery public key (base64, raw 32 bytes).
+ * @param {string} params.challengeId - The challenge being answered.
+ * @param {string} params.nonce - The challenge nonce.
+ * @param {string} params.signature - Ed25519 signature from the client (base64).
+ * @returns {boolean}
+ */
+export function verifyRecoveryProof({ publicKey, challengeId, nonce, signature }) {
+  try {
+    const key = toKeyObject(publicKey);
+    if (!key) return false;
+    return verify(null, recoveryProofMessage(challengeId, nonce), key, Buffer.from(signature, "base64"));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Expiry for a newly stored recovery key, from RECOVERY_KEY_TTL_DAYS (unset = never expires).
+ * @returns {string|null} ISO 8601 timestamp.
+ */
+export function recoveryKeyExpiry() {
+  const days = readInt("RECOVERY_KEY_TTL_DAYS", null);
+  return days
+    ? new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString()
+    : null;
+}
+
+/**
+ * Whether a stored recovery key can still be used.
+ * @param {{ public_key: string|null, expires_at: string|null, revoked_at?: string|null }|null} row
+ * @returns {boolean}
+ */
+export function isRecoveryKeyUsable(row) {
+  return !!row?.public_key
+    && !row.revoked_at
+    && (!row.expires_at || new Date(row.expires_at) > new Date());
+}
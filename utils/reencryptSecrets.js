@@ -0,0 +1,78 @@
+import { listTotpSecretsPage, replaceTotpSecretEnc } from "../models/mfaSettingsModel.js";
+import { listFactorSecretsPage, replaceFactorSecretEnc } from "../models/mfaFactorModel.js";
+import { needsReencryption, reencryptData } from "./encryption.js";
+
+// --- Re-encryption Job ---
+// Moves every stored secret to the current key in config/encryptionKeys.js:
+// legacy CryptoJS values and envelopes under a retired key. Secrets in
+// auth_challenges are not touched; they expire within minutes.
+
+const TARGETS = [
+  {
+    column: "mfa_settings.totp_secret_enc",
+    listPage: listTotpSecretsPage,
+    replace: replaceTotpSecretEnc,
+    idOf: (row) => row.user_id,
+    valueOf: (row) => row.totp_secret_enc,
+  },
+  {
+    column: "mfa_factors.secret_enc",
+    listPage: listFactorSecretsPage,
+    replace: replaceFactorSecretEnc,
+    idOf: (row) => row.id,
+    valueOf: (row) => row.secret_enc,
+  },
+];
+
+/**
+ * Re-encrypt every stored secret that is not under the current key.
+ * Each row is swapped with a conditional update, so a secret rewritten by the
+ * app while the job runs is counted as changed and left as it is.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.batchSize=100] - Rows read per page.
+ * @param {boolean} [options.dryRun=false] - Only count what would be re-encrypted.
+ * @returns {Promise<Object<string, { scanned: number, reencrypted: number, current: number, changed: number, failed: number }>>} Counts per column.
+ */
+export async function reencryptStoredSecrets({ batchSize = 100, dryRun = false } = {}) {
+  const results = {};
+
+  for (const target of TARGETS) {
+    const stats = { scanned: 0, reencrypted: 0, current: 0, changed: 0, failed: 0 };
+    let cursor = null;
+
+    for (;;) {
+      const rows = await target.listPage(cursor, batchSize);
+      for (const row of rows) {
+        stats.scanned += 1;
+        const value = target.valueOf(row);
+        if (!needsReencryption(value)) {
+          stats.current += 1;
+          continue;
+        }
+
+        let next;
+        try {
+          next = reencryptData(value);
+        } catch {
+          // Left in place and reported; the job can be re-run once the key is available
+          stats.failed += 1;
+          continue;
+        }
+
+        if (dryRun || (await target.replace(target.idOf(row), value, next))) {
+          stats.reencrypted += 1;
+        } else {
+          stats.changed += 1;
+        }
+      }
+
+      if (rows.length < batchSize) break;
+      cursor = target.idOf(rows[rows.length - 1]);
+    }
+
+    results[target.column] = stats;
+  }
+
+  return results;
+}
@@ -0,0 +1,30 @@
+import { sendMail, appUrl } from "./mailer.js";
+
+// --- Security Notifications ---
+// Emails telling a user that something security-relevant changed on their
+// account. The change has already happened when these are sent, so delivery
+// failures are logged and never fail the request.
+
+/**
+ * Email the account owner about a security change.
+ *
+ * @param {{ email: string }} user
+ * @param {Object} message
+ * @param {string} message.subject - Subject line.
+ * @param {string} message.text - What changed, in one or two sentences.
+ * @returns {Promise<void>}
+ */
+export async function notifySecurityEvent(user, { subject, text }) {
+  try {
+    await sendMail({
+      to: user.email,
+      subject,
+      text:
+        `${text}\n\n` +
+        "If this was not you, change your master password and review your signed-in devices:\n" +
+        `${appUrl()}/settings/security`,
+    });
+  } catch (err) {
+    console.error("Failed to send security notification:", err.message || err);
+  }
+}
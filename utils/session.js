@@ -0,0 +1,183 @@
+import { createHash, randomUUID } from "crypto";
+import { TOKEN_TYPES, signToken, verifyToken } from "../config/tokenKeys.js";
+import { registerUserDevice, trustDevice, getDeviceTrust } from "../models/deviceModel.js";
+import { createRefreshToken } from "../models/refreshTokenModel.js";
+import { resolveCountry } from "./geoip.js";
+
+// --- Session Issuance Helpers ---
+// Shared by login, MFA verification and /auth/refresh so every flow mints,
+// stores and sets tokens the same way.
+
+export const ACCESS_TOKEN_MAX_AGE_MS = 15 * 60 * 1000;
+export const REFRESH_TOKEN_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+export const TRUSTED_DEVICE_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * SHA-256 hex digest of a token. Refresh tokens are only ever stored and
+ * looked up by this hash.
+ * @param {string} token - Raw token value.
+ * @returns {string}
+ */
+export function hashToken(token) {
+  return createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Cookie options shared by all session cookies.
+ * @param {number} maxAge - Cookie lifetime in milliseconds.
+ */
+export function cookieOptions(maxAge) {
+  return {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: process.env.NODE_ENV === "production" ? "none" : "strict",
+    maxAge,
+  };
+}
+
+/**
+ * Client IP as Express resolves it: X-Forwarded-For is only honoured up to the
+ * proxies trusted by the app's `trust proxy` setting (TRUST_PROXY).
+ * @param {import('express').Request} req
+ */
+export function getClientIp(req) {
+  return req.ip || "0.0.0.0";
+}
+
+/**
+ * The current time as an `auth_time` claim (seconds since the epoch).
+ * Only for moments the user actually authenticated, never for a refresh.
+ * @returns {number}
+ */
+export function authTimeNow() {
+  return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * Sign a short-lived access token bound to a session.
+ * @param {{ id: string, email?: string }} user
+ * @param {string} sid - user_devices.id of the session; verifySession rejects the token once it is revoked.
+ * @param {number} [authTime] - When the user last authenticated (seconds); requireFreshAuth checks this, not iat.
+ */
+export function signAccessToken(user, sid, authTime) {
+  return signToken(
+    TOKEN_TYPES.ACCESS,
+    { id: user.id, email: user.email, sid, auth_time: authTime },
+    { expiresIn: "15m" }
+  );
+}
+
+/**
+ * Sign a refresh token. The random jwtid keeps two tokens minted in the same
+ * second from hashing to the same value. auth_time is carried unchanged from
+ * token to token, so refreshing never makes a session look freshly authenticated.
+ * @param {{ id: string, email?: string }} user
+ * @param {number} [authTime] - When the user last authenticated (seconds).
+ */
+export function signRefreshToken(user, authTime) {
+  return signToken(
+    TOKEN_TYPES.REFRESH,
+    { id: user.id, email: user.email, auth_time: authTime },
+    { expiresIn: "7d", jwtid: randomUUID() }
+  );
+}
+
+/**
+ * Set the access and refresh cookies on the response.
+ */
+export function setSessionCookies(res, accessToken, refreshToken) {
+  res.cookie("sb-access-token", accessToken, cookieOptions(ACCESS_TOKEN_MAX_AGE_MS));
+  res.cookie("sb-refresh-token", refreshToken, cookieOptions(REFRESH_TOKEN_MAX_AGE_MS));
+}
+
+/**
+ * Clear the access and refresh cookies.
+ */
+export function clearSessionCookies(res) {
+  res.clearCookie("sb-access-token");
+  res.clearCookie("sb-refresh-token");
+}
+
+/**
+ * Start a brand-new session after a completed login: registers the device,
+ * opens a new refresh token family and sets both cookies.
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {{ id: string, email: string }} user
+ * @returns {Promise<{ device: Object }>}
+ * @throws {Error} If the device or refresh token cannot be persisted.
+ */
+export async function issueSession(req, res, user) {
+  const authTime = authTimeNow();
+  const refreshToken = signRefreshToken(user, authTime);
+  const refreshTokenHash = hashToken(refreshToken);
+
+  const deviceName = req.headers["user-agent"] || "Unknown Device";
+  const device = await registerUserDevice(user.id, deviceName, refreshTokenHash);
+
+  await createRefreshToken({
+    userId: user.id,
+    tokenHash: refreshTokenHash,
+    deviceId: device.id,
+    familyId: randomUUID(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_MAX_AGE_MS).toISOString(),
+    createdCountry: resolveCountry(getClientIp(req)),
+  });
+
+  setSessionCookies(res, signAccessToken(user, device.id, authTime), refreshToken);
+  return { device };
+}
+
+/**
+ * Remember this browser after a completed MFA step, so the next password login
+ * from it skips the second factor for TRUSTED_DEVICE_MAX_AGE_MS.
+ * The grant is stored on the device row; the cookie only names it, so the
+ * grant can be listed and revoked server-side.
+ *
+ * @param {import('express').Response} res
+ * @param {string} userId
+ * @param {string} deviceId - user_devices row of the session just issued.
+ * @returns {Promise<void>}
+ * @throws {Error} If the grant cannot be stored.
+ */
+export async function grantTrustedDevice(res, userId, deviceId) {
+  const trustId = randomUUID();
+  await trustDevice(deviceId, userId, trustId, new Date(Date.now() + TRUSTED_DEVICE_MAX_AGE_MS).toISOString());
+
+  const deviceToken = signToken(
+    TOKEN_TYPES.TRUSTED_DEVICE,
+    { id: userId, did: deviceId },
+    { expiresIn: "30d", jwtid: trustId },
+  );
+  res.cookie("sb-trusted-device", deviceToken, cookieOptions(TRUSTED_DEVICE_MAX_AGE_MS));
+}
+
+/**
+ * Whether the request's sb-trusted-device cookie names a trust grant that still
+ * exists for this user. Cookies from before grants were stored carry no device
+ * and are not honoured.
+ *
+ * @param {import('express').Request} req
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+export async function hasTrustedDeviceGrant(req, userId) {
+  const token = req.cookies?.["sb-trusted-device"];
+  if (!token) return false;
+
+  let claims;
+  try {
+    claims = verifyToken(TOKEN_TYPES.TRUSTED_DEVICE, token);
+  } catch {
+    return false;
+  }
+  if (claims.id !== userId || !claims.did || !claims.jti) return false;
+
+  const grant = await getDeviceTrust(claims.did);
+  return !!grant &&
+    grant.user_id === userId &&
+    grant.trust_token_id === claims.jti &&
+    !!grant.trusted_until &&
+    Date.parse(grant.trusted_until) > Date.now();
+}
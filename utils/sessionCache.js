@@ -0,0 +1,74 @@
+import { getDeviceSessionState } from "../models/deviceModel.js";
+import { readInt } from "../config/env.js";
+
+// --- Session Revocation Cache ---
+// verifySession checks every access token's `sid` against user_devices.
+// Results are cached briefly so authenticated requests don't all hit Supabase.
+// Revocations made by this process evict the entry immediately; revocations
+// made elsewhere are picked up once the entry expires. Expired entries are
+// dropped as new ones come in, and the oldest go first beyond
+// SESSION_CACHE_MAX_ENTRIES, so the cache cannot grow with every sid ever seen.
+
+// sid -> { userId, active, expiresAt }, oldest first: entries are re-inserted when refreshed
+const cache = new Map();
+
+/**
+ * Cache an entry, dropping expired ones from the front and the oldest beyond the cap.
+ */
+function store(sid, entry) {
+  const now = Date.now();
+  for (const [cachedSid, cached] of cache) {
+    if (cached.expiresAt > now) break;
+    cache.delete(cachedSid);
+  }
+
+  cache.delete(sid);
+  const maxEntries = readInt("SESSION_CACHE_MAX_ENTRIES", 10000);
+  while (cache.size >= maxEntries) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(sid, entry);
+}
+
+/**
+ * Whether the session behind an access token is still active.
+ *
+ * @param {string} sid - Device/session id from the access token.
+ * @param {string} userId - User id from the same token; must own the session.
+ * @returns {Promise<boolean>}
+ * @throws {Error} If the session state cannot be loaded.
+ */
+export async function isSessionActive(sid, userId) {
+  const cached = cache.get(sid);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.active && cached.userId === userId;
+  }
+
+  const device = await getDeviceSessionState(sid);
+  const entry = {
+    userId: device?.user_id ?? null,
+    active: Boolean(device) && !device.is_revoked,
+    expiresAt: Date.now() + readInt("SESSION_CACHE_TTL_MS", 30 * 1000),
+  };
+  store(sid, entry);
+
+  return entry.active && entry.userId === userId;
+}
+
+/**
+ * Drop a single session from the cache (call after revoking it).
+ * @param {string} sid
+ */
+export function forgetSession(sid) {
+  cache.delete(sid);
+}
+
+/**
+ * Drop every cached session belonging to a user (call after bulk revocation).
+ * @param {string} userId
+ */
+export function forgetUserSessions(userId) {
+  for (const [sid, entry] of cache) {
+    if (entry.userId === userId) cache.delete(sid);
+  }
+}
@@ -0,0 +1,199 @@
+import { createHash, randomBytes, timingSafeEqual } from "crypto";
+
+// --- SRP-6a (RFC 5054) ---
+// Password-authenticated login where the server stores only a verifier and the
+// client never sends anything that can be replayed.
+//
+// Parameters: the RFC 5054 2048-bit group, g = 2, H = SHA-256.
+// Everything on the wire is lowercase hex.
+//
+//   I  = lowercased email
+//   P  = the client's auth_hash (already derived from the master password with the KDF)
+//   s  = srp_salt (random, chosen by the client at registration / upgrade)
+//   x  = H(s | H(I ":" P))
+//   v  = g^x                                 — srp_verifier, stored by the server
+//   k  = H(N | PAD(g))
+//   A  = g^a                                 — client ephemeral, sent to /auth/srp/init
+//   B  = k*v + g^b                           — server ephemeral, returned by /auth/srp/init
+//   u  = H(PAD(A) | PAD(B))
+//   S  = (A * v^u)^b  = (B - k*g^x)^(a + u*x)
+//   K  = H(S)
+//   M1 = H(H(N) xor H(g) | H(I) | s | PAD(A) | PAD(B) | K)   — client proof, sent to /auth/srp/verify
+//   M2 = H(PAD(A) | M1 | K)                                   — server proof, returned on success
+
+export const SRP_N = BigInt(
+  "0x" +
+  "AC6BDB41324A9A9BF166DE5E1389582FAF72B6651987EE07FC3192943DB56050" +
+  "A37329CBB4A099ED8193E0757767A13DD52312AB4B03310DCD7F48A9DA04FD50" +
+  "E8083969EDB767B0CF6095179A163AB3661A05FBD5FAAAE82918A9962F0B93B8" +
+  "55F97993EC975EEAA80D740ADBF4FF747359D041D5C33EA71D281E446B14773B" +
+  "CA97B43A23FB801676BD207A436C6481F1D2B9078717461A5B9D32E688F87748" +
+  "544523B524B0D57D5EA77A2775D2ECFA032CFBDBF52FB3786160279004E57AE6" +
+  "AF874E7303CE53299CCC041C7BC308D82A5698F3A8D0C38271AE35F8E9DBFBB6" +
+  "94B5C803D89F7AE435DE236D525F54759B65E372FCD68EF20FA7111F9E4AFF73"
+);
+export const SRP_G = 2n;
+
+const N_BYTES = 256;
+
+/**
+ * Big-endian bytes of a non-negative integer, left-padded to the length of N.
+ * @param {bigint} value
+ * @returns {Buffer}
+ */
+export function pad(value) {
+  return Buffer.from(value.toString(16).padStart(N_BYTES * 2, "0"), "hex");
+}
+
+/**
+ * SHA-256 over the concatenation of the given parts.
+ * @param {...(Buffer|string)} parts - Strings are hashed as UTF-8.
+ * @returns {Buffer}
+ */
+export function srpHash(...parts) {
+  const hash = createHash("sha256");
+  for (const part of parts) hash.update(part);
+  return hash.digest();
+}
+
+/**
+ * Interpret a buffer as a big-endian integer.
+ * @param {Buffer} buf
+ * @returns {bigint}
+ */
+export function toBigInt(buf) {
+  return buf.length ? BigInt("0x" + buf.toString("hex")) : 0n;
+}
+
+/**
+ * Modular exponentiation (square-and-multiply).
+ * @param {bigint} base
+ * @param {bigint} exponent
+ * @param {bigint} modulus
+ * @returns {bigint}
+ */
+export function modPow(base, exponent, modulus) {
+  let result = 1n;
+  base %= modulus;
+  while (exponent > 0n) {
+    if (exponent & 1n) result = (result * base) % modulus;
+    base = (base * base) % modulus;
+    exponent >>= 1n;
+  }
+  return result;
+}
+
+export const SRP_K = toBigInt(srpHash(pad(SRP_N), pad(SRP_G)));
+
+/**
+ * Parse a hex group element. Returns null if it is not hex or not in (0, N).
+ * @param {string} hex
+ * @returns {bigint|null}
+ */
+export function parseGroupElement(hex) {
+  if (typeof hex !== "string" || !/^[0-9a-f]+$/i.test(hex) || hex.length > N_BYTES * 2) {
+    return null;
+  }
+  const value = BigInt("0x" + hex);
+  return value % SRP_N === 0n ? null : value;
+}
+
+/**
+ * Scrambling parameter u = H(PAD(A) | PAD(B)).
+ */
+export function computeU(A, B) {
+  return toBigInt(srpHash(pad(A), pad(B)));
+}
+
+/**
+ * Client proof M1.
+ * @param {{ identity: string, salt: string, A: bigint, B: bigint, K: Buffer }} params
+ * @returns {Buffer}
+ */
+export function computeClientProof({ identity, salt, A, B, K }) {
+  const hN = srpHash(pad(SRP_N));
+  const hG = srpHash(pad(SRP_G));
+  const hNxorG = Buffer.from(hN.map((byte, i) => byte ^ hG[i]));
+  return srpHash(hNxorG, srpHash(identity), Buffer.from(salt, "hex"), pad(A), pad(B), K);
+}
+
+/**
+ * Server proof M2.
+ * @param {bigint} A
+ * @param {Buffer} M1
+ * @param {Buffer} K
+ * @returns {Buffer}
+ */
+export function computeServerProof(A, M1, K) {
+  return srpHash(pad(A), M1, K);
+}
+
+/**
+ * Generate the server's ephemeral values for a login attempt.
+ *
+ * @param {string} verifierHex - The stored srp_verifier.
+ * @returns {{ b: string, B: string }} Secret b (keep server-side) and public B (send to the client).
+ */
+export function createServerEphemeral(verifierHex) {
+  const v = BigInt("0x" + verifierHex);
+  let b;
+  let B;
+  do {
+    b = toBigInt(randomBytes(32));
+    B = (SRP_K * v + modPow(SRP_G, b, SRP_N)) % SRP_N;
+  } while (B === 0n);
+
+  return { b: b.toString(16), B: B.toString(16) };
+}
+
+/**
+ * A server ephemeral for an account that cannot log in with SRP. B = g^b is
+ * distributed exactly like a real B, so the response does not reveal that.
+ * @returns {{ b: string, B: string }}
+ */
+export function createDecoyEphemeral() {
+  const b = toBigInt(randomBytes(32));
+  return { b: b.toString(16), B: modPow(SRP_G, b, SRP_N).toString(16) };
+}
+
+/**
+ * Check the client's proof M1 for a login attempt.
+ *
+ * @param {Object} params
+ * @param {string} params.identity - Lowercased email.
+ * @param {string} params.salt - srp_salt (hex).
+ * @param {string} params.verifier - srp_verifier (hex).
+ * @param {string} params.A - Client ephemeral (hex).
+ * @param {string} params.b - Server secret ephemeral (hex).
+ * @param {string} params.B - Server public ephemeral (hex).
+ * @param {string} params.clientProof - M1 sent by the client (hex).
+ * @returns {string|null} Server proof M2 (hex) when M1 is correct, otherwise null.
+ */
+export function verifyClientProof({ identity, salt, verifier, A, b, B, clientProof }) {
+  const bigA = parseGroupElement(A);
+  if (bigA === null) return null;
+
+  const bigB = BigInt("0x" + B);
+  const u = computeU(bigA, bigB);
+  if (u === 0n) return null;
+
+  const v = BigInt("0x" + verifier);
+  const S = modPow((bigA * modPow(v, u, SRP_N)) % SRP_N, BigInt("0x" + b), SRP_N);
+  const K = srpHash(pad(S));
+
+  const expected = computeClientProof({ identity, salt, A: bigA, B: bigB, K });
+  const provided = /^[0-9a-f]{64}$/i.test(clientProof || "") ? Buffer.from(clientProof, "hex") : null;
+  if (!provided || !timingSafeEqual(expected, provided)) {
+    return null;
+  }
+
+  return computeServerProof(bigA, expected, K).toString("hex");
+}
+
+/**
+ * SRP identity for an email address.
+ * @param {string} email
+ */
+export function srpIdentity(email) {
+  return email.trim().toLowerCase();
+}
@@ -0,0 +1,128 @@
+import { createHash } from "crypto";
+import { generateAuthenticationOptions, verifyAuthenticationResponse } from "@simplewebauthn/server";
+import { getWebAuthnConfig } from "../config/webauthn.js";
+import { getWebAuthnCredential, recordWebAuthnCredentialUse } from "../models/webauthnCredentialModel.js";
+import { createChallenge, consumeChallenge } from "../models/challengeModel.js";
+import { recordAuditEvent } from "../models/auditLogModel.js";
+import { getClientIp } from "./session.js";
+
+// --- WebAuthn Helpers ---
+// Shared by security keys (second factor, /auth/webauthn) and passkeys
+// (passwordless login, /auth/passkey). Credential IDs and public keys are
+// stored base64url-encoded, exactly as the browser reports them.
+
+const CEREMONY_TTL_SECONDS = 5 * 60;
+
+/**
+ * PRF extension input for passkeys. The same input for every credential is fine:
+ * the PRF output is keyed by a secret inside each authenticator, so every
+ * passkey still yields its own key for its own copy of the MEK.
+ */
+export const PASSKEY_PRF_SALT = createHash("sha256").update("passwordpal-passkey-prf-v1").digest("base64url");
+
+/**
+ * allowCredentials / excludeCredentials entry for a stored credential.
+ * @param {{ credential_id: string, transports: string[]|null }} row
+ */
+export function toCredentialDescriptor(row) {
+  return { id: row.credential_id, transports: row.transports || undefined };
+}
+
+/**
+ * Stored credential in the shape verifyAuthenticationResponse expects. The counter
+ * is passed as 0 so the library only checks the signature; callers apply
+ * isSignCountValid themselves and can record a regression.
+ * @param {{ credential_id: string, public_key: string, transports: string[]|null }} row
+ */
+export function toVerifiableCredential(row) {
+  return {
+    id: row.credential_id,
+    publicKey: Buffer.from(row.public_key, "base64url"),
+    counter: 0,
+    transports: row.transports || undefined,
+  };
+}
+
+/**
+ * Whether a signature counter from an assertion is acceptable. Authenticators
+ * without a counter always report 0; otherwise it must grow on every use, and
+ * one that does not suggests a cloned authenticator.
+ * @param {number|string} storedCount - sign_count on file.
+ * @param {number} receivedCount - Counter from the verified assertion.
+ * @returns {boolean}
+ */
+export function isSignCountValid(storedCount, receivedCount) {
+  const stored = Number(storedCount) || 0;
+  return (receivedCount === 0 && stored === 0) || receivedCount > stored;
+}
+
+/**
+ * Check an assertion against a challenge issued for one of the user's security keys
+ * and move that key's sign counter forward. The challenge is used up either way.
+ *
+ * @returns {Promise<{ stored: Object }|{ status: number, error: string }>} The key that signed, or the response to send.
+ */
+export async function verifySecurityKeyAssertion(req, userId, challengeId, credential, purpose) {
+  const challenge = await consumeChallenge(challengeId, purpose);
+  if (!challenge || challenge.user_id !== userId) {
+    return { status: 400, error: "Verification challenge is invalid or expired. Please try again." };
+  }
+
+  const failed = { status: 401, error: "Security key verification failed" };
+  const stored = await getWebAuthnCredential(userId, credential.id);
+  if (!stored) return failed;
+
+  const { rpID, origins } = getWebAuthnConfig();
+  let verification;
+  try {
+    verification = await verifyAuthenticationResponse({
+      response: credential,
+      expectedChallenge: challenge.payload.challenge,
+      expectedOrigin: origins,
+      expectedRPID: rpID,
+      credential: toVerifiableCredential(stored),
+      requireUserVerification: false,
+    });
+  } catch (verifyErr) {
+    return failed;
+  }
+
+  if (!verification.verified) return failed;
+
+  const { newCounter } = verification.authenticationInfo;
+  if (!isSignCountValid(stored.sign_count, newCounter)) {
+    await recordAuditEvent({
+      userId,
+      eventType: "WEBAUTHN_SIGN_COUNT_REGRESSION",
+      ipAddress: getClientIp(req),
+      metadata: { credential: stored.id, stored_count: Number(stored.sign_count), received_count: newCounter },
+    }).catch(() => { });
+    return failed;
+  }
+
+  if (!(await recordWebAuthnCredentialUse(stored.id, stored.sign_count, newCounter))) {
+    return failed;
+  }
+  return { stored };
+}
+
+/**
+ * Assertion options over every security key the user has, stored as a single-use challenge.
+ * @returns {Promise<{ challenge_id: string, options: Object }>}
+ */
+export async function createSecurityKeyChallenge(userId, credentials, purpose) {
+  const { rpID } = getWebAuthnConfig();
+  const options = await generateAuthenticationOptions({
+    rpID,
+    allowCredentials: credentials.map(toCredentialDescriptor),
+    userVerification: "preferred",
+  });
+
+  const challenge = await createChallenge({
+    userId,
+    purpose,
+    payload: { challenge: options.challenge },
+    ttlSeconds: CEREMONY_TTL_SECONDS,
+  });
+  return { challenge_id: challenge.id, options };
+}
@@ -38,8 +38,13 @@ export function validateRequest(schema, source = 'body') {
             });
         }
 
-        // Replace the source with the validated (and cleaned) value
-        req[source] = value;
+        // Replace the source with the validated (and cleaned) value.
+        // Express 5 exposes req.query as a getter only, so it is shadowed instead of assigned.
+        if (source === 'query') {
+            Object.defineProperty(req, 'query', { value, writable: true, configurable: true, enumerable: true });
+        } else {
+            req[source] = value;
+        }
         next();
     };
 }
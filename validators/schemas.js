@@ -21,6 +21,10 @@ import Joi from 'joi';
  * @property {number} kdf_params.t - Time cost / iterations (e.g. 3).
  * @property {number} kdf_params.p - Parallelism factor (e.g. 4).
  * @property {string} vault_signature - SHA-256 hash of record_id:version pairs for sync verification.
+ * @property {string|null} srp_salt - Hex SRP-6a salt (null until the account upgrades to SRP login).
+ * @property {string|null} srp_verifier - Hex SRP-6a verifier g^x mod N.
+ * @property {string|null} lockout_cleared_at - ISO 8601 time of the last account unlock; earlier failures no longer count.
+ * @property {string|null} email_verified_at - ISO 8601 time the email address was verified; null while pending.
  * @property {string} created_at - ISO 8601 creation timestamp.
  * @property {string} updated_at - ISO 8601 last-update timestamp.
  */
@@ -37,6 +41,7 @@ import Joi from 'joi';
  * @property {string|null} client_record_id - Optional client-side UUID reference.
  * @property {string} created_at - ISO 8601 creation timestamp.
  * @property {string} updated_at - ISO 8601 last-update timestamp.
+ * @property {number} change_seq - Server-assigned change sequence; increases with every write.
  */
 
 /**
@@ -53,6 +58,7 @@ import Joi from 'joi';
  * @property {string|null} last_country - Country code from the last login IP geolocation.
  * @property {string} created_at - ISO 8601 creation timestamp.
  * @property {string|null} trusted_until - ISO 8601 timestamp until which the device is trusted (skips MFA).
+ * @property {string|null} trust_token_id - jti of the sb-trusted-device cookie that holds the grant.
  */
 
 /**
@@ -62,13 +68,18 @@ import Joi from 'joi';
  * @property {boolean} is_totp_enabled - Whether TOTP MFA is currently active.
  * @property {string|null} backup_codes_enc - Encrypted backup codes blob.
  * @property {number} codes_used - Count of backup codes consumed.
+ * @property {number|null} last_totp_step - Latest TOTP time step accepted (replay protection).
  * @property {string} updated_at - ISO 8601 last-update timestamp.
  */
 
 /**
  * @typedef {Object} RecoveryKey
  * @property {string} user_id - UUID of the user.
- * @property {string} key_hash - Argon2/bcrypt hash of the recovery key.
+ * @property {string|null} key_hash - Argon2 hash of the recovery key (accounts created before proof-based recovery only).
+ * @property {string|null} public_key - Ed25519 public key derived from the recovery key (base64, raw 32 bytes).
+ * @property {string|null} wrapped_mek_recovery - MEK wrapped under the recovery key.
+ * @property {number} key_version - Starts at 1, incremented on every rotation.
+ * @property {string|null} revoked_at - ISO 8601 time the owner revoked the key, null while active.
  * @property {string} created_at - ISO 8601 creation timestamp.
  * @property {string|null} expires_at - ISO 8601 expiry timestamp, null if non-expiring.
  */
@@ -81,7 +92,8 @@ import Joi from 'joi';
  * @property {string|null} device_id - UUID of the associated device, if any.
  * @property {string} expires_at - ISO 8601 token expiry timestamp.
  * @property {boolean} is_revoked - Whether the token has been revoked.
- * @property {string|null} created_ip - IP address that created/requested the token.
+ * @property {string|null} family_id - UUID shared by all tokens rotated from the same login.
+ * @property {string|null} created_country - ISO 3166-1 alpha-2 country the token was requested from.
  * @property {string|null} replaced_by_token_id - UUID of the token that replaced this one (rotation).
  */
 
@@ -133,6 +145,110 @@ import Joi from 'joi';
  * @property {string} created_at - ISO 8601 timestamp of the event.
  */
 
+/**
+ * @typedef {Object} AuthChallenge
+ * @property {string} id - UUID primary key.
+ * @property {string|null} user_id - UUID of the user the challenge was issued for.
+ * @property {string} purpose - Flow identifier (e.g. 'srp-login').
+ * @property {Object} payload - Flow state (secrets encrypted by the application).
+ * @property {string} expires_at - ISO 8601 expiry timestamp.
+ * @property {string|null} consumed_at - ISO 8601 timestamp of single use, null while unused.
+ * @property {string} created_at - ISO 8601 creation timestamp.
+ */
+
+/**
+ * @typedef {Object} EmailVerificationToken
+ * @property {string} id - UUID primary key (the jti of the signed link).
+ * @property {string} user_id - UUID of the user.
+ * @property {string} email - Address the link was sent to.
+ * @property {string} expires_at - ISO 8601 expiry timestamp.
+ * @property {string|null} used_at - ISO 8601 timestamp of use, null while unused.
+ * @property {string} created_at - ISO 8601 creation timestamp.
+ */
+
+/**
+ * @typedef {Object} WebAuthnCredential
+ * @property {string} id - UUID primary key.
+ * @property {string} user_id - UUID of the owning user.
+ * @property {string} credential_id - Authenticator credential ID (base64url).
+ * @property {string} public_key - COSE-encoded credential public key (base64url).
+ * @property {number} sign_count - Last signature counter reported by the authenticator.
+ * @property {string[]|null} transports - Transport hints (usb, nfc, ble, internal, hybrid).
+ * @property {string} name - User-chosen label.
+ * @property {string|null} device_type - 'singleDevice' or 'multiDevice'.
+ * @property {boolean} backed_up - Whether the credential is synced/backed up.
+ * @property {string} created_at - ISO 8601 registration timestamp.
+ * @property {string|null} last_used_at - ISO 8601 timestamp of the last successful assertion.
+ */
+
+/**
+ * @typedef {Object} PasskeyCredential
+ * @property {string} id - UUID primary key.
+ * @property {string} user_id - UUID of the owning user.
+ * @property {string} credential_id - Discoverable credential ID (base64url).
+ * @property {string} public_key - COSE-encoded credential public key (base64url).
+ * @property {number} sign_count - Last signature counter reported by the authenticator.
+ * @property {string[]|null} transports - Transport hints.
+ * @property {string} name - User-chosen label.
+ * @property {string|null} device_type - 'singleDevice' or 'multiDevice'.
+ * @property {boolean} backed_up - Whether the passkey is synced/backed up.
+ * @property {string} wrapped_mek - MEK wrapped under this passkey's PRF output.
+ * @property {string} created_at - ISO 8601 registration timestamp.
+ * @property {string|null} last_used_at - ISO 8601 timestamp of the last login.
+ */
+
+/**
+ * @typedef {Object} MfaAttempt
+ * @property {string} id - UUID primary key.
+ * @property {string} user_id - UUID of the user the second factor was tried for.
+ * @property {string|null} pending_token_id - jti of the mfa-pending token the attempt was made with.
+ * @property {string} method - 'totp' or 'backup_code'.
+ * @property {string} ip_address - IP address of the attempt.
+ * @property {boolean} was_successful - Whether the code was accepted.
+ * @property {string} attempt_time - ISO 8601 timestamp of the attempt.
+ */
+
+/**
+ * @typedef {Object} MfaFactor
+ * @property {string} id - UUID primary key.
+ * @property {string} user_id - UUID of the owning user.
+ * @property {string} type - Factor type ('totp' or 'email').
+ * @property {string} name - User-chosen label.
+ * @property {string|null} secret_enc - Server-side encrypted TOTP secret.
+ * @property {number|null} last_totp_step - Latest TOTP time step accepted (replay protection).
+ * @property {string} created_at - ISO 8601 enrollment timestamp.
+ * @property {string|null} last_used_at - ISO 8601 timestamp of the last accepted code.
+ */
+
+/**
+ * @typedef {Object} MfaPushChallenge
+ * @property {string} id - UUID primary key.
+ * @property {string} user_id - UUID of the user logging in.
+ * @property {string} pending_token_id - jti of the waiting login's mfa-pending token.
+ * @property {number} number_match - Number shown on the new machine.
+ * @property {number[]} number_choices - Numbers offered on approving devices (one is number_match).
+ * @property {string} status - 'pending' | 'approved' | 'denied' | 'completed'.
+ * @property {string|null} ip_address - IP of the waiting login.
+ * @property {string|null} user_agent - User agent of the waiting login.
+ * @property {string|null} responded_device_id - UUID of the device that approved or denied it.
+ * @property {string} created_at - ISO 8601 creation timestamp.
+ * @property {string} expires_at - ISO 8601 expiry timestamp.
+ * @property {string|null} responded_at - ISO 8601 timestamp of the approval or denial.
+ * @property {string|null} completed_at - ISO 8601 timestamp the approved login got its session.
+ */
+
+/**
+ * @typedef {Object} MfaEmailCode
+ * @property {string} id - UUID primary key.
+ * @property {string} user_id - UUID of the user logging in.
+ * @property {string} pending_token_id - jti of the mfa-pending token the code was sent for.
+ * @property {string} code_hash - SHA-256 of the pending token id and the code.
+ * @property {number} attempts - Wrong codes sent against this one.
+ * @property {string} created_at - ISO 8601 creation timestamp.
+ * @property {string} expires_at - ISO 8601 expiry timestamp.
+ * @property {string|null} consumed_at - ISO 8601 timestamp the code completed the login.
+ */
+
 // ============================================================================
 // Shared Helpers
 // ============================================================================
@@ -160,6 +276,10 @@ export const userSchema = Joi.object({
         p: Joi.number().integer().default(4),
     }).default({ algo: 'argon2id', m: 65536, t: 3, p: 4 }),
     vault_signature: Joi.string().required().default('EMPTY_VAULT'),
+    srp_salt: Joi.string().hex().allow(null).optional(),
+    srp_verifier: Joi.string().hex().allow(null).optional(),
+    lockout_cleared_at: isoDate.allow(null).optional(),
+    email_verified_at: isoDate.allow(null).optional(),
     created_at: isoDate.optional(),
     updated_at: isoDate.optional(),
 });
@@ -178,6 +298,7 @@ export const vaultRecordSchema = Joi.object({
     client_record_id: Joi.string().uuid().allow(null).optional(),
     created_at: isoDate.optional(),
     updated_at: isoDate.optional(),
+    change_seq: Joi.number().integer().min(1).optional(),  // Assigned by trigger
 });
 
 // ---------------------------------------------------------------------------
@@ -196,6 +317,7 @@ export const userDeviceSchema = Joi.object({
     last_country: Joi.string().allow(null).optional(),
     created_at: isoDate.optional(),
     trusted_until: isoDate.allow(null).optional(),
+    trust_token_id: Joi.string().allow(null).optional(),
 });
 
 // ---------------------------------------------------------------------------
@@ -207,6 +329,7 @@ export const mfaSettingSchema = Joi.object({
     is_totp_enabled: Joi.boolean().default(false),
     backup_codes_enc: Joi.string().allow(null).optional(),
     codes_used: Joi.number().integer().min(0).default(0),
+    last_totp_step: Joi.number().integer().min(0).allow(null).optional(),
     updated_at: isoDate.optional(),
 });
 
@@ -215,7 +338,11 @@ export const mfaSettingSchema = Joi.object({
 // ---------------------------------------------------------------------------
 export const recoveryKeySchema = Joi.object({
     user_id: uuid.required(),
-    key_hash: Joi.string().required(),
+    key_hash: Joi.string().allow(null).optional(),
+    public_key: Joi.string().base64().allow(null).optional(),
+    wrapped_mek_recovery: Joi.string().allow(null).optional(),
+    key_version: Joi.number().integer().min(1).optional(),
+    revoked_at: isoDate.allow(null).optional(),
     created_at: isoDate.optional(),
     expires_at: isoDate.allow(null).optional(),
 });
@@ -230,7 +357,8 @@ export const refreshTokenSchema = Joi.object({
     device_id: uuid.allow(null).optional(),
     expires_at: isoDate.required(),
     is_revoked: Joi.boolean().default(false),
-    created_ip: Joi.string().ip().allow(null).optional(),
+    family_id: uuid.allow(null).optional(),
+    created_country: Joi.string().length(2).allow(null).optional(),
     replaced_by_token_id: uuid.allow(null).optional(),
 });
 
@@ -293,17 +421,150 @@ export const auditLogSchema = Joi.object({
     created_at: isoDate.optional(),
 });
 
+// ---------------------------------------------------------------------------
+// 11. auth_challenges
+// ---------------------------------------------------------------------------
+export const authChallengeSchema = Joi.object({
+    id: uuid.optional(),
+    user_id: uuid.allow(null).optional(),
+    purpose: Joi.string().required(),
+    payload: Joi.object().default({}),
+    expires_at: isoDate.required(),
+    consumed_at: isoDate.allow(null).optional(),
+    created_at: isoDate.optional(),
+});
+
+// ---------------------------------------------------------------------------
+// 12. email_verification_tokens
+// ---------------------------------------------------------------------------
+export const emailVerificationTokenSchema = Joi.object({
+    id: uuid.optional(),
+    user_id: uuid.required(),
+    email: Joi.string().email().required(),
+    expires_at: isoDate.required(),
+    used_at: isoDate.allow(null).optional(),
+    created_at: isoDate.optional(),
+});
+
+// ---------------------------------------------------------------------------
+// 13. webauthn_credentials
+// ---------------------------------------------------------------------------
+export const webauthnCredentialSchema = Joi.object({
+    id: uuid.optional(),
+    user_id: uuid.required(),
+    credential_id: Joi.string().required(),
+    public_key: Joi.string().required(),
+    sign_count: Joi.number().integer().min(0).default(0),
+    transports: Joi.array().items(Joi.string()).allow(null).optional(),
+    name: Joi.string().max(64).required(),
+    device_type: Joi.string().valid('singleDevice', 'multiDevice').allow(null).optional(),
+    backed_up: Joi.boolean().default(false),
+    created_at: isoDate.optional(),
+    last_used_at: isoDate.allow(null).optional(),
+});
+
+// ---------------------------------------------------------------------------
+// 14. passkey_credentials
+// ---------------------------------------------------------------------------
+export const passkeyCredentialSchema = Joi.object({
+    id: uuid.optional(),
+    user_id: uuid.required(),
+    credential_id: Joi.string().required(),
+    public_key: Joi.string().required(),
+    sign_count: Joi.number().integer().min(0).default(0),
+    transports: Joi.array().items(Joi.string()).allow(null).optional(),
+    name: Joi.string().max(64).required(),
+    device_type: Joi.string().valid('singleDevice', 'multiDevice').allow(null).optional(),
+    backed_up: Joi.boolean().default(false),
+    wrapped_mek: Joi.string().max(1024).required(),
+    created_at: isoDate.optional(),
+    last_used_at: isoDate.allow(null).optional(),
+});
+
+// ---------------------------------------------------------------------------
+// 15. mfa_attempts
+// ---------------------------------------------------------------------------
+export const mfaAttemptSchema = Joi.object({
+    id: uuid.optional(),
+    user_id: uuid.required(),
+    pending_token_id: Joi.string().allow(null).optional(),
+    method: Joi.string().valid('totp', 'backup_code').required(),
+    ip_address: Joi.string().ip().required(),
+    was_successful: Joi.boolean().required(),
+    attempt_time: isoDate.optional(),
+});
+
+// ---------------------------------------------------------------------------
+// 16. mfa_factors
+// ---------------------------------------------------------------------------
+export const mfaFactorSchema = Joi.object({
+    id: uuid.optional(),
+    user_id: uuid.required(),
+    type: Joi.string().valid('totp', 'email').default('totp'),
+    name: Joi.string().max(64).required(),
+    secret_enc: Joi.string().allow(null).optional(),
+    last_totp_step: Joi.number().integer().min(0).allow(null).optional(),
+    created_at: isoDate.optional(),
+    last_used_at: isoDate.allow(null).optional(),
+});
+
+// ---------------------------------------------------------------------------
+// 17. mfa_push_challenges
+// ---------------------------------------------------------------------------
+const pushNumber = Joi.number().integer().min(10).max(99);
+
+export const mfaPushChallengeSchema = Joi.object({
+    id: uuid.optional(),
+    user_id: uuid.required(),
+    pending_token_id: Joi.string().required(),
+    number_match: pushNumber.required(),
+    number_choices: Joi.array().items(pushNumber).min(1).required(),
+    status: Joi.string().valid('pending', 'approved', 'denied', 'completed').default('pending'),
+    ip_address: Joi.string().ip().allow(null).optional(),
+    user_agent: Joi.string().allow(null).optional(),
+    responded_device_id: uuid.allow(null).optional(),
+    created_at: isoDate.optional(),
+    expires_at: isoDate.required(),
+    responded_at: isoDate.allow(null).optional(),
+    completed_at: isoDate.allow(null).optional(),
+});
+
+// ---------------------------------------------------------------------------
+// 18. mfa_email_codes
+// ---------------------------------------------------------------------------
+export const mfaEmailCodeSchema = Joi.object({
+    id: uuid.optional(),
+    user_id: uuid.required(),
+    pending_token_id: Joi.string().required(),
+    code_hash: Joi.string().hex().length(64).required(),
+    attempts: Joi.number().integer().min(0).default(0),
+    created_at: isoDate.optional(),
+    expires_at: isoDate.required(),
+    consumed_at: isoDate.allow(null).optional(),
+});
+
 // ============================================================================
 // Sync API Request Schemas
 // ============================================================================
 
 // ---------------------------------------------------------------------------
 // GET /api/vault/sync — query params
+// Either `cursor` (from the previous response's next_cursor) or the legacy
+// `since` + `offset`; never both.
 // ---------------------------------------------------------------------------
 export const pullSyncQuerySchema = Joi.object({
-    since: isoDate.default(new Date(0).toISOString()),  // Defaults to epoch (full sync)
+    cursor: Joi.string().max(64).optional(),
+    since: isoDate.when('cursor', {
+        is: Joi.exist(),
+        then: Joi.forbidden(),
+        otherwise: Joi.optional().default(new Date(0).toISOString()),  // Defaults to epoch (full sync)
+    }),
     limit: Joi.number().integer().min(1).max(500).default(100),
-    offset: Joi.number().integer().min(0).default(0),
+    offset: Joi.number().integer().min(0).when('cursor', {
+        is: Joi.exist(),
+        then: Joi.forbidden(),
+        otherwise: Joi.optional().default(0),
+    }),
 });
 
 // ---------------------------------------------------------------------------
@@ -337,3 +598,176 @@ export const vaultUpsertBodySchema = Joi.object({
     record_type: Joi.string().valid('credential', 'folder', 'tag').default('credential'),
 });
 
+
+// ============================================================================
+// Recovery Key API Request Schemas
+// ============================================================================
+
+// ---------------------------------------------------------------------------
+// POST /api/recovery-key/regenerate — request body
+// ---------------------------------------------------------------------------
+export const recoveryKeyRegenerateBodySchema = Joi.object({
+    // Ed25519 public key derived client-side from the new recovery key (raw 32 bytes, base64)
+    recovery_public_key: Joi.string().base64().length(44).required(),
+    // The same MEK, wrapped under the new recovery key
+    wrapped_mek_recovery: Joi.string().max(1024).required(),
+});
+
+
+// ============================================================================
+// WebAuthn API Request Schemas
+// ============================================================================
+
+// The browser's PublicKeyCredential serialised as JSON; @simplewebauthn/server checks its contents
+const webauthnCredentialResponse = Joi.object({
+    id: Joi.string().max(1024).required(),
+    rawId: Joi.string().max(1024).required(),
+    type: Joi.string().valid('public-key').required(),
+    response: Joi.object().required(),
+    clientExtensionResults: Joi.object().default({}),
+    authenticatorAttachment: Joi.string().optional(),
+});
+
+const webauthnCredentialName = Joi.string().trim().min(1).max(64);
+
+// ---------------------------------------------------------------------------
+// POST /auth/webauthn/register/verify — request body
+// ---------------------------------------------------------------------------
+export const webauthnRegisterVerifyBodySchema = Joi.object({
+    challenge_id: uuid.required(),
+    name: webauthnCredentialName.required(),
+    credential: webauthnCredentialResponse.required(),
+});
+
+// ---------------------------------------------------------------------------
+// POST /auth/webauthn/login/verify — request body
+// ---------------------------------------------------------------------------
+export const webauthnLoginVerifyBodySchema = Joi.object({
+    challenge_id: uuid.required(),
+    credential: webauthnCredentialResponse.required(),
+    trust_device: Joi.boolean().default(false),
+});
+
+// ---------------------------------------------------------------------------
+// PUT/DELETE /auth/webauthn/credentials/:id — path params and rename body
+// ---------------------------------------------------------------------------
+export const webauthnRenameBodySchema = Joi.object({
+    name: webauthnCredentialName.required(),
+});
+
+export const webauthnCredentialParamsSchema = Joi.object({
+    id: uuid.required(),
+});
+
+// ---------------------------------------------------------------------------
+// DELETE /auth/webauthn/credentials/:id — proof of a second factor: an assertion
+// from any registered key (the one being removed included), or a TOTP / backup code
+// ---------------------------------------------------------------------------
+export const webauthnRemoveBodySchema = Joi.object({
+    challenge_id: uuid,
+    credential: webauthnCredentialResponse,
+    code: Joi.string().trim().min(1).max(64),
+}).xor('credential', 'code').and('challenge_id', 'credential').required();
+
+// ---------------------------------------------------------------------------
+// POST /auth/webauthn/register/options and /auth/passkey/register/options —
+// proof of a second factor once MFA is on: an assertion from a security key
+// (challenge from a previous MFA_PROOF_REQUIRED answer), or a TOTP / backup code.
+// Empty while MFA is off.
+// ---------------------------------------------------------------------------
+export const mfaProofBodySchema = Joi.object({
+    challenge_id: uuid,
+    credential: webauthnCredentialResponse,
+    code: Joi.string().trim().min(1).max(64),
+}).oxor('credential', 'code').and('challenge_id', 'credential');
+
+
+// ============================================================================
+// Passkey API Request Schemas
+// ============================================================================
+
+// ---------------------------------------------------------------------------
+// POST /auth/passkey/register/verify — request body
+// ---------------------------------------------------------------------------
+export const passkeyRegisterVerifyBodySchema = Joi.object({
+    challenge_id: uuid.required(),
+    name: webauthnCredentialName.required(),
+    credential: webauthnCredentialResponse.required(),
+    // The MEK wrapped under a key derived from this passkey's PRF output
+    wrapped_mek: Joi.string().max(1024).required(),
+});
+
+// ---------------------------------------------------------------------------
+// POST /auth/passkey/login/verify — request body
+// ---------------------------------------------------------------------------
+export const passkeyLoginVerifyBodySchema = Joi.object({
+    challenge_id: uuid.required(),
+    credential: webauthnCredentialResponse.required(),
+});
+
+// ============================================================================
+// TOTP API Request Schemas
+// ============================================================================
+
+const totpAuthenticatorName = Joi.string().trim().min(1).max(64);
+
+// A 6-digit TOTP code or a backup code
+const mfaProofCode = Joi.string().trim().min(1).max(64);
+
+// ---------------------------------------------------------------------------
+// POST /auth/totp/setup — request body (code only when adding a further authenticator)
+// ---------------------------------------------------------------------------
+export const totpSetupBodySchema = Joi.object({
+    name: totpAuthenticatorName.optional(),
+    code: Joi.string().pattern(/^\d{6}$/).optional(),
+});
+
+// ---------------------------------------------------------------------------
+// /auth/totp/authenticators/:id — path params, rename and remove bodies
+// ---------------------------------------------------------------------------
+export const totpAuthenticatorParamsSchema = Joi.object({
+    id: uuid.required(),
+});
+
+export const totpAuthenticatorRenameBodySchema = Joi.object({
+    name: totpAuthenticatorName.required(),
+});
+
+export const totpAuthenticatorRemoveBodySchema = Joi.object({
+    code: mfaProofCode.required(),
+});
+
+// ---------------------------------------------------------------------------
+// POST /auth/totp/email-otp/verify-login — the emailed code
+// ---------------------------------------------------------------------------
+export const emailOtpVerifyBodySchema = Joi.object({
+    code: Joi.string().trim().pattern(/^\d{6}$/).required(),
+    trust_device: Joi.boolean().optional(),
+});
+
+// ============================================================================
+// Push Approval API Request Schemas
+// ============================================================================
+
+// ---------------------------------------------------------------------------
+// /auth/push/:id/* — path params
+// ---------------------------------------------------------------------------
+export const pushChallengeParamsSchema = Joi.object({
+    id: uuid.required(),
+});
+
+// ---------------------------------------------------------------------------
+// POST /auth/push/:id/approve — the number shown on the machine logging in
+// ---------------------------------------------------------------------------
+export const pushApproveBodySchema = Joi.object({
+    number: pushNumber.required(),
+});
+
+// ============================================================================
+// Device API Request Schemas
+// ============================================================================
+
+// POST /api/devices/:id/trust/revoke — path params
+export const deviceParamsSchema = Joi.object({
+    id: uuid.required(),
+});